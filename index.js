@@ -5,6 +5,12 @@ const path = require('path');
 const { PluginLogger } = require('./src/logger');
 const pluginConfigManager = require('./src/plugin-config');
 const ruleManager = require('./src/rule-manager');
+const listenerManager = require('./src/listener-manager');
+const messageStore = require('./src/message-store');
+const responsePicker = require('./src/response-picker');
+const ruleStats = require('./src/rule-stats');
+const auditLog = require('./src/audit-log');
+const subscriptions = require('./src/subscriptions');
 const { answeringMachineCommand } = require('./src/commands');
 
 module.exports = {
@@ -24,6 +30,18 @@ module.exports = {
     // 3. Initialize managers.
     pluginConfigManager.init(configDir);
     ruleManager.init(configDir);
+    messageStore.init(configDir);
+    responsePicker.init(configDir);
+    ruleStats.init(configDir);
+    auditLog.init(configDir);
+    subscriptions.init(configDir);
+    // TheLounge's ClientManager is not part of the plugin API; it is found through TheLounge's main module.
+    listenerManager.init(modulePath => require.main.require(modulePath));
+    // Some files are saved a few seconds after a change; save what is still waiting on exit.
+    process.once('exit', () => {
+      messageStore.flush();
+      ruleStats.flush();
+    });
 
     // 3. Watch for changes in configuration files.
     const rulesPath = ruleManager.getRulesPath();
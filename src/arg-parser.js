@@ -0,0 +1,89 @@
+'use strict';
+
+/**
+ * Splits a command line into tokens.
+ * Whitespace separates tokens, unless it is inside single or double quotes.
+ * A quote only opens at the start of a token or right after its first '=', so
+ * apostrophes inside words (e.g. "don't") are kept as-is. Inside quotes, the
+ * active quote character can be escaped with a backslash; any other backslash
+ * is kept so regular expressions survive untouched.
+ * @param {string} input - The raw command line.
+ * @returns {Array<string>}
+ * @throws {Error} If a quote is not terminated.
+ */
+function tokenize(input) {
+  const tokens = [];
+  let current = null;
+  let quote = null;
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+
+    if (quote) {
+      if (ch === '\\' && input[i + 1] === quote) {
+        current += quote;
+        i++;
+      } else if (ch === quote) {
+        quote = null;
+      } else {
+        current += ch;
+      }
+      continue;
+    }
+
+    if (/\s/.test(ch)) {
+      if (current !== null) {
+        tokens.push(current);
+        current = null;
+      }
+      continue;
+    }
+
+    if (current === null) {
+      current = '';
+    }
+
+    const canOpenQuote = current === '' || (current.endsWith('=') && current.indexOf('=') === current.length - 1);
+    if ((ch === '"' || ch === "'") && canOpenQuote) {
+      quote = ch;
+      continue;
+    }
+
+    current += ch;
+  }
+
+  if (quote) {
+    throw new Error(`Unterminated ${quote} quote in command.`);
+  }
+  if (current !== null) {
+    tokens.push(current);
+  }
+  return tokens;
+}
+
+/**
+ * Separates positional arguments from key=value options.
+ * A token is an option when it starts with an identifier followed by '='.
+ * @param {Array<string>} tokens - Tokens as returned by tokenize().
+ * @returns {{positional: Array<string>, options: object}}
+ */
+function parseOptions(tokens) {
+  const positional = [];
+  const options = {};
+
+  for (const token of tokens) {
+    const match = token.match(/^([A-Za-z_]\w*)=([\s\S]*)$/);
+    if (match) {
+      options[match[1]] = match[2];
+    } else {
+      positional.push(token);
+    }
+  }
+
+  return { positional, options };
+}
+
+module.exports = {
+  tokenize,
+  parseOptions,
+};
@@ -0,0 +1,46 @@
+'use strict';
+
+/**
+ * This module writes the admin actions run with '/am' to audit.log, next to rules.json,
+ * so every change to the server-wide settings can be traced back to a TheLounge user.
+ * Refused attempts are written too. Each line is a JSON object, so a user name or an
+ * argument can never forge an entry.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PluginLogger } = require('./logger');
+
+// Default state
+let auditLogPath = '';
+
+/**
+ * Initializes the audit log.
+ * @param {string} configDir - The base directory for configuration files.
+ */
+function init(configDir) {
+  auditLogPath = path.join(configDir, 'audit.log');
+  PluginLogger.info(`[AM] Using audit log file: ${auditLogPath}`);
+}
+
+/**
+ * Appends an admin action to the audit log.
+ * @param {string} userName - The TheLounge user who ran the command.
+ * @param {string} command - The command, as typed after '/am'.
+ * @param {'allowed'|'denied'} outcome - Whether the user was allowed to run it.
+ * @param {number} [now] - The current timestamp.
+ */
+function record(userName, command, outcome, now = Date.now()) {
+  const entry = { time: new Date(now).toISOString(), user: userName, command, outcome };
+  PluginLogger.info(`[AM] Admin command '${command}' by ${userName}: ${outcome}.`);
+  try {
+    fs.appendFileSync(auditLogPath, JSON.stringify(entry) + '\n', 'utf8');
+  } catch (error) {
+    PluginLogger.error(`[AM] ERROR: Failed to write to the audit log ${auditLogPath}.`, error.message);
+  }
+}
+
+module.exports = {
+  init,
+  record,
+};
@@ -3,11 +3,47 @@
 const { PluginLogger } = require('./logger');
 const pluginConfigManager = require('./plugin-config');
 const ruleManager = require('./rule-manager');
-const { validateRules } = require('./rule-validator');
-const { createPrivmsgHandler, safeJsonStringify } = require('./message-handler');
+const { RULE_FIELDS, validateRules } = require('./rule-validator');
+const listenerManager = require('./listener-manager');
+const presence = require('./presence');
+const messageStore = require('./message-store');
+const { getEntryText, getEntryWeight, getResponseMode } = require('./response-picker');
+const { tokenize, parseOptions } = require('./arg-parser');
+const { formatDateTime, isValidTimezone } = require('./template');
+const { getRuleEvent, describeEvent } = require('./events');
+const { isChannelName, testEvent } = require('./message-handler');
+const cooldowns = require('./cooldowns');
+const rateLimiter = require('./rate-limiter');
+const senderFilter = require('./sender-filter');
+const regexSafety = require('./regex-safety');
+const ruleStats = require('./rule-stats');
+const auditLog = require('./audit-log');
+const ruleFetcher = require('./rule-fetcher');
+const subscriptions = require('./subscriptions');
 
-// Key: network.uuid, Value: { handler: function, client: object }
-const activeListeners = new Map();
+// Actions that change settings or state for every user of the server, by subcommand. They
+// can only be run by admins. Every other subcommand and action is user-level.
+const ADMIN_ACTIONS = {
+  debug: ['enable', 'disable'],
+  fetch: ['enable', 'disable'],
+  reload: ['shared'],
+  whitelist: ['add', 'remove'],
+};
+
+// Rule fields that can hold a list, given in '/am rule' as a JSON array. Other fields keep
+// values starting with '[' as text, e.g. a trigger_text like '[0-9]+'.
+const LIST_FIELDS = ['response_text', 'listen_channel', 'only_from', 'except_from', 'steps'];
+
+/**
+* Returns whether a command can only be run by admins.
+* @param {string} subcommand - The subcommand, e.g. 'fetch'.
+* @param {string} action - The word after the subcommand, e.g. 'enable'.
+* @returns {boolean}
+*/
+function isAdminCommand(subcommand, action) {
+  const actions = ADMIN_ACTIONS[(subcommand || '').toLowerCase()];
+  return Boolean(actions) && actions.includes((action || '').toLowerCase());
+}
 
 /**
 * Sends a detailed, multi-line help message to the user.
@@ -20,22 +56,73 @@ function sendHelpMessage(tellUser) {
   tellUser("General commands:");
   tellUser("  start          - Activates the listener for the current network.");
   tellUser("  stop           - Deactivates the listener for the current network.");
-  tellUser("  status         - Shows if the listener is active or inactive for this network.");
-  tellUser("  reload         - Manually reloads rules from the rules.json file.");
+  tellUser("  status         - Shows if the listener is active, and the queued and dropped responses.");
+  tellUser("  reload         - Manually reloads your own rules file.");
+  tellUser("  reload shared  - Reloads the shared rules.json file, resetting every user's cooldowns (admin).");
+  tellUser("  rules          - Lists your rules and the shared rules for the current network.");
+  tellUser("  cooldowns      - Lists the rule cooldowns that are currently running on this network.");
+  tellUser(" ");
+  tellUser("Recorded messages (mentions and queries received while listening):");
+  tellUser("  messages [list]       - Plays back all recorded messages for this network.");
+  tellUser("  messages since <time> - Plays back messages since a time (e.g. 30m, 2h, 1d, 14:00 or 2024-05-01).");
+  tellUser("  messages clear        - Deletes the recorded messages for this network.");
+  tellUser(" ");
+  tellUser("Away mode commands (for rules with when=away):");
+  tellUser("  away status         - Shows your away/idle state and the away mode settings.");
+  tellUser("  away auto <on|off>  - Starts/stops the listener automatically on /away and /back.");
+  tellUser("  away idle <minutes> - Also counts as away after <minutes> without sending messages (0 disables).");
+  tellUser(" ");
+  tellUser("Ignore list (senders that never trigger your rules, on any network):");
+  tellUser("  ignore list          - Shows the ignored masks.");
+  tellUser("  ignore add <mask>    - Ignores a nick!user@host mask (wildcards * and ?) or account:<name>.");
+  tellUser("  ignore remove <mask> - Stops ignoring a mask.");
+  tellUser(" ");
+  tellUser("Timezone (used by {{time}} and {{date}} in your responses):");
+  tellUser("  timezone        - Shows your timezone and time.");
+  tellUser("  timezone <zone> - Sets your timezone, e.g. Europe/Madrid.");
+  tellUser("  timezone local  - Uses the server's local timezone again.");
+  tellUser(" ");
+  tellUser("Rule editing commands (values with spaces must be quoted):");
+  tellUser("  <rule> is a rule id, a rule name, or its number in '/am rules'. Shared rules can only be changed in rules.json.");
+  tellUser("  rule show <rule>                 - Shows every field of a rule.");
+  tellUser("  rule add key=value [...]         - Adds a rule. 'server' defaults to this network.");
+  tellUser("  rule edit <rule> key=value [...] - Changes fields of a rule. 'key=' removes a field.");
+  tellUser("  rule remove <rule>               - Deletes a rule.");
+  tellUser(" ");
+  tellUser("Rule statistics (kept across reloads and restarts):");
+  tellUser("  stats                - Lists the rules of this network, most active first.");
+  tellUser("  stats <rule>         - Shows the statistics of one rule.");
+  tellUser("  stats [rule] reset   - Sets your statistics of this network (or of one rule) back to zero.");
+  tellUser("  stats export         - Prints the statistics of this network as CSV.");
+  tellUser(" ");
+  tellUser("Testing rules (nothing is sent):");
+  tellUser("  test <text>             - Shows which rule would answer <text> in this channel or query, and its response.");
+  tellUser("  test <#channel> <text>  - Does the same for another channel of this network.");
+  tellUser("  test from=<nick> <text> - Tests <text> as sent by <nick> (by default 'someone' in channels).");
+  tellUser(" ");
+  tellUser("Rule subscriptions (rules fetched again at an interval; fetching must be enabled):");
+  tellUser("  subscribe list                  - Lists your subscriptions.");
+  tellUser("  subscribe add <URL> [minutes]   - Subscribes to the rules at <URL>, refreshed every 60 minutes by default.");
+  tellUser("  subscribe remove <URL|number>   - Unsubscribes and removes the rules that came from <URL>.");
+  tellUser("  subscribe refresh [URL|number]  - Fetches your subscriptions (or one of them) now.");
   tellUser(" ");
   tellUser("Debugging commands:");
   tellUser("  debug status   - Shows if debug mode is currently ENABLED or DISABLED.");
-  tellUser("  debug enable   - Enables verbose logging.");
-  tellUser("  debug disable  - Disables verbose logging.");
+  tellUser(" ");
+  tellUser("Admin commands (change settings for every user; need your user name in 'admins' in config.json):");
+  tellUser("  debug <enable|disable>          - Enables or disables verbose logging.");
+  tellUser("  fetch <enable|disable>          - Enables or disables fetching rules from URLs.");
+  tellUser("  whitelist <add|remove> <domain> - Changes the domains rules may be fetched from ('*.example.org' for subdomains).");
 }
 
 /**
-* Displays the active rules for a given network to the user.
+* Displays the active rules for a given network to the user, and where each one comes from.
 * @param {object} network - The TheLounge network object.
+* @param {string} userName - The TheLounge user name.
 * @param {function(string)} tellUser - The function to send messages to the user.
 */
-function displayRulesForNetwork(network, tellUser) {
-  const allRules = ruleManager.getRules();
+function displayRulesForNetwork(network, userName, tellUser) {
+  const allRules = ruleManager.getRules(userName);
   const networkRules = allRules.filter(rule => rule.server === network.name);
 
   if (networkRules.length === 0) {
@@ -44,89 +131,851 @@ function displayRulesForNetwork(network, tellUser) {
   }
 
   tellUser(`Active rules for this server (${network.name}):`);
+  // Own rules come first, so the numbers continue from one group to the next.
   networkRules.forEach((rule, index) => {
-    let responsePart = `-> "${rule.response_text}"`;
+    const isShared = ruleManager.isSharedRule(rule);
+    if (index === 0 || isShared !== ruleManager.isSharedRule(networkRules[index - 1])) {
+      tellUser(isShared ? 'Shared rules, from rules.json (apply to all users):' : 'Your rules:');
+    }
+    const listenPart = Array.isArray(rule.listen_channel) ? rule.listen_channel.join(', ') : (rule.listen_channel || 'all channels');
+    const eventType = getRuleEvent(rule);
+    const eventPart = eventType !== 'message' ? `on ${eventType} ` : '';
+    const triggerPart = rule.trigger_text ? `"${rule.trigger_text}" ` : '';
+    let responseTextPart = `"${rule.response_text}"`;
+    if (Array.isArray(rule.response_text)) {
+      const mode = getResponseMode(rule);
+      const entries = rule.response_text.map((entry) => {
+        const weightPart = mode === 'weighted' ? ` (x${getEntryWeight(entry)})` : '';
+        return `"${getEntryText(entry)}"${weightPart}`;
+      });
+      responseTextPart = `[${mode}] ${entries.join(' | ')}`;
+    } else if (Array.isArray(rule.steps)) {
+      const steps = rule.steps.map((step) => {
+        const delayPart = step.delay_seconds > 0 ? `+${step.delay_seconds}s ` : '';
+        const targetPart = step.target ? `${step.target}: ` : '';
+        const typePart = step.response_type ? `(${step.response_type}) ` : '';
+        return `${delayPart}${targetPart}${typePart}"${step.text}"`;
+      });
+      responseTextPart = `[steps] ${steps.join(' | ')}`;
+    }
+    let responsePart = `-> ${responseTextPart}`;
     if (rule.response_channel && rule.response_channel !== rule.listen_channel) {
-      responsePart = `-> ${rule.response_channel}: "${rule.response_text}"`;
+      responsePart = `-> ${rule.response_channel}: ${responseTextPart}`;
     }
 
     const options = [];
-    if (typeof rule.cooldown_seconds === 'number') {
-      options.push(`cooldown: ${rule.cooldown_seconds}s`);
+    if (rule.response_type && rule.response_type !== 'message') {
+      options.push(`type: ${rule.response_type}`);
+    }
+    if (typeof rule.cooldown_seconds === 'number' || rule.cooldown_scope || rule.max_per_window) {
+      const seconds = typeof rule.cooldown_seconds === 'number' ? rule.cooldown_seconds : cooldowns.DEFAULT_COOLDOWN_SECONDS;
+      const scopePart = rule.cooldown_scope && rule.cooldown_scope !== 'rule' ? ` per ${rule.cooldown_scope}` : '';
+      const maxPart = rule.max_per_window > 1 ? `, max ${rule.max_per_window}` : '';
+      options.push(`cooldown: ${seconds}s${scopePart}${maxPart}`);
     }
     if (typeof rule.delay_seconds === 'number' && rule.delay_seconds > 0) {
       options.push(`delay: ${rule.delay_seconds}s`);
     }
+    if (rule.priority) {
+      options.push(`priority: ${rule.priority}`);
+    }
+    if (rule.continue) {
+      options.push('continue');
+    }
+    if (rule.only_from) {
+      options.push(`only from: ${[].concat(rule.only_from).join(', ')}`);
+    }
+    if (rule.except_from) {
+      options.push(`except from: ${[].concat(rule.except_from).join(', ')}`);
+    }
     const optionsPart = options.length > 0 ? ` (${options.join(', ')})` : '';
 
-    tellUser(`${index + 1}. [${rule.listen_channel}] "${rule.trigger_text}" ${responsePart}${optionsPart}`);
+    const identity = [];
+    if (rule.id) {
+      identity.push(`id: ${rule.id}`);
+    }
+    if (rule.name) {
+      identity.push(`name: ${rule.name}`);
+    }
+    if (rule.source) {
+      identity.push(`source: ${rule.source}`);
+    }
+    const identityPart = identity.length > 0 ? ` [${identity.join(', ')}]` : '';
+
+    tellUser(`${index + 1}. [${listenPart}] ${eventPart}${triggerPart}${responsePart}${optionsPart}${identityPart}`);
+  });
+}
+
+/**
+* Lists the cooldown timers that are running for the rules of a network.
+* @param {object} network - The TheLounge network object.
+* @param {string} userName - The TheLounge user name.
+* @param {function(string)} tellUser - The function to send messages to the user.
+*/
+function displayCooldownsForNetwork(network, userName, tellUser) {
+  const active = cooldowns.getActiveCooldowns(Date.now(), userName)
+    .map(timer => ({ ...timer, rule: ruleManager.getRuleById(timer.ruleId, userName) }))
+    .filter(timer => timer.rule && timer.rule.server === network.name);
+
+  if (active.length === 0) {
+    tellUser(`No active cooldowns for this server (${network.name}).`);
+    return;
+  }
+
+  tellUser(`Active cooldowns for this server (${network.name}):`);
+  for (const timer of active) {
+    const scope = [];
+    if (timer.sender !== null) {
+      scope.push(`for ${timer.sender}`);
+    }
+    if (timer.channel !== null) {
+      scope.push(`in ${timer.channel || network.name}`);
+    }
+    const scopePart = scope.length > 0 ? ` ${scope.join(' ')}` : '';
+    const usagePart = timer.maxPerWindow > 1 ? ` (${timer.hits}/${timer.maxPerWindow} used)` : '';
+    tellUser(`- ${ruleManager.getRuleLabel(timer.rule)}${scopePart}: ${Math.ceil(timer.remainingMs / 1000)}s left${usagePart}`);
+  }
+}
+
+/**
+* Parses the argument of '/am messages since'.
+* Accepts a duration (e.g. '30m', '2h', '1d'), a time of day today ('14:00'), or a date/time string.
+* @param {string} value - The value given by the user.
+* @param {number} now - The current timestamp in milliseconds.
+* @returns {number|null} A timestamp in milliseconds, or null if the value is not understood.
+*/
+function parseSince(value, now) {
+  if (!value) {
+    return null;
+  }
+  const duration = value.match(/^(\d+(?:\.\d+)?)\s*([smhd])$/i);
+  if (duration) {
+    const unitMs = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+    return now - Number(duration[1]) * unitMs[duration[2].toLowerCase()];
+  }
+  const timeOfDay = value.match(/^(\d{1,2}):(\d{2})$/);
+  if (timeOfDay) {
+    const date = new Date(now);
+    date.setHours(Number(timeOfDay[1]), Number(timeOfDay[2]), 0, 0);
+    return date.getTime();
+  }
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+/**
+* Formats a timestamp as 'YYYY-MM-DD HH:MM' in the server's local time.
+* @param {number} time - A timestamp in milliseconds.
+* @returns {string}
+*/
+function formatTime(time) {
+  const date = new Date(time);
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+* Plays back recorded messages, grouped by channel and then by sender.
+* @param {Array<object>} messages - The recorded messages, oldest first.
+* @param {function(string)} tellUser - The function to send messages to the user.
+*/
+function displayMessages(messages, tellUser) {
+  const byChannel = new Map();
+  for (const message of messages) {
+    if (!byChannel.has(message.channel)) {
+      byChannel.set(message.channel, new Map());
+    }
+    const bySender = byChannel.get(message.channel);
+    if (!bySender.has(message.nick)) {
+      bySender.set(message.nick, []);
+    }
+    bySender.get(message.nick).push(message);
+  }
+
+  for (const [channel, bySender] of byChannel) {
+    const count = Array.from(bySender.values()).reduce((total, list) => total + list.length, 0);
+    tellUser(`${channel} (${count} messages):`);
+    for (const [nick, list] of bySender) {
+      tellUser(`  ${nick}:`);
+      list.forEach(message => tellUser(`    [${formatTime(message.time)}] ${message.text}`));
+    }
+  }
+}
+
+/**
+* Handles the '/am messages' subcommands.
+* @param {object} network - The TheLounge network object.
+* @param {Array<string>} tokens - The tokens following 'messages'.
+* @param {function(string)} tellUser - The function to send messages to the user.
+*/
+function handleMessagesCommand(network, tokens, tellUser) {
+  const [action, value] = tokens;
+
+  switch ((action || 'list').toLowerCase()) {
+    case 'clear': {
+      const count = messageStore.clearMessages(network);
+      tellUser(`Deleted ${count} recorded messages for ${network.name}.`);
+      return;
+    }
+    case 'since': {
+      const since = parseSince(value, Date.now());
+      if (since === null) {
+        tellUser('Usage: /am messages since <time> (e.g. 30m, 2h, 1d, 14:00 or 2024-05-01)');
+        return;
+      }
+      const messages = messageStore.getMessages(network, since);
+      if (messages.length === 0) {
+        tellUser(`No messages recorded on ${network.name} since ${formatTime(since)}.`);
+        return;
+      }
+      tellUser(`Messages recorded on ${network.name} since ${formatTime(since)}:`);
+      displayMessages(messages, tellUser);
+      return;
+    }
+    case 'list': {
+      const messages = messageStore.getMessages(network);
+      if (messages.length === 0) {
+        tellUser(`No messages recorded on ${network.name}.`);
+        return;
+      }
+      tellUser(`Messages recorded on ${network.name}:`);
+      displayMessages(messages, tellUser);
+      return;
+    }
+    default: {
+      tellUser('Usage: /am messages [list|clear|since <time>]');
+      return;
+    }
+  }
+}
+
+// The sender of messages tested in a channel, unless another one is given with 'from='.
+// The user's own messages are echoes that never trigger rules, so they cannot be used.
+const TEST_SENDER = 'someone';
+
+/**
+* Runs a message through the rules without sending anything, and explains the outcome.
+* In a channel the message is tested as if TEST_SENDER sent it there; in a query window,
+* as if the other person sent it to you. 'from=<nick>' picks another sender.
+* @param {object} client - The plugin client object.
+* @param {object} network - The TheLounge network object.
+* @param {object} chan - The TheLounge channel the command was typed in.
+* @param {Array<string>} args - The arguments after 'test', as typed.
+* @param {function(string)} tellUser - The function to send messages to the user.
+*/
+function handleTestCommand(client, network, chan, args, tellUser) {
+  let channel = chan.name;
+  let sender = null;
+  let words = args;
+  if (words.length > 1 && isChannelName(words[0])) {
+    channel = words[0];
+    words = words.slice(1);
+  }
+  const fromOption = words.length > 1 ? words[0].match(/^from=(\S+)$/i) : null;
+  if (fromOption) {
+    sender = fromOption[1];
+    words = words.slice(1);
+  }
+  const text = words.join(' ');
+  const isQueryWindow = chan.type === 'query' && channel === chan.name;
+  if (!text || (!isQueryWindow && !isChannelName(channel))) {
+    tellUser('Usage: /am test [#channel] [from=<nick>] <message text>');
+    return;
+  }
+  if (sender && sender.toLowerCase() === network.nick.toLowerCase()) {
+    tellUser('Error: Your own messages never trigger rules. Use from=<nick> with the nick of someone else.');
+    return;
+  }
+
+  const event = isQueryWindow
+    ? { nick: sender || chan.name, target: network.nick, message: text }
+    : { nick: sender || TEST_SENDER, target: channel, message: text };
+  const info = describeEvent('message', event, network);
+  const { ignored, results } = testEvent(client, network, 'message', info, Date.now());
+
+  tellUser(`Testing "${text}" in ${channel}, sent by ${info.sender}:`);
+  if (ignored) {
+    tellUser(`${info.sender} is on the ignore list, so no rule is checked.`);
+    return;
+  }
+  if (results.length === 0) {
+    tellUser(`No rules on ${network.name} listen to ${channel}.`);
+    return;
+  }
+
+  const responders = [];
+  results.forEach(({ rule, reason, cooldownMs, responses }, index) => {
+    const label = ruleManager.getRuleLabel(rule);
+    if (reason) {
+      tellUser(`${index + 1}. ${label}: no match, ${reason}.`);
+      return;
+    }
+    if (cooldownMs > 0) {
+      tellUser(`${index + 1}. ${label}: MATCH, but it is on cooldown for another ${Math.ceil(cooldownMs / 1000)}s and would not respond.`);
+    } else {
+      const mode = getResponseMode(rule);
+      const modePart = Array.isArray(rule.response_text) && mode !== 'all' ? ` (one of these, ${mode})` : '';
+      tellUser(`${index + 1}. ${label}: MATCH${modePart}.`);
+      responders.push(label);
+    }
+    responses.forEach(({ target, text: responseText, responseType, delaySeconds }) => {
+      const typePart = responseType !== 'message' ? `${responseType} ` : '';
+      const delayPart = delaySeconds > 0 ? ` after ${delaySeconds}s` : '';
+      tellUser(`   -> ${typePart}to ${target}${delayPart}: ${responseText}`);
+    });
+  });
+  tellUser(responders.length > 0 ? `Would respond: ${responders.join(', ')}. Nothing was sent.` : 'No rule would respond.');
+}
+
+/**
+* Resolves a rule reference to the rule and its index in the user's own rules (-1 for shared rules).
+* A reference can be a rule id, a rule name, or the number shown by '/am rules'.
+* @param {object} network - The TheLounge network object.
+* @param {string} userName - The TheLounge user name.
+* @param {string} ref - The rule reference given by the user.
+* @returns {{rule: object, index: number}|null}
+*/
+function findNetworkRule(network, userName, ref) {
+  if (!ref) {
+    return null;
+  }
+  const allRules = ruleManager.getRules(userName);
+  const networkRules = allRules.filter(rule => rule.server === network.name);
+  const lowerRef = ref.toLowerCase();
+  let rule = networkRules.find(r => r.id === ref)
+    || networkRules.find(r => typeof r.name === 'string' && r.name.toLowerCase() === lowerRef);
+  if (!rule && /^\d+$/.test(ref)) {
+    rule = networkRules[Number(ref) - 1];
+  }
+  return rule ? { rule, index: ruleManager.getUserRules(userName).indexOf(rule) } : null;
+}
+
+/**
+* Parses a string as a JSON array.
+* @param {string} value - The string to parse.
+* @returns {Array|null} The array, or null if the string is not a JSON array.
+*/
+function parseJsonArray(value) {
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+* Applies key=value options to a rule object. Empty values remove the field.
+* @param {object} rule - The rule object to modify.
+* @param {object} options - The parsed key=value options.
+* @returns {string|null} An error message, or null if all keys are known.
+*/
+function applyRuleOptions(rule, options) {
+  // The id and the source of a rule are managed by the plugin.
+  const editableFields = RULE_FIELDS.filter(field => field !== 'id' && field !== 'source');
+  const unknownKeys = Object.keys(options).filter(key => !editableFields.includes(key));
+  if (unknownKeys.length > 0) {
+    return `Unknown rule field(s): ${unknownKeys.join(', ')}. Known fields: ${editableFields.join(', ')}.`;
+  }
+  for (const [key, value] of Object.entries(options)) {
+    if (value === '') {
+      delete rule[key];
+    } else if (LIST_FIELDS.includes(key) && value.startsWith('[') && parseJsonArray(value)) {
+      // JSON arrays allow lists of values, e.g. several alternative responses.
+      rule[key] = parseJsonArray(value);
+    } else if (['listen_channel', 'only_from', 'except_from'].includes(key) && value.includes(',')) {
+      // Channel names and masks cannot contain commas, so a comma-separated value is a list.
+      rule[key] = value.split(',').map(entry => entry.trim()).filter(entry => entry !== '');
+    } else {
+      rule[key] = value;
+    }
+  }
+  return null;
+}
+
+/**
+* Validates a single rule and, if valid, saves the user's updated rules.
+* @param {object} rule - The new or modified rule.
+* @param {Array<object>} updatedRules - The user's own rules, containing the rule.
+* @param {string} userName - The TheLounge user name.
+* @param {function(string)} tellUser - The function to send messages to the user.
+* @returns {boolean} True if the rules were saved.
+*/
+function validateAndSaveRule(rule, updatedRules, userName, tellUser) {
+  const validationResult = validateRules([rule]);
+  if (!validationResult.isValid) {
+    tellUser(`Error: The rule is invalid. ${validationResult.error}`);
+    validationResult.errors.slice(1).forEach(({ message }) => tellUser(message));
+    return false;
+  }
+  if (rule.name) {
+    const lowerName = String(rule.name).toLowerCase();
+    const clash = updatedRules.find(other => other !== rule && other.server === rule.server
+      && typeof other.name === 'string' && other.name.toLowerCase() === lowerName);
+    if (clash) {
+      tellUser(`Error: Another rule on ${rule.server} is already named '${rule.name}'.`);
+      return false;
+    }
+  }
+  if (!ruleManager.saveUserRules(userName, updatedRules)) {
+    tellUser('Error: The rules could not be saved. Check the server logs for details.');
+    return false;
+  }
+  return true;
+}
+
+/**
+* Handles the '/am rule' subcommands, which create, modify, delete and display rules.
+* Only the user's own rules can be changed; shared rules are edited in rules.json.
+* @param {object} network - The TheLounge network object.
+* @param {string} userName - The TheLounge user name.
+* @param {Array<string>} tokens - The tokens following 'rule'.
+* @param {function(string)} tellUser - The function to send messages to the user.
+*/
+function handleRuleCommand(network, userName, tokens, tellUser) {
+  const { positional, options } = parseOptions(tokens);
+  const [action, ref] = positional;
+
+  switch ((action || '').toLowerCase()) {
+    case 'show': {
+      const found = findNetworkRule(network, userName, ref);
+      if (!found) {
+        tellUser(`Error: Rule '${ref || ''}' not found. Use '/am rules' to see rule ids, names and numbers.`);
+        return;
+      }
+      tellUser(`Rule ${ruleManager.getRuleLabel(found.rule)}:`);
+      for (const [key, value] of Object.entries(found.rule)) {
+        tellUser(`  ${key} = ${JSON.stringify(value)}`);
+      }
+      return;
+    }
+
+    case 'add': {
+      if (Object.keys(options).length === 0) {
+        tellUser('Usage: /am rule add listen_channel=<channel> trigger_text="<regex>" response_text="<text>" [key=value...]');
+        return;
+      }
+      const rule = { server: network.name };
+      const error = applyRuleOptions(rule, options);
+      if (error) {
+        tellUser(`Error: ${error}`);
+        return;
+      }
+      const ownRules = ruleManager.getUserRules(userName);
+      if (validateAndSaveRule(rule, [...ownRules, rule], userName, tellUser)) {
+        tellUser(`Rule added with id ${rule.id}.`);
+        if (rule.server === network.name) {
+          displayRulesForNetwork(network, userName, tellUser);
+        }
+      }
+      return;
+    }
+
+    case 'edit': {
+      const found = findNetworkRule(network, userName, ref);
+      if (!found) {
+        tellUser(`Error: Rule '${ref || ''}' not found. Use '/am rules' to see rule ids, names and numbers.`);
+        return;
+      }
+      if (Object.keys(options).length === 0) {
+        tellUser('Usage: /am rule edit <rule> key=value [key=value...]');
+        return;
+      }
+      if (ruleManager.isSharedRule(found.rule)) {
+        tellUser(`Error: Rule ${ruleManager.getRuleLabel(found.rule)} is shared by all users and can only be changed in ${ruleManager.getRulesPath()}.`);
+        return;
+      }
+      const rule = { ...found.rule };
+      const error = applyRuleOptions(rule, options);
+      if (error) {
+        tellUser(`Error: ${error}`);
+        return;
+      }
+      const updatedRules = [...ruleManager.getUserRules(userName)];
+      updatedRules[found.index] = rule;
+      if (validateAndSaveRule(rule, updatedRules, userName, tellUser)) {
+        tellUser(`Rule ${ruleManager.getRuleLabel(rule)} updated.`);
+      }
+      return;
+    }
+
+    case 'remove': {
+      const found = findNetworkRule(network, userName, ref);
+      if (!found) {
+        tellUser(`Error: Rule '${ref || ''}' not found. Use '/am rules' to see rule ids, names and numbers.`);
+        return;
+      }
+      if (ruleManager.isSharedRule(found.rule)) {
+        tellUser(`Error: Rule ${ruleManager.getRuleLabel(found.rule)} is shared by all users and can only be changed in ${ruleManager.getRulesPath()}.`);
+        return;
+      }
+      const updatedRules = ruleManager.getUserRules(userName).filter((_rule, index) => index !== found.index);
+      if (!ruleManager.saveUserRules(userName, updatedRules)) {
+        tellUser('Error: The rules could not be saved. Check the server logs for details.');
+        return;
+      }
+      tellUser(`Rule ${ruleManager.getRuleLabel(found.rule)} removed.`);
+      return;
+    }
+
+    default: {
+      tellUser('Usage: /am rule <show|add|edit|remove> [rule] [key=value...]');
+      return;
+    }
+  }
+}
+
+/**
+* Describes the statistics of a rule in one line.
+* @param {{triggers: number, lastTriggered: number|null, lastSender: string|null, suppressed: number}} stats - The rule statistics.
+* @returns {string}
+*/
+function describeRuleStats(stats) {
+  const lastPart = stats.lastTriggered ? `last at ${formatTime(stats.lastTriggered)} by ${stats.lastSender}` : 'never triggered';
+  return `${stats.triggers} triggers, ${lastPart}, ${stats.suppressed} suppressed by cooldown`;
+}
+
+/**
+* Handles '/am stats [rule] [reset]' and '/am stats export'.
+* @param {object} network - The TheLounge network object.
+* @param {string} userName - The TheLounge user name.
+* @param {Array<string>} tokens - The arguments after 'stats'.
+* @param {function(string)} tellUser - The function to send messages to the user.
+*/
+function handleStatsCommand(network, userName, tokens, tellUser) {
+  const networkRules = ruleManager.getRules(userName).filter(rule => rule.server === network.name);
+  const [first, second] = tokens;
+
+  if ((first || '').toLowerCase() === 'export') {
+    ruleStats.toCsv(userName, networkRules).forEach(line => tellUser(line));
+    return;
+  }
+
+  if ((first || '').toLowerCase() === 'reset') {
+    // Counters are kept per user, so this only resets the caller's own counters.
+    ruleStats.resetStats(userName, networkRules.map(rule => rule.id));
+    tellUser(`Your statistics were reset for the ${networkRules.length} rules of ${network.name}.`);
+    return;
+  }
+
+  if (first) {
+    const found = findNetworkRule(network, userName, first);
+    if (!found) {
+      tellUser(`Error: Rule '${first}' not found. Use '/am rules' to see rule ids, names and numbers.`);
+      return;
+    }
+    const label = ruleManager.getRuleLabel(found.rule);
+    if ((second || '').toLowerCase() === 'reset') {
+      ruleStats.resetStats(userName, [found.rule.id]);
+      tellUser(`Your statistics were reset for rule ${label}.`);
+      return;
+    }
+    tellUser(`Rule ${label}: ${describeRuleStats(ruleStats.getRuleStats(userName, found.rule.id))}.`);
+    return;
+  }
+
+  if (networkRules.length === 0) {
+    tellUser(`No active rules found for this server (${network.name}).`);
+    return;
+  }
+  tellUser(`Rule statistics for this server (${network.name}), most active first:`);
+  ruleStats.rankByActivity(userName, networkRules).forEach(({ rule, stats }, index) => {
+    tellUser(`${index + 1}. ${ruleManager.getRuleLabel(rule)}: ${describeRuleStats(stats)}`);
   });
 }
 
+/**
+* Refreshes a subscription and reports the outcome in one line.
+* @param {string} userName - The TheLounge user name.
+* @param {object} subscription - The subscription to refresh.
+* @param {function(string)} tellUser - The function to send messages to the user.
+* @returns {Promise<void>}
+*/
+async function refreshAndReport(userName, subscription, tellUser) {
+  try {
+    const { notModified, added, overwritten, removed, warnings } = await subscriptions.refreshSubscription(userName, subscription, Date.now());
+    if (notModified) {
+      tellUser(`${subscription.url}: not modified since the last refresh.`);
+      return;
+    }
+    warnings.forEach(({ message }) => tellUser(`Warning: ${message}`));
+    tellUser(`${subscription.url}: ${added} rules added, ${overwritten} updated, ${removed} removed.`);
+  } catch (error) {
+    tellUser(`Error: ${subscription.url}: ${error.message}`);
+    (error.details || []).forEach(message => tellUser(message));
+  }
+}
+
+/**
+* Handles '/am subscribe add|remove|list|refresh'.
+* @param {object} network - The TheLounge network object.
+* @param {string} userName - The TheLounge user name.
+* @param {Array<string>} tokens - The arguments after 'subscribe'.
+* @param {function(string)} tellUser - The function to send messages to the user.
+*/
+function handleSubscribeCommand(network, userName, tokens, tellUser) {
+  const [action, ref, intervalValue] = tokens;
+
+  switch ((action || 'list').toLowerCase()) {
+    case 'add': {
+      const minutes = intervalValue === undefined ? subscriptions.DEFAULT_INTERVAL_MINUTES : Number(intervalValue);
+      if (!ref || !Number.isInteger(minutes) || minutes < subscriptions.MIN_INTERVAL_MINUTES) {
+        tellUser(`Usage: /am subscribe add <URL> [minutes] (at least ${subscriptions.MIN_INTERVAL_MINUTES}, ${subscriptions.DEFAULT_INTERVAL_MINUTES} by default)`);
+        return;
+      }
+      const urlError = ruleFetcher.checkUrl(ref);
+      if (urlError) {
+        tellUser(`Error: ${urlError}`);
+        return;
+      }
+      const { subscription, created } = subscriptions.addSubscription(userName, ref, minutes);
+      if (!created) {
+        tellUser(`Subscription to ${ref} will now be refreshed every ${minutes} minutes. The change has been saved.`);
+        return;
+      }
+      tellUser(`Subscribed to ${ref}, refreshed every ${minutes} minutes. Fetching it now...`);
+      refreshAndReport(userName, subscription, tellUser).then(() => displayRulesForNetwork(network, userName, tellUser));
+      return;
+    }
+
+    case 'remove': {
+      const subscription = subscriptions.findSubscription(userName, ref);
+      if (!subscription) {
+        tellUser(`Error: Subscription '${ref || ''}' not found. Use '/am subscribe list' to see your subscriptions.`);
+        return;
+      }
+      const removed = subscriptions.removeSubscription(userName, subscription);
+      tellUser(`Unsubscribed from ${subscription.url}. ${removed} rules from it have been removed.`);
+      return;
+    }
+
+    case 'refresh': {
+      const found = ref && subscriptions.findSubscription(userName, ref);
+      if (ref && !found) {
+        tellUser(`Error: Subscription '${ref}' not found. Use '/am subscribe list' to see your subscriptions.`);
+        return;
+      }
+      const targets = found ? [found] : subscriptions.getSubscriptions(userName);
+      if (targets.length === 0) {
+        tellUser('You have no subscriptions. Use \'/am subscribe add <URL>\' to add one.');
+        return;
+      }
+      (async () => {
+        for (const subscription of targets) {
+          await refreshAndReport(userName, subscription, tellUser);
+        }
+      })();
+      return;
+    }
+
+    case 'list': {
+      const list = subscriptions.getSubscriptions(userName);
+      if (list.length === 0) {
+        tellUser('You have no subscriptions. Use \'/am subscribe add <URL>\' to add one.');
+        return;
+      }
+      tellUser('Your subscriptions:');
+      list.forEach((subscription, index) => {
+        const ruleCount = ruleManager.getUserRules(userName).filter(rule => rule.source === subscription.url).length;
+        const checkedPart = subscription.lastChecked ? `last checked ${formatTime(subscription.lastChecked)} (${subscription.lastResult})` : 'not checked yet';
+        tellUser(`${index + 1}. ${subscription.url}: ${ruleCount} rules, every ${subscription.intervalMinutes} minutes, ${checkedPart}`);
+      });
+      return;
+    }
+
+    default: {
+      tellUser('Usage: /am subscribe <add|remove|list|refresh> [URL|number] [minutes]');
+      return;
+    }
+  }
+}
+
 const answeringMachineCommand = {
-  input(client, target, _command, args) {
-    const [subcommand] = args;
+  input(client, target, _command, rawArgs) {
     const network = target.network;
+    // Rules and personal settings belong to the TheLounge user.
+    const userName = client.client.name;
     
     const tellUser = (message) => {
       client.sendMessage(`[AM] ${message}`, target.chan);
     };
+
+    // Test messages are used as typed, so quotes in them are not parsed.
+    if ((rawArgs[0] || '').toLowerCase() === 'test') {
+      handleTestCommand(client, network, target.chan, rawArgs.slice(1), tellUser);
+      return;
+    }
+
+    // TheLounge splits the input on spaces; re-tokenize it so quoted values are kept together.
+    let args;
+    try {
+      args = tokenize(rawArgs.join(' '));
+    } catch (error) {
+      tellUser(`Error: ${error.message}`);
+      return;
+    }
+    const [subcommand] = args;
+
+    // Server-wide settings are reserved for admins, and every attempt to change them is audited.
+    if (isAdminCommand(subcommand, args[1])) {
+      const commandLine = args.join(' ');
+      if (!pluginConfigManager.isAdmin(userName)) {
+        auditLog.record(userName, commandLine, 'denied');
+        tellUser(`Permission denied: '/am ${commandLine}' affects every user and can only be run by an admin. Admins are listed in 'admins' in config.json.`);
+        return;
+      }
+      auditLog.record(userName, commandLine, 'allowed');
+    }
     
+    // Restore any saved listeners for this user that are not attached yet.
+    listenerManager.registerClient(client);
+
     switch ((subcommand || '').toLowerCase()) {
       case 'start': {
-        if (activeListeners.has(network.uuid)) {
+        if (!listenerManager.startListener(client, network)) {
           tellUser(`Listener is already active for this network (${network.name}).`);
           return;
         }
         
-        PluginLogger.debug(`[AM] Attaching listener for network: ${network.name} (UUID: ${network.uuid}). Full network object: ${safeJsonStringify(network)}`);
-        const handler = createPrivmsgHandler(client, network);
-        network.irc.on('privmsg', handler);
-        activeListeners.set(network.uuid, { handler, client });
-        
         tellUser(`Listener started for network: ${network.name}.`);
         PluginLogger.info(`[AM] Listener started for ${client.client.name} on ${network.name}.`);
         return;
       }
       
       case 'stop': {
-        if (!activeListeners.has(network.uuid)) {
+        if (!listenerManager.stopListener(client, network)) {
           tellUser(`Listener is not active for this network (${network.name}).`);
           return;
         }
         
-        const { handler } = activeListeners.get(network.uuid);
-        network.irc.removeListener('privmsg', handler);
-        activeListeners.delete(network.uuid);
-        
+        const digest = messageStore.getSessionDigest(network);
         tellUser(`Listener stopped for network: ${network.name}.`);
+        tellUser(`While listening: ${digest.messages} messages from ${digest.people} people, ${digest.replies} auto-replies sent.`);
         PluginLogger.info(`[AM] Listener stopped for ${client.client.name} on ${network.name}.`);
         return;
       }
       
       case 'status': {
-        if (activeListeners.has(network.uuid)) {
+        if (listenerManager.isListening(network)) {
           tellUser(`Listener is ACTIVE for network: ${network.name}.`);
         } else {
           tellUser(`Listener is INACTIVE for network: ${network.name}.`);
         }
+        const stats = rateLimiter.getStats(network);
+        tellUser(`Outgoing: ${stats.queued} queued, ${stats.dropped} dropped (queue full), ${stats.loopsBlocked} ignored (loop detection).`);
+        for (const ignored of stats.ignoredSenders) {
+          tellUser(`- Ignoring ${ignored.nick} for ${Math.ceil(ignored.remainingMs / 1000)}s (possible loop)`);
+        }
+        // Rules disabled for a slow trigger stay listed until their trigger_text is changed.
+        const disabledRules = regexSafety.getDisabledRules(userName)
+          .map(disabled => ({ ...disabled, rule: ruleManager.getRuleById(disabled.ruleId, userName) }))
+          .filter(disabled => disabled.rule && disabled.rule.server === network.name && regexSafety.isRuleDisabled(disabled.rule, userName));
+        if (disabledRules.length > 0) {
+          tellUser(`Disabled rules (${disabledRules.length}):`);
+          disabledRules.forEach(disabled => tellUser(`- ${ruleManager.getRuleLabel(disabled.rule)}: ${disabled.reason}`));
+        }
         return;
       }
       
       case 'reload': {
-        ruleManager.loadRules(tellUser);
+        const [scope] = args.slice(1);
+        if (!scope) {
+          ruleManager.loadUserRules(userName, tellUser);
+        } else if (scope.toLowerCase() === 'shared') {
+          // Reloading the shared rules resets the cooldowns and pending responses of every user.
+          ruleManager.loadRules(tellUser);
+        } else {
+          tellUser('Usage: /am reload [shared]');
+        }
         return;
       }
 
       case 'rules': {
-        if (!activeListeners.has(network.uuid)) {
+        if (!listenerManager.isListening(network)) {
           tellUser(`Listener is not active for this network (${network.name}). Use '/am start' to activate it.`);
           return;
         }
-        displayRulesForNetwork(network, tellUser);
+        displayRulesForNetwork(network, userName, tellUser);
         break;
       }
+
+      case 'cooldowns': {
+        displayCooldownsForNetwork(network, userName, tellUser);
+        return;
+      }
+
+      case 'away': {
+        const [awaySubCommand, value] = args.slice(1);
+        const settings = presence.getAwaySettings(network);
+        switch ((awaySubCommand || 'status').toLowerCase()) {
+          case 'auto': {
+            const lowerValue = (value || '').toLowerCase();
+            if (lowerValue !== 'on' && lowerValue !== 'off') {
+              tellUser('Usage: /am away auto <on|off>');
+              break;
+            }
+            presence.setAwaySettings(network, { auto: lowerValue === 'on' });
+            tellUser(`Automatic start/stop on /away and /back has been ${lowerValue === 'on' ? 'ENABLED' : 'DISABLED'} for ${network.name}. The change has been saved.`);
+            break;
+          }
+          case 'idle': {
+            const minutes = Number(value);
+            if (value === undefined || !Number.isFinite(minutes) || minutes < 0) {
+              tellUser('Usage: /am away idle <minutes> (0 disables idle detection)');
+              break;
+            }
+            presence.setAwaySettings(network, { idle_minutes: minutes });
+            tellUser(minutes > 0
+              ? `You will count as away on ${network.name} after ${minutes} minutes without sending messages. The change has been saved.`
+              : `Idle detection has been DISABLED for ${network.name}. The change has been saved.`);
+            break;
+          }
+          case 'status':
+          default: {
+            const reason = presence.getAwayReason(network);
+            const idleMinutes = Math.floor(presence.getIdleMs(network) / 60000);
+            tellUser(`You are ${presence.isAway(network) ? 'AWAY' : 'NOT AWAY'} on ${network.name}${reason ? ` (${reason})` : ''}. Idle for ${idleMinutes} minutes.`);
+            tellUser(`Away-only rules are currently ${presence.isAbsent(network) ? 'ACTIVE' : 'INACTIVE'}.`);
+            tellUser(`Automatic start/stop: ${settings.auto ? 'ENABLED' : 'DISABLED'}. Idle threshold: ${settings.idle_minutes > 0 ? `${settings.idle_minutes} minutes` : 'DISABLED'}.`);
+            break;
+          }
+        }
+        return;
+      }
+
+      case 'messages': {
+        handleMessagesCommand(network, args.slice(1), tellUser);
+        return;
+      }
+
+      case 'rule': {
+        handleRuleCommand(network, userName, args.slice(1), tellUser);
+        return;
+      }
+
+      case 'stats': {
+        handleStatsCommand(network, userName, args.slice(1), tellUser);
+        return;
+      }
       
+      case 'timezone': {
+        const [timezone] = args.slice(1);
+        if (!timezone) {
+          const currentTimezone = pluginConfigManager.getUserSetting(userName, 'timezone');
+          const { date, time } = formatDateTime(new Date(), currentTimezone);
+          tellUser(`Timezone: ${currentTimezone || 'server local time'}. Current time: ${date} ${time}.`);
+        } else if (timezone.toLowerCase() === 'local') {
+          pluginConfigManager.setUserSetting(userName, 'timezone', null);
+          tellUser('Responses will use the server\'s local time. The change has been saved.');
+        } else if (!isValidTimezone(timezone)) {
+          tellUser(`Error: Unknown timezone '${timezone}'. Use an IANA name such as Europe/Madrid or America/New_York.`);
+        } else {
+          pluginConfigManager.setUserSetting(userName, 'timezone', timezone);
+          tellUser(`Timezone set to ${timezone}. The change has been saved.`);
+        }
+        return;
+      }
+
       case 'debug': {
         const [debugSubCommand] = args.slice(1);
         const config = pluginConfigManager.getPluginConfig();
@@ -198,75 +1047,53 @@ const answeringMachineCommand = {
                 tellUser('Usage: /am fetch <URL>');
                 return;
               }
-              // 1. Check if the feature is enabled
-              if (!config.enableFetch) {
-                tellUser('Error: Remote rule fetching is disabled. Use \'/am fetch enable\' to activate it.');
+              const urlError = ruleFetcher.checkUrl(url);
+              if (urlError) {
+                tellUser(`Error: ${urlError}`);
                 return;
               }
 
-              // 2. Check if the whitelist is configured
-              if (!config.fetchWhitelist || config.fetchWhitelist.length === 0) {
-                tellUser('Error: The domain whitelist is empty. Use \'/am whitelist add <domain>\' to add a trusted domain.');
-                return;
-              }
+              tellUser(`Fetching rules from whitelisted domain: ${new URL(url).hostname}...`);
 
-              // 3. Validate URL and check against whitelist
-              let urlHostname;
+              let result;
               try {
-                urlHostname = new URL(url).hostname;
-              } catch (e) {
-                tellUser(`Error: Invalid URL provided: "${url}"`);
+                result = await ruleFetcher.fetchRules(url);
+              } catch (fetchError) {
+                tellUser(`Error: ${fetchError.message}`);
+                (fetchError.details || []).forEach(message => tellUser(message));
+                if (fetchError.cause) {
+                  PluginLogger.error(`[AM] Fetch error for ${url}:`, fetchError.cause);
+                }
                 return;
               }
+              result.warnings.forEach(({ message }) => tellUser(`Warning: ${message}`));
 
-              if (!config.fetchWhitelist.includes(urlHostname)) {
-                tellUser(`Error: The domain '${urlHostname}' is not in the whitelist.`);
+              tellUser('Validation successful. Merging rules...');
+
+              // Fetched rules become the user's own rules, tagged with where they came from.
+              const existingRules = ruleManager.getUserRules(userName);
+              const newRules = result.rules.map(rule => ({ ...rule, source: url }));
+              const { mergedRules, added, overwritten } = ruleManager.mergeRules(existingRules, newRules);
+              if (!ruleManager.saveUserRules(userName, mergedRules)) {
+                tellUser('Error: The rules could not be saved. Check the server logs for details.');
                 return;
               }
 
-              tellUser(`Fetching rules from whitelisted domain: ${urlHostname}...`);
-              
-              try {
-                const response = await fetch(url);
-                if (!response.ok) {
-                  throw new Error(`HTTP error! status: ${response.status} ${response.statusText}`);
-                }
-                const textBody = await response.text();
-
-                let newRules;
-                try {
-                  newRules = JSON.parse(textBody);
-                } catch (jsonError) {
-                  tellUser(`Error: Failed to parse JSON from ${url}. Please check the file for syntax errors.`);
-                  PluginLogger.error(`[AM] JSON parse error for ${url}:`, jsonError);
-                  return;
-                }
-
-                const validationResult = validateRules(newRules);
-                if (!validationResult.isValid) {
-                  tellUser(`Error: The fetched rules are invalid. ${validationResult.error}`);
-                  return;
-                }
-
-                tellUser('Validation successful. Merging rules...');
-                
-                const existingRules = ruleManager.getRules();
-                const { mergedRules, added, overwritten } = ruleManager.mergeRules(existingRules, newRules);
-                ruleManager.saveRules(mergedRules);
-
-                tellUser(`Fetch complete: ${added} rules added, ${overwritten} rules overwritten.`);
-                displayRulesForNetwork(network, tellUser);
-
-              } catch (fetchError) {
-                tellUser(`Error: Failed to fetch rules from ${url}.`);
-                PluginLogger.error(`[AM] Fetch error for ${url}:`, fetchError);
-              }
-            })();
+              tellUser(`Fetch complete: ${added} rules added, ${overwritten} rules overwritten.`);
+              displayRulesForNetwork(network, userName, tellUser);
+            })().catch((error) => {
+              PluginLogger.error(`[AM] Fetch of ${fetchSubCommand} failed:`, error);
+            });
             break;
           }
         }
         return;
       }
+
+      case 'subscribe': {
+        handleSubscribeCommand(network, userName, args.slice(1), tellUser);
+        return;
+      }
       
       case 'whitelist': {
         const [whitelistSubCommand, domain] = args.slice(1);
@@ -284,6 +1111,11 @@ const answeringMachineCommand = {
               break;
             }
             const lowerDomain = domain.toLowerCase();
+            // A wildcard is only allowed as the first label, so '*' alone cannot whitelist every domain.
+            if (!/^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(lowerDomain)) {
+              tellUser(`Error: '${domain}' is not a domain. Use a domain like 'example.org', or '*.example.org' for all of its subdomains.`);
+              break;
+            }
             if (config.fetchWhitelist.includes(lowerDomain)) {
               tellUser(`Domain '${lowerDomain}' is already in the whitelist.`);
             } else {
@@ -323,6 +1155,61 @@ const answeringMachineCommand = {
         return;
       }
 
+      case 'ignore': {
+        const [ignoreSubCommand, mask] = args.slice(1);
+        switch ((ignoreSubCommand || 'list').toLowerCase()) {
+          case 'add': {
+            if (!mask) {
+              tellUser('Usage: /am ignore add <nick!user@host|account:name>');
+              break;
+            }
+            // Channel privileges depend on the channel, so they cannot be ignored globally.
+            const error = mask.toLowerCase().startsWith('status:') ? `'${mask}' cannot be used in the ignore list.` : senderFilter.findConditionError(mask);
+            if (error) {
+              tellUser(`Error: ${error}`);
+              break;
+            }
+            const added = senderFilter.addIgnore(userName, mask);
+            if (added) {
+              tellUser(`'${added}' has been ADDED to the ignore list. The change has been saved.`);
+            } else {
+              tellUser(`'${mask}' is already in the ignore list.`);
+            }
+            break;
+          }
+          case 'remove': {
+            if (!mask) {
+              tellUser('Usage: /am ignore remove <mask>');
+              break;
+            }
+            const removed = senderFilter.removeIgnore(userName, mask);
+            if (removed) {
+              tellUser(`'${removed}' has been REMOVED from the ignore list. The change has been saved.`);
+            } else {
+              tellUser(`'${mask}' is not in the ignore list.`);
+            }
+            break;
+          }
+          case 'list':
+          default: {
+            const ignoreList = senderFilter.getIgnoreList(userName);
+            if (ignoreList.length === 0) {
+              tellUser('The ignore list is currently empty.');
+            } else {
+              tellUser('Current ignore list:');
+              ignoreList.forEach(entry => tellUser(`- ${entry}`));
+            }
+            const sharedIgnoreList = senderFilter.getIgnoreList();
+            if (sharedIgnoreList.length > 0) {
+              tellUser('Also ignored for all users (set in config.json):');
+              sharedIgnoreList.forEach(entry => tellUser(`- ${entry}`));
+            }
+            break;
+          }
+        }
+        return;
+      }
+
       default: {
         sendHelpMessage(tellUser);
         return;
@@ -334,5 +1221,5 @@ const answeringMachineCommand = {
 
 module.exports = {
   answeringMachineCommand,
-  activeListeners, // Export for testing purposes
+  activeListeners: listenerManager.activeListeners, // Export for testing purposes
 };
@@ -0,0 +1,157 @@
+'use strict';
+
+/**
+ * This module decides whether a rule is on cooldown. Each rule has one timer per
+ * scope value (e.g. one per sender with cooldown_scope 'sender'), and can fire up
+ * to max_per_window times within cooldown_seconds.
+ * The timers are kept in rule-manager's cooldown map, so they are reset with the rules.
+ * Every TheLounge user has timers of their own, so a shared rule firing for one user
+ * does not hold it back for the others.
+ */
+
+const ruleManager = require('./rule-manager');
+
+const DEFAULT_COOLDOWN_SECONDS = 5;
+
+// Expired timers are removed when a rule fires, at most this often.
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+let lastPruned = 0;
+
+/**
+ * Returns the cooldown window of a rule in milliseconds.
+ * @param {object} rule - The rule object.
+ * @returns {number}
+ */
+function getCooldownMs(rule) {
+  const cooldownSeconds = rule.cooldown_seconds === undefined ? DEFAULT_COOLDOWN_SECONDS : rule.cooldown_seconds;
+  return cooldownSeconds * 1000;
+}
+
+/**
+ * Returns which sender and channel a rule's timer is tied to, according to its cooldown_scope.
+ * @param {object} rule - The rule object.
+ * @param {string} sender - The nick that triggered the rule.
+ * @param {string} channel - The channel the rule was triggered in (the sender, for private messages).
+ * @param {string} userName - The TheLounge user the rule fired for.
+ * @returns {{key: string, sender: string|null, channel: string|null}}
+ */
+function getTimerScope(rule, sender, channel, userName) {
+  const scope = rule.cooldown_scope || 'rule';
+  const timerSender = scope === 'sender' || scope === 'sender+channel' ? (sender || '').toLowerCase() : null;
+  const timerChannel = scope === 'channel' || scope === 'sender+channel' ? (channel || '').toLowerCase() : null;
+  // Rule-wide timers are keyed by the user and the rule id alone.
+  const key = [userName, rule.id, timerSender, timerChannel].filter(part => part !== null).join('|');
+  return { key, sender: timerSender, channel: timerChannel };
+}
+
+/**
+ * Returns the hits of a timer that are still inside the cooldown window.
+ * @param {object} timer - A timer from the cooldown map.
+ * @param {number} now - The current timestamp.
+ * @returns {Array<number>}
+ */
+function getRecentHits(timer, now) {
+  return timer.hits.filter(hit => now - hit < timer.windowMs);
+}
+
+/**
+ * Removes the timers whose hits have all left their window. Per-sender and per-channel
+ * timers would otherwise pile up for everyone who ever triggered a rule.
+ * @param {number} now - The current timestamp.
+ */
+function pruneExpiredTimers(now) {
+  const cooldowns = ruleManager.getRuleCooldowns();
+  for (const [key, timer] of cooldowns) {
+    if (getRecentHits(timer, now).length === 0) {
+      cooldowns.delete(key);
+    }
+  }
+  lastPruned = now;
+}
+
+/**
+ * Checks whether a rule may fire for a sender and channel.
+ * @param {object} rule - The rule object.
+ * @param {string} sender - The nick that triggered the rule.
+ * @param {string} channel - The channel the rule was triggered in.
+ * @param {number} now - The current timestamp.
+ * @param {string} userName - The TheLounge user the rule fires for.
+ * @returns {{allowed: boolean, remainingMs: number}}
+ */
+function checkCooldown(rule, sender, channel, now, userName) {
+  const { key } = getTimerScope(rule, sender, channel, userName);
+  const timer = ruleManager.getRuleCooldowns().get(key);
+  if (!timer) {
+    return { allowed: true, remainingMs: 0 };
+  }
+  const hits = getRecentHits(timer, now);
+  const maxPerWindow = rule.max_per_window || 1;
+  if (hits.length < maxPerWindow) {
+    return { allowed: true, remainingMs: 0 };
+  }
+  return { allowed: false, remainingMs: timer.windowMs - (now - hits[0]) };
+}
+
+/**
+ * Records that a rule fired for a sender and channel.
+ * @param {object} rule - The rule object.
+ * @param {string} sender - The nick that triggered the rule.
+ * @param {string} channel - The channel the rule was triggered in.
+ * @param {number} now - The current timestamp.
+ * @param {string} userName - The TheLounge user the rule fired for.
+ */
+function noteTrigger(rule, sender, channel, now, userName) {
+  if (now - lastPruned >= PRUNE_INTERVAL_MS) {
+    pruneExpiredTimers(now);
+  }
+  const cooldowns = ruleManager.getRuleCooldowns();
+  const scope = getTimerScope(rule, sender, channel, userName);
+  const windowMs = getCooldownMs(rule);
+  const timer = cooldowns.get(scope.key);
+  const hits = timer ? getRecentHits(timer, now) : [];
+  cooldowns.set(scope.key, {
+    userName,
+    ruleId: rule.id,
+    sender: scope.sender,
+    channel: scope.channel,
+    windowMs,
+    maxPerWindow: rule.max_per_window || 1,
+    hits: [...hits, now],
+  });
+}
+
+/**
+ * Returns the timers of a user that still hold hits inside their window. Expired timers are removed.
+ * @param {number} now - The current timestamp.
+ * @param {string} userName - The TheLounge user name.
+ * @returns {Array<{ruleId: string, sender: string|null, channel: string|null, hits: number, maxPerWindow: number, remainingMs: number}>}
+ */
+function getActiveCooldowns(now, userName) {
+  pruneExpiredTimers(now);
+  const active = [];
+  for (const timer of ruleManager.getRuleCooldowns().values()) {
+    if (timer.userName !== userName) {
+      continue;
+    }
+    const hits = getRecentHits(timer, now);
+    active.push({
+      ruleId: timer.ruleId,
+      sender: timer.sender,
+      channel: timer.channel,
+      hits: hits.length,
+      maxPerWindow: timer.maxPerWindow,
+      // Time until the oldest hit leaves the window and frees a slot.
+      remainingMs: timer.windowMs - (now - hits[0]),
+    });
+  }
+  return active;
+}
+
+module.exports = {
+  DEFAULT_COOLDOWN_SECONDS,
+  getTimerScope,
+  checkCooldown,
+  noteTrigger,
+  getActiveCooldowns,
+};
@@ -0,0 +1,159 @@
+'use strict';
+
+/**
+ * This module describes the IRC events rules can react to, through their 'event' field.
+ * Each event is turned into the same shape, so the message handler can run every
+ * rule through the same matching, cooldown and delay logic.
+ */
+
+const { VARIABLES } = require('./template');
+
+// Values of the 'event' field. 'message' (a PRIVMSG) is the default.
+const EVENT_TYPES = ['message', 'join', 'part', 'quit', 'kick', 'nick', 'topic', 'notice', 'action', 'invite'];
+
+// Events that are not tied to a channel. Their rules ignore listen_channel and need a response_channel.
+const CHANNELLESS_EVENTS = ['quit', 'nick'];
+
+// Template variables each event adds to the common ones.
+const EVENT_VARIABLES = {
+  message: [],
+  join: [],
+  part: ['reason'],
+  quit: ['reason'],
+  kick: ['kicker', 'kicked', 'reason'],
+  nick: ['old_nick', 'new_nick'],
+  topic: ['topic'],
+  notice: [],
+  action: [],
+  invite: ['inviter'],
+};
+
+/**
+ * Returns the event of a rule, defaulting to 'message'.
+ * @param {object} rule - The rule object.
+ * @returns {string}
+ */
+function getRuleEvent(rule) {
+  return rule.event || 'message';
+}
+
+/**
+ * Returns the name of the irc-framework event for an event type.
+ * @param {string} eventType - One of EVENT_TYPES.
+ * @returns {string}
+ */
+function getIrcEventName(eventType) {
+  return eventType === 'message' ? 'privmsg' : eventType;
+}
+
+/**
+ * Returns the template variables available to the responses of an event.
+ * @param {string} eventType - One of EVENT_TYPES.
+ * @returns {Array<string>}
+ */
+function getEventVariables(eventType) {
+  return [...VARIABLES, ...(EVENT_VARIABLES[eventType] || [])];
+}
+
+/**
+ * Turns an irc-framework event into what the message handler needs:
+ * - sender: the nick that caused the event.
+ * - target: the channel (or our nick, for private messages) matched against listen_channel, or null.
+ * - isQuery: whether the event was sent privately to us.
+ * - replyTarget: where responses go by default, or null if there is no sensible default.
+ * - text: the text trigger_text is matched against.
+ * - variables: the event's own template variables.
+ * - from: the sender's nick, user, host and services account (null if not logged in or unknown).
+ * @param {string} eventType - One of EVENT_TYPES.
+ * @param {object} event - The irc-framework event data.
+ * @param {object} network - The TheLounge network object.
+ * @returns {object|null} The description, or null if the event should be ignored.
+ */
+function describeEvent(eventType, event, network) {
+  const isOwnNick = (nick) => Boolean(nick) && nick.toLowerCase() === (network.nick || '').toLowerCase();
+
+  // Events we caused ourselves (joining a channel, changing our nick...) are ignored.
+  // Our own messages are echoes, which the message handler skips before getting here.
+  if (eventType !== 'message' && (isOwnNick(event.nick) || (eventType === 'nick' && isOwnNick(event.new_nick)))) {
+    return null;
+  }
+
+  const info = describeEventType(eventType, event, isOwnNick);
+  if (info) {
+    info.from = { nick: info.sender, user: event.ident || '', host: event.hostname || '', account: getAccount(event) };
+  }
+  return info;
+}
+
+/**
+ * Returns the services account of the sender of an event, from the IRCv3 account-tag
+ * or extended-join. '*' and '0' mean the sender is not logged in.
+ * @param {object} event - The irc-framework event data.
+ * @returns {string|null}
+ */
+function getAccount(event) {
+  const account = event.account || (event.tags && event.tags.account);
+  return typeof account === 'string' && account !== '*' && account !== '0' ? account : null;
+}
+
+/**
+ * Builds the description of an event according to its type. See describeEvent().
+ * @param {string} eventType - One of EVENT_TYPES.
+ * @param {object} event - The irc-framework event data.
+ * @param {function(string): boolean} isOwnNick - Tells whether a nick is ours.
+ * @returns {object|null}
+ */
+function describeEventType(eventType, event, isOwnNick) {
+  switch (eventType) {
+    case 'message':
+    case 'notice':
+    case 'action': {
+      // Server notices and notices sent before registration have no sender.
+      if (event.from_server || !event.nick || !event.target) {
+        return null;
+      }
+      const isQuery = isOwnNick(event.target);
+      const replyTarget = isQuery ? event.nick : event.target;
+      return { sender: event.nick, target: event.target, isQuery, replyTarget, text: event.message || '', variables: {} };
+    }
+    case 'join':
+      return { sender: event.nick, target: event.channel, isQuery: false, replyTarget: event.channel, text: event.nick, variables: {} };
+    case 'part':
+      return { sender: event.nick, target: event.channel, isQuery: false, replyTarget: event.channel, text: event.message || '', variables: { reason: event.message || '' } };
+    case 'quit':
+      return { sender: event.nick, target: null, isQuery: false, replyTarget: null, text: event.message || '', variables: { reason: event.message || '' } };
+    case 'kick':
+      return {
+        sender: event.nick,
+        target: event.channel,
+        isQuery: false,
+        replyTarget: event.channel,
+        text: event.message || '',
+        variables: { kicker: event.nick, kicked: event.kicked, reason: event.message || '' },
+      };
+    case 'nick':
+      // The new nick is the one that can be talked to.
+      return { sender: event.new_nick, target: null, isQuery: false, replyTarget: null, text: event.new_nick, variables: { old_nick: event.nick, new_nick: event.new_nick } };
+    case 'topic':
+      // The topic sent when joining a channel has no nick; only actual changes count.
+      if (!event.nick) {
+        return null;
+      }
+      return { sender: event.nick, target: event.channel, isQuery: false, replyTarget: event.channel, text: event.topic || '', variables: { topic: event.topic || '' } };
+    case 'invite':
+      // We are not in the channel yet, so responses go to the inviter by default.
+      return { sender: event.nick, target: event.channel, isQuery: false, replyTarget: event.nick, text: event.channel, variables: { inviter: event.nick } };
+    default:
+      return null;
+  }
+}
+
+module.exports = {
+  EVENT_TYPES,
+  CHANNELLESS_EVENTS,
+  EVENT_VARIABLES,
+  getRuleEvent,
+  getIrcEventName,
+  getEventVariables,
+  describeEvent,
+};
@@ -0,0 +1,54 @@
+'use strict';
+
+/**
+ * Returns whether a string contains glob wildcards.
+ * @param {string} pattern - The string to check.
+ * @returns {boolean}
+ */
+function isGlob(pattern) {
+  return /[*?]/.test(pattern);
+}
+
+/**
+ * Tests a string against a glob pattern, ignoring case.
+ * '*' matches any sequence of characters and '?' matches a single character.
+ * Every other character is matched literally.
+ * Masks come from rules and ignore lists, so this walks both strings with two pointers
+ * and only ever backtracks to the last '*'. That bounds the work by the length of the
+ * pattern times the length of the text, where a backtracking regex can take exponential time.
+ * @param {string} pattern - The glob pattern.
+ * @param {string} text - The string to test.
+ * @returns {boolean}
+ */
+function matchesGlob(pattern, text) {
+  const glob = pattern.toLowerCase();
+  const str = text.toLowerCase();
+  let g = 0;
+  let s = 0;
+  let starAt = -1;
+  let starMatchedUpTo = 0;
+  while (s < str.length) {
+    if (g < glob.length && (glob[g] === '?' || (glob[g] !== '*' && glob[g] === str[s]))) {
+      g++;
+      s++;
+    } else if (g < glob.length && glob[g] === '*') {
+      starAt = g++;
+      starMatchedUpTo = s;
+    } else if (starAt !== -1) {
+      // Let the last '*' take one more character and retry from there.
+      g = starAt + 1;
+      s = ++starMatchedUpTo;
+    } else {
+      return false;
+    }
+  }
+  while (g < glob.length && glob[g] === '*') {
+    g++;
+  }
+  return g === glob.length;
+}
+
+module.exports = {
+  isGlob,
+  matchesGlob,
+};
@@ -0,0 +1,69 @@
+'use strict';
+
+/**
+ * This module recognizes messages that are not new: history replayed by the server
+ * or a bouncer after (re)connecting, and echo-message copies of our own lines.
+ * Replying to them would send a burst of stale auto-replies.
+ */
+
+const pluginConfigManager = require('./plugin-config');
+
+// Messages older than this, according to their server-time tag, are skipped.
+const DEFAULT_MAX_MESSAGE_AGE_SECONDS = 60;
+
+// Batch types used to play back history (IRCv3 chathistory and ZNC's buffer playback).
+const PLAYBACK_BATCH_TYPES = ['chathistory', 'znc.in/playback'];
+
+/**
+ * Returns the maximum age of a message, in seconds. 0 disables the check.
+ * Stored in config.json as 'maxMessageAgeSeconds'.
+ * @returns {number}
+ */
+function getMaxMessageAgeSeconds() {
+  const value = pluginConfigManager.getPluginConfig().maxMessageAgeSeconds;
+  return typeof value === 'number' && value >= 0 ? value : DEFAULT_MAX_MESSAGE_AGE_SECONDS;
+}
+
+/**
+ * Returns when a message was sent according to its server-time tag, or null if it has none.
+ * @param {object} event - The irc-framework event data.
+ * @returns {number|null} A timestamp in milliseconds.
+ */
+function getServerTime(event) {
+  // irc-framework parses the tag into 'time'; fall back to the raw tag.
+  if (typeof event.time === 'number' && event.time > 0) {
+    return event.time;
+  }
+  const tag = event.tags && event.tags.time;
+  const parsed = tag ? Date.parse(tag) : NaN;
+  return isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Tells why an incoming message should not be handled, if it is not a new message.
+ * @param {object} event - The irc-framework event data.
+ * @param {object} network - The TheLounge network object.
+ * @param {number} now - The current timestamp.
+ * @returns {string|null} The reason to skip the message, or null if it is new.
+ */
+function getSkipReason(event, network, now) {
+  if (event.nick && event.nick.toLowerCase() === (network.nick || '').toLowerCase()) {
+    return 'it is an echo of our own message';
+  }
+  if (event.batch && PLAYBACK_BATCH_TYPES.includes(event.batch.type)) {
+    return `it is part of a '${event.batch.type}' playback batch`;
+  }
+  const maxAgeSeconds = getMaxMessageAgeSeconds();
+  const serverTime = getServerTime(event);
+  if (maxAgeSeconds > 0 && serverTime !== null && now - serverTime > maxAgeSeconds * 1000) {
+    return `it was sent ${Math.round((now - serverTime) / 1000)}s ago (limit: ${maxAgeSeconds}s)`;
+  }
+  return null;
+}
+
+module.exports = {
+  DEFAULT_MAX_MESSAGE_AGE_SECONDS,
+  PLAYBACK_BATCH_TYPES,
+  getMaxMessageAgeSeconds,
+  getSkipReason,
+};
@@ -0,0 +1,373 @@
+'use strict';
+
+const { PluginLogger } = require('./logger');
+const pluginConfigManager = require('./plugin-config');
+const presence = require('./presence');
+const messageStore = require('./message-store');
+const responseScheduler = require('./response-scheduler');
+const rateLimiter = require('./rate-limiter');
+const { createPrivmsgHandler, createEventHandler, safeJsonStringify } = require('./message-handler');
+const { EVENT_TYPES, getIrcEventName } = require('./events');
+
+// How often the active listeners are checked against TheLounge's current state.
+const RECONCILE_INTERVAL_MS = 30 * 1000;
+
+// Key: network.uuid, Value: { handlers: { [ircEventName]: function }, client: object, network: object, irc: object }
+const activeListeners = new Map();
+
+// Key: TheLounge Client instance, Value: the plugin client object used for it
+const knownClients = new Map();
+
+// Where TheLounge's ClientManager class lives, relative to TheLounge's main module:
+// releases built from TypeScript (4.4 and later) first, then older releases.
+const CLIENT_MANAGER_MODULES = ['./dist/server/clientManager', './src/clientManager'];
+
+// TheLounge's ClientManager. The plugin API does not expose it, so it is picked up when
+// TheLounge loads a user (see hookClientManager()), or from the first client object the
+// plugin sees (i.e., the first /am command).
+let clientManager = null;
+let reconcileTimer = null;
+
+/**
+ * Returns the persisted listener state from config.json, creating it if needed.
+ * Shape: { [theLoungeUserName]: [networkUuid, ...] }
+ * @returns {object}
+ */
+function getPersistedState() {
+  const config = pluginConfigManager.getPluginConfig();
+  // Ensure the state exists to prevent errors from a manually corrupted config
+  if (typeof config.activeListeners !== 'object' || config.activeListeners === null || Array.isArray(config.activeListeners)) {
+    config.activeListeners = {};
+  }
+  return config.activeListeners;
+}
+
+/**
+ * Adds or removes a network from the persisted state of a user and saves it if it changed.
+ * @param {string} userName - The TheLounge user name.
+ * @param {string} networkUuid - The network UUID.
+ * @param {boolean} active - Whether the network should be marked as started.
+ */
+function persistListener(userName, networkUuid, active) {
+  const state = getPersistedState();
+  const uuids = Array.isArray(state[userName]) ? state[userName] : [];
+  const isPersisted = uuids.includes(networkUuid);
+
+  if (active === isPersisted) {
+    return;
+  }
+
+  if (active) {
+    state[userName] = [...uuids, networkUuid];
+  } else {
+    const remaining = uuids.filter(uuid => uuid !== networkUuid);
+    if (remaining.length > 0) {
+      state[userName] = remaining;
+    } else {
+      delete state[userName];
+    }
+  }
+  pluginConfigManager.savePluginConfig();
+}
+
+/**
+ * Wraps one of TheLounge's internal Client objects so it exposes the same
+ * runAsUser() as the client objects handed to plugin commands.
+ * @param {object} realClient - A TheLounge Client instance.
+ * @returns {object}
+ */
+function wrapClient(realClient) {
+  return {
+    client: realClient,
+    runAsUser: (command, targetId) => realClient.inputLine({ target: targetId, text: command }),
+  };
+}
+
+/**
+ * Attaches the message handler, and the handlers of the other events rules can
+ * react to, to a network's current IRC connection.
+ * @param {object} client - The plugin client object (must provide runAsUser).
+ * @param {object} network - The TheLounge network object.
+ */
+function attach(client, network) {
+  PluginLogger.debug(`[AM] Attaching listener for network: ${network.name} (UUID: ${network.uuid}). Full network object: ${safeJsonStringify(network)}`);
+  const handlers = {};
+  for (const eventType of EVENT_TYPES) {
+    handlers[getIrcEventName(eventType)] = eventType === 'message'
+      ? createPrivmsgHandler(client, network)
+      : createEventHandler(client, network, eventType);
+  }
+  for (const [eventName, handler] of Object.entries(handlers)) {
+    network.irc.on(eventName, handler);
+  }
+  activeListeners.set(network.uuid, { handlers, client, network, irc: network.irc });
+}
+
+/**
+ * Detaches the event handlers from the IRC connection they were bound to.
+ * @param {string} networkUuid - The network UUID.
+ */
+function detach(networkUuid) {
+  const { handlers, irc } = activeListeners.get(networkUuid);
+  if (irc) {
+    for (const [eventName, handler] of Object.entries(handlers)) {
+      irc.removeListener(eventName, handler);
+    }
+  }
+  activeListeners.delete(networkUuid);
+}
+
+/**
+ * Returns whether the listener is active for a network.
+ * @param {object} network - The TheLounge network object.
+ * @returns {boolean}
+ */
+function isListening(network) {
+  return activeListeners.has(network.uuid);
+}
+
+/**
+ * Starts the listener for a network and persists it.
+ * @param {object} client - The plugin client object.
+ * @param {object} network - The TheLounge network object.
+ * @returns {boolean} False if the listener was already active.
+ */
+function startListener(client, network) {
+  if (isListening(network)) {
+    return false;
+  }
+  attach(client, network);
+  persistListener(client.client.name, network.uuid, true);
+  messageStore.startSession(network);
+  return true;
+}
+
+/**
+ * Stops the listener for a network and removes it from the persisted state.
+ * Responses and rule steps still waiting to be sent on the network are cancelled,
+ * including those waiting in the rate limiter's queue.
+ * @param {object} client - The plugin client object.
+ * @param {object} network - The TheLounge network object.
+ * @returns {boolean} False if the listener was not active.
+ */
+function stopListener(client, network) {
+  if (!isListening(network)) {
+    return false;
+  }
+  detach(network.uuid);
+  responseScheduler.cancelPending(network.uuid);
+  rateLimiter.clearQueue(network.uuid);
+  persistListener(client.client.name, network.uuid, false);
+  return true;
+}
+
+/**
+ * Re-attaches the persisted listeners of one TheLounge user and drops persisted
+ * entries for networks that no longer exist.
+ * @param {object} client - The plugin client object.
+ */
+function restoreClientListeners(client) {
+  const realClient = client.client;
+  if (!realClient || !Array.isArray(realClient.networks)) {
+    return;
+  }
+
+  const state = getPersistedState();
+  const uuids = Array.isArray(state[realClient.name]) ? state[realClient.name] : [];
+
+  for (const uuid of uuids) {
+    const network = realClient.networks.find(n => n.uuid === uuid);
+    if (!network) {
+      PluginLogger.info(`[AM] Network ${uuid} of ${realClient.name} no longer exists. Removing it from the saved listeners.`);
+      persistListener(realClient.name, uuid, false);
+      continue;
+    }
+    if (!activeListeners.has(uuid) && network.irc) {
+      attach(client, network);
+      PluginLogger.info(`[AM] Listener restored for ${realClient.name} on ${network.name}.`);
+    }
+  }
+}
+
+/**
+ * Starts or stops the listener of a network when the user goes away or comes back,
+ * if the network's away mode has 'auto' enabled.
+ * @param {object} client - The plugin client object.
+ * @param {object} network - The TheLounge network object.
+ * @param {boolean} away - Whether the user went away (true) or came back (false).
+ */
+function handleAwayChange(client, network, away) {
+  if (!presence.getAwaySettings(network).auto) {
+    return;
+  }
+  if (away && startListener(client, network)) {
+    PluginLogger.info(`[AM] ${client.client.name} went away on ${network.name}. Listener started automatically.`);
+  } else if (!away && stopListener(client, network)) {
+    const digest = messageStore.getSessionDigest(network);
+    PluginLogger.info(`[AM] ${client.client.name} is back on ${network.name}. Listener stopped automatically. ${digest.messages} messages from ${digest.people} people, ${digest.replies} auto-replies sent.`);
+  }
+}
+
+/**
+ * Tracks the away state of every network of a TheLounge user.
+ * @param {object} client - The plugin client object.
+ */
+function watchClientPresence(client) {
+  const networks = client.client && client.client.networks;
+  if (!Array.isArray(networks)) {
+    return;
+  }
+  for (const network of networks) {
+    presence.watchNetwork(network, {
+      onAway: () => handleAwayChange(client, network, true),
+      onBack: () => handleAwayChange(client, network, false),
+    });
+  }
+}
+
+/**
+ * Brings the active listeners in line with TheLounge's current state:
+ * - Rebinds handlers whose network.irc object was recreated (e.g., after a reconnect).
+ * - Removes listeners for networks that were deleted.
+ * - Restores persisted listeners and away tracking for every known TheLounge user.
+ */
+function reconcile() {
+  for (const [uuid, entry] of activeListeners) {
+    const { client, network } = entry;
+    const networks = client.client && client.client.networks;
+    if (Array.isArray(networks) && !networks.includes(network)) {
+      PluginLogger.info(`[AM] Network ${network.name} was removed. Dropping its listener.`);
+      detach(uuid);
+      responseScheduler.cancelPending(uuid);
+      rateLimiter.clearQueue(uuid);
+      presence.unwatchNetwork(uuid);
+      persistListener(client.client.name, uuid, false);
+      continue;
+    }
+    if (network.irc && network.irc !== entry.irc) {
+      PluginLogger.debug(`[AM] IRC connection for ${network.name} was recreated. Re-binding listener.`);
+      detach(uuid);
+      attach(client, network);
+    }
+  }
+
+  if (clientManager && Array.isArray(clientManager.clients)) {
+    for (const realClient of clientManager.clients) {
+      if (!knownClients.has(realClient)) {
+        knownClients.set(realClient, wrapClient(realClient));
+      }
+    }
+  }
+
+  for (const client of knownClients.values()) {
+    restoreClientListeners(client);
+    watchClientPresence(client);
+  }
+}
+
+/**
+ * Keeps TheLounge's client manager, which is used to restore listeners for all users.
+ * @param {object} manager - TheLounge's ClientManager instance.
+ */
+function setClientManager(manager) {
+  if (!clientManager && manager) {
+    clientManager = manager;
+    PluginLogger.debug('[AM] Client manager found. Restoring saved listeners for all users.');
+  }
+}
+
+/**
+ * Registers a client object seen by the plugin. The first one gives access to
+ * TheLounge's client manager, which is used to restore listeners for all users.
+ * @param {object} client - The plugin client object.
+ */
+function registerClient(client) {
+  const realClient = client.client;
+  if (!realClient) {
+    return;
+  }
+  setClientManager(realClient.manager);
+  if (!knownClients.has(realClient)) {
+    knownClients.set(realClient, client);
+  }
+  reconcile();
+}
+
+/**
+ * Finds TheLounge's ClientManager class.
+ * @param {function(string): any} loungeRequire - Requires a module relative to TheLounge's main module.
+ * @returns {function|null}
+ */
+function findClientManagerClass(loungeRequire) {
+  for (const modulePath of CLIENT_MANAGER_MODULES) {
+    try {
+      const exported = loungeRequire(modulePath);
+      const ClientManager = exported && exported.default ? exported.default : exported;
+      if (typeof ClientManager === 'function' && typeof ClientManager.prototype.loadUser === 'function') {
+        return ClientManager;
+      }
+    } catch (error) {
+      PluginLogger.debug(`[AM] TheLounge's client manager is not at ${modulePath}: ${error.message}`);
+    }
+  }
+  return null;
+}
+
+/**
+ * Restores the listeners and away tracking of each TheLounge user as soon as TheLounge
+ * loads the user, at startup or when the user is added, so no /am command is needed.
+ * ClientManager.loadUser() creates the user's networks and their IRC connections, so
+ * the listeners are attached before the first message can arrive.
+ * @param {function(string): any} loungeRequire - Requires a module relative to TheLounge's main module.
+ * @returns {boolean} False if TheLounge's ClientManager could not be found.
+ */
+function hookClientManager(loungeRequire) {
+  const ClientManager = findClientManagerClass(loungeRequire);
+  if (!ClientManager) {
+    return false;
+  }
+  const loadUser = ClientManager.prototype.loadUser;
+  ClientManager.prototype.loadUser = function (...args) {
+    const result = loadUser.apply(this, args);
+    try {
+      setClientManager(this);
+      reconcile();
+    } catch (error) {
+      PluginLogger.error('[AM] ERROR: Could not restore saved listeners.', error.message);
+    }
+    return result;
+  };
+  return true;
+}
+
+/**
+ * Starts restoring the saved listeners, and the periodic reconciliation of listeners.
+ * @param {function(string): any} [loungeRequire] - Requires a module relative to TheLounge's
+ *   main module, to find its ClientManager.
+ */
+function init(loungeRequire) {
+  if (reconcileTimer) {
+    clearInterval(reconcileTimer);
+  }
+  const state = getPersistedState();
+  const count = Object.values(state).reduce((total, uuids) => total + (Array.isArray(uuids) ? uuids.length : 0), 0);
+  if (loungeRequire && hookClientManager(loungeRequire)) {
+    PluginLogger.info(`[AM] Found ${count} saved listeners. They will be restored as TheLounge loads their users.`);
+  } else {
+    PluginLogger.info(`[AM] Found ${count} saved listeners. TheLounge's client manager was not found, so they will be restored when one of their users runs an /am command.`);
+  }
+  reconcileTimer = setInterval(reconcile, RECONCILE_INTERVAL_MS);
+  if (typeof reconcileTimer.unref === 'function') {
+    reconcileTimer.unref();
+  }
+}
+
+module.exports = {
+  init,
+  isListening,
+  startListener,
+  stopListener,
+  registerClient,
+  reconcile,
+  activeListeners, // Export for testing purposes
+};
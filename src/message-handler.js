@@ -2,6 +2,32 @@
 
 const { PluginLogger } = require('./logger');
 const ruleManager = require('./rule-manager');
+const presence = require('./presence');
+const messageStore = require('./message-store');
+const responsePicker = require('./response-picker');
+const responseScheduler = require('./response-scheduler');
+const cooldowns = require('./cooldowns');
+const ruleStats = require('./rule-stats');
+const rateLimiter = require('./rate-limiter');
+const senderFilter = require('./sender-filter');
+const historyFilter = require('./history-filter');
+const ruleIndex = require('./rule-index');
+const regexSafety = require('./regex-safety');
+const pluginConfigManager = require('./plugin-config');
+const template = require('./template');
+const { isGlob, matchesGlob } = require('./glob');
+const { CHANNELLESS_EVENTS, describeEvent } = require('./events');
+const { ALLOWED_COMMANDS, getCommandName } = require('./rule-validator');
+
+// Special listen_channel values.
+const QUERY_CHANNEL = '@query'; // Any private message sent to us
+const ANY_CHANNEL = '*'; // Any channel (but not private messages)
+
+// Prefixes that mark a target as a channel rather than a nick.
+const CHANNEL_PREFIXES = ['#', '&', '+', '!'];
+
+// Commands that send a PRIVMSG or NOTICE. Only those are seen as activity by presence.js.
+const MESSAGE_COMMANDS = ['msg', 'notice', 'me', 'ctcp'];
 
 /**
 * A safe version of JSON.stringify that handles circular references.
@@ -20,93 +46,479 @@ function safeJsonStringify(obj) {
 }
 
 /**
-* Creates the event handler for 'privmsg' events for a given network.
+* Returns whether a target name is a channel rather than a nick.
+* @param {string} name - The target name.
+* @returns {boolean}
 */
-function createPrivmsgHandler(client, network) {
-  return (data) => {
-    const rules = ruleManager.getRules();
-    const ruleCooldowns = ruleManager.getRuleCooldowns();
+function isChannelName(name) {
+  return CHANNEL_PREFIXES.includes(name.charAt(0));
+}
 
-    PluginLogger.debug(`[AM] Received privmsg on network '${network.name}'. Data: ${safeJsonStringify(data)}`);
+/**
+* Returns whether a message mentions a nick as a whole word, ignoring case.
+* @param {string} message - The message text.
+* @param {string} nick - The nick to look for.
+* @returns {boolean}
+*/
+function mentionsNick(message, nick) {
+  if (!nick) {
+    return false;
+  }
+  // Characters allowed in IRC nicks; a mention must not be surrounded by them.
+  const nickChars = 'A-Za-z0-9_\\-\\[\\]\\\\`^{}|';
+  const escapedNick = nick.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^${nickChars}])${escapedNick}($|[^${nickChars}])`, 'i').test(message);
+}
+
+/**
+* Checks whether a rule's listen_channel covers a message target.
+* listen_channel can be a channel name, '@query', '*', a glob pattern, or an array of those.
+* @param {string|Array<string>} listenChannel - The rule's listen_channel value.
+* @param {string} target - The message target (a channel name, or our nick for a query).
+* @param {boolean} isQuery - Whether the message is a private message to us.
+* @returns {boolean}
+*/
+function matchesListenChannel(listenChannel, target, isQuery) {
+  if (Array.isArray(listenChannel)) {
+    return listenChannel.some(entry => matchesListenChannel(entry, target, isQuery));
+  }
+  if (typeof listenChannel !== 'string') {
+    return false;
+  }
+  if (listenChannel === QUERY_CHANNEL) {
+    return isQuery;
+  }
+  if (listenChannel === ANY_CHANNEL) {
+    return !isQuery;
+  }
+  if (isGlob(listenChannel)) {
+    return !isQuery && matchesGlob(listenChannel, target);
+  }
+  return listenChannel.toLowerCase() === target.toLowerCase();
+}
+
+/**
+* Finds the TheLounge channel (or query window) for a response target.
+* A missing query window is opened with /query.
+* @param {object} client - The plugin client object.
+* @param {object} network - The TheLounge network object.
+* @param {string} targetName - The channel or nick to respond to.
+* @returns {object|undefined}
+*/
+function findOrOpenTarget(client, network, targetName) {
+  const findChan = () => network.channels.find(c => c.name.toLowerCase() === targetName.toLowerCase());
+  let targetChan = findChan();
+  if (!targetChan && !isChannelName(targetName) && network.channels.length > 0) {
+    PluginLogger.debug(`[AM] Opening a query window for '${targetName}'.`);
+    // The first channel of a network is always its lobby.
+    client.runAsUser(`/query ${targetName}`, network.channels[0].id);
+    targetChan = findChan();
+  }
+  return targetChan;
+}
+
+/**
+* Turns a response into the input line TheLounge should run for its response_type.
+* @param {string} text - The rendered response text.
+* @param {string} [responseType] - The response type. Defaults to 'message'.
+* @param {string} targetName - The channel or nick the response is sent to.
+* @returns {string|null} The input line, or null if the command is not allowed.
+*/
+function formatResponse(text, responseType, targetName) {
+  switch (responseType) {
+    case 'notice':
+      return `/notice ${targetName} ${text}`;
+    case 'action':
+      return `/me ${text}`;
+    case 'ctcp':
+      return `/ctcp ${targetName} ${text}`;
+    case 'command':
+      // Checked again after rendering, in case the rules file was not validated.
+      if (!ALLOWED_COMMANDS.includes(getCommandName(text))) {
+        return null;
+      }
+      return text.startsWith('/') ? text : `/${text}`;
+    case 'message':
+    default:
+      // '/me ' stays a shorthand for actions, as in rules written before response_type existed.
+      if (/^\/me /i.test(text)) {
+        return formatResponse(text.slice(4), 'action', targetName);
+      }
+      // Any other leading slash would make TheLounge run the text as a command; '//' sends it as is.
+      return text.startsWith('/') ? `/${text}` : text;
+  }
+}
+
+/**
+* Returns whether an input line from formatResponse() sends a PRIVMSG or NOTICE.
+* Other commands, like '/mode' or '/kick', do not.
+* @param {string} inputLine - The input line.
+* @returns {boolean}
+*/
+function sendsMessage(inputLine) {
+  if (!inputLine.startsWith('/') || inputLine.startsWith('//')) {
+    return true;
+  }
+  return MESSAGE_COMMANDS.includes(getCommandName(inputLine));
+}
 
-    for (const rule of rules) {
-      if (rule.server !== network.name || rule.listen_channel.toLowerCase() !== data.target.toLowerCase()) {
+/**
+* Sends a response to a channel or query window on behalf of the user.
+* @param {object} client - The plugin client object.
+* @param {object} network - The TheLounge network object.
+* @param {object} targetChan - The TheLounge channel to send to.
+* @param {string} text - The rendered response text.
+* @param {string} [responseType] - The response type. Defaults to 'message'.
+*/
+function sendToTarget(client, network, targetChan, text, responseType) {
+  const inputLine = formatResponse(text, responseType, targetChan.name);
+  if (inputLine === null) {
+    PluginLogger.error(`[AM] Refusing to run a command that is not allowed: '${getCommandName(text)}'.`);
+    return;
+  }
+  // Responses wait in the rate limiter's queue when they are sent too quickly.
+  rateLimiter.send(network, () => {
+    PluginLogger.debug(`[AM] Sending ${responseType || 'message'} to '${targetChan.name}' (ID: ${targetChan.id}): ${inputLine}`);
+    // Other lines would leave presence.js waiting for a message that never comes.
+    if (sendsMessage(inputLine)) {
+      presence.noteOwnMessage(network);
+    }
+    client.runAsUser(inputLine, targetChan.id);
+    messageStore.noteReply(network);
+  });
+}
+
+/**
+* Runs the steps of a rule one after another. Each step waits for its own
+* delay_seconds after the previous one, and may send to its own target.
+* Pending steps are cancelled with the rest of the network's scheduled responses.
+* @param {object} client - The plugin client object.
+* @param {object} network - The TheLounge network object.
+* @param {object} rule - The rule whose steps are run.
+* @param {string} defaultTarget - The target of steps that do not set one.
+* @param {function(string): string} render - Renders the text of a step.
+*/
+function runSteps(client, network, rule, defaultTarget, render) {
+  const steps = rule.steps;
+  const runStep = (index) => {
+    const step = steps[index];
+    const targetName = step.target || defaultTarget;
+    const targetChan = findOrOpenTarget(client, network, targetName);
+    if (targetChan) {
+      sendToTarget(client, network, targetChan, render(step.text), step.response_type || rule.response_type);
+    } else {
+      PluginLogger.error(`[AM] Could not find channel '${targetName}' to send step #${index + 1}.`);
+    }
+    scheduleStep(index + 1);
+  };
+
+  const scheduleStep = (index) => {
+    if (index >= steps.length) {
+      return;
+    }
+    const delaySeconds = steps[index].delay_seconds || 0;
+    if (delaySeconds > 0) {
+      responseScheduler.schedule(network, () => runStep(index), delaySeconds * 1000);
+    } else {
+      runStep(index);
+    }
+  };
+
+  scheduleStep(0);
+}
+
+/**
+* Checks an indexed rule against an event, up to and including its trigger.
+* @param {{rule: object}} entry - An entry from ruleIndex.getCandidates().
+* @param {object} network - The TheLounge network object.
+* @param {string} eventType - One of EVENT_TYPES.
+* @param {object} info - The event, as described by events.describeEvent().
+* @param {string} userName - The TheLounge user the rules belong to.
+* @returns {{match: Array<string>|null, reason: string|null, timedOut: boolean}}
+*   The trigger's match, or the reason the rule does not apply.
+*/
+function matchRule(entry, network, eventType, info, userName) {
+  const { rule } = entry;
+  const noMatch = (reason, timedOut = false) => ({ match: null, reason, timedOut });
+
+  if (!CHANNELLESS_EVENTS.includes(eventType) && !matchesListenChannel(rule.listen_channel, info.target, info.isQuery)) {
+    return noMatch(`its listen_channel does not cover '${info.target}'`);
+  }
+
+  // If a message rule has no trigger, it's invalid and should be skipped.
+  // Other events fire on every occurrence unless the rule has a trigger.
+  if (!rule.trigger_text && eventType === 'message') {
+    return noMatch('it has no trigger_text');
+  }
+
+  // Away-only rules are skipped while the user is present on this network.
+  if (rule.when === 'away' && !presence.isAbsent(network)) {
+    return noMatch('it only applies while you are away');
+  }
+
+  if (!senderFilter.isAllowedByRule(rule, info, network)) {
+    return noMatch(`its only_from/except_from conditions exclude '${info.sender}'`);
+  }
+
+  if (!rule.trigger_text) {
+    return { match: [info.text], reason: null, timedOut: false };
+  }
+  if (regexSafety.isRuleDisabled(rule, userName)) {
+    return noMatch('it has been disabled because its trigger was too slow');
+  }
+  // Always treat trigger_text as a regex, compiled when the rules were loaded.
+  const regex = ruleIndex.getTriggerRegex(entry, network.nick);
+  regex.lastIndex = 0; // The regex is reused, so the 'y' flag must start over
+  const result = regexSafety.safeMatch(regex, info.text);
+  if (result.timedOut) {
+    return noMatch(`matching took longer than ${regexSafety.getRegexTimeoutMs()}ms`, true);
+  }
+  return result.match ? { match: result.match, reason: null, timedOut: false } : noMatch('its trigger_text does not match');
+}
+
+/**
+* Returns the channel an event happened in, for cooldowns and {{channel}}.
+* The channel also stands for the query window of private messages.
+* @param {object} info - The event, as described by events.describeEvent().
+* @returns {string}
+*/
+function getEventChannel(info) {
+  return info.isQuery ? info.sender : (info.target || '');
+}
+
+/**
+* Returns a function that renders the texts of a rule for an event.
+* @param {object} network - The TheLounge network object.
+* @param {object} info - The event, as described by events.describeEvent().
+* @param {Array<string>} match - The match of the rule's trigger.
+* @param {number} now - The current timestamp.
+* @param {string} userName - The TheLounge user, whose timezone is used for {{time}} and {{date}}.
+* @returns {function(string): string}
+*/
+function createRenderer(network, info, match, now, userName) {
+  const { date, time } = template.formatDateTime(new Date(now), pluginConfigManager.getUserSetting(userName, 'timezone'));
+  const variables = {
+    me: network.nick,
+    sender: info.sender,
+    channel: getEventChannel(info),
+    network: network.name,
+    message: info.text,
+    time,
+    date,
+    away_reason: presence.getAwayReason(network),
+    ...info.variables,
+  };
+  return (text) => template.render(text, { variables, match });
+}
+
+/**
+* Runs the rules of an event against it, in priority order, and sends the response of
+* the first rule that matches. Rules with 'continue: true' let the following rules run too.
+* Only the rules of the TheLounge user the event was received for are checked.
+* @param {object} client - The plugin client object.
+* @param {object} network - The TheLounge network object.
+* @param {string} eventType - One of EVENT_TYPES.
+* @param {object} info - The event, as described by events.describeEvent().
+*/
+function handleEvent(client, network, eventType, info) {
+  const userName = client.client.name;
+  if (senderFilter.isIgnored(info, network, userName)) {
+    PluginLogger.debug(`[AM] Ignoring ${eventType} from '${info.sender}': the sender is on the ignore list.`);
+    return;
+  }
+
+  // Only the rules indexed for this server, event and channel are checked, already sorted by priority.
+  const candidates = ruleIndex.getCandidates(ruleManager.getRules(userName), network.name, eventType, info.target, info.isQuery);
+
+  for (const entry of candidates) {
+    const { rule } = entry;
+    const { match: matchResult, reason, timedOut } = matchRule(entry, network, eventType, info, userName);
+    if (timedOut) {
+      regexSafety.disableRule(rule, reason, userName);
+      PluginLogger.error(`[AM] Rule ${ruleManager.getRuleLabel(rule)} has been disabled: ${reason}. Fix its trigger_text to enable it again.`);
+      continue;
+    }
+
+    if (matchResult) {
+      PluginLogger.debug(`[AM] Rule ${ruleManager.getRuleLabel(rule)} triggered by ${eventType} from '${info.sender}' in '${info.target || network.name}'. Matched rule: ${safeJsonStringify(rule)}`);
+
+      const now = Date.now();
+      const channel = getEventChannel(info);
+      const cooldown = cooldowns.checkCooldown(rule, info.sender, channel, now, userName);
+
+      if (!cooldown.allowed) {
+        PluginLogger.debug(`[AM] Rule ${ruleManager.getRuleLabel(rule)} is on cooldown for another ${Math.ceil(cooldown.remainingMs / 1000)}s. Skipping.`);
+        ruleStats.noteSuppressed(userName, rule);
         continue;
       }
 
-      // If a rule has no trigger, it's invalid and should be skipped.
-      if (!rule.trigger_text) {
+      // A sender who keeps triggering rules is probably another bot replying to us.
+      if (!rateLimiter.noteTrigger(network, info.sender, now)) {
+        PluginLogger.debug(`[AM] Ignoring ${info.sender} on ${network.name} to prevent a reply loop.`);
+        break;
+      }
+
+      // Replies to a query go back to the sender's query window.
+      const responseTarget = rule.response_channel || info.replyTarget;
+      const targetChan = responseTarget ? findOrOpenTarget(client, network, responseTarget) : undefined;
+
+      if (!targetChan) {
+        PluginLogger.error(`[AM] Could not find channel '${responseTarget}' to send response.`);
         continue;
       }
 
-      // Always treat trigger_text as a regex. First, substitute {{me}} variable.
-      const triggerText = (rule.trigger_text || '').replace(/{{me}}/g, network.nick);
-
-      try {
-        const regex = new RegExp(triggerText, rule.trigger_flags || '');
-        const matchResult = data.message.match(regex);
-
-        if (matchResult) {
-          PluginLogger.debug(`[AM] Rule triggered by '${data.nick}' in '${data.target}'. Matched rule: ${safeJsonStringify(rule)}`);
-
-          const now = Date.now();
-          const cooldownSeconds = rule.cooldown_seconds === undefined ? 5 : rule.cooldown_seconds;
-          const cooldownMs = cooldownSeconds * 1000;
-          const lastExecuted = ruleCooldowns.get(rule);
-
-          if (lastExecuted && (now - lastExecuted < cooldownMs)) {
-            PluginLogger.debug(`[AM] Rule for '${rule.trigger_text}' is on cooldown. Skipping.`);
-            continue;
-          }
-
-          const responseTarget = rule.response_channel || data.target;
-          const targetChan = network.channels.find(c => c.name.toLowerCase() === responseTarget.toLowerCase());
-
-          if (!targetChan) {
-            PluginLogger.error(`[AM] Could not find channel '${responseTarget}' to send response.`);
-            continue;
-          }
-
-          ruleCooldowns.set(rule, now);
-
-          // Prepare response logic
-          const sendResponse = () => {
-            // Generate response, substituting {{sender}} and capture groups ($1, $2, ...)
-            let responseText = (rule.response_text || '').replace(/{{sender}}/g, data.nick);
-            if (matchResult.length > 1) {
-              responseText = responseText.replace(/\$(\d)/g, (match, groupNumber) => {
-                const index = parseInt(groupNumber, 10);
-                if (index > 0 && index < matchResult.length && matchResult[index]) {
-                  return matchResult[index];
-                }
-                return match;
-              });
-            }
-
-            PluginLogger.debug(`[AM] Sending response to '${responseTarget}' (ID: ${targetChan.id}): ${responseText}`);
-            client.runAsUser(responseText, targetChan.id);
-          };
-
-          const delaySeconds = rule.delay_seconds || 0;
-
-          if (delaySeconds > 0) {
-            PluginLogger.debug(`[AM] Delaying response by ${delaySeconds} seconds.`);
-            setTimeout(sendResponse, delaySeconds * 1000);
-          } else {
-            sendResponse();
-          }
-
-          break; // Stop processing further rules for this message
+      cooldowns.noteTrigger(rule, info.sender, channel, now, userName);
+      ruleStats.noteTrigger(userName, rule, info.sender, now);
+
+      // Prepare response logic
+      const render = createRenderer(network, info, matchResult, now, userName);
+      const sendResponse = () => {
+        if (Array.isArray(rule.steps)) {
+          runSteps(client, network, rule, responseTarget, render);
+          return;
         }
-      } catch (e) {
-        PluginLogger.error(`[AM] Invalid regex in rule: ${safeJsonStringify(rule)}`, e.message);
-        continue; // Skip this rule and check the next one
+        // The response mode decides which of the rule's responses are sent
+        for (const text of responsePicker.pickResponses(rule)) {
+          sendToTarget(client, network, targetChan, render(text), rule.response_type);
+        }
+      };
+
+      const delaySeconds = rule.delay_seconds || 0;
+
+      if (delaySeconds > 0) {
+        PluginLogger.debug(`[AM] Delaying response by ${delaySeconds} seconds.`);
+        responseScheduler.schedule(network, sendResponse, delaySeconds * 1000);
+      } else {
+        sendResponse();
       }
+
+      if (!rule.continue) {
+        break; // Stop processing further rules for this event
+      }
+    } else {
+      PluginLogger.debug(`[AM] Rule ${ruleManager.getRuleLabel(rule)} does not apply: ${reason}.`);
+    }
+  }
+}
+
+/**
+* Runs an event through the same rules as handleEvent(), without sending anything or
+* starting cooldowns. Used by '/am test' to explain what would happen.
+* @param {object} client - The plugin client object.
+* @param {object} network - The TheLounge network object.
+* @param {string} eventType - One of EVENT_TYPES.
+* @param {object} info - The event, as described by events.describeEvent().
+* @param {number} now - The current timestamp.
+* @returns {{ignored: boolean, results: Array<object>}} One result per rule that was checked, in
+*   evaluation order: { rule, reason } for rules that do not apply, and { rule, reason: null,
+*   cooldownMs, responses } for rules that match. Each response is { target, text, responseType, delaySeconds }.
+*/
+function testEvent(client, network, eventType, info, now) {
+  const userName = client.client.name;
+  if (senderFilter.isIgnored(info, network, userName)) {
+    return { ignored: true, results: [] };
+  }
+
+  const results = [];
+  const candidates = ruleIndex.getCandidates(ruleManager.getRules(userName), network.name, eventType, info.target, info.isQuery);
+  for (const entry of candidates) {
+    const { rule } = entry;
+    const { match, reason } = matchRule(entry, network, eventType, info, userName);
+    if (!match) {
+      results.push({ rule, reason });
+      continue;
+    }
+
+    const cooldown = cooldowns.checkCooldown(rule, info.sender, getEventChannel(info), now, userName);
+    const render = createRenderer(network, info, match, now, userName);
+    const responseTarget = rule.response_channel || info.replyTarget;
+    const ruleDelay = rule.delay_seconds || 0;
+    let responses;
+    if (Array.isArray(rule.steps)) {
+      let delaySeconds = ruleDelay;
+      responses = rule.steps.map((step) => {
+        delaySeconds += step.delay_seconds || 0;
+        return { target: step.target || responseTarget, text: render(step.text), responseType: step.response_type || rule.response_type || 'message', delaySeconds };
+      });
+    } else {
+      // Every alternative is shown, since picking one would advance sequential responses.
+      const entries = Array.isArray(rule.response_text) ? rule.response_text : [rule.response_text];
+      responses = entries.map(responseEntry => ({
+        target: responseTarget,
+        text: render(responsePicker.getEntryText(responseEntry)),
+        responseType: rule.response_type || 'message',
+        delaySeconds: ruleDelay,
+      }));
+    }
+    results.push({ rule, reason: null, cooldownMs: cooldown.allowed ? 0 : cooldown.remainingMs, responses });
+
+    // A rule on cooldown does not respond, so the next rules get their turn.
+    if (cooldown.allowed && !rule.continue) {
+      break;
+    }
+  }
+  return { ignored: false, results };
+}
+
+/**
+* Creates the event handler for 'privmsg' events for a given network.
+*/
+function createPrivmsgHandler(client, network) {
+  return (data) => {
+    PluginLogger.debug(`[AM] Received privmsg on network '${network.name}'. Data: ${safeJsonStringify(data)}`);
+
+    // Replayed history and echoes of our own messages are neither recorded nor answered.
+    const skipReason = historyFilter.getSkipReason(data, network, Date.now());
+    if (skipReason) {
+      PluginLogger.debug(`[AM] Skipping privmsg from '${data.nick}' on ${network.name}: ${skipReason}.`);
+      return;
+    }
+
+    const isQuery = data.target.toLowerCase() === (network.nick || '').toLowerCase();
+
+    // Record messages addressed to us, so they can be played back with '/am messages'.
+    if (isQuery || mentionsNick(data.message, network.nick)) {
+      messageStore.recordMessage(network, { channel: isQuery ? data.nick : data.target, nick: data.nick, text: data.message });
+    }
+
+    const info = describeEvent('message', data, network);
+    if (info) {
+      handleEvent(client, network, 'message', info);
+    }
+  };
+}
+
+/**
+* Creates the handler of another IRC event (join, part, kick...) for a given network.
+* @param {object} client - The plugin client object.
+* @param {object} network - The TheLounge network object.
+* @param {string} eventType - One of EVENT_TYPES, other than 'message'.
+* @returns {function(object)}
+*/
+function createEventHandler(client, network, eventType) {
+  return (data) => {
+    PluginLogger.debug(`[AM] Received ${eventType} on network '${network.name}'. Data: ${safeJsonStringify(data)}`);
+    const skipReason = historyFilter.getSkipReason(data, network, Date.now());
+    if (skipReason) {
+      PluginLogger.debug(`[AM] Skipping ${eventType} from '${data.nick}' on ${network.name}: ${skipReason}.`);
+      return;
+    }
+    const info = describeEvent(eventType, data, network);
+    if (info) {
+      handleEvent(client, network, eventType, info);
     }
   };
 }
 
 module.exports = {
+  QUERY_CHANNEL,
+  ANY_CHANNEL,
+  isChannelName,
+  matchesListenChannel,
+  mentionsNick,
+  formatResponse,
+  testEvent,
   createPrivmsgHandler,
+  createEventHandler,
   safeJsonStringify,
 };
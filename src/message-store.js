@@ -0,0 +1,182 @@
+'use strict';
+
+/**
+ * This module records the messages received while a listener is active, so they
+ * can be played back later with '/am messages'. Records are kept per network in
+ * messages.json, next to rules.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PluginLogger } = require('./logger');
+
+// Oldest messages are dropped once a network has more than this many.
+const MAX_MESSAGES_PER_NETWORK = 500;
+
+// Recorded messages and replies are saved together, this long after the first of them.
+const SAVE_DELAY_MS = 5000;
+
+// Default state
+// Key: network.uuid, Value: { messages: Array<{time, channel, nick, text}>, session: { started: number, replies: number } }
+let store = {};
+let storePath = '';
+let saveTimer = null;
+
+/**
+ * Initializes the message store and loads any saved messages.
+ * @param {string} configDir - The base directory for configuration files.
+ */
+function init(configDir) {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  storePath = path.join(configDir, 'messages.json');
+  PluginLogger.info(`[AM] Using message store file: ${storePath}`);
+  loadStore();
+}
+
+/**
+ * Loads the recorded messages from messages.json.
+ */
+function loadStore() {
+  try {
+    store = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+    if (typeof store !== 'object' || store === null || Array.isArray(store)) {
+      store = {};
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      PluginLogger.error(`[AM] ERROR: Could not read recorded messages from ${storePath}. Starting with an empty store.`, error.message);
+    }
+    store = {};
+  }
+}
+
+/**
+ * Saves the recorded messages to messages.json.
+ */
+function saveStore() {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  try {
+    fs.writeFileSync(storePath, JSON.stringify(store, null, 2) + '\n', 'utf8');
+  } catch (error) {
+    PluginLogger.error(`[AM] ERROR: Failed to save recorded messages to ${storePath}.`, error.message);
+  }
+}
+
+/**
+ * Saves the recorded messages in a moment, so a busy channel does not rewrite
+ * messages.json for every message.
+ */
+function scheduleSave() {
+  if (saveTimer) {
+    return;
+  }
+  saveTimer = setTimeout(saveStore, SAVE_DELAY_MS);
+  if (typeof saveTimer.unref === 'function') {
+    saveTimer.unref();
+  }
+}
+
+/**
+ * Saves the changes that are waiting to be saved, e.g. when TheLounge shuts down.
+ */
+function flush() {
+  if (saveTimer) {
+    saveStore();
+  }
+}
+
+/**
+ * Returns the record of a network, creating it if needed.
+ * @param {object} network - The TheLounge network object.
+ * @returns {object}
+ */
+function getNetworkRecord(network) {
+  if (!store[network.uuid]) {
+    store[network.uuid] = { messages: [], session: { started: Date.now(), replies: 0 } };
+  }
+  return store[network.uuid];
+}
+
+/**
+ * Marks the start of a new listening session, used for the digest shown by '/am stop'.
+ * @param {object} network - The TheLounge network object.
+ */
+function startSession(network) {
+  getNetworkRecord(network).session = { started: Date.now(), replies: 0 };
+  saveStore();
+}
+
+/**
+ * Records an incoming message.
+ * @param {object} network - The TheLounge network object.
+ * @param {{channel: string, nick: string, text: string}} message - The message to record.
+ */
+function recordMessage(network, message) {
+  const record = getNetworkRecord(network);
+  record.messages.push({ time: Date.now(), channel: message.channel, nick: message.nick, text: message.text });
+  if (record.messages.length > MAX_MESSAGES_PER_NETWORK) {
+    record.messages.splice(0, record.messages.length - MAX_MESSAGES_PER_NETWORK);
+  }
+  scheduleSave();
+}
+
+/**
+ * Counts an automatic reply sent on a network.
+ * @param {object} network - The TheLounge network object.
+ */
+function noteReply(network) {
+  getNetworkRecord(network).session.replies++;
+  scheduleSave();
+}
+
+/**
+ * Returns the recorded messages of a network, optionally only those after a given time.
+ * @param {object} network - The TheLounge network object.
+ * @param {number} [since] - A timestamp in milliseconds.
+ * @returns {Array<{time: number, channel: string, nick: string, text: string}>}
+ */
+function getMessages(network, since = 0) {
+  const record = store[network.uuid];
+  return record ? record.messages.filter(message => message.time >= since) : [];
+}
+
+/**
+ * Deletes the recorded messages of a network.
+ * @param {object} network - The TheLounge network object.
+ * @returns {number} The number of deleted messages.
+ */
+function clearMessages(network) {
+  const record = store[network.uuid];
+  if (!record) {
+    return 0;
+  }
+  const count = record.messages.length;
+  record.messages = [];
+  saveStore();
+  return count;
+}
+
+/**
+ * Summarizes the current listening session of a network.
+ * @param {object} network - The TheLounge network object.
+ * @returns {{messages: number, people: number, replies: number}}
+ */
+function getSessionDigest(network) {
+  const record = getNetworkRecord(network);
+  const messages = getMessages(network, record.session.started);
+  const people = new Set(messages.map(message => message.nick.toLowerCase()));
+  return { messages: messages.length, people: people.size, replies: record.session.replies };
+}
+
+module.exports = {
+  init,
+  startSession,
+  recordMessage,
+  noteReply,
+  getMessages,
+  clearMessages,
+  getSessionDigest,
+  flush,
+};
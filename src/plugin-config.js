@@ -74,6 +74,63 @@ function getPluginConfig() {
   return pluginConfig;
 }
 
+/**
+ * Returns the personal settings of a TheLounge user, creating them if needed.
+ * They are stored in config.json under 'users', keyed by user name.
+ * @param {string} userName - The TheLounge user name.
+ * @returns {object}
+ */
+function getUserSettings(userName) {
+  // Ensure the settings exist to prevent errors from a manually corrupted config
+  if (typeof pluginConfig.users !== 'object' || pluginConfig.users === null || Array.isArray(pluginConfig.users)) {
+    pluginConfig.users = {};
+  }
+  const users = pluginConfig.users;
+  if (typeof users[userName] !== 'object' || users[userName] === null || Array.isArray(users[userName])) {
+    users[userName] = {};
+  }
+  return users[userName];
+}
+
+/**
+ * Returns a personal setting of a user. Users who did not set it get the value at the
+ * top level of config.json, which acts as the default for everyone.
+ * @param {string} userName - The TheLounge user name.
+ * @param {string} key - The setting name, e.g. 'timezone'.
+ * @returns {any}
+ */
+function getUserSetting(userName, key) {
+  const settings = pluginConfig.users && pluginConfig.users[userName];
+  return settings && settings[key] !== undefined ? settings[key] : pluginConfig[key];
+}
+
+/**
+ * Changes a personal setting of a user and saves config.json.
+ * @param {string} userName - The TheLounge user name.
+ * @param {string} key - The setting name.
+ * @param {any} value - The new value. undefined removes the setting, so the default applies again.
+ */
+function setUserSetting(userName, key, value) {
+  const settings = getUserSettings(userName);
+  if (value === undefined) {
+    delete settings[key];
+  } else {
+    settings[key] = value;
+  }
+  savePluginConfig();
+}
+
+/**
+ * Returns whether a TheLounge user is listed in 'admins' in config.json.
+ * Admins may change the settings that apply to every user, like fetching and debugging.
+ * @param {string} userName - The TheLounge user name.
+ * @returns {boolean}
+ */
+function isAdmin(userName) {
+  const admins = Array.isArray(pluginConfig.admins) ? pluginConfig.admins : [];
+  return admins.some(admin => typeof admin === 'string' && admin.toLowerCase() === String(userName).toLowerCase());
+}
+
 /**
  * Returns the path to the plugin's config file.
  * @returns {string}
@@ -87,5 +144,9 @@ module.exports = {
   loadPluginConfig,
   savePluginConfig,
   getPluginConfig,
+  getUserSettings,
+  getUserSetting,
+  setUserSetting,
+  isAdmin,
   getPluginConfigPath,
 };
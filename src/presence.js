@@ -0,0 +1,204 @@
+'use strict';
+
+/**
+ * This module tracks whether the user is away or idle on each network, and
+ * holds the per-network away-mode settings stored in config.json.
+ */
+
+const { PluginLogger } = require('./logger');
+const pluginConfigManager = require('./plugin-config');
+
+const DEFAULT_AWAY_SETTINGS = { auto: false, idle_minutes: 0 };
+
+// Key: network.uuid, Value: { away: boolean|null, awayReason: string, lastActivity: number, ownMessages: number, irc: object, handlers: object }
+const networkPresence = new Map();
+
+/**
+ * Returns the presence state of a network, creating it if needed.
+ * @param {object} network - The TheLounge network object.
+ * @returns {object}
+ */
+function getState(network) {
+  if (!networkPresence.has(network.uuid)) {
+    networkPresence.set(network.uuid, {
+      away: null, // null until the server tells us; network.awayMessage is used meanwhile
+      awayReason: '',
+      lastActivity: Date.now(),
+      ownMessages: 0,
+      irc: null,
+      handlers: null,
+    });
+  }
+  return networkPresence.get(network.uuid);
+}
+
+/**
+ * Returns the persisted away settings of all networks from config.json, creating them if needed.
+ * Shape: { [networkUuid]: { auto: boolean, idle_minutes: number } }
+ * @returns {object}
+ */
+function getAllAwaySettings() {
+  const config = pluginConfigManager.getPluginConfig();
+  // Ensure the settings exist to prevent errors from a manually corrupted config
+  if (typeof config.awayMode !== 'object' || config.awayMode === null || Array.isArray(config.awayMode)) {
+    config.awayMode = {};
+  }
+  return config.awayMode;
+}
+
+/**
+ * Returns the away settings of a network, with defaults for missing values.
+ * @param {object} network - The TheLounge network object.
+ * @returns {{auto: boolean, idle_minutes: number}}
+ */
+function getAwaySettings(network) {
+  return { ...DEFAULT_AWAY_SETTINGS, ...(getAllAwaySettings()[network.uuid] || {}) };
+}
+
+/**
+ * Updates and saves the away settings of a network.
+ * @param {object} network - The TheLounge network object.
+ * @param {object} changes - The settings to change.
+ */
+function setAwaySettings(network, changes) {
+  const allSettings = getAllAwaySettings();
+  allSettings[network.uuid] = { ...getAwaySettings(network), ...changes };
+  pluginConfigManager.savePluginConfig();
+}
+
+/**
+ * Returns whether the user is marked away on a network.
+ * @param {object} network - The TheLounge network object.
+ * @returns {boolean}
+ */
+function isAway(network) {
+  const state = getState(network);
+  if (state.away !== null) {
+    return state.away;
+  }
+  // TheLounge keeps the reason of the last /away on the network (a single space when none was given).
+  return Boolean(network.awayMessage);
+}
+
+/**
+ * Returns the away reason of the user on a network, or an empty string.
+ * @param {object} network - The TheLounge network object.
+ * @returns {string}
+ */
+function getAwayReason(network) {
+  const state = getState(network);
+  if (state.away === false) {
+    return '';
+  }
+  return (state.awayReason || network.awayMessage || '').trim();
+}
+
+/**
+ * Returns the number of milliseconds since the user last sent a message on a network.
+ * @param {object} network - The TheLounge network object.
+ * @returns {number}
+ */
+function getIdleMs(network) {
+  return Date.now() - getState(network).lastActivity;
+}
+
+/**
+ * Returns whether the user counts as absent on a network: either marked away, or
+ * idle for longer than the network's idle_minutes setting.
+ * @param {object} network - The TheLounge network object.
+ * @returns {boolean}
+ */
+function isAbsent(network) {
+  if (isAway(network)) {
+    return true;
+  }
+  const { idle_minutes: idleMinutes } = getAwaySettings(network);
+  return idleMinutes > 0 && getIdleMs(network) >= idleMinutes * 60 * 1000;
+}
+
+/**
+ * Records that the plugin is about to send a message on a network, so it is not
+ * mistaken for activity from the user.
+ * @param {object} network - The TheLounge network object.
+ */
+function noteOwnMessage(network) {
+  getState(network).ownMessages++;
+}
+
+/**
+ * Starts tracking the away state and outgoing messages of a network.
+ * Calling it again is a no-op, unless network.irc has been recreated.
+ * @param {object} network - The TheLounge network object.
+ * @param {{onAway: function(), onBack: function()}} callbacks - Called when the user goes away or comes back.
+ */
+function watchNetwork(network, callbacks) {
+  const state = getState(network);
+  if (!network.irc || state.irc === network.irc) {
+    return;
+  }
+  unwatchNetwork(network.uuid);
+
+  const isSelf = (event) => event.self || (event.nick && event.nick.toLowerCase() === (network.nick || '').toLowerCase());
+
+  const handlers = {
+    away: (event) => {
+      if (!isSelf(event)) return;
+      const wasAway = isAway(network);
+      state.away = true;
+      state.awayReason = event.message || network.awayMessage || '';
+      PluginLogger.debug(`[AM] Marked away on ${network.name}. Reason: '${getAwayReason(network)}'`);
+      if (!wasAway && callbacks.onAway) callbacks.onAway();
+    },
+    back: (event) => {
+      if (!isSelf(event)) return;
+      const wasAway = isAway(network);
+      state.away = false;
+      state.awayReason = '';
+      PluginLogger.debug(`[AM] No longer away on ${network.name}.`);
+      if (wasAway && callbacks.onBack) callbacks.onBack();
+    },
+    raw: (event) => {
+      if (event.from_server || !/^(PRIVMSG|NOTICE) /i.test(event.line || '')) return;
+      if (state.ownMessages > 0) {
+        state.ownMessages--;
+        return;
+      }
+      state.lastActivity = Date.now();
+    },
+  };
+
+  for (const [eventName, handler] of Object.entries(handlers)) {
+    network.irc.on(eventName, handler);
+  }
+  state.irc = network.irc;
+  state.handlers = handlers;
+}
+
+/**
+ * Stops tracking a network.
+ * @param {string} networkUuid - The network UUID.
+ */
+function unwatchNetwork(networkUuid) {
+  const state = networkPresence.get(networkUuid);
+  if (!state || !state.irc) {
+    return;
+  }
+  for (const [eventName, handler] of Object.entries(state.handlers)) {
+    state.irc.removeListener(eventName, handler);
+  }
+  state.irc = null;
+  state.handlers = null;
+}
+
+module.exports = {
+  getAwaySettings,
+  setAwaySettings,
+  isAway,
+  getAwayReason,
+  getIdleMs,
+  isAbsent,
+  noteOwnMessage,
+  watchNetwork,
+  unwatchNetwork,
+  networkPresence, // Export for testing purposes
+};
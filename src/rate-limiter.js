@@ -0,0 +1,227 @@
+'use strict';
+
+/**
+ * This module protects the user from flooding. Everything the plugin sends goes
+ * through two token buckets, one shared by all networks and one per network.
+ * Messages that find no token wait in a per-network queue; when the queue is full
+ * they are dropped. It also detects loops (e.g. two answering machines replying
+ * to each other) and ignores senders that trigger rules too often.
+ *
+ * The limits live in config.json under 'rateLimit' and default to DEFAULT_RATE_LIMIT.
+ */
+
+const { PluginLogger } = require('./logger');
+const pluginConfigManager = require('./plugin-config');
+
+const DEFAULT_RATE_LIMIT = {
+  messages_per_second: 2, // All networks together
+  burst: 10,
+  network_messages_per_second: 0.5, // Each network
+  network_burst: 4,
+  max_queue: 20, // Messages waiting per network before new ones are dropped
+  loop_max_triggers: 10, // A sender who triggers rules more than this many times...
+  loop_window_seconds: 60, // ...within this many seconds is ignored for the same amount of time
+};
+
+const globalBucket = { tokens: null, updated: 0 };
+
+// Key: network.uuid, Value: { bucket, queue: Array<function()>, timer, dropped: number, loopsBlocked: number }
+const networkState = new Map();
+
+// Key: 'networkUuid|sender', Value: { hits: Array<number>, mutedUntil: number }
+const senderActivity = new Map();
+
+// Once this many senders are tracked, those without recent activity are forgotten.
+const MAX_TRACKED_SENDERS = 1000;
+
+// Settings that are bucket sizes: a bucket must hold at least one whole token.
+const BURST_SETTINGS = ['burst', 'network_burst'];
+
+/**
+ * Returns the rate limit settings, with defaults for missing or invalid values.
+ * Every setting must be a positive number, and bucket sizes at least 1, or the
+ * queue would wait for a token that never comes.
+ * @returns {object}
+ */
+function getRateLimitSettings() {
+  const config = pluginConfigManager.getPluginConfig();
+  const settings = typeof config.rateLimit === 'object' && config.rateLimit !== null ? config.rateLimit : {};
+  const result = {};
+  for (const [key, defaultValue] of Object.entries(DEFAULT_RATE_LIMIT)) {
+    const value = settings[key];
+    const minimum = BURST_SETTINGS.includes(key) ? 1 : Number.MIN_VALUE;
+    result[key] = typeof value === 'number' && Number.isFinite(value) && value >= minimum ? value : defaultValue;
+  }
+  return result;
+}
+
+/**
+ * Returns the state of a network, creating it if needed.
+ * @param {string} networkUuid - The network UUID.
+ * @returns {object}
+ */
+function getNetworkState(networkUuid) {
+  if (!networkState.has(networkUuid)) {
+    networkState.set(networkUuid, { bucket: { tokens: null, updated: 0 }, queue: [], timer: null, dropped: 0, loopsBlocked: 0 });
+  }
+  return networkState.get(networkUuid);
+}
+
+/**
+ * Adds the tokens earned since the last update to a bucket.
+ * @param {object} bucket - The bucket.
+ * @param {number} rate - Tokens per second.
+ * @param {number} burst - The bucket size.
+ * @param {number} now - The current timestamp.
+ */
+function refill(bucket, rate, burst, now) {
+  if (bucket.tokens === null) {
+    bucket.tokens = burst;
+  } else {
+    bucket.tokens = Math.min(burst, bucket.tokens + ((now - bucket.updated) / 1000) * rate);
+  }
+  bucket.updated = now;
+}
+
+/**
+ * Returns the milliseconds until a bucket holds a whole token.
+ * @param {object} bucket - The bucket.
+ * @param {number} rate - Tokens per second.
+ * @returns {number}
+ */
+function msUntilToken(bucket, rate) {
+  return bucket.tokens >= 1 ? 0 : Math.ceil(((1 - bucket.tokens) / rate) * 1000);
+}
+
+/**
+ * Sends queued messages of a network while both buckets have tokens, and waits
+ * for the next token otherwise.
+ * @param {string} networkUuid - The network UUID.
+ */
+function drain(networkUuid) {
+  const state = getNetworkState(networkUuid);
+  const settings = getRateLimitSettings();
+  state.timer = null;
+
+  while (state.queue.length > 0) {
+    const now = Date.now();
+    refill(globalBucket, settings.messages_per_second, settings.burst, now);
+    refill(state.bucket, settings.network_messages_per_second, settings.network_burst, now);
+    if (globalBucket.tokens < 1 || state.bucket.tokens < 1) {
+      const waitMs = Math.max(msUntilToken(globalBucket, settings.messages_per_second), msUntilToken(state.bucket, settings.network_messages_per_second));
+      state.timer = setTimeout(() => drain(networkUuid), waitMs);
+      return;
+    }
+    globalBucket.tokens -= 1;
+    state.bucket.tokens -= 1;
+    const send = state.queue.shift();
+    send();
+  }
+}
+
+/**
+ * Sends a message as soon as the rate limits allow it.
+ * @param {object} network - The TheLounge network object.
+ * @param {function()} sendMessage - Sends the message.
+ * @returns {boolean} False if the message was dropped because the queue is full.
+ */
+function send(network, sendMessage) {
+  const state = getNetworkState(network.uuid);
+  const settings = getRateLimitSettings();
+  if (state.queue.length >= settings.max_queue) {
+    state.dropped++;
+    PluginLogger.info(`[AM] Dropped a response on ${network.name}: ${state.queue.length} responses are already waiting to be sent.`);
+    return false;
+  }
+  state.queue.push(sendMessage);
+  if (!state.timer) {
+    drain(network.uuid);
+  }
+  return true;
+}
+
+/**
+ * Drops the messages waiting to be sent on a network.
+ * @param {string} networkUuid - The network UUID.
+ * @returns {number} The number of dropped messages.
+ */
+function clearQueue(networkUuid) {
+  const state = networkState.get(networkUuid);
+  if (!state) {
+    return 0;
+  }
+  if (state.timer) {
+    clearTimeout(state.timer);
+    state.timer = null;
+  }
+  const count = state.queue.length;
+  state.queue = [];
+  return count;
+}
+
+/**
+ * Records that a sender triggered a rule, and tells whether we should respond.
+ * A sender who triggers rules more than loop_max_triggers times within
+ * loop_window_seconds is ignored for loop_window_seconds.
+ * @param {object} network - The TheLounge network object.
+ * @param {string} sender - The nick that triggered the rule.
+ * @param {number} now - The current timestamp.
+ * @returns {boolean} False if the sender is being ignored.
+ */
+function noteTrigger(network, sender, now) {
+  const settings = getRateLimitSettings();
+  const windowMs = settings.loop_window_seconds * 1000;
+  const key = `${network.uuid}|${(sender || '').toLowerCase()}`;
+  if (senderActivity.size >= MAX_TRACKED_SENDERS && !senderActivity.has(key)) {
+    for (const [trackedKey, tracked] of senderActivity) {
+      if (tracked.mutedUntil <= now && tracked.hits.every(hit => now - hit >= windowMs)) {
+        senderActivity.delete(trackedKey);
+      }
+    }
+  }
+  const activity = senderActivity.get(key) || { hits: [], mutedUntil: 0 };
+  senderActivity.set(key, activity);
+
+  if (activity.mutedUntil > now) {
+    getNetworkState(network.uuid).loopsBlocked++;
+    return false;
+  }
+
+  activity.hits = activity.hits.filter(hit => now - hit < windowMs);
+  activity.hits.push(now);
+  if (activity.hits.length > settings.loop_max_triggers) {
+    activity.hits = [];
+    activity.mutedUntil = now + windowMs;
+    getNetworkState(network.uuid).loopsBlocked++;
+    PluginLogger.info(`[AM] Possible loop on ${network.name}: ${sender} triggered rules more than ${settings.loop_max_triggers} times in ${settings.loop_window_seconds}s. Ignoring them for ${settings.loop_window_seconds}s.`);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Returns the rate limiting figures of a network, for '/am status'.
+ * @param {object} network - The TheLounge network object.
+ * @returns {{queued: number, dropped: number, loopsBlocked: number, ignoredSenders: Array<{nick: string, remainingMs: number}>}}
+ */
+function getStats(network) {
+  const state = getNetworkState(network.uuid);
+  const now = Date.now();
+  const ignoredSenders = [];
+  for (const [key, activity] of senderActivity) {
+    const separator = key.indexOf('|');
+    if (key.slice(0, separator) === network.uuid && activity.mutedUntil > now) {
+      ignoredSenders.push({ nick: key.slice(separator + 1), remainingMs: activity.mutedUntil - now });
+    }
+  }
+  return { queued: state.queue.length, dropped: state.dropped, loopsBlocked: state.loopsBlocked, ignoredSenders };
+}
+
+module.exports = {
+  DEFAULT_RATE_LIMIT,
+  getRateLimitSettings,
+  send,
+  clearQueue,
+  noteTrigger,
+  getStats,
+};
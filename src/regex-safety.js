@@ -0,0 +1,288 @@
+'use strict';
+
+/**
+ * This module protects TheLounge from triggers that backtrack catastrophically (ReDoS).
+ * Triggers run on TheLounge's event loop, so a single bad pattern could freeze the
+ * server for every user.
+ *
+ * - findRedosRisk() flags the common dangerous patterns, nested quantifiers and repeated
+ *   groups whose alternatives overlap, when rules are loaded or fetched. It cannot catch
+ *   every slow pattern.
+ * - safeMatch() runs a trigger with a time budget, unless the trigger is simple enough to
+ *   be fast on any message. A rule whose trigger exceeds the budget is disabled until its
+ *   trigger is changed, for the TheLounge user it happened to.
+ */
+
+const vm = require('vm');
+const pluginConfigManager = require('./plugin-config');
+
+// Matching a trigger may take this long before its rule is disabled.
+const DEFAULT_REGEX_TIMEOUT_MS = 100;
+
+// Key: TheLounge user name, Value: Map of rule id to { triggerText: string, reason: string, disabledAt: number }
+const disabledRules = new Map();
+
+// Texts longer than this are always matched with the time budget. IRC messages are far shorter.
+const MAX_DIRECT_MATCH_LENGTH = 1000;
+
+// Simple triggers have at most this many unbounded quantifiers (e.g. '.*foo.*').
+const MAX_DIRECT_MATCH_QUANTIFIERS = 2;
+
+// Key: a compiled trigger, Value: whether it can be matched without the time budget
+const directMatchCache = new WeakMap();
+
+// Triggers run inside this context, whose execution can be interrupted.
+const matchContext = vm.createContext({});
+const matchScript = new vm.Script('text.match(regex)');
+
+/**
+ * Reads a quantifier ('*', '+', '?' or '{n,m}') at a position of a regex source.
+ * @param {string} source - The regex source.
+ * @param {number} index - The position to read from.
+ * @returns {{length: number, unbounded: boolean, repeats: boolean}|null} The quantifier, or
+ *   null if there is none. 'repeats' tells whether it allows more than one repetition.
+ */
+function readQuantifier(source, index) {
+  const ch = source[index];
+  if (ch === '*' || ch === '+') {
+    return { length: 1, unbounded: true, repeats: true };
+  }
+  if (ch === '?') {
+    return { length: 1, unbounded: false, repeats: false };
+  }
+  const braces = source.slice(index).match(/^\{(\d+)(,(\d*))?\}/);
+  if (braces) {
+    const unbounded = braces[2] !== undefined && braces[3] === '';
+    const max = braces[2] === undefined ? Number(braces[1]) : Number(braces[3]);
+    return { length: braces[0].length, unbounded, repeats: unbounded || max > 1 };
+  }
+  return null;
+}
+
+/**
+ * Returns the first element an alternative of a group can match, for comparing
+ * alternatives. Escaped letters, classes, '.', groups and optional elements can match
+ * many different texts, and are returned as null.
+ * @param {string} alternative - The source of the alternative.
+ * @returns {string|null}
+ */
+function getFirstElement(alternative) {
+  const escaped = alternative[0] === '\\';
+  const element = escaped ? alternative.slice(0, 2) : alternative.slice(0, 1);
+  const quantifier = readQuantifier(alternative, element.length);
+  if (element === '' || '[(.^$'.includes(element) || (escaped && /[a-z]/i.test(element[1])) || (quantifier && !/^\+|^\{[1-9]/.test(alternative.slice(element.length)))) {
+    return null;
+  }
+  return element.toLowerCase();
+}
+
+/**
+ * Returns whether two alternatives of a group may start with the same text.
+ * @param {Array<string>} alternatives - The sources of the alternatives.
+ * @returns {boolean}
+ */
+function alternativesOverlap(alternatives) {
+  const firstElements = alternatives.map(getFirstElement);
+  return firstElements.includes(null) || new Set(firstElements).size < firstElements.length;
+}
+
+/**
+ * Walks through a regex source, looking for constructs that make it backtrack
+ * exponentially and counting what makes it slow otherwise.
+ * @param {string} source - The regex source.
+ * @returns {{risk: string|null, repeatedGroups: number, unboundedQuantifiers: number, backreferences: number}}
+ *   'risk' describes the first dangerous construct, and the counts are then incomplete.
+ */
+function scanPattern(source) {
+  const result = { risk: null, repeatedGroups: 0, unboundedQuantifiers: 0, backreferences: 0 };
+  // Each open group remembers where it starts, where its alternatives start, and whether
+  // it holds an unbounded quantifier.
+  const groups = [{ start: 0, alternativeStarts: [0], hasUnbounded: false }];
+  let lastAtom = null;
+  let i = 0;
+  while (i < source.length) {
+    const ch = source[i];
+    if (ch === '\\') {
+      if (/[1-9k]/.test(source[i + 1])) {
+        result.backreferences++;
+      }
+      lastAtom = { start: i, hasUnbounded: false };
+      i += 2;
+      continue;
+    }
+    if (ch === '[') {
+      const start = i;
+      i += source[i + 1] === '^' ? 2 : 1;
+      if (source[i] === ']') {
+        i++;
+      }
+      while (i < source.length && source[i] !== ']') {
+        i += source[i] === '\\' ? 2 : 1;
+      }
+      i++;
+      lastAtom = { start, hasUnbounded: false };
+      continue;
+    }
+    if (ch === '(') {
+      const group = { start: i, alternativeStarts: [], hasUnbounded: false };
+      groups.push(group);
+      i++;
+      // Skip the group prefix: (?:, (?=, (?!, (?<=, (?<!, (?<name>
+      const prefix = source.slice(i).match(/^\?(?::|=|!|<=|<!|<[A-Za-z_$][\w$]*>)/);
+      i += prefix ? prefix[0].length : 0;
+      group.alternativeStarts.push(i);
+      lastAtom = null;
+      continue;
+    }
+    if (ch === '|') {
+      groups[groups.length - 1].alternativeStarts.push(i + 1);
+      lastAtom = null;
+      i++;
+      continue;
+    }
+    if (ch === ')') {
+      const group = groups.length > 1 ? groups.pop() : { start: i, alternativeStarts: [i], hasUnbounded: false };
+      const ends = [...group.alternativeStarts.slice(1).map(start => start - 1), i];
+      group.alternatives = group.alternativeStarts.map((start, index) => source.slice(start, ends[index]));
+      if (group.hasUnbounded) {
+        groups[groups.length - 1].hasUnbounded = true;
+      }
+      lastAtom = group;
+      i++;
+      continue;
+    }
+    const quantifier = readQuantifier(source, i);
+    if (quantifier && lastAtom) {
+      const end = i + quantifier.length;
+      if (quantifier.repeats && lastAtom.hasUnbounded) {
+        result.risk = `The nested quantifier in '${source.slice(lastAtom.start, end)}' can cause catastrophic backtracking.`;
+        return result;
+      }
+      if (quantifier.repeats && lastAtom.alternatives) {
+        if (lastAtom.alternatives.length > 1 && alternativesOverlap(lastAtom.alternatives)) {
+          result.risk = `The repeated group '${source.slice(lastAtom.start, end)}' has alternatives that can match the same text, which can cause catastrophic backtracking.`;
+          return result;
+        }
+        result.repeatedGroups++;
+      }
+      if (quantifier.unbounded) {
+        groups[groups.length - 1].hasUnbounded = true;
+        result.unboundedQuantifiers++;
+      }
+      // A '?' after a quantifier makes it lazy.
+      i = source[end] === '?' ? end + 1 : end;
+      lastAtom = null;
+      continue;
+    }
+    lastAtom = { start: i, hasUnbounded: false };
+    i++;
+  }
+  return result;
+}
+
+/**
+ * Looks for constructs that make a regex backtrack exponentially: a group that repeats
+ * an unbounded quantifier, like '(a+)+', '(\w*\s?)*', '((ab)+c)*' or '(.*a){20}', and a
+ * repeated group whose alternatives can match the same text, like '(a|aa)*'.
+ * Other patterns can still be slow; safeMatch() limits the time they take.
+ * @param {string} source - The regex source.
+ * @returns {string|null} A description of the problem, or null if none was found.
+ */
+function findRedosRisk(source) {
+  return scanPattern(source).risk;
+}
+
+/**
+ * Returns whether a trigger is fast on any message: it repeats no group, refers to no
+ * group and has few unbounded quantifiers.
+ * @param {RegExp} regex - The compiled trigger.
+ * @returns {boolean}
+ */
+function canMatchDirectly(regex) {
+  if (!directMatchCache.has(regex)) {
+    const scan = scanPattern(regex.source);
+    directMatchCache.set(regex, !scan.risk && scan.repeatedGroups === 0 && scan.backreferences === 0 && scan.unboundedQuantifiers <= MAX_DIRECT_MATCH_QUANTIFIERS);
+  }
+  return directMatchCache.get(regex);
+}
+
+/**
+ * Returns the time budget of a match in milliseconds, from 'regexTimeoutMs' in config.json.
+ * 0 turns the budget off, and triggers are matched directly.
+ * @returns {number}
+ */
+function getRegexTimeoutMs() {
+  const value = pluginConfigManager.getPluginConfig().regexTimeoutMs;
+  return typeof value === 'number' && value >= 0 ? value : DEFAULT_REGEX_TIMEOUT_MS;
+}
+
+/**
+ * Matches a text against a trigger, giving up when it takes longer than the time budget.
+ * Simple triggers are matched directly on texts of usual length, which is much faster.
+ * @param {RegExp} regex - The compiled trigger.
+ * @param {string} text - The text to match.
+ * @returns {{match: Array<string>|null, timedOut: boolean}}
+ */
+function safeMatch(regex, text) {
+  const timeoutMs = getRegexTimeoutMs();
+  if (timeoutMs === 0 || (text.length <= MAX_DIRECT_MATCH_LENGTH && canMatchDirectly(regex))) {
+    return { match: text.match(regex), timedOut: false };
+  }
+  matchContext.regex = regex;
+  matchContext.text = text;
+  try {
+    return { match: matchScript.runInContext(matchContext, { timeout: timeoutMs }), timedOut: false };
+  } catch (error) {
+    if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+      return { match: null, timedOut: true };
+    }
+    throw error;
+  } finally {
+    matchContext.regex = null;
+    matchContext.text = null;
+  }
+}
+
+/**
+ * Disables a rule for a user until its trigger_text is changed.
+ * @param {object} rule - The rule object.
+ * @param {string} reason - Why the rule was disabled.
+ * @param {string} userName - The TheLounge user whose rule was too slow.
+ */
+function disableRule(rule, reason, userName) {
+  if (!disabledRules.has(userName)) {
+    disabledRules.set(userName, new Map());
+  }
+  disabledRules.get(userName).set(rule.id, { triggerText: rule.trigger_text, reason, disabledAt: Date.now() });
+}
+
+/**
+ * Returns whether a rule has been disabled for a user. Editing its trigger_text enables it again.
+ * @param {object} rule - The rule object.
+ * @param {string} userName - The TheLounge user name.
+ * @returns {boolean}
+ */
+function isRuleDisabled(rule, userName) {
+  const disabled = disabledRules.has(userName) ? disabledRules.get(userName).get(rule.id) : undefined;
+  return Boolean(disabled) && disabled.triggerText === rule.trigger_text;
+}
+
+/**
+ * Returns the rules disabled for a user.
+ * @param {string} userName - The TheLounge user name.
+ * @returns {Array<{ruleId: string, triggerText: string, reason: string, disabledAt: number}>}
+ */
+function getDisabledRules(userName) {
+  return Array.from(disabledRules.get(userName) || [], ([ruleId, disabled]) => ({ ruleId, ...disabled }));
+}
+
+module.exports = {
+  DEFAULT_REGEX_TIMEOUT_MS,
+  findRedosRisk,
+  canMatchDirectly,
+  getRegexTimeoutMs,
+  safeMatch,
+  disableRule,
+  isRuleDisabled,
+  getDisabledRules,
+};
@@ -0,0 +1,126 @@
+'use strict';
+
+/**
+ * This module picks the response(s) to send for a rule, according to its response_mode.
+ * The position of 'sequential' rules is stored in sequences.json, so the rotation
+ * continues where it left off after a reload or a restart.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PluginLogger } = require('./logger');
+
+// Default state
+let cursors = {}; // Key: rule id, Value: index of the next response to send
+let cursorsPath = '';
+
+/**
+ * Initializes the module and loads the saved positions of sequential rules.
+ * @param {string} configDir - The base directory for configuration files.
+ */
+function init(configDir) {
+  cursorsPath = path.join(configDir, 'sequences.json');
+  try {
+    cursors = JSON.parse(fs.readFileSync(cursorsPath, 'utf8'));
+    if (typeof cursors !== 'object' || cursors === null || Array.isArray(cursors)) {
+      cursors = {};
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      PluginLogger.error(`[AM] ERROR: Could not read ${cursorsPath}. Sequential responses will start from the beginning.`, error.message);
+    }
+    cursors = {};
+  }
+}
+
+/**
+ * Saves the positions of sequential rules to sequences.json.
+ */
+function saveCursors() {
+  try {
+    fs.writeFileSync(cursorsPath, JSON.stringify(cursors, null, 2) + '\n', 'utf8');
+  } catch (error) {
+    PluginLogger.error(`[AM] ERROR: Failed to save sequential response positions to ${cursorsPath}.`, error.message);
+  }
+}
+
+/**
+ * Returns the text of a response entry, which is either a string or a { text, weight } object.
+ * @param {string|object} entry - The response entry.
+ * @returns {string}
+ */
+function getEntryText(entry) {
+  return typeof entry === 'string' ? entry : entry.text;
+}
+
+/**
+ * Returns the weight of a response entry. Plain strings weigh 1.
+ * @param {string|object} entry - The response entry.
+ * @returns {number}
+ */
+function getEntryWeight(entry) {
+  return typeof entry === 'object' && entry !== null && typeof entry.weight === 'number' ? entry.weight : 1;
+}
+
+/**
+ * Returns the response_mode of a rule, defaulting to 'random'.
+ * @param {object} rule - The rule object.
+ * @returns {string}
+ */
+function getResponseMode(rule) {
+  return rule.response_mode || 'random';
+}
+
+/**
+ * Picks the response text(s) to send for a rule.
+ * - A string response_text is always sent as is.
+ * - 'random' picks one entry uniformly, 'weighted' picks one entry by weight,
+ *   'sequential' rotates through the entries, and 'all' sends every entry in order.
+ * @param {object} rule - The rule object.
+ * @param {function(): number} [random] - Source of random numbers in [0, 1).
+ * @returns {Array<string>}
+ */
+function pickResponses(rule, random = Math.random) {
+  const responses = rule.response_text;
+  if (!Array.isArray(responses)) {
+    return [responses || ''];
+  }
+  if (responses.length === 0) {
+    return [];
+  }
+
+  switch (getResponseMode(rule)) {
+    case 'all': {
+      return responses.map(getEntryText);
+    }
+    case 'sequential': {
+      const index = (cursors[rule.id] || 0) % responses.length;
+      cursors[rule.id] = (index + 1) % responses.length;
+      saveCursors();
+      return [getEntryText(responses[index])];
+    }
+    case 'weighted': {
+      const totalWeight = responses.reduce((total, entry) => total + getEntryWeight(entry), 0);
+      let threshold = random() * totalWeight;
+      for (const entry of responses) {
+        threshold -= getEntryWeight(entry);
+        if (threshold < 0) {
+          return [getEntryText(entry)];
+        }
+      }
+      return [getEntryText(responses[responses.length - 1])];
+    }
+    case 'random':
+    default: {
+      return [getEntryText(responses[Math.floor(random() * responses.length)])];
+    }
+  }
+}
+
+module.exports = {
+  init,
+  getEntryText,
+  getEntryWeight,
+  getResponseMode,
+  pickResponses,
+};
@@ -0,0 +1,80 @@
+'use strict';
+
+/**
+ * This module keeps track of the delayed responses and pending rule steps of
+ * each network, so they can be cancelled when the listener stops or the rules
+ * are reloaded.
+ */
+
+const { PluginLogger } = require('./logger');
+
+// Key: network.uuid, Value: Set of pending timeout handles
+const pendingResponses = new Map();
+
+/**
+ * Runs a callback after a delay, unless it is cancelled first.
+ * @param {object} network - The TheLounge network object the response belongs to.
+ * @param {function()} callback - The function to run.
+ * @param {number} delayMs - The delay in milliseconds.
+ */
+function schedule(network, callback, delayMs) {
+  if (!pendingResponses.has(network.uuid)) {
+    pendingResponses.set(network.uuid, new Set());
+  }
+  const timers = pendingResponses.get(network.uuid);
+  const timer = setTimeout(() => {
+    timers.delete(timer);
+    if (timers.size === 0) {
+      pendingResponses.delete(network.uuid);
+    }
+    callback();
+  }, delayMs);
+  timers.add(timer);
+}
+
+/**
+ * Returns the number of pending responses of a network.
+ * @param {string} networkUuid - The network UUID.
+ * @returns {number}
+ */
+function countPending(networkUuid) {
+  const timers = pendingResponses.get(networkUuid);
+  return timers ? timers.size : 0;
+}
+
+/**
+ * Cancels the pending responses of a network.
+ * @param {string} networkUuid - The network UUID.
+ * @returns {number} The number of cancelled responses.
+ */
+function cancelPending(networkUuid) {
+  const timers = pendingResponses.get(networkUuid);
+  if (!timers) {
+    return 0;
+  }
+  for (const timer of timers) {
+    clearTimeout(timer);
+  }
+  pendingResponses.delete(networkUuid);
+  PluginLogger.debug(`[AM] Cancelled ${timers.size} pending responses for network ${networkUuid}.`);
+  return timers.size;
+}
+
+/**
+ * Cancels the pending responses of every network.
+ * @returns {number} The number of cancelled responses.
+ */
+function cancelAll() {
+  let cancelled = 0;
+  for (const networkUuid of Array.from(pendingResponses.keys())) {
+    cancelled += cancelPending(networkUuid);
+  }
+  return cancelled;
+}
+
+module.exports = {
+  schedule,
+  countPending,
+  cancelPending,
+  cancelAll,
+};
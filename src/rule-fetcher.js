@@ -0,0 +1,364 @@
+'use strict';
+
+/**
+ * This module downloads rules from remote URLs, for '/am fetch' and for subscriptions.
+ * Only URLs on the domain whitelist are fetched, and only while fetching is enabled in
+ * config.json. Downloaded rules are fully validated before they are returned.
+ *
+ * Fetching makes TheLounge server send requests on behalf of its users, so downloads are
+ * kept from reaching the server itself or its internal network: only HTTPS is used unless
+ * allowed, redirects are checked like the URL given by the user, hosts resolving to
+ * loopback, private or link-local addresses are refused, and the size and duration of a
+ * download are limited. The address is checked when the connection is made, on the
+ * address that is connected to, so a DNS server cannot answer one address to the check
+ * and another to the connection.
+ */
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { PluginLogger } = require('./logger');
+const pluginConfigManager = require('./plugin-config');
+const { validateRules } = require('./rule-validator');
+
+// Limits of a download, unless set with 'fetchMaxBytes' and 'fetchTimeoutSeconds' in config.json.
+const DEFAULT_MAX_BYTES = 1024 * 1024;
+const DEFAULT_TIMEOUT_SECONDS = 15;
+
+// Redirects followed before giving up.
+const MAX_REDIRECTS = 5;
+
+// Addresses of the server itself and of its internal network, and addresses that are not
+// a single public host. net.BlockList checks IPv4-mapped IPv6 addresses like
+// '::ffff:127.0.0.1' against the IPv4 ranges; the other IPv6 forms that embed an IPv4
+// address (IPv4-compatible, NAT64, 6to4, Teredo) are refused as a whole.
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'], // 'this network'
+  ['10.0.0.0', 8, 'ipv4'], // private
+  ['100.64.0.0', 10, 'ipv4'], // carrier-grade NAT
+  ['127.0.0.0', 8, 'ipv4'], // loopback
+  ['169.254.0.0', 16, 'ipv4'], // link-local
+  ['172.16.0.0', 12, 'ipv4'], // private
+  ['192.168.0.0', 16, 'ipv4'], // private
+  ['224.0.0.0', 4, 'ipv4'], // multicast
+  ['240.0.0.0', 4, 'ipv4'], // reserved, including the broadcast address 255.255.255.255
+  ['::', 96, 'ipv6'], // unspecified, loopback and IPv4-compatible
+  ['64:ff9b::', 96, 'ipv6'], // NAT64
+  ['64:ff9b:1::', 48, 'ipv6'], // local-use NAT64
+  ['2001::', 32, 'ipv6'], // Teredo
+  ['2002::', 16, 'ipv6'], // 6to4
+  ['fc00::', 7, 'ipv6'], // unique local
+  ['fe80::', 10, 'ipv6'], // link-local
+  ['ff00::', 8, 'ipv6'], // multicast
+];
+
+const blockedAddresses = new net.BlockList();
+BLOCKED_RANGES.forEach(([address, prefix, type]) => blockedAddresses.addSubnet(address, prefix, type));
+
+/**
+ * Checks whether a host name is on the domain whitelist. An entry like '*.example.org'
+ * matches every subdomain of example.org, but not example.org itself.
+ * @param {string} hostname - The host name of a URL, lowercased.
+ * @param {Array<string>} whitelist - The entries of 'fetchWhitelist'.
+ * @returns {boolean}
+ */
+function isWhitelisted(hostname, whitelist) {
+  return whitelist.some(entry => {
+    const domain = String(entry).toLowerCase();
+    return domain.startsWith('*.') ? hostname.endsWith(domain.slice(1)) : hostname === domain;
+  });
+}
+
+/**
+ * Checks that a URL may be fetched: fetching is enabled, and its domain is whitelisted.
+ * @param {string} url - The URL given by the user.
+ * @returns {string|null} Why the URL cannot be fetched, or null if it can.
+ */
+function checkUrl(url) {
+  const config = pluginConfigManager.getPluginConfig();
+  if (!config.enableFetch) {
+    return 'Remote rule fetching is disabled. Use \'/am fetch enable\' to activate it.';
+  }
+  if (!Array.isArray(config.fetchWhitelist) || config.fetchWhitelist.length === 0) {
+    return 'The domain whitelist is empty. Use \'/am whitelist add <domain>\' to add a trusted domain.';
+  }
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch (e) {
+    return `Invalid URL provided: "${url}"`;
+  }
+  if (parsedUrl.protocol === 'http:' && config.fetchAllowHttp !== true) {
+    return 'Only HTTPS URLs can be fetched. An admin can set \'fetchAllowHttp\' to true in config.json to allow plain HTTP.';
+  }
+  if (parsedUrl.protocol !== 'https:' && parsedUrl.protocol !== 'http:') {
+    return `Only HTTPS URLs can be fetched, not '${parsedUrl.protocol}' URLs.`;
+  }
+  if (!isWhitelisted(parsedUrl.hostname, config.fetchWhitelist)) {
+    return `The domain '${parsedUrl.hostname}' is not in the whitelist.`;
+  }
+  return null;
+}
+
+/**
+ * Returns the addresses an admin allowed despite being loopback, private or link-local,
+ * from 'fetchAllowedAddresses' in config.json: single addresses or ranges like '10.1.0.0/16'.
+ * @returns {net.BlockList}
+ */
+function getAllowedAddresses() {
+  const config = pluginConfigManager.getPluginConfig();
+  const allowed = new net.BlockList();
+  (Array.isArray(config.fetchAllowedAddresses) ? config.fetchAllowedAddresses : []).forEach(entry => {
+    const [address, prefix] = String(entry).split('/');
+    const type = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+    try {
+      if (!net.isIP(address)) {
+        throw new Error('Not an IP address.');
+      }
+      if (prefix === undefined) {
+        allowed.addAddress(address, type);
+      } else {
+        allowed.addSubnet(address, Number(prefix), type);
+      }
+    } catch (error) {
+      PluginLogger.error(`[AM] ERROR: Ignoring invalid entry '${entry}' in fetchAllowedAddresses.`, error.message);
+    }
+  });
+  return allowed;
+}
+
+/**
+ * Checks whether an address is loopback, private, link-local or otherwise not a public
+ * host, and has not been allowed in 'fetchAllowedAddresses'.
+ * @param {string} address - An IPv4 or IPv6 address.
+ * @returns {boolean}
+ */
+function isBlockedAddress(address) {
+  const type = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+  return blockedAddresses.check(address, type) && !getAllowedAddresses().check(address, type);
+}
+
+/**
+ * Explains why a host cannot be fetched from.
+ * @param {string} hostname - The host name of a URL.
+ * @param {string} address - The blocked address it resolves to.
+ * @returns {string}
+ */
+function describeBlockedAddress(hostname, address) {
+  return `The domain '${hostname}' resolves to ${address}, a loopback, private or link-local address. An admin can add it to 'fetchAllowedAddresses' in config.json to allow it.`;
+}
+
+/**
+ * Resolves a host name for http.request(), refusing blocked addresses. It is called when
+ * the connection is made, so the address checked is the address connected to.
+ * Takes the arguments of dns.lookup().
+ * @param {string} hostname - The host name to resolve.
+ * @param {object} options - The options of dns.lookup().
+ * @param {function} callback - Called like the callback of dns.lookup().
+ */
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) {
+      callback(createFetchError(describeBlockedAddress(hostname, blocked.address)));
+      return;
+    }
+    if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+}
+
+/**
+ * Creates an error whose message can be shown to the user as is.
+ * @param {string} message - The first line of the error.
+ * @param {Array<string>} [details] - More lines, e.g. the other validation errors.
+ * @param {Error} [cause] - The underlying error, for the logs.
+ * @returns {Error}
+ */
+function createFetchError(message, details = [], cause = null) {
+  const error = new Error(message);
+  error.details = details;
+  error.cause = cause;
+  return error;
+}
+
+/**
+ * Returns a positive number from config.json, or a default.
+ * @param {any} value - The value in config.json.
+ * @param {number} defaultValue - The value used when it is missing or invalid.
+ * @returns {number}
+ */
+function getLimit(value, defaultValue) {
+  return typeof value === 'number' && value > 0 ? value : defaultValue;
+}
+
+/**
+ * Sends a GET request and waits for the response headers.
+ * IP addresses given in the URL are not resolved, so they are checked here.
+ * @param {string} url - The URL.
+ * @param {object} headers - The request headers.
+ * @param {AbortSignal} signal - Aborts the request when the time limit is reached.
+ * @returns {Promise<http.IncomingMessage>}
+ */
+function sendRequest(url, headers, signal) {
+  return new Promise((resolve, reject) => {
+    const parsedUrl = new URL(url);
+    const host = parsedUrl.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host) && isBlockedAddress(host)) {
+      reject(createFetchError(describeBlockedAddress(parsedUrl.hostname, host)));
+      return;
+    }
+    const transport = parsedUrl.protocol === 'https:' ? https : http;
+    // No agent: every request makes its own connection, and so its own address check.
+    const request = transport.get(parsedUrl, { headers, lookup: lookupPublicAddress, signal, agent: false }, resolve);
+    request.on('error', reject);
+  });
+}
+
+/**
+ * Sends a request, following redirects by hand so each one is checked like the URL
+ * given by the user.
+ * @param {string} url - The URL, already accepted by checkUrl().
+ * @param {object} headers - The request headers.
+ * @param {AbortSignal} signal - Aborts the request when the time limit is reached.
+ * @returns {Promise<http.IncomingMessage>} The response that is not a redirect.
+ * @throws {Error} If a host or a redirect is refused, or the request fails.
+ */
+async function request(url, headers, signal) {
+  let currentUrl = url;
+  for (let redirects = 0; ; redirects++) {
+    const response = await sendRequest(currentUrl, headers, signal);
+    const status = response.statusCode;
+    if (status < 300 || status >= 400 || status === 304) {
+      return response;
+    }
+    response.destroy();
+    const location = response.headers.location;
+    if (!location) {
+      throw new Error(`HTTP error! status: ${status} without a Location header`);
+    }
+    if (redirects >= MAX_REDIRECTS) {
+      throw createFetchError(`${url} redirects more than ${MAX_REDIRECTS} times.`);
+    }
+    const nextUrl = new URL(location, currentUrl).href;
+    const urlError = checkUrl(nextUrl);
+    if (urlError) {
+      throw createFetchError(`${url} redirects to ${nextUrl}, which cannot be fetched. ${urlError}`);
+    }
+    currentUrl = nextUrl;
+  }
+}
+
+/**
+ * Reads the body of a response, giving up as soon as it exceeds the size limit.
+ * @param {http.IncomingMessage} response - The response.
+ * @param {string} url - The URL, for the error message.
+ * @param {number} maxBytes - The size limit.
+ * @returns {Promise<string>}
+ * @throws {Error} If the body is too large or cannot be read.
+ */
+async function readBody(response, url, maxBytes) {
+  const tooLarge = () => createFetchError(`The rules at ${url} are larger than ${maxBytes} bytes, the most that can be fetched.`);
+  if (Number(response.headers['content-length']) > maxBytes) {
+    response.destroy();
+    throw tooLarge();
+  }
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      response.destroy();
+      throw tooLarge();
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Downloads and validates the rules at a URL. When the ETag or Last-Modified value of a
+ * previous download is given, the server can answer that nothing changed.
+ * @param {string} url - The URL, already accepted by checkUrl().
+ * @param {{etag: string|null, lastModified: string|null}} [previous] - The validators of the previous download.
+ * @returns {Promise<{notModified: boolean, rules: Array<object>, warnings: Array<object>, etag: string|null, lastModified: string|null}>}
+ * @throws {Error} If the rules could not be downloaded or are invalid. The message can be
+ *   shown to the user; 'details' holds further lines and 'cause' the underlying error.
+ */
+async function fetchRules(url, previous = {}) {
+  const config = pluginConfigManager.getPluginConfig();
+  const maxBytes = getLimit(config.fetchMaxBytes, DEFAULT_MAX_BYTES);
+  const timeoutSeconds = getLimit(config.fetchTimeoutSeconds, DEFAULT_TIMEOUT_SECONDS);
+  const headers = {};
+  if (previous.etag) {
+    headers['If-None-Match'] = previous.etag;
+  }
+  if (previous.lastModified) {
+    headers['If-Modified-Since'] = previous.lastModified;
+  }
+
+  // One time limit covers the redirects and the download of the body.
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutSeconds * 1000);
+  let response;
+  let textBody;
+  try {
+    response = await request(url, headers, controller.signal);
+    if (response.statusCode === 304) {
+      response.destroy();
+      return { notModified: true, rules: [], warnings: [], etag: previous.etag || null, lastModified: previous.lastModified || null };
+    }
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      // The body is not read, so the connection is closed right away.
+      response.destroy();
+      throw new Error(`HTTP error! status: ${response.statusCode} ${response.statusMessage}`);
+    }
+    textBody = await readBody(response, url, maxBytes);
+  } catch (error) {
+    if (controller.signal.aborted) {
+      throw createFetchError(`${url} did not answer within ${timeoutSeconds} seconds.`, [], error);
+    }
+    // Errors from createFetchError() already explain what went wrong.
+    if (Array.isArray(error.details)) {
+      throw error;
+    }
+    throw createFetchError(`Failed to fetch rules from ${url}.`, [], error);
+  } finally {
+    clearTimeout(timer);
+  }
+
+  let rules;
+  try {
+    rules = JSON.parse(textBody);
+  } catch (error) {
+    throw createFetchError(`Failed to parse JSON from ${url}. Please check the file for syntax errors.`, [], error);
+  }
+
+  // The rules are untrusted, so a validator bug they trigger is reported like any other fetch error.
+  let validationResult;
+  try {
+    validationResult = validateRules(rules);
+  } catch (error) {
+    throw createFetchError(`Failed to validate the rules from ${url}.`, [], error);
+  }
+  if (!validationResult.isValid) {
+    throw createFetchError(`The fetched rules are invalid. ${validationResult.error}`, validationResult.errors.slice(1).map(({ message }) => message));
+  }
+
+  return { notModified: false, rules, warnings: validationResult.warnings, etag: response.headers.etag || null, lastModified: response.headers['last-modified'] || null };
+}
+
+module.exports = {
+  isWhitelisted,
+  checkUrl,
+  isBlockedAddress,
+  fetchRules,
+};
@@ -0,0 +1,203 @@
+'use strict';
+
+/**
+ * This module compiles rules once, when they are loaded, instead of on every message.
+ * Rules are indexed by server, event and lowercased listen_channel, so an event is only
+ * checked against the rules that can apply to it, in evaluation order. Triggers are
+ * compiled up front; triggers using {{me}} are compiled for each nick they are used with,
+ * so only those are rebuilt when our nick changes.
+ *
+ * Each rules array has an index of its own (every TheLounge user has their own ruleset),
+ * built the first time the array is used and kept for as long as the array exists.
+ */
+
+const { isGlob } = require('./glob');
+const { CHANNELLESS_EVENTS, getRuleEvent } = require('./events');
+const { findRedosRisk } = require('./regex-safety');
+
+const QUERY_KEY = '@query';
+
+// A {{me}} trigger keeps the regexes of this many nicks before they are rebuilt.
+const MAX_NICKS_PER_RULE = 8;
+
+// Key: rules array, Value: the index built by buildIndex()
+const indexes = new WeakMap();
+
+/**
+ * Returns rules in the order they are evaluated: highest priority first (rules without
+ * one have priority 0), and in rules.json order among rules with the same priority.
+ * @param {Array<object>} rules - The rules.
+ * @returns {Array<object>} A sorted copy.
+ */
+function sortByPriority(rules) {
+  // Array.prototype.sort is stable, so equal priorities keep their file order.
+  return [...rules].sort((a, b) => (b.priority || 0) - (a.priority || 0));
+}
+
+/**
+ * Compiles the trigger of a rule, with {{me}} replaced by a nick.
+ * The nick is matched literally, even if it contains characters like '|' or '['.
+ * @param {object} rule - The rule object.
+ * @param {string} nick - Our nick on the network.
+ * @returns {RegExp}
+ * @throws {SyntaxError} If the trigger is not a valid regex.
+ */
+function compileTrigger(rule, nick) {
+  const escapedNick = (nick || '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(rule.trigger_text.replace(/{{me}}/g, escapedNick), rule.trigger_flags || '');
+}
+
+/**
+ * Returns the bucket of a server and event, creating it if needed.
+ * @param {Map} servers - The index, keyed by server name.
+ * @param {string} serverName - The server name.
+ * @param {string} eventType - One of EVENT_TYPES.
+ * @returns {{all: Array<object>, channels: Map<string, Array<object>>, patterns: Array<object>}}
+ */
+function getBucket(servers, serverName, eventType) {
+  if (!servers.has(serverName)) {
+    servers.set(serverName, new Map());
+  }
+  const events = servers.get(serverName);
+  if (!events.has(eventType)) {
+    events.set(eventType, { all: [], channels: new Map(), patterns: [] });
+  }
+  return events.get(eventType);
+}
+
+/**
+ * Compiles and indexes a ruleset. Rules whose trigger is not a valid regex, or could
+ * backtrack catastrophically, are left out and reported in 'errors'.
+ * @param {Array<object>} rules - The rules, in rules.json order.
+ * @returns {{rules: Array<object>, servers: Map, errors: Array<{rule: object, message: string}>}}
+ */
+function buildIndex(rules) {
+  const servers = new Map();
+  const errors = [];
+  if (!Array.isArray(rules)) {
+    return { rules, servers, errors };
+  }
+
+  sortByPriority(rules.filter(rule => typeof rule === 'object' && rule !== null)).forEach((rule, order) => {
+    const entry = { rule, order, regex: null, usesMe: false, regexByNick: new Map() };
+    if (rule.trigger_text) {
+      try {
+        if (typeof rule.trigger_text !== 'string') {
+          throw new TypeError('trigger_text is not a string.');
+        }
+        entry.usesMe = rule.trigger_text.includes('{{me}}');
+        // Triggers using {{me}} are checked with a placeholder; the nick is only known per network.
+        const regex = compileTrigger(rule, 'me');
+        const risk = findRedosRisk(rule.trigger_text);
+        if (risk) {
+          throw new Error(risk);
+        }
+        entry.regex = entry.usesMe ? null : regex;
+      } catch (error) {
+        errors.push({ rule, message: error.message });
+        return;
+      }
+    }
+
+    const eventType = getRuleEvent(rule);
+    const bucket = getBucket(servers, rule.server, eventType);
+    bucket.all.push(entry);
+    if (CHANNELLESS_EVENTS.includes(eventType)) {
+      return;
+    }
+    // Plain channel names (and '@query') are looked up directly; '*' and globs are tried on every event.
+    const listenChannels = Array.isArray(rule.listen_channel) ? rule.listen_channel : [rule.listen_channel];
+    let isPattern = false;
+    for (const listenChannel of listenChannels) {
+      if (typeof listenChannel !== 'string' || isGlob(listenChannel)) {
+        isPattern = true;
+        continue;
+      }
+      const key = listenChannel.toLowerCase();
+      if (!bucket.channels.has(key)) {
+        bucket.channels.set(key, []);
+      }
+      const list = bucket.channels.get(key);
+      if (list[list.length - 1] !== entry) {
+        list.push(entry);
+      }
+    }
+    if (isPattern) {
+      bucket.patterns.push(entry);
+    }
+  });
+
+  return { rules, servers, errors };
+}
+
+/**
+ * Rebuilds the index of a ruleset, even if it was already built.
+ * @param {Array<object>} rules - The rules.
+ * @returns {Array<{rule: object, message: string}>} The rules left out because of an invalid trigger.
+ */
+function rebuild(rules) {
+  const index = buildIndex(rules);
+  if (Array.isArray(rules)) {
+    indexes.set(rules, index);
+  }
+  return index.errors;
+}
+
+/**
+ * Returns the rules that may apply to an event, in evaluation order.
+ * Their listen_channel still has to be checked against the target.
+ * @param {Array<object>} rules - The current rules.
+ * @param {string} serverName - The network name.
+ * @param {string} eventType - One of EVENT_TYPES.
+ * @param {string|null} target - The channel, or our nick for private messages.
+ * @param {boolean} isQuery - Whether the event was sent privately to us.
+ * @returns {Array<{rule: object, order: number}>} The index entries of the rules.
+ */
+function getCandidates(rules, serverName, eventType, target, isQuery) {
+  if (!indexes.has(rules)) {
+    rebuild(rules);
+  }
+  const events = indexes.get(rules).servers.get(serverName);
+  const bucket = events && events.get(eventType);
+  if (!bucket) {
+    return [];
+  }
+  if (CHANNELLESS_EVENTS.includes(eventType)) {
+    return bucket.all;
+  }
+  const keys = isQuery ? [QUERY_KEY, (target || '').toLowerCase()] : [(target || '').toLowerCase()];
+  const lists = [...keys.map(key => bucket.channels.get(key) || []), bucket.patterns].filter(list => list.length > 0);
+  if (lists.length <= 1) {
+    return lists[0] || [];
+  }
+  return [...new Set([].concat(...lists))].sort((a, b) => a.order - b.order);
+}
+
+/**
+ * Returns the compiled trigger of an index entry for our nick on a network.
+ * @param {{rule: object, regex: RegExp|null, usesMe: boolean, regexByNick: Map}} entry - An entry from getCandidates().
+ * @param {string} nick - Our nick on the network.
+ * @returns {RegExp}
+ */
+function getTriggerRegex(entry, nick) {
+  if (!entry.usesMe) {
+    return entry.regex;
+  }
+  if (!entry.regexByNick.has(nick)) {
+    // Old nicks are forgotten so the cache does not grow with every nick change.
+    if (entry.regexByNick.size >= MAX_NICKS_PER_RULE) {
+      entry.regexByNick.clear();
+    }
+    entry.regexByNick.set(nick, compileTrigger(entry.rule, nick));
+  }
+  return entry.regexByNick.get(nick);
+}
+
+module.exports = {
+  sortByPriority,
+  compileTrigger,
+  buildIndex,
+  rebuild,
+  getCandidates,
+  getTriggerRegex,
+};
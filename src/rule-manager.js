@@ -1,49 +1,236 @@
 'use strict';
 
+/**
+ * This module loads, validates and saves the rules. Every TheLounge user has a ruleset
+ * of their own in users/<name>/rules.json, and rules.json holds a shared ruleset that
+ * applies to everyone, unless 'useSharedRules' is false in config.json.
+ */
+
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { PluginLogger } = require('./logger');
+const responseScheduler = require('./response-scheduler');
+const rateLimiter = require('./rate-limiter');
+const ruleIndex = require('./rule-index');
+const { validateRules } = require('./rule-validator');
+const pluginConfigManager = require('./plugin-config');
+const ruleStats = require('./rule-stats');
 
 // Default state
-let rules = [];
+let rules = []; // The shared rules, from rules.json
 let configFilePath = '';
-const ruleCooldowns = new Map(); // Key: rule object, Value: last execution timestamp
+let usersDir = '';
+const userRules = new Map(); // Key: TheLounge user name, Value: the user's own rules
+const effectiveRules = new Map(); // Key: TheLounge user name, Value: { useShared: boolean, rules: Array<object> }
+const ruleCooldowns = new Map(); // Key: user name, rule id and scope, Value: the timer kept by cooldowns.js
+
+/**
+ * Generates a short random rule id that is not in the given set.
+ * @param {Set<string>} usedIds - Ids that are already taken.
+ * @returns {string}
+ */
+function generateRuleId(usedIds) {
+  let id;
+  do {
+    id = crypto.randomBytes(4).toString('hex');
+  } while (usedIds.has(id));
+  return id;
+}
+
+/**
+ * Gives every rule a unique, persistent id. Rules without an id, or whose id
+ * duplicates one seen earlier in the array, get a new one.
+ * This function mutates the rule objects in place.
+ * @param {Array<object>} rulesToCheck - The array of rules.
+ * @returns {number} The number of ids that were assigned.
+ */
+function assignRuleIds(rulesToCheck) {
+  const takenIds = new Set(rulesToCheck.map(rule => rule && rule.id));
+  const seenIds = new Set();
+  let assigned = 0;
+  for (const rule of rulesToCheck) {
+    if (typeof rule !== 'object' || rule === null) {
+      continue;
+    }
+    if (typeof rule.id !== 'string' || rule.id.trim() === '' || seenIds.has(rule.id)) {
+      rule.id = generateRuleId(takenIds);
+      takenIds.add(rule.id);
+      assigned++;
+    }
+    seenIds.add(rule.id);
+  }
+  return assigned;
+}
+
+/**
+ * Returns a short, human-readable label for a rule, for logs and messages.
+ * @param {object} rule - The rule object.
+ * @returns {string}
+ */
+function getRuleLabel(rule) {
+  return rule.name ? `'${rule.name}' (${rule.id})` : `${rule.id}`;
+}
+
+/**
+ * Compiles a ruleset into the rule index and logs the rules that were left out.
+ * @param {Array<object>} ruleset - The rules to compile.
+ */
+function rebuildIndex(ruleset) {
+  ruleIndex.rebuild(ruleset).forEach(({ rule, message }) => {
+    PluginLogger.error(`[AM] Rule ${getRuleLabel(rule)} has an invalid trigger_text and will be ignored: ${message}`);
+  });
+}
 
 function init(configDir) {
   configFilePath = path.join(configDir, 'rules.json');
+  usersDir = path.join(configDir, 'users');
   PluginLogger.info(`[AM] Using rules file: ${configFilePath}`);
   ensureConfigFileExists();
   loadRules();
 }
 
 /**
- * Loads rules from rules.json.
- * @param {function(string)} tellUser - Optional callback to send feedback to a user.
+ * Reads a rules file and validates it completely. If it has errors, every one is reported.
+ * @param {string} filePath - The path of the rules file.
+ * @param {number} previousCount - The number of rules that stay active if the file cannot be used.
+ * @param {function(string)} [tellUser] - Optional callback to send feedback to a user.
+ * @returns {{rules: Array<object>, assignedIds: number, warnings: Array<object>}|null} The rules, or null if the file cannot be used.
  */
-function loadRules(tellUser) {
-  PluginLogger.debug(`[AM] Attempting to load rules from: ${configFilePath}`);
+function readRulesFile(filePath, previousCount, tellUser) {
+  PluginLogger.debug(`[AM] Attempting to load rules from: ${filePath}`);
   try {
-    const rulesFile = fs.readFileSync(configFilePath, 'utf8');
-    rules = JSON.parse(rulesFile);
-    const message = `Rules successfully reloaded. Found ${rules.length} rules.`;
-    PluginLogger.info(`[AM] ${message}`);
-    // Reset all cooldowns whenever rules are reloaded
-    ruleCooldowns.clear();
-    PluginLogger.debug('[AM] All rule cooldowns have been reset.');
-    if (tellUser) {
-      tellUser(message);
+    const loadedRules = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const assignedIds = Array.isArray(loadedRules) ? assignRuleIds(loadedRules) : 0;
+    const validationResult = validateRules(loadedRules);
+    if (!validationResult.isValid) {
+      const errMessage = `ERROR: ${filePath} has ${validationResult.errors.length} error(s). Keeping the previous ${previousCount} rules active.`;
+      PluginLogger.error(`[AM] ${errMessage}`);
+      validationResult.errors.forEach(({ message }) => PluginLogger.error(`[AM] ${message}`));
+      if (tellUser) {
+        tellUser(errMessage);
+        validationResult.errors.forEach(({ message }) => tellUser(message));
+      }
+      return null;
     }
+    validationResult.warnings.forEach(({ message }) => PluginLogger.info(`[AM] Warning: ${message}`));
+    return { rules: loadedRules, assignedIds, warnings: validationResult.warnings };
   } catch (error) {
-    let errMessage = `ERROR: Could not read rules from ${configFilePath}.`;
+    let errMessage = `ERROR: Could not read rules from ${filePath}.`;
     if (error.code === 'ENOENT') {
-      errMessage = `ERROR: Configuration file not found at ${configFilePath}.`;
+      errMessage = `ERROR: Configuration file not found at ${filePath}.`;
     } else if (error instanceof SyntaxError) {
-      errMessage = `ERROR: Failed to parse ${configFilePath}. Please check for JSON syntax errors.`;
+      errMessage = `ERROR: Failed to parse ${filePath}. Please check for JSON syntax errors. Keeping the previous ${previousCount} rules active.`;
     }
     PluginLogger.error(`[AM] ${errMessage}`, error.message);
     if (tellUser) {
       tellUser(errMessage);
     }
+    return null;
+  }
+}
+
+/**
+ * Loads the shared rules from rules.json. The file is fully validated first; if it has
+ * errors, every one is reported and the previous rules stay active.
+ * @param {function(string)} tellUser - Optional callback to send feedback to a user.
+ */
+function loadRules(tellUser) {
+  const loaded = readRulesFile(configFilePath, rules.length, tellUser);
+  if (!loaded) {
+    return;
+  }
+  rules = loaded.rules;
+  effectiveRules.clear();
+  if (loaded.assignedIds > 0) {
+    PluginLogger.info('[AM] Assigned ids to rules that were missing one. Writing them back to the rules file.');
+    saveRules(rules);
+  }
+  const message = `Rules successfully reloaded. Found ${rules.length} rules.`;
+  PluginLogger.info(`[AM] ${message}`);
+  // Reset all cooldowns whenever rules are reloaded
+  ruleCooldowns.clear();
+  PluginLogger.debug('[AM] All rule cooldowns have been reset.');
+  // Pending responses belong to the old rules, so they are dropped as well
+  const cancelled = responseScheduler.cancelAll();
+  if (cancelled > 0) {
+    PluginLogger.info(`[AM] Cancelled ${cancelled} pending responses from the previous rules.`);
+  }
+  if (tellUser) {
+    tellUser(message);
+    loaded.warnings.forEach(({ message: warning }) => tellUser(`Warning: ${warning}`));
+  }
+}
+
+/**
+ * Returns the path of a user's own rules file. The user name is encoded, so it cannot
+ * point outside of the users directory.
+ * @param {string} userName - The TheLounge user name.
+ * @returns {string}
+ */
+function getUserRulesPath(userName) {
+  return path.join(usersDir, encodeURIComponent(userName).replace(/\./g, '%2E'), 'rules.json');
+}
+
+/**
+ * Cancels the responses and rule steps still waiting to be sent on the networks a user
+ * listens on, including those waiting in the rate limiter's queue. They were produced by
+ * the user's previous rules. Other users' networks are not affected.
+ * @param {string} userName - The TheLounge user name.
+ */
+function cancelUserResponses(userName) {
+  // The networks with a started listener, as persisted by listener-manager.js.
+  const listeners = pluginConfigManager.getPluginConfig().activeListeners;
+  const networkUuids = listeners && Array.isArray(listeners[userName]) ? listeners[userName] : [];
+  let cancelled = 0;
+  for (const networkUuid of networkUuids) {
+    cancelled += responseScheduler.cancelPending(networkUuid) + rateLimiter.clearQueue(networkUuid);
+  }
+  if (cancelled > 0) {
+    PluginLogger.info(`[AM] Cancelled ${cancelled} pending responses from the previous rules of ${userName}.`);
+  }
+}
+
+/**
+ * Loads a user's own rules from their rules file. A user without a file has no rules.
+ * Like loadRules(), an invalid file is reported and the previous rules stay active.
+ * Otherwise the user's cooldowns are reset and their pending responses are cancelled.
+ * @param {string} userName - The TheLounge user name.
+ * @param {function(string)} [tellUser] - Optional callback to send feedback to the user.
+ */
+function loadUserRules(userName, tellUser) {
+  const filePath = getUserRulesPath(userName);
+  const previous = userRules.get(userName) || [];
+  if (!fs.existsSync(filePath)) {
+    userRules.set(userName, []);
+    effectiveRules.delete(userName);
+    if (tellUser) {
+      tellUser('You have no rules of your own yet.');
+    }
+    return;
+  }
+  const loaded = readRulesFile(filePath, previous.length, tellUser);
+  if (!loaded) {
+    userRules.set(userName, previous);
+    return;
+  }
+  userRules.set(userName, loaded.rules);
+  effectiveRules.delete(userName);
+  if (loaded.assignedIds > 0) {
+    saveUserRules(userName, loaded.rules);
+  }
+  // Only the cooldowns of this user are reset; other users are not affected.
+  for (const [key, timer] of ruleCooldowns) {
+    if (timer.userName === userName) {
+      ruleCooldowns.delete(key);
+    }
+  }
+  cancelUserResponses(userName);
+  const message = `Your rules were successfully reloaded. Found ${loaded.rules.length} rules.`;
+  PluginLogger.info(`[AM] Rules of ${userName} reloaded. Found ${loaded.rules.length} rules.`);
+  if (tellUser) {
+    tellUser(message);
+    loaded.warnings.forEach(({ message: warning }) => tellUser(`Warning: ${warning}`));
   }
 }
 
@@ -70,13 +257,64 @@ function ensureConfigFileExists() {
 }
 
 /**
- * Returns the current array of rules.
+ * Returns the shared rules from rules.json.
  * @returns {Array<object>}
  */
-function getRules() {
+function getSharedRules() {
   return rules;
 }
 
+/**
+ * Returns a user's own rules, loading them on first use.
+ * @param {string} userName - The TheLounge user name.
+ * @returns {Array<object>}
+ */
+function getUserRules(userName) {
+  if (!userRules.has(userName)) {
+    loadUserRules(userName);
+  }
+  return userRules.get(userName);
+}
+
+/**
+ * Returns whether the shared rules apply to every user ('useSharedRules' in config.json).
+ * @returns {boolean}
+ */
+function isSharedRulesEnabled() {
+  return pluginConfigManager.getPluginConfig().useSharedRules !== false;
+}
+
+/**
+ * Returns the rules that apply to a user: their own rules, followed by the shared rules.
+ * The same array is returned until one of the rulesets changes, so its rule index is reused.
+ * @param {string} userName - The TheLounge user name.
+ * @returns {Array<object>}
+ */
+function getRules(userName) {
+  const useShared = isSharedRulesEnabled();
+  const cached = effectiveRules.get(userName);
+  if (cached && cached.useShared === useShared) {
+    return cached.rules;
+  }
+  const ownRules = getUserRules(userName);
+  const combined = useShared ? [...ownRules, ...rules] : [...ownRules];
+  effectiveRules.set(userName, { useShared, rules: combined });
+  // Triggers are compiled now, so invalid ones are reported once instead of on every message
+  rebuildIndex(combined);
+  // Statistics of deleted rules are dropped; those of the shared rules are kept while they are turned off
+  ruleStats.pruneStats(userName, [...ownRules, ...rules].map(rule => rule.id));
+  return combined;
+}
+
+/**
+ * Returns whether a rule comes from the shared rules.json.
+ * @param {object} rule - The rule object.
+ * @returns {boolean}
+ */
+function isSharedRule(rule) {
+  return rules.includes(rule);
+}
+
 /**
  * Returns the path to the rules.json file.
  * @returns {string}
@@ -85,9 +323,19 @@ function getRulesPath() {
   return configFilePath;
 }
 
+/**
+ * Finds a rule that applies to a user by its id.
+ * @param {string} id - The rule id.
+ * @param {string} userName - The TheLounge user name.
+ * @returns {object|undefined}
+ */
+function getRuleById(id, userName) {
+  return getRules(userName).find(rule => rule.id === id);
+}
+
 /**
  * Returns the map of rule cooldowns.
- * @returns {Map<object, number>}
+ * @returns {Map<string, object>}
  */
 function getRuleCooldowns() {
     return ruleCooldowns;
@@ -95,8 +343,12 @@ function getRuleCooldowns() {
 
 /**
  * Merges a new set of rules into an existing set.
- * Rules are identified as unique by the combination of server, listen_channel, and trigger_text.
- * If a new rule has the same identifier as an existing one, it overwrites it. Otherwise, it's added.
+ * A new rule that has an id replaces the existing rule with the same id, if both came from
+ * the same source. Otherwise the id belongs to another rule, so the new rule is added
+ * without it, like syncSourceRules() does, and is given a new id on save.
+ * A new rule without an id is matched by the combination of server, event, listen_channel,
+ * and trigger_text, and inherits the id of the rule it replaces.
+ * Rules that match nothing are added.
  * @param {Array<object>} existingRules - The current array of rules.
  * @param {Array<object>} newRules - The new array of rules to merge.
  * @returns {{mergedRules: Array<object>, added: number, overwritten: number}}
@@ -105,22 +357,43 @@ function mergeRules(existingRules, newRules) {
   let added = 0;
   let overwritten = 0;
 
-  const createRuleKey = (rule) => `${rule.server}|${rule.listen_channel}|${rule.trigger_text}`;
+  const createRuleKey = (rule) => `${rule.server}|${rule.event || 'message'}|${rule.listen_channel}|${rule.trigger_text}`;
 
+  // Maps are keyed by either id or content, and point at the same slot in rulesMap.
   const rulesMap = new Map();
-  for (const rule of existingRules) {
-    rulesMap.set(createRuleKey(rule), rule);
-  }
+  const slotsById = new Map();
+  const slotsByContent = new Map();
+  existingRules.forEach((rule, slot) => {
+    rulesMap.set(slot, rule);
+    if (rule.id) {
+      slotsById.set(rule.id, slot);
+    }
+    slotsByContent.set(createRuleKey(rule), slot);
+  });
 
-  for (const newRule of newRules) {
-    const key = createRuleKey(newRule);
-    if (rulesMap.has(key)) {
+  let nextSlot = existingRules.length;
+  for (const incomingRule of newRules) {
+    let newRule = incomingRule;
+    let slot = newRule.id ? slotsById.get(newRule.id) : slotsByContent.get(createRuleKey(newRule));
+    if (slot !== undefined && newRule.id && rulesMap.get(slot).source !== newRule.source) {
+      const { id, ...fields } = newRule;
+      newRule = fields;
+      slot = undefined;
+    }
+    if (slot !== undefined) {
       overwritten++;
+      const replacedRule = rulesMap.get(slot);
+      // Add or overwrite the rule in the map, keeping the identity of the rule it replaces.
+      rulesMap.set(slot, !newRule.id && replacedRule.id ? { ...newRule, id: replacedRule.id } : newRule);
     } else {
       added++;
+      rulesMap.set(nextSlot, newRule);
+      if (newRule.id) {
+        slotsById.set(newRule.id, nextSlot);
+      }
+      slotsByContent.set(createRuleKey(newRule), nextSlot);
+      nextSlot++;
     }
-    // Add or overwrite the rule in the map.
-    rulesMap.set(key, newRule);
   }
 
   const mergedRules = Array.from(rulesMap.values());
@@ -129,26 +402,104 @@ function mergeRules(existingRules, newRules) {
 }
 
 /**
- * Saves a given array of rules to the rules.json file.
- * @param {Array<object>} rulesToSave - The array of rules to write to disk.
+ * Replaces the rules that came from a source (a subscribed URL) with a fresh download.
+ * Fetched rules are tagged with the source and merged like mergeRules() does, so they keep
+ * their ids; rules of the source that are no longer in the download are removed. Rules
+ * from elsewhere are left as they are.
+ * @param {Array<object>} existingRules - The current array of rules.
+ * @param {string} source - The URL the rules were fetched from.
+ * @param {Array<object>} fetchedRules - The rules in the download.
+ * @returns {{syncedRules: Array<object>, added: number, overwritten: number, removed: number}}
  */
-function saveRules(rulesToSave) {
+function syncSourceRules(existingRules, source, fetchedRules) {
+  const sourceRules = existingRules.filter(rule => rule.source === source);
+  const otherRules = existingRules.filter(rule => rule.source !== source);
+  const otherIds = new Set(otherRules.map(rule => rule.id));
+  const taggedRules = fetchedRules.map((rule) => {
+    // An id that is already used by a rule from elsewhere would clash; a new one is assigned on save.
+    const { id, ...fields } = rule;
+    return id && !otherIds.has(id) ? { ...fields, id, source } : { ...fields, source };
+  });
+
+  const { mergedRules, added, overwritten } = mergeRules(sourceRules, taggedRules);
+  // Rules of the source that no fetched rule replaced were deleted upstream.
+  const kept = mergedRules.filter(rule => !sourceRules.includes(rule));
+  const removed = mergedRules.length - kept.length;
+
+  // The rules of the source stay where the first of them was, to keep the evaluation order.
+  const firstIndex = existingRules.findIndex(rule => rule.source === source);
+  const insertAt = firstIndex === -1 ? otherRules.length : firstIndex;
+  const syncedRules = [...otherRules.slice(0, insertAt), ...kept, ...otherRules.slice(insertAt)];
+  return { syncedRules, added, overwritten, removed };
+}
+
+/**
+ * Writes a ruleset to a file. Rules without an id are given one before they are written.
+ * @param {string} filePath - The path of the rules file.
+ * @param {Array<object>} rulesToSave - The rules to write.
+ * @returns {boolean} True if the rules were written successfully.
+ */
+function writeRulesFile(filePath, rulesToSave) {
   try {
-    PluginLogger.debug(`[AM] Saving ${rulesToSave.length} rules to ${configFilePath}`);
-    const jsonContent = JSON.stringify(rulesToSave, null, 2) + '\n';
-    fs.writeFileSync(configFilePath, jsonContent, 'utf8');
-    PluginLogger.info(`[AM] Successfully saved rules to ${configFilePath}.`);
+    assignRuleIds(rulesToSave);
+    PluginLogger.debug(`[AM] Saving ${rulesToSave.length} rules to ${filePath}`);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(rulesToSave, null, 2) + '\n', 'utf8');
+    PluginLogger.info(`[AM] Successfully saved rules to ${filePath}.`);
+    return true;
   } catch (error) {
-    PluginLogger.error(`[AM] CRITICAL: Failed to save rules to ${configFilePath}.`, error);
+    PluginLogger.error(`[AM] CRITICAL: Failed to save rules to ${filePath}.`, error);
+    return false;
+  }
+}
+
+/**
+ * Saves the shared rules to the rules.json file and makes them the active shared ruleset.
+ * @param {Array<object>} rulesToSave - The array of rules to write to disk.
+ * @returns {boolean} True if the rules were written successfully.
+ */
+function saveRules(rulesToSave) {
+  if (!writeRulesFile(configFilePath, rulesToSave)) {
+    return false;
+  }
+  rules = rulesToSave;
+  effectiveRules.clear();
+  return true;
+}
+
+/**
+ * Saves a user's own rules to their rules file and makes them the user's active rules.
+ * Responses still pending from the user's previous rules are cancelled.
+ * @param {string} userName - The TheLounge user name.
+ * @param {Array<object>} rulesToSave - The user's rules.
+ * @returns {boolean} True if the rules were written successfully.
+ */
+function saveUserRules(userName, rulesToSave) {
+  if (!writeRulesFile(getUserRulesPath(userName), rulesToSave)) {
+    return false;
   }
+  userRules.set(userName, rulesToSave);
+  effectiveRules.delete(userName);
+  cancelUserResponses(userName);
+  return true;
 }
 
 module.exports = {
   init,
   loadRules,
+  loadUserRules,
   getRules,
+  getSharedRules,
+  getUserRules,
+  isSharedRule,
   getRulesPath,
+  getUserRulesPath,
+  getRuleById,
+  getRuleLabel,
   getRuleCooldowns,
+  assignRuleIds,
   mergeRules,
+  syncSourceRules,
   saveRules,
+  saveUserRules,
 };
@@ -0,0 +1,227 @@
+'use strict';
+
+/**
+ * This module counts, for each rule, how often it fired and how often its cooldown
+ * held it back, to tell the useful rules from the dead weight with '/am stats'.
+ * Counters are kept by TheLounge user and rule id in rule-stats.json, next to rules.json,
+ * so they survive reloads and restarts. Every user counts the shared rules separately,
+ * so nobody sees who triggered them for someone else, and a reset only affects oneself.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PluginLogger } = require('./logger');
+
+// Columns of the CSV export.
+const CSV_COLUMNS = ['id', 'name', 'server', 'triggers', 'last_triggered', 'last_sender', 'suppressed_by_cooldown'];
+
+// Counters are saved together, this long after the first change.
+const SAVE_DELAY_MS = 5000;
+
+// Default state
+// Key: TheLounge user name, Value: { [rule id]: { triggers: number, lastTriggered: number|null, lastSender: string|null, suppressed: number } }
+let stats = {};
+let statsPath = '';
+let saveTimer = null;
+
+/**
+ * Initializes the module and loads the saved counters.
+ * @param {string} configDir - The base directory for configuration files.
+ */
+function init(configDir) {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  statsPath = path.join(configDir, 'rule-stats.json');
+  try {
+    stats = JSON.parse(fs.readFileSync(statsPath, 'utf8'));
+    if (typeof stats !== 'object' || stats === null || Array.isArray(stats)) {
+      stats = {};
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      PluginLogger.error(`[AM] ERROR: Could not read rule statistics from ${statsPath}. Starting from zero.`, error.message);
+    }
+    stats = {};
+  }
+}
+
+/**
+ * Saves the counters to rule-stats.json.
+ */
+function saveStats() {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  try {
+    fs.writeFileSync(statsPath, JSON.stringify(stats, null, 2) + '\n', 'utf8');
+  } catch (error) {
+    PluginLogger.error(`[AM] ERROR: Failed to save rule statistics to ${statsPath}.`, error.message);
+  }
+}
+
+/**
+ * Saves the counters in a moment, so busy rules do not rewrite rule-stats.json every
+ * time they fire.
+ */
+function scheduleSave() {
+  if (saveTimer) {
+    return;
+  }
+  saveTimer = setTimeout(saveStats, SAVE_DELAY_MS);
+  if (typeof saveTimer.unref === 'function') {
+    saveTimer.unref();
+  }
+}
+
+/**
+ * Saves the changes that are waiting to be saved, e.g. when TheLounge shuts down.
+ */
+function flush() {
+  if (saveTimer) {
+    saveStats();
+  }
+}
+
+/**
+ * Returns the counters of a user, creating them if needed.
+ * @param {string} userName - The TheLounge user name.
+ * @returns {object}
+ */
+function getUserStats(userName) {
+  if (typeof stats[userName] !== 'object' || stats[userName] === null || Array.isArray(stats[userName])) {
+    stats[userName] = {};
+  }
+  return stats[userName];
+}
+
+/**
+ * Returns the counters of a rule for a user. Rules that never fired have zero counters.
+ * @param {string} userName - The TheLounge user name.
+ * @param {string} ruleId - The rule id.
+ * @returns {{triggers: number, lastTriggered: number|null, lastSender: string|null, suppressed: number}}
+ */
+function getRuleStats(userName, ruleId) {
+  const userStats = stats[userName];
+  const record = typeof userStats === 'object' && userStats !== null ? userStats[ruleId] : undefined;
+  return { triggers: 0, lastTriggered: null, lastSender: null, suppressed: 0, ...record };
+}
+
+/**
+ * Records that a rule fired for a user.
+ * @param {string} userName - The TheLounge user name.
+ * @param {object} rule - The rule object.
+ * @param {string} sender - The nick that triggered the rule.
+ * @param {number} now - The current timestamp.
+ */
+function noteTrigger(userName, rule, sender, now) {
+  if (!rule.id) {
+    return;
+  }
+  const record = getRuleStats(userName, rule.id);
+  getUserStats(userName)[rule.id] = { ...record, triggers: record.triggers + 1, lastTriggered: now, lastSender: sender };
+  scheduleSave();
+}
+
+/**
+ * Records that a rule matched for a user but was held back by its cooldown.
+ * @param {string} userName - The TheLounge user name.
+ * @param {object} rule - The rule object.
+ */
+function noteSuppressed(userName, rule) {
+  if (!rule.id) {
+    return;
+  }
+  const record = getRuleStats(userName, rule.id);
+  getUserStats(userName)[rule.id] = { ...record, suppressed: record.suppressed + 1 };
+  scheduleSave();
+}
+
+/**
+ * Sets the counters of some rules back to zero, for one user only.
+ * @param {string} userName - The TheLounge user name.
+ * @param {Array<string>} ruleIds - The ids of the rules to reset.
+ * @returns {number} The number of rules that had counters.
+ */
+function resetStats(userName, ruleIds) {
+  const userStats = getUserStats(userName);
+  const reset = ruleIds.filter(ruleId => userStats.hasOwnProperty(ruleId));
+  reset.forEach(ruleId => delete userStats[ruleId]);
+  if (reset.length > 0) {
+    saveStats();
+  }
+  return reset.length;
+}
+
+/**
+ * Forgets the counters a user has for rules that no longer exist.
+ * @param {string} userName - The TheLounge user name.
+ * @param {Array<string>} ruleIds - The ids of the rules that apply to the user.
+ * @returns {number} The number of rules whose counters were forgotten.
+ */
+function pruneStats(userName, ruleIds) {
+  const userStats = stats[userName];
+  if (typeof userStats !== 'object' || userStats === null) {
+    return 0;
+  }
+  const kept = new Set(ruleIds);
+  const removed = Object.keys(userStats).filter(ruleId => !kept.has(ruleId));
+  removed.forEach(ruleId => delete userStats[ruleId]);
+  if (removed.length > 0) {
+    scheduleSave();
+  }
+  return removed.length;
+}
+
+/**
+ * Returns rules with the counters of a user, most active first: by trigger count, then
+ * by the last time they fired.
+ * @param {string} userName - The TheLounge user name.
+ * @param {Array<object>} rules - The rules to rank.
+ * @returns {Array<{rule: object, stats: object}>}
+ */
+function rankByActivity(userName, rules) {
+  return rules
+    .map(rule => ({ rule, stats: getRuleStats(userName, rule.id) }))
+    .sort((a, b) => (b.stats.triggers - a.stats.triggers) || ((b.stats.lastTriggered || 0) - (a.stats.lastTriggered || 0)));
+}
+
+/**
+ * Quotes a CSV field when needed (RFC 4180).
+ * @param {any} value - The value of the field.
+ * @returns {string}
+ */
+function toCsvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Exports the counters of a user for some rules as CSV lines, header first, most active rules first.
+ * @param {string} userName - The TheLounge user name.
+ * @param {Array<object>} rules - The rules to export.
+ * @returns {Array<string>}
+ */
+function toCsv(userName, rules) {
+  const rows = rankByActivity(userName, rules).map(({ rule, stats: record }) => [
+    rule.id,
+    rule.name,
+    rule.server,
+    record.triggers,
+    record.lastTriggered ? new Date(record.lastTriggered).toISOString() : '',
+    record.lastSender,
+    record.suppressed,
+  ]);
+  return [CSV_COLUMNS, ...rows].map(row => row.map(toCsvField).join(','));
+}
+
+module.exports = {
+  CSV_COLUMNS,
+  init,
+  getRuleStats,
+  noteTrigger,
+  noteSuppressed,
+  resetStats,
+  pruneStats,
+  flush,
+  rankByActivity,
+  toCsv,
+};
@@ -1,51 +1,452 @@
 'use strict';
 
+const { findTemplateError } = require('./template');
+const { EVENT_TYPES, CHANNELLESS_EVENTS, getRuleEvent, getEventVariables } = require('./events');
+const { findConditionError } = require('./sender-filter');
+const { findRedosRisk } = require('./regex-safety');
+
+// All the properties a rule may have.
+const RULE_FIELDS = [
+  'id',
+  'name',
+  'server',
+  'listen_channel',
+  'event',
+  'trigger_text',
+  'trigger_flags',
+  'response_text',
+  'response_mode',
+  'response_type',
+  'steps',
+  'response_channel',
+  'cooldown_seconds',
+  'cooldown_scope',
+  'max_per_window',
+  'delay_seconds',
+  'when',
+  'only_from',
+  'except_from',
+  'priority',
+  'continue',
+  'source',
+];
+
+// Flags a trigger may use, as accepted by RegExp.
+const TRIGGER_FLAGS = ['d', 'g', 'i', 'm', 's', 'u', 'y'];
+
+// Allowed values for the 'when' field.
+const WHEN_VALUES = ['always', 'away'];
+
+// Allowed values for the 'cooldown_scope' field. A separate cooldown timer is kept for each channel and/or sender.
+const COOLDOWN_SCOPES = ['rule', 'channel', 'sender', 'sender+channel'];
+
+// Allowed values for the 'response_mode' field, used when response_text is an array.
+const RESPONSE_MODES = ['random', 'weighted', 'sequential', 'all'];
+
+// Allowed values for the 'response_type' field. Defaults to 'message'.
+const RESPONSE_TYPES = ['message', 'notice', 'action', 'ctcp', 'command'];
+
+// Commands a 'command' response may run. Commands that could disconnect the user,
+// change the client configuration or send raw IRC lines are deliberately left out.
+const ALLOWED_COMMANDS = ['msg', 'notice', 'me', 'ctcp', 'invite', 'kick', 'ban', 'unban', 'mode', 'op', 'deop', 'voice', 'devoice', 'topic', 'join', 'part', 'whois'];
+
 /**
- * Validates an array of rule objects against the required schema.
- * This function mutates the rule objects in place by casting numeric string values to numbers.
- * @param {any} rules - The parsed JSON data to validate.
- * @returns {{isValid: boolean, error?: string}}
+ * Returns whether an object has a property of its own. Rules are untrusted JSON, so a rule
+ * may have a 'hasOwnProperty' key of its own and the method cannot be called on it.
+ * @param {object} object - The rule, step or response entry.
+ * @param {string} field - The property name.
+ * @returns {boolean}
  */
-function validateRules(rules) {
-  if (!Array.isArray(rules)) {
-    return { isValid: false, error: 'The provided rules data is not an array.' };
+function hasField(object, field) {
+  return Object.prototype.hasOwnProperty.call(object, field);
+}
+
+/**
+ * Returns the name of the command a 'command' response runs, e.g. 'mode' for '/mode #chan +v bob'.
+ * @param {string} text - The response text, with or without the leading slash.
+ * @returns {string}
+ */
+function getCommandName(text) {
+  return text.trim().replace(/^\//, '').split(/\s+/)[0].toLowerCase();
+}
+
+/**
+ * Checks that every text a rule may send is a command from ALLOWED_COMMANDS.
+ * @param {Array<string>} texts - The texts to check.
+ * @param {number} ruleNumber - The 1-based rule number, for error messages.
+ * @returns {string|null} An error message, or null if every command is allowed.
+ */
+function validateCommands(texts, ruleNumber) {
+  for (const text of texts) {
+    const commandName = getCommandName(text);
+    if (!ALLOWED_COMMANDS.includes(commandName)) {
+      return `Rule #${ruleNumber} uses a command that is not allowed: '${commandName}'. Allowed commands: ${ALLOWED_COMMANDS.join(', ')}.`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Returns the capture groups of a rule's trigger, used to check group references in responses.
+ * @param {object} rule - The rule object.
+ * @returns {{count: number, names: Array<string>}|null} The groups, or null if the trigger is not a valid regex.
+ */
+function getTriggerGroups(rule) {
+  if (!rule.trigger_text) {
+    return { count: 0, names: [] };
+  }
+  try {
+    const flags = (rule.trigger_flags || '').replace(/[gy]/g, '');
+    // The empty alternative makes the regex match '', which reveals all of its groups.
+    const match = new RegExp(`${rule.trigger_text.replace(/{{me}}/g, 'me')}|`, flags).exec('');
+    return { count: match.length - 1, names: Object.keys(match.groups || {}) };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Checks the placeholders of every text a rule may send.
+ * @param {object} rule - The rule object, already checked for its required fields.
+ * @param {number} ruleNumber - The 1-based rule number, for error messages.
+ * @returns {string|null} An error message, or null if every placeholder is valid.
+ */
+function validateTemplates(rule, ruleNumber) {
+  const groups = getTriggerGroups(rule);
+  const variables = getEventVariables(getRuleEvent(rule));
+  const texts = [];
+  if (Array.isArray(rule.steps)) {
+    rule.steps.forEach((step, j) => texts.push({ text: step.text, field: `step #${j + 1}` }));
+  } else {
+    const entries = Array.isArray(rule.response_text) ? rule.response_text : [rule.response_text];
+    entries.forEach(entry => texts.push({ text: typeof entry === 'string' ? entry : entry.text, field: "'response_text'" }));
+  }
+  for (const { text, field } of texts) {
+    const error = findTemplateError(text, groups, variables);
+    if (error) {
+      return `Rule #${ruleNumber} has an invalid placeholder in ${field}. ${error}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Checks the entries of an array response_text.
+ * Each entry is a non-empty string or a { text, weight } object with a positive numeric weight.
+ * @param {Array} entries - The response_text array.
+ * @param {number} ruleNumber - The 1-based rule number, for error messages.
+ * @returns {string|null} An error message, or null if the entries are valid.
+ */
+function validateResponseEntries(entries, ruleNumber) {
+  if (entries.length === 0) {
+    return `Rule #${ruleNumber} has an empty 'response_text' array.`;
+  }
+  for (let j = 0; j < entries.length; j++) {
+    const entry = entries[j];
+    const text = typeof entry === 'object' && entry !== null ? entry.text : entry;
+    if (typeof text !== 'string' || text.trim() === '') {
+      return `Rule #${ruleNumber} has an invalid 'response_text' entry #${j + 1}. Expected a non-empty string or an object with a 'text' string.`;
+    }
+    if (typeof entry === 'object' && hasField(entry, 'weight') && !(typeof entry.weight === 'number' && entry.weight > 0)) {
+      return `Rule #${ruleNumber} has an invalid weight in 'response_text' entry #${j + 1}. Expected a positive number.`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Checks the steps of a rule. Each step needs a non-empty 'text', and may have a
+ * 'target' string, its own 'response_type' and a numeric 'delay_seconds' (numeric
+ * strings are cast in place).
+ * @param {any} steps - The steps value.
+ * @param {number} ruleNumber - The 1-based rule number, for error messages.
+ * @returns {string|null} An error message, or null if the steps are valid.
+ */
+function validateSteps(steps, ruleNumber) {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    return `Rule #${ruleNumber} has an invalid 'steps' value. Expected a non-empty array.`;
+  }
+  for (let j = 0; j < steps.length; j++) {
+    const step = steps[j];
+    if (typeof step !== 'object' || step === null || Array.isArray(step)) {
+      return `Rule #${ruleNumber} has an invalid step #${j + 1}. Expected an object.`;
+    }
+    if (typeof step.text !== 'string' || step.text.trim() === '') {
+      return `Rule #${ruleNumber} has a step #${j + 1} without a non-empty 'text'.`;
+    }
+    if (hasField(step, 'target') && (typeof step.target !== 'string' || step.target.trim() === '')) {
+      return `Rule #${ruleNumber} has an invalid 'target' in step #${j + 1}. Expected a non-empty string.`;
+    }
+    if (hasField(step, 'response_type') && !RESPONSE_TYPES.includes(step.response_type)) {
+      return `Rule #${ruleNumber} has an invalid 'response_type' in step #${j + 1}: '${step.response_type}'. Expected one of: ${RESPONSE_TYPES.join(', ')}.`;
+    }
+    if (hasField(step, 'delay_seconds')) {
+      const delay = typeof step.delay_seconds === 'string' && step.delay_seconds.trim() !== '' ? Number(step.delay_seconds) : step.delay_seconds;
+      if (typeof delay !== 'number' || isNaN(delay) || delay < 0) {
+        return `Rule #${ruleNumber} has an invalid 'delay_seconds' in step #${j + 1}. Expected a non-negative number.`;
+      }
+      step.delay_seconds = delay; // Mutate the object with the correct type
+    }
+  }
+  return null;
+}
+
+/**
+ * Checks that a rule's trigger compiles with its flags.
+ * @param {object} rule - The rule object, with a string trigger_text.
+ * @returns {{field: string, message: string}|null} The problem, or null if the trigger compiles.
+ */
+function findTriggerError(rule) {
+  const flags = hasField(rule, 'trigger_flags') ? rule.trigger_flags : '';
+  if (typeof flags !== 'string' || [...flags].some((flag, j) => !TRIGGER_FLAGS.includes(flag) || flags.indexOf(flag) !== j)) {
+    return { field: 'trigger_flags', message: `has an invalid 'trigger_flags': '${flags}'. Expected each of ${TRIGGER_FLAGS.join(', ')} at most once.` };
+  }
+  try {
+    // {{me}} is replaced by our nick when the trigger is used; any nick will do here.
+    new RegExp(rule.trigger_text.replace(/{{me}}/g, 'me'), flags);
+  } catch (error) {
+    return { field: 'trigger_text', message: `has an invalid 'trigger_text'. ${error.message}` };
+  }
+  // Triggers run on TheLounge's event loop, so patterns that can hang it are refused.
+  const risk = findRedosRisk(rule.trigger_text);
+  if (risk) {
+    return { field: 'trigger_text', message: `has an unsafe 'trigger_text'. ${risk}` };
+  }
+  return null;
+}
+
+/**
+ * Checks the fields of one rule and reports every problem found.
+ * Numeric strings are cast to numbers in place.
+ * @param {object} rule - The rule object.
+ * @param {number} ruleNumber - The 1-based rule number, for error messages.
+ * @param {Set<string>} seenIds - Ids of the rules checked so far.
+ * @param {function(string|null, string)} addError - Called with the field and message of each error.
+ * @param {function(string, string)} addWarning - Called with the field and message of each warning.
+ */
+function validateRule(rule, ruleNumber, seenIds, addError, addWarning) {
+  if (typeof rule !== 'object' || rule === null || Array.isArray(rule)) {
+    addError(null, `Rule #${ruleNumber} is not a valid object.`);
+    return;
+  }
+
+  Object.keys(rule).filter(field => !RULE_FIELDS.includes(field)).forEach(field => {
+    addWarning(field, `Rule #${ruleNumber} has an unknown field '${field}'. It will be ignored.`);
+  });
+
+  const optionalStrings = ['id', 'name', 'source'];
+  for (const prop of optionalStrings) {
+    if (hasField(rule, prop) && (typeof rule[prop] !== 'string' || rule[prop].trim() === '')) {
+      addError(prop, `Rule #${ruleNumber} has an invalid '${prop}'. Expected a non-empty string.`);
+    }
   }
 
-  for (let i = 0; i < rules.length; i++) {
-    const rule = rules[i];
+  if (typeof rule.id === 'string') {
+    if (seenIds.has(rule.id)) {
+      addError('id', `Rule #${ruleNumber} has a duplicate id: '${rule.id}'.`);
+    }
+    seenIds.add(rule.id);
+  }
 
-    if (typeof rule !== 'object' || rule === null) {
-      return { isValid: false, error: `Rule #${i + 1} is not a valid object.` };
+  // Templates and commands are only checked once the texts holding them are valid.
+  let responseIsValid = true;
+
+  // A rule responds either with response_text or with a sequence of steps.
+  if (hasField(rule, 'steps')) {
+    if (hasField(rule, 'response_text')) {
+      addError('steps', `Rule #${ruleNumber} has both 'response_text' and 'steps'. Use only one of them.`);
+      responseIsValid = false;
+    }
+    const error = validateSteps(rule.steps, ruleNumber);
+    if (error) {
+      addError('steps', error);
+      responseIsValid = false;
     }
+  }
+
+  let eventIsValid = true;
+  if (hasField(rule, 'event') && !EVENT_TYPES.includes(rule.event)) {
+    addError('event', `Rule #${ruleNumber} has an invalid 'event': '${rule.event}'. Expected one of: ${EVENT_TYPES.join(', ')}.`);
+    eventIsValid = false;
+  }
+  const eventType = getRuleEvent(rule);
 
-    const requiredStrings = ['server', 'listen_channel', 'trigger_text', 'response_text'];
-    for (const prop of requiredStrings) {
-      if (typeof rule[prop] !== 'string' || rule[prop].trim() === '') {
-        return { isValid: false, error: `Rule #${i + 1} is missing or has an empty required string property: '${prop}'.` };
+  // Only message rules need a trigger; rules for other events fire on every occurrence without one.
+  // Events that are not tied to a channel need a response_channel instead of a listen_channel.
+  const requiredStrings = [
+    'server',
+    CHANNELLESS_EVENTS.includes(eventType) ? 'response_channel' : 'listen_channel',
+    ...(eventType === 'message' || hasField(rule, 'trigger_text') ? ['trigger_text'] : []),
+    'response_text',
+  ];
+  for (const prop of requiredStrings) {
+    if (prop === 'response_text' && hasField(rule, 'steps')) {
+      continue;
+    }
+    // listen_channel may also be a non-empty array of channel names or patterns.
+    if (prop === 'listen_channel' && Array.isArray(rule[prop])) {
+      if (rule[prop].length === 0 || rule[prop].some(entry => typeof entry !== 'string' || entry.trim() === '')) {
+        addError(prop, `Rule #${ruleNumber} has an invalid 'listen_channel' array. It must contain at least one non-empty string.`);
       }
+      continue;
     }
+    // response_text may also be an array of alternative responses.
+    if (prop === 'response_text' && Array.isArray(rule[prop])) {
+      const error = validateResponseEntries(rule[prop], ruleNumber);
+      if (error) {
+        addError(prop, error);
+        responseIsValid = false;
+      }
+      continue;
+    }
+    if (typeof rule[prop] !== 'string' || rule[prop].trim() === '') {
+      addError(prop, `Rule #${ruleNumber} is missing or has an empty required string property: '${prop}'.`);
+      if (prop === 'response_text' || prop === 'trigger_text') {
+        responseIsValid = false;
+      }
+    }
+  }
+
+  // An empty response_channel means "reply where the trigger was seen".
+  if (hasField(rule, 'response_channel') && typeof rule.response_channel !== 'string') {
+    addError('response_channel', `Rule #${ruleNumber} has an invalid 'response_channel'. Expected a string.`);
+  }
+
+  if (typeof rule.trigger_text === 'string' && rule.trigger_text.trim() !== '') {
+    const triggerError = findTriggerError(rule);
+    if (triggerError) {
+      addError(triggerError.field, `Rule #${ruleNumber} ${triggerError.message}`);
+      responseIsValid = false;
+    }
+  } else if (hasField(rule, 'trigger_flags') && !hasField(rule, 'trigger_text')) {
+    addWarning('trigger_flags', `Rule #${ruleNumber} has 'trigger_flags' but no 'trigger_text'. They will be ignored.`);
+  }
+
+  if (hasField(rule, 'response_mode') && !RESPONSE_MODES.includes(rule.response_mode)) {
+    addError('response_mode', `Rule #${ruleNumber} has an invalid 'response_mode': '${rule.response_mode}'. Expected one of: ${RESPONSE_MODES.join(', ')}.`);
+  }
 
-    const numericFields = ['cooldown_seconds', 'delay_seconds'];
-    for (const field of numericFields) {
-      if (rule.hasOwnProperty(field)) {
-        const originalValue = rule[field];
-        
-        if (typeof originalValue === 'string' && originalValue.trim() !== '') {
-          const parsedValue = Number(originalValue);
-          if (isNaN(parsedValue)) {
-            return { isValid: false, error: `Rule #${i + 1} has a non-numeric string for '${field}': '${originalValue}'.` };
-          }
-          rule[field] = parsedValue; // Mutate the object with the correct type
-        } else if (typeof originalValue !== 'number') {
-          return { isValid: false, error: `Rule #${i + 1} has an invalid type for '${field}'. Expected a number or a numeric string.` };
+  if (responseIsValid && eventIsValid) {
+    const templateError = validateTemplates(rule, ruleNumber);
+    if (templateError) {
+      addError(hasField(rule, 'steps') ? 'steps' : 'response_text', templateError);
+    }
+  }
+
+  if (hasField(rule, 'response_type') && !RESPONSE_TYPES.includes(rule.response_type)) {
+    addError('response_type', `Rule #${ruleNumber} has an invalid 'response_type': '${rule.response_type}'. Expected one of: ${RESPONSE_TYPES.join(', ')}.`);
+  }
+
+  // Commands are checked as written, so the command name cannot come from a variable.
+  if (responseIsValid) {
+    const commandTexts = [];
+    if (Array.isArray(rule.steps)) {
+      rule.steps.filter(step => (step.response_type || rule.response_type) === 'command').forEach(step => commandTexts.push(step.text));
+    } else if (rule.response_type === 'command') {
+      const entries = Array.isArray(rule.response_text) ? rule.response_text : [rule.response_text];
+      entries.forEach(entry => commandTexts.push(typeof entry === 'string' ? entry : entry.text));
+    }
+    const commandError = validateCommands(commandTexts, ruleNumber);
+    if (commandError) {
+      addError(hasField(rule, 'steps') ? 'steps' : 'response_text', commandError);
+    }
+  }
+
+  if (hasField(rule, 'when') && !WHEN_VALUES.includes(rule.when)) {
+    addError('when', `Rule #${ruleNumber} has an invalid 'when': '${rule.when}'. Expected one of: ${WHEN_VALUES.join(', ')}.`);
+  }
+
+  // only_from and except_from hold a condition or a non-empty array of conditions.
+  for (const field of ['only_from', 'except_from']) {
+    if (!hasField(rule, field)) {
+      continue;
+    }
+    const conditions = Array.isArray(rule[field]) ? rule[field] : [rule[field]];
+    if (conditions.length === 0) {
+      addError(field, `Rule #${ruleNumber} has an empty '${field}' array.`);
+    }
+    for (const condition of conditions) {
+      const error = findConditionError(condition);
+      if (error) {
+        addError(field, `Rule #${ruleNumber} has an invalid '${field}' condition. ${error}`);
+        break;
+      }
+    }
+  }
+
+  if (hasField(rule, 'cooldown_scope') && !COOLDOWN_SCOPES.includes(rule.cooldown_scope)) {
+    addError('cooldown_scope', `Rule #${ruleNumber} has an invalid 'cooldown_scope': '${rule.cooldown_scope}'. Expected one of: ${COOLDOWN_SCOPES.join(', ')}.`);
+  }
+
+  // 'true' and 'false' are accepted, as given by '/am rule edit'.
+  if (hasField(rule, 'continue')) {
+    if (rule.continue === 'true' || rule.continue === 'false') {
+      rule.continue = rule.continue === 'true'; // Mutate the object with the correct type
+    } else if (typeof rule.continue !== 'boolean') {
+      addError('continue', `Rule #${ruleNumber} has an invalid 'continue': '${rule.continue}'. Expected true or false.`);
+    }
+  }
+
+  const numericFields = ['cooldown_seconds', 'delay_seconds', 'max_per_window', 'priority'];
+  for (const field of numericFields) {
+    if (hasField(rule, field)) {
+      const originalValue = rule[field];
+
+      if (typeof originalValue === 'string' && originalValue.trim() !== '') {
+        const parsedValue = Number(originalValue);
+        if (isNaN(parsedValue)) {
+          addError(field, `Rule #${ruleNumber} has a non-numeric string for '${field}': '${originalValue}'.`);
+          continue;
         }
+        rule[field] = parsedValue; // Mutate the object with the correct type
+      } else if (typeof originalValue !== 'number') {
+        addError(field, `Rule #${ruleNumber} has an invalid type for '${field}'. Expected a number or a numeric string.`);
+        continue;
+      }
+      if (field === 'max_per_window' && !(Number.isInteger(rule[field]) && rule[field] >= 1)) {
+        addError(field, `Rule #${ruleNumber} has an invalid 'max_per_window': ${rule[field]}. Expected a whole number of at least 1.`);
       }
     }
   }
+}
 
-  return { isValid: true };
+/**
+ * Validates an array of rule objects against the required schema.
+ * Every rule is checked completely, so all of its problems are reported at once.
+ * This function mutates the rule objects in place by casting numeric string values to numbers.
+ * @param {any} rules - The parsed JSON data to validate.
+ * @returns {{isValid: boolean, error?: string, errors: Array<ValidationProblem>, warnings: Array<ValidationProblem>}}
+ *   'error' is the first error message. A ValidationProblem is { ruleNumber, field, message },
+ *   where ruleNumber is 1-based and field may be null when the problem is not about one field.
+ */
+function validateRules(rules) {
+  const errors = [];
+  const warnings = [];
+  if (!Array.isArray(rules)) {
+    errors.push({ ruleNumber: null, field: null, message: 'The provided rules data is not an array.' });
+  } else {
+    const seenIds = new Set();
+    rules.forEach((rule, i) => validateRule(
+      rule,
+      i + 1,
+      seenIds,
+      (field, message) => errors.push({ ruleNumber: i + 1, field, message }),
+      (field, message) => warnings.push({ ruleNumber: i + 1, field, message })
+    ));
+  }
+
+  if (errors.length > 0) {
+    return { isValid: false, error: errors[0].message, errors, warnings };
+  }
+  return { isValid: true, errors, warnings };
 }
 
 module.exports = {
+  RULE_FIELDS,
+  TRIGGER_FLAGS,
+  RESPONSE_MODES,
+  RESPONSE_TYPES,
+  ALLOWED_COMMANDS,
+  getCommandName,
   validateRules,
 };
@@ -0,0 +1,197 @@
+'use strict';
+
+/**
+ * This module decides who may trigger rules. It keeps the ignore lists and checks the
+ * 'only_from' and 'except_from' conditions of rules. Every TheLounge user has an ignore
+ * list of their own; the 'ignoreList' at the top of config.json applies to all users.
+ *
+ * A condition is one of:
+ *   - A mask matched against nick!user@host, with '*' and '?' wildcards. 'bob' means 'bob!*@*'.
+ *   - 'account:<name>' for the services account of the sender (IRCv3 account-tag or extended-join).
+ *     'account:*' matches anyone who is logged in.
+ *   - 'status:op', 'status:halfop' or 'status:voice' for senders with at least that privilege
+ *     in the channel of the event.
+ */
+
+const pluginConfigManager = require('./plugin-config');
+const { matchesGlob } = require('./glob');
+
+// Privilege levels of the channel prefixes. Owners and admins count as ops.
+const PREFIX_LEVELS = { '~': 3, '&': 3, '@': 3, '%': 2, '+': 1 };
+const STATUS_LEVELS = { op: 3, halfop: 2, voice: 1 };
+
+/**
+ * Completes a mask to the nick!user@host form: 'bob' becomes 'bob!*@*', '*@host' becomes '*!*@host'.
+ * @param {string} mask - The mask given by the user.
+ * @returns {string}
+ */
+function normalizeMask(mask) {
+  let normalized = mask.trim();
+  if (!normalized.includes('!')) {
+    normalized = normalized.includes('@') ? `*!${normalized}` : `${normalized}!*@*`;
+  }
+  if (!normalized.includes('@')) {
+    normalized = `${normalized}@*`;
+  }
+  return normalized;
+}
+
+/**
+ * Returns a description of what is wrong with a condition, or null if it is valid.
+ * @param {any} condition - The condition to check.
+ * @returns {string|null}
+ */
+function findConditionError(condition) {
+  if (typeof condition !== 'string' || condition.trim() === '') {
+    return 'Expected a non-empty string.';
+  }
+  const lower = condition.trim().toLowerCase();
+  if (lower.startsWith('status:') && !STATUS_LEVELS[lower.slice('status:'.length)]) {
+    return `Unknown status in '${condition}'. Expected one of: ${Object.keys(STATUS_LEVELS).map(status => `status:${status}`).join(', ')}.`;
+  }
+  if (lower.startsWith('account:') && lower.slice('account:'.length) === '') {
+    return `'${condition}' has no account name. Use 'account:*' for anyone who is logged in.`;
+  }
+  if (/\s/.test(condition.trim())) {
+    return `'${condition}' contains spaces.`;
+  }
+  return null;
+}
+
+/**
+ * Returns the highest privilege level of a nick in a channel, or 0 if unknown.
+ * @param {object} network - The TheLounge network object.
+ * @param {string} channelName - The channel name.
+ * @param {string} nick - The nick.
+ * @returns {number}
+ */
+function getPrivilegeLevel(network, channelName, nick) {
+  const chan = (network.channels || []).find(c => c.name && c.name.toLowerCase() === channelName.toLowerCase());
+  const user = chan && chan.users && typeof chan.users.get === 'function' ? chan.users.get(nick.toLowerCase()) : null;
+  if (!user || !Array.isArray(user.modes)) {
+    return 0;
+  }
+  return Math.max(0, ...user.modes.map(symbol => PREFIX_LEVELS[symbol] || 0));
+}
+
+/**
+ * Tests a condition against the sender of an event.
+ * @param {string} condition - A mask, 'account:<name>' or 'status:<level>'.
+ * @param {object} info - The event, as described by events.describeEvent().
+ * @param {object} network - The TheLounge network object.
+ * @returns {boolean}
+ */
+function matchesCondition(condition, info, network) {
+  const from = info.from || { nick: info.sender, user: '', host: '', account: null };
+  const trimmed = condition.trim();
+  const lower = trimmed.toLowerCase();
+  if (lower.startsWith('account:')) {
+    return Boolean(from.account) && matchesGlob(trimmed.slice('account:'.length), from.account);
+  }
+  if (lower.startsWith('status:')) {
+    // Privileges only exist in channels.
+    if (info.isQuery || !info.target) {
+      return false;
+    }
+    return getPrivilegeLevel(network, info.target, from.nick) >= (STATUS_LEVELS[lower.slice('status:'.length)] || Infinity);
+  }
+  return matchesGlob(normalizeMask(trimmed), `${from.nick}!${from.user}@${from.host}`);
+}
+
+/**
+ * Returns the conditions of a rule field as an array.
+ * @param {string|Array<string>|undefined} value - The value of only_from or except_from.
+ * @returns {Array<string>}
+ */
+function toConditionList(value) {
+  if (value === undefined) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Checks the only_from and except_from conditions of a rule.
+ * @param {object} rule - The rule object.
+ * @param {object} info - The event, as described by events.describeEvent().
+ * @param {object} network - The TheLounge network object.
+ * @returns {boolean} True if the sender may trigger the rule.
+ */
+function isAllowedByRule(rule, info, network) {
+  const onlyFrom = toConditionList(rule.only_from);
+  if (onlyFrom.length > 0 && !onlyFrom.some(condition => matchesCondition(condition, info, network))) {
+    return false;
+  }
+  return !toConditionList(rule.except_from).some(condition => matchesCondition(condition, info, network));
+}
+
+/**
+ * Returns the ignore list of a TheLounge user, or the shared one from the top of config.json.
+ * @param {string} [userName] - The TheLounge user name. Omit it for the shared list.
+ * @returns {Array<string>}
+ */
+function getIgnoreList(userName) {
+  const settings = userName === undefined ? pluginConfigManager.getPluginConfig() : pluginConfigManager.getUserSettings(userName);
+  // Recreate the list if config.json was corrupted by hand.
+  if (!Array.isArray(settings.ignoreList)) {
+    settings.ignoreList = [];
+  }
+  return settings.ignoreList;
+}
+
+/**
+ * Returns whether the sender of an event is on the shared ignore list or on the user's own.
+ * @param {object} info - The event, as described by events.describeEvent().
+ * @param {object} network - The TheLounge network object.
+ * @param {string} userName - The TheLounge user the event was received for.
+ * @returns {boolean}
+ */
+function isIgnored(info, network, userName) {
+  return [...getIgnoreList(), ...getIgnoreList(userName)].some(mask => matchesCondition(mask, info, network));
+}
+
+/**
+ * Adds a mask to the ignore list of a user and saves it.
+ * @param {string} userName - The TheLounge user name.
+ * @param {string} mask - A mask or an 'account:' condition.
+ * @returns {string|null} The mask as stored, or null if it was already on the list.
+ */
+function addIgnore(userName, mask) {
+  const list = getIgnoreList(userName);
+  const entry = mask.toLowerCase().startsWith('account:') ? mask : normalizeMask(mask);
+  if (list.some(existing => existing.toLowerCase() === entry.toLowerCase())) {
+    return null;
+  }
+  list.push(entry);
+  pluginConfigManager.savePluginConfig();
+  return entry;
+}
+
+/**
+ * Removes a mask from the ignore list of a user and saves it.
+ * @param {string} userName - The TheLounge user name.
+ * @param {string} mask - The mask, as given to addIgnore() or as listed.
+ * @returns {string|null} The removed mask, or null if it was not on the list.
+ */
+function removeIgnore(userName, mask) {
+  const list = getIgnoreList(userName);
+  const candidates = [mask.toLowerCase(), normalizeMask(mask).toLowerCase()];
+  const index = list.findIndex(existing => candidates.includes(existing.toLowerCase()));
+  if (index === -1) {
+    return null;
+  }
+  const [removed] = list.splice(index, 1);
+  pluginConfigManager.savePluginConfig();
+  return removed;
+}
+
+module.exports = {
+  normalizeMask,
+  findConditionError,
+  matchesCondition,
+  isAllowedByRule,
+  getIgnoreList,
+  isIgnored,
+  addIgnore,
+  removeIgnore,
+};
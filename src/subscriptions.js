@@ -0,0 +1,222 @@
+'use strict';
+
+/**
+ * This module keeps the rule subscriptions of each TheLounge user. A subscription is a
+ * URL whose rules are fetched again at a regular interval and synced into the user's own
+ * rules: new rules are added, changed ones updated, and rules deleted upstream removed.
+ * Rules keep the URL in their 'source' field. Conditional requests (ETag/Last-Modified)
+ * let unchanged URLs be skipped without rewriting the rules file.
+ *
+ * Subscriptions are stored in subscriptions.json, next to rules.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PluginLogger } = require('./logger');
+const ruleManager = require('./rule-manager');
+const ruleFetcher = require('./rule-fetcher');
+
+const DEFAULT_INTERVAL_MINUTES = 60;
+const MIN_INTERVAL_MINUTES = 5;
+
+// Due subscriptions are looked for this often.
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+// Default state
+// Key: TheLounge user name, Value: Array<{url, intervalMinutes, etag, lastModified, lastChecked, lastResult}>
+let subscriptions = {};
+let subscriptionsPath = '';
+let checkTimer = null;
+// Key: '<user name> <url>'; refreshes that are running, so a slow server is not asked twice.
+const refreshing = new Set();
+
+/**
+ * Initializes the module, loads the saved subscriptions and starts refreshing them.
+ * @param {string} configDir - The base directory for configuration files.
+ */
+function init(configDir) {
+  subscriptionsPath = path.join(configDir, 'subscriptions.json');
+  try {
+    subscriptions = JSON.parse(fs.readFileSync(subscriptionsPath, 'utf8'));
+    if (typeof subscriptions !== 'object' || subscriptions === null || Array.isArray(subscriptions)) {
+      subscriptions = {};
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      PluginLogger.error(`[AM] ERROR: Could not read subscriptions from ${subscriptionsPath}.`, error.message);
+    }
+    subscriptions = {};
+  }
+
+  if (checkTimer) {
+    clearInterval(checkTimer);
+  }
+  checkTimer = setInterval(() => refreshDue(Date.now()), CHECK_INTERVAL_MS);
+  if (typeof checkTimer.unref === 'function') {
+    checkTimer.unref();
+  }
+}
+
+/**
+ * Saves the subscriptions to subscriptions.json.
+ */
+function saveSubscriptions() {
+  try {
+    fs.writeFileSync(subscriptionsPath, JSON.stringify(subscriptions, null, 2) + '\n', 'utf8');
+  } catch (error) {
+    PluginLogger.error(`[AM] ERROR: Failed to save subscriptions to ${subscriptionsPath}.`, error.message);
+  }
+}
+
+/**
+ * Returns the subscriptions of a user.
+ * @param {string} userName - The TheLounge user name.
+ * @returns {Array<object>}
+ */
+function getSubscriptions(userName) {
+  return Array.isArray(subscriptions[userName]) ? subscriptions[userName] : [];
+}
+
+/**
+ * Finds a subscription of a user by its URL, or by its number in '/am subscribe list'.
+ * @param {string} userName - The TheLounge user name.
+ * @param {string} ref - The URL or number given by the user.
+ * @returns {object|undefined}
+ */
+function findSubscription(userName, ref) {
+  const list = getSubscriptions(userName);
+  if (/^\d+$/.test(ref || '')) {
+    return list[Number(ref) - 1];
+  }
+  return list.find(subscription => subscription.url === ref);
+}
+
+/**
+ * Subscribes a user to a URL, or changes the interval of an existing subscription.
+ * @param {string} userName - The TheLounge user name.
+ * @param {string} url - The URL of the rules.
+ * @param {number} [intervalMinutes] - How often the URL is fetched again.
+ * @returns {{subscription: object, created: boolean}}
+ */
+function addSubscription(userName, url, intervalMinutes = DEFAULT_INTERVAL_MINUTES) {
+  const existing = findSubscription(userName, url);
+  if (existing) {
+    existing.intervalMinutes = intervalMinutes;
+    saveSubscriptions();
+    return { subscription: existing, created: false };
+  }
+  const subscription = { url, intervalMinutes, etag: null, lastModified: null, lastChecked: null, lastResult: null };
+  subscriptions[userName] = [...getSubscriptions(userName), subscription];
+  saveSubscriptions();
+  return { subscription, created: true };
+}
+
+/**
+ * Removes a subscription, along with the rules that came from it.
+ * @param {string} userName - The TheLounge user name.
+ * @param {object} subscription - A subscription from getSubscriptions().
+ * @returns {number} The number of rules removed.
+ */
+function removeSubscription(userName, subscription) {
+  const remaining = getSubscriptions(userName).filter(other => other !== subscription);
+  if (remaining.length > 0) {
+    subscriptions[userName] = remaining;
+  } else {
+    delete subscriptions[userName];
+  }
+  saveSubscriptions();
+
+  const ownRules = ruleManager.getUserRules(userName);
+  const keptRules = ownRules.filter(rule => rule.source !== subscription.url);
+  if (keptRules.length !== ownRules.length) {
+    ruleManager.saveUserRules(userName, keptRules);
+  }
+  return ownRules.length - keptRules.length;
+}
+
+/**
+ * Fetches a subscription again and syncs its rules into the user's own rules. The rules
+ * file is only written when the rules changed.
+ * @param {string} userName - The TheLounge user name.
+ * @param {object} subscription - A subscription from getSubscriptions().
+ * @param {number} now - The current timestamp.
+ * @returns {Promise<{notModified: boolean, added: number, overwritten: number, removed: number, warnings: Array<object>}>}
+ * @throws {Error} If the URL may not be fetched, its rules could not be downloaded or are
+ *   invalid, or the subscription was removed in the meantime.
+ */
+async function refreshSubscription(userName, subscription, now) {
+  const key = `${userName} ${subscription.url}`;
+  if (refreshing.has(key)) {
+    throw new Error(`${subscription.url} is already being refreshed.`);
+  }
+  refreshing.add(key);
+  subscription.lastChecked = now;
+  try {
+    const urlError = ruleFetcher.checkUrl(subscription.url);
+    if (urlError) {
+      throw new Error(urlError);
+    }
+    const result = await ruleFetcher.fetchRules(subscription.url, subscription);
+    // The user may have unsubscribed during the download; the rules removed with the subscription must not come back.
+    if (!getSubscriptions(userName).includes(subscription)) {
+      throw new Error(`${subscription.url} was unsubscribed while it was being refreshed.`);
+    }
+    if (result.notModified) {
+      subscription.lastResult = 'not modified';
+      return { notModified: true, added: 0, overwritten: 0, removed: 0, warnings: [] };
+    }
+
+    const ownRules = ruleManager.getUserRules(userName);
+    const { syncedRules, added, overwritten, removed } = ruleManager.syncSourceRules(ownRules, subscription.url, result.rules);
+    // Servers without ETag or Last-Modified send the same rules again; they are not written back.
+    if (JSON.stringify(syncedRules) !== JSON.stringify(ownRules)) {
+      ruleManager.saveUserRules(userName, syncedRules);
+    }
+    subscription.etag = result.etag;
+    subscription.lastModified = result.lastModified;
+    subscription.lastResult = `${result.rules.length} rules`;
+    return { notModified: false, added, overwritten, removed, warnings: result.warnings };
+  } catch (error) {
+    subscription.lastResult = `error: ${error.message}`;
+    throw error;
+  } finally {
+    refreshing.delete(key);
+    saveSubscriptions();
+  }
+}
+
+/**
+ * Refreshes every subscription whose interval has passed.
+ * @param {number} now - The current timestamp.
+ * @returns {Promise<void>}
+ */
+async function refreshDue(now) {
+  for (const userName of Object.keys(subscriptions)) {
+    for (const subscription of getSubscriptions(userName)) {
+      const intervalMs = Math.max(subscription.intervalMinutes || 0, MIN_INTERVAL_MINUTES) * 60 * 1000;
+      if (subscription.lastChecked && now - subscription.lastChecked < intervalMs) {
+        continue;
+      }
+      try {
+        const { notModified, added, overwritten, removed } = await refreshSubscription(userName, subscription, now);
+        if (!notModified) {
+          PluginLogger.info(`[AM] Subscription ${subscription.url} of ${userName} refreshed: ${added} added, ${overwritten} updated, ${removed} removed.`);
+        }
+      } catch (error) {
+        PluginLogger.error(`[AM] Subscription ${subscription.url} of ${userName} could not be refreshed: ${error.message}`, error.cause ? error.cause.message : '');
+      }
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_INTERVAL_MINUTES,
+  MIN_INTERVAL_MINUTES,
+  init,
+  getSubscriptions,
+  findSubscription,
+  addSubscription,
+  removeSubscription,
+  refreshSubscription,
+  refreshDue,
+};
@@ -0,0 +1,214 @@
+'use strict';
+
+/**
+ * This module renders the {{...}} placeholders of responses.
+ *
+ * A placeholder holds a variable, optionally followed by filters:
+ *   {{sender}}, {{1}}, {{group.topic}}, {{sender|upper}}, {{1|default:"something"}}
+ * The legacy $1, $2, ... capture group references are still supported.
+ */
+
+// Variables available in every response. Rules for other events than messages get a few more.
+const VARIABLES = ['me', 'sender', 'channel', 'network', 'message', 'time', 'date', 'away_reason'];
+
+// Filters that can follow a variable. Each receives the current value and the filter argument.
+const FILTERS = {
+  upper: value => value.toUpperCase(),
+  lower: value => value.toLowerCase(),
+  trim: value => value.trim(),
+  capitalize: value => value.charAt(0).toUpperCase() + value.slice(1),
+  default: (value, arg) => (value === '' ? arg : value),
+  truncate: (value, arg) => {
+    const length = parseInt(arg, 10);
+    return Number.isInteger(length) && length >= 0 ? value.slice(0, length) : value;
+  },
+};
+
+/**
+ * Returns whether a name is one of FILTERS. Names of Object.prototype members like
+ * 'constructor' or 'valueOf' are not filters.
+ * @param {string} name - The filter name.
+ * @returns {boolean}
+ */
+function isFilter(name) {
+  return Object.prototype.hasOwnProperty.call(FILTERS, name);
+}
+
+const PLACEHOLDER_PATTERN = /{{\s*([^{}]*?)\s*}}/g;
+// Placeholders and $N references, replaced in a single pass so the values put in by one
+// are never read as the other.
+const REFERENCE_PATTERN = /{{\s*([^{}]*?)\s*}}|\$(\d\d?)/g;
+const FILTER_PATTERN = /^\s*\|\s*(\w+)\s*(?::\s*(?:"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|([^|\s]*)))?\s*/;
+
+/**
+ * Splits a placeholder into its variable and filters.
+ * @param {string} expression - The text between {{ and }}.
+ * @returns {{name: string, filters: Array<{name: string, arg: string}>}}
+ * @throws {Error} If the filters cannot be parsed.
+ */
+function parseExpression(expression) {
+  const pipeIndex = expression.indexOf('|');
+  const name = (pipeIndex === -1 ? expression : expression.slice(0, pipeIndex)).trim();
+  const filters = [];
+  let rest = pipeIndex === -1 ? '' : expression.slice(pipeIndex);
+  while (rest.length > 0) {
+    const match = rest.match(FILTER_PATTERN);
+    if (!match) {
+      throw new Error(`Cannot parse the filters of '{{${expression}}}'.`);
+    }
+    const quoted = match[2] !== undefined ? match[2] : match[3];
+    const arg = quoted !== undefined ? quoted.replace(/\\(["'\\])/g, '$1') : (match[4] || '');
+    filters.push({ name: match[1], arg });
+    rest = rest.slice(match[0].length);
+  }
+  return { name, filters };
+}
+
+/**
+ * Formats a date as YYYY-MM-DD and HH:MM in a timezone.
+ * @param {Date} date - The date to format.
+ * @param {string} [timezone] - An IANA timezone name. Defaults to the server's local timezone.
+ * @returns {{date: string, time: string}}
+ */
+function formatDateTime(date, timezone) {
+  const parts = {};
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone || undefined,
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+  });
+  for (const part of formatter.formatToParts(date)) {
+    parts[part.type] = part.value;
+  }
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+}
+
+/**
+ * Returns whether a timezone name is known to the runtime.
+ * @param {string} timezone - An IANA timezone name, e.g. 'Europe/Madrid'.
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Looks up the value of a variable.
+ * @param {string} name - The variable name.
+ * @param {{variables: object, match: Array<string>}} context - The render context.
+ * @returns {string|undefined} The value, or undefined if the variable is unknown.
+ */
+function resolveVariable(name, context) {
+  const match = context.match || [];
+  if (/^\d+$/.test(name)) {
+    const index = parseInt(name, 10);
+    return index < match.length ? (match[index] || '') : undefined;
+  }
+  if (name.startsWith('group.')) {
+    const groups = match.groups || {};
+    const groupName = name.slice('group.'.length);
+    return Object.prototype.hasOwnProperty.call(groups, groupName) ? (groups[groupName] || '') : undefined;
+  }
+  // Events add their own variables (e.g. {{kicker}}), so any variable given in the context is available.
+  if (Object.prototype.hasOwnProperty.call(context.variables, name) && context.variables[name] !== undefined) {
+    return String(context.variables[name]);
+  }
+  return undefined;
+}
+
+/**
+ * Renders the placeholders and $N references of a response.
+ * Placeholders that cannot be resolved are left as they are.
+ * @param {string} text - The response text.
+ * @param {{variables: object, match?: Array<string>}} context - The variable values and the trigger's match result.
+ * @returns {string}
+ */
+function render(text, context) {
+  const match = context.match || [];
+  return text.replace(REFERENCE_PATTERN, (reference, expression, digits) => {
+    if (digits !== undefined) {
+      return renderGroupReference(reference, digits, match);
+    }
+    let parsed;
+    try {
+      parsed = parseExpression(expression);
+    } catch (error) {
+      return reference;
+    }
+    let value = resolveVariable(parsed.name, context);
+    if (value === undefined || parsed.filters.some(filter => !isFilter(filter.name))) {
+      return reference;
+    }
+    for (const filter of parsed.filters) {
+      value = FILTERS[filter.name](value, filter.arg);
+    }
+    return value;
+  });
+}
+
+/**
+ * Renders a legacy $N capture group reference.
+ * $12 means group 12 when the trigger has that many groups, and group 1 followed by '2' otherwise.
+ * @param {string} reference - The reference, e.g. '$1'.
+ * @param {string} digits - Its one or two digits.
+ * @param {Array<string>} match - The trigger's match result.
+ * @returns {string} The group's text, or the reference as it is if there is no such group.
+ */
+function renderGroupReference(reference, digits, match) {
+  const isTwoDigits = digits.length === 2 && digits.charAt(0) !== '0' && parseInt(digits, 10) < match.length;
+  const index = isTwoDigits ? parseInt(digits, 10) : parseInt(digits.charAt(0), 10);
+  const suffix = isTwoDigits ? '' : digits.slice(1);
+  if (index > 0 && index < match.length && match[index]) {
+    return match[index] + suffix;
+  }
+  return reference;
+}
+
+/**
+ * Checks the placeholders of a response.
+ * @param {string} text - The response text.
+ * @param {{count: number, names: Array<string>}|null} groups - The capture groups of the trigger, or null if unknown.
+ * @param {Array<string>} [variables] - The variables available to the response.
+ * @returns {string|null} A description of the first problem, or null if every placeholder is valid.
+ */
+function findTemplateError(text, groups, variables = VARIABLES) {
+  for (const [placeholder, expression] of text.matchAll(PLACEHOLDER_PATTERN)) {
+    let parsed;
+    try {
+      parsed = parseExpression(expression);
+    } catch (error) {
+      return error.message;
+    }
+    const { name } = parsed;
+    if (/^\d+$/.test(name)) {
+      if (groups && parseInt(name, 10) > groups.count) {
+        return `'${placeholder}' refers to capture group ${name}, but the trigger only has ${groups.count}.`;
+      }
+    } else if (name.startsWith('group.')) {
+      if (groups && !groups.names.includes(name.slice('group.'.length))) {
+        return `'${placeholder}' refers to a named group the trigger does not have.`;
+      }
+    } else if (!variables.includes(name)) {
+      return `Unknown variable '${placeholder}'. Available variables: ${variables.join(', ')}.`;
+    }
+    const unknownFilter = parsed.filters.find(filter => !isFilter(filter.name));
+    if (unknownFilter) {
+      return `Unknown filter '${unknownFilter.name}' in '${placeholder}'. Available filters: ${Object.keys(FILTERS).join(', ')}.`;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  VARIABLES,
+  FILTERS,
+  parseExpression,
+  formatDateTime,
+  isValidTimezone,
+  render,
+  findTemplateError,
+};
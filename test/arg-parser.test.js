@@ -0,0 +1,54 @@
+'use strict';
+
+const { tokenize, parseOptions } = require('../src/arg-parser');
+
+describe('Argument Parser', () => {
+  describe('tokenize', () => {
+    it('should split on whitespace', () => {
+      expect(tokenize('rule  show 2')).toEqual(['rule', 'show', '2']);
+    });
+
+    it('should keep double-quoted and single-quoted strings together', () => {
+      expect(tokenize('"hello world" \'good bye\'')).toEqual(['hello world', 'good bye']);
+    });
+
+    it('should allow quoted values after a key', () => {
+      expect(tokenize('response_text="pong, {{sender}}!" cooldown_seconds=10'))
+        .toEqual(['response_text=pong, {{sender}}!', 'cooldown_seconds=10']);
+    });
+
+    it('should keep apostrophes inside words', () => {
+      expect(tokenize("response_text=don't")).toEqual(["response_text=don't"]);
+      expect(tokenize('response_text="I\'m away"')).toEqual(["response_text=I'm away"]);
+    });
+
+    it('should unescape the active quote and keep other backslashes', () => {
+      expect(tokenize('trigger_text="say \\"(\\w+)\\""')).toEqual(['trigger_text=say "(\\w+)"']);
+      expect(tokenize('trigger_text=^\\d+$')).toEqual(['trigger_text=^\\d+$']);
+    });
+
+    it('should keep empty quoted values', () => {
+      expect(tokenize('response_channel=""')).toEqual(['response_channel=']);
+    });
+
+    it('should throw on an unterminated quote', () => {
+      expect(() => tokenize('response_text="oops')).toThrow('Unterminated " quote in command.');
+    });
+  });
+
+  describe('parseOptions', () => {
+    it('should separate positional arguments from key=value options', () => {
+      expect(parseOptions(['edit', '2', 'cooldown_seconds=10', 'response_text=a=b'])).toEqual({
+        positional: ['edit', '2'],
+        options: { cooldown_seconds: '10', response_text: 'a=b' },
+      });
+    });
+
+    it('should not treat URLs as options', () => {
+      expect(parseOptions(['https://example.com/?a=b'])).toEqual({
+        positional: ['https://example.com/?a=b'],
+        options: {},
+      });
+    });
+  });
+});
@@ -0,0 +1,40 @@
+'use strict';
+
+jest.mock('fs');
+const fs = require('fs');
+
+jest.mock('../src/logger');
+const { PluginLogger } = require('../src/logger');
+
+const path = require('path');
+const auditLog = require('../src/audit-log');
+
+describe('Audit log', () => {
+  const configDir = '/fake/config';
+  const auditLogPath = path.join(configDir, 'audit.log');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    auditLog.init(configDir);
+  });
+
+  it('should append one JSON line per admin action', () => {
+    auditLog.record('alice', 'fetch enable', 'allowed', Date.UTC(2024, 4, 1, 9, 5));
+    auditLog.record('bob\n{"forged":true}', 'debug enable', 'denied', Date.UTC(2024, 4, 1, 9, 6));
+
+    expect(fs.appendFileSync.mock.calls).toEqual([
+      [auditLogPath, '{"time":"2024-05-01T09:05:00.000Z","user":"alice","command":"fetch enable","outcome":"allowed"}\n', 'utf8'],
+      [auditLogPath, '{"time":"2024-05-01T09:06:00.000Z","user":"bob\\n{\\"forged\\":true}","command":"debug enable","outcome":"denied"}\n', 'utf8'],
+    ]);
+  });
+
+  it('should log an error if the audit log cannot be written', () => {
+    fs.appendFileSync.mockImplementation(() => {
+      throw new Error('Read-only file system');
+    });
+
+    auditLog.record('alice', 'fetch enable', 'allowed');
+
+    expect(PluginLogger.error).toHaveBeenCalledWith(expect.stringContaining('Failed to write to the audit log'), 'Read-only file system');
+  });
+});
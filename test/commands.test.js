@@ -4,33 +4,107 @@
 const mockPrivmsgHandler = jest.fn();
 jest.mock('../src/message-handler', () => ({
   createPrivmsgHandler: jest.fn(() => mockPrivmsgHandler),
+  createEventHandler: jest.fn(() => jest.fn()),
   safeJsonStringify: jest.fn((obj) => JSON.stringify(obj)),
+  isChannelName: jest.requireActual('../src/message-handler').isChannelName,
+  testEvent: jest.fn(),
 }));
 
 const mockPluginConfig = { debug: false, enableFetch: false, fetchWhitelist: [] };
+const mockUserSettings = {};
 jest.mock('../src/plugin-config', () => ({
   getPluginConfig: jest.fn(() => mockPluginConfig),
   savePluginConfig: jest.fn(),
+  getUserSettings: jest.fn(userName => {
+    mockUserSettings[userName] = mockUserSettings[userName] || {};
+    return mockUserSettings[userName];
+  }),
+  getUserSetting: jest.fn((userName, key) => {
+    const settings = mockUserSettings[userName] || {};
+    return settings[key] !== undefined ? settings[key] : mockPluginConfig[key];
+  }),
+  setUserSetting: jest.fn((userName, key, value) => {
+    mockUserSettings[userName] = { ...mockUserSettings[userName], [key]: value };
+  }),
+  isAdmin: jest.fn(userName => mockPluginConfig.admins.includes(userName)),
 }));
 
-jest.mock('../src/rule-manager', () => ({
-  loadRules: jest.fn(),
-  getRules: jest.fn(() => []),
-  mergeRules: jest.fn(),
-  saveRules: jest.fn(),
-}));
+// Unless a test says otherwise, every rule is one of the user's own rules.
+const mockSharedRules = [];
+jest.mock('../src/rule-manager', () => {
+  const getRules = jest.fn(() => []);
+  return {
+    loadRules: jest.fn(),
+    loadUserRules: jest.fn(),
+    getRules,
+    getUserRules: jest.fn(userName => getRules(userName).filter(rule => !mockSharedRules.includes(rule))),
+    isSharedRule: jest.fn(rule => mockSharedRules.includes(rule)),
+    getRulesPath: jest.fn(() => '/config/rules.json'),
+    mergeRules: jest.fn(),
+    saveRules: jest.fn(),
+    saveUserRules: jest.fn(),
+    getRuleById: jest.fn(),
+    getRuleCooldowns: jest.fn(() => mockCooldowns),
+    getRuleLabel: jest.requireActual('../src/rule-manager').getRuleLabel,
+  };
+});
+const mockCooldowns = new Map();
+
+const { createPrivmsgHandler, safeJsonStringify, testEvent } = require('../src/message-handler');
 
-const { createPrivmsgHandler, safeJsonStringify } = require('../src/message-handler');
+jest.mock('../src/message-store');
+const messageStore = require('../src/message-store');
+
+jest.mock('../src/rule-stats');
+const ruleStats = require('../src/rule-stats');
+
+jest.mock('../src/audit-log');
+const auditLog = require('../src/audit-log');
+
+jest.mock('../src/subscriptions');
+const subscriptions = require('../src/subscriptions');
 
 // Mock the rule-validator module
 jest.mock('../src/rule-validator', () => ({
+  RULE_FIELDS: jest.requireActual('../src/rule-validator').RULE_FIELDS,
   validateRules: jest.fn(),
 }));
 
 const { validateRules } = require('../src/rule-validator');
 
-// Mock the global fetch API
-global.fetch = jest.fn();
+const mockRateStats = { queued: 0, dropped: 0, loopsBlocked: 0, ignoredSenders: [] };
+jest.mock('../src/rate-limiter', () => ({
+  getStats: jest.fn(() => mockRateStats),
+  clearQueue: jest.fn(),
+}));
+
+// Mock the HTTPS requests of the rule fetcher
+const mockHttpsGet = jest.fn();
+jest.mock('https', () => ({
+  get: (...args) => mockHttpsGet(...args),
+}));
+
+/**
+ * Makes the mocked https.get() answer with a response, or fail with an error.
+ * @param {string|Error} body - The response body, or the error of the request.
+ * @param {number} [statusCode] - The response status.
+ * @param {string} [statusMessage] - The response status text.
+ */
+function mockHttpsResponse(body, statusCode = 200, statusMessage = 'OK') {
+  const { EventEmitter } = require('events');
+  const { Readable } = require('stream');
+  mockHttpsGet.mockImplementation((url, options, callback) => {
+    const request = new EventEmitter();
+    process.nextTick(() => {
+      if (body instanceof Error) {
+        request.emit('error', body);
+      } else {
+        callback(Object.assign(Readable.from([Buffer.from(body)]), { statusCode, statusMessage, headers: {} }));
+      }
+    });
+    return request;
+  });
+}
 
 const { answeringMachineCommand, activeListeners } = require('../src/commands');
 
@@ -44,12 +118,16 @@ describe('Answering Machine Command (/am)', () => {
     jest.clearAllMocks();
     // Manually reset the state of the command module instead of using jest.resetModules()
     activeListeners.clear();
+    mockSharedRules.length = 0;
+    Object.keys(mockUserSettings).forEach(userName => delete mockUserSettings[userName]);
 
     // Reset our manual mock state
     mockPluginConfig.debug = false;
     mockPluginConfig.enableFetch = false;
     mockPluginConfig.fetchWhitelist = [];
-
+    // The test user is an admin unless a test says otherwise.
+    mockPluginConfig.admins = ['TestClient'];
+    messageStore.getSessionDigest.mockReturnValue({ messages: 0, people: 0, replies: 0 });
 
     // Mock the TheLounge client environment
     client = {
@@ -89,7 +167,7 @@ describe('Answering Machine Command (/am)', () => {
     it('should not start the listener if already active', () => {
       runCommand(['start']); // First start
       runCommand(['start']); // Second start
-      expect(network.irc.on).toHaveBeenCalledTimes(1);
+      expect(network.irc.on.mock.calls.filter(([eventName]) => eventName === 'privmsg')).toHaveLength(1);
       expect(client.sendMessage).toHaveBeenCalledWith(expect.stringContaining('Listener is already active'), 1);
     });
   });
@@ -102,6 +180,13 @@ describe('Answering Machine Command (/am)', () => {
       expect(client.sendMessage).toHaveBeenCalledWith(expect.stringContaining('Listener stopped for network: TestNet'), 1);
     });
 
+    it('should print a digest of the listening session', () => {
+      messageStore.getSessionDigest.mockReturnValue({ messages: 12, people: 4, replies: 3 });
+      runCommand(['start']);
+      runCommand(['stop']);
+      expect(client.sendMessage).toHaveBeenCalledWith('[AM] While listening: 12 messages from 4 people, 3 auto-replies sent.', 1);
+    });
+
     it('should not stop the listener if not active', () => {
       runCommand(['stop']);
       expect(network.irc.removeListener).not.toHaveBeenCalled();
@@ -120,18 +205,56 @@ describe('Answering Machine Command (/am)', () => {
       runCommand(['status']);
       expect(client.sendMessage).toHaveBeenCalledWith(expect.stringContaining('Listener is INACTIVE'), 1);
     });
+
+    it('should list the rules of this network disabled for a slow trigger', () => {
+      const rules = { slow: { id: 'slow', server: 'TestNet', trigger_text: '(a|a)*b' }, other: { id: 'other', server: 'OtherNet', trigger_text: 'x' } };
+      require('../src/rule-manager').getRuleById.mockImplementation(id => rules[id]);
+      const regexSafety = require('../src/regex-safety');
+      regexSafety.disableRule(rules.slow, 'matching took longer than 100ms', 'TestClient');
+      regexSafety.disableRule(rules.other, 'matching took longer than 100ms', 'TestClient');
+      regexSafety.disableRule({ ...rules.slow, id: 'theirs' }, 'matching took longer than 100ms', 'SomeoneElse');
+      runCommand(['status']);
+      expect(client.sendMessage).toHaveBeenCalledWith('[AM] Disabled rules (1):', 1);
+      expect(client.sendMessage).toHaveBeenCalledWith('[AM] - slow: matching took longer than 100ms', 1);
+    });
+
+    it('should report queued and dropped responses and ignored senders', () => {
+      mockRateStats.queued = 2;
+      mockRateStats.dropped = 3;
+      mockRateStats.loopsBlocked = 4;
+      mockRateStats.ignoredSenders = [{ nick: 'otherbot', remainingMs: 42500 }];
+      runCommand(['status']);
+      expect(client.sendMessage).toHaveBeenCalledWith('[AM] Outgoing: 2 queued, 3 dropped (queue full), 4 ignored (loop detection).', 1);
+      expect(client.sendMessage).toHaveBeenCalledWith('[AM] - Ignoring otherbot for 43s (possible loop)', 1);
+      Object.assign(mockRateStats, { queued: 0, dropped: 0, loopsBlocked: 0, ignoredSenders: [] });
+    });
   });
 
   describe('reload', () => {
-    it('should call ruleManager.loadRules with a tellUser function', () => {
+    it('should reload the user\'s own rules with a tellUser function', () => {
       const ruleManager = require('../src/rule-manager');
       runCommand(['reload']);
-      expect(ruleManager.loadRules).toHaveBeenCalledWith(expect.any(Function));
+      expect(ruleManager.loadUserRules).toHaveBeenCalledWith('TestClient', expect.any(Function));
+      expect(ruleManager.loadRules).not.toHaveBeenCalled();
       // Test the callback
-      const tellUserCallback = ruleManager.loadRules.mock.calls[0][0];
+      const tellUserCallback = ruleManager.loadUserRules.mock.calls[0][1];
       tellUserCallback('Reloaded.');
       expect(client.sendMessage).toHaveBeenCalledWith('[AM] Reloaded.', 1);
     });
+
+    it('should reload the shared rules for admins only', () => {
+      const ruleManager = require('../src/rule-manager');
+      runCommand(['reload', 'shared']);
+      expect(ruleManager.loadRules).toHaveBeenCalledWith(expect.any(Function));
+      expect(ruleManager.loadUserRules).not.toHaveBeenCalled();
+      expect(auditLog.record).toHaveBeenCalledWith('TestClient', 'reload shared', 'allowed');
+
+      ruleManager.loadRules.mockClear();
+      mockPluginConfig.admins = ['root'];
+      runCommand(['reload', 'shared']);
+      expect(ruleManager.loadRules).not.toHaveBeenCalled();
+      expect(client.sendMessage).toHaveBeenCalledWith("[AM] Permission denied: '/am reload shared' affects every user and can only be run by an admin. Admins are listed in 'admins' in config.json.", 1);
+    });
   });
 
   describe('debug', () => {
@@ -178,6 +301,104 @@ describe('Answering Machine Command (/am)', () => {
     });
   });
 
+  describe('admin permissions', () => {
+    it('should refuse admin commands to other users and audit the attempt', () => {
+      mockPluginConfig.admins = ['root'];
+      runCommand(['fetch', 'enable']);
+      runCommand(['whitelist', 'add', 'evil.example']);
+      runCommand(['debug', 'enable']);
+
+      expect(mockPluginConfig.enableFetch).toBe(false);
+      expect(mockPluginConfig.fetchWhitelist).toEqual([]);
+      expect(mockPluginConfig.debug).toBe(false);
+      expect(client.sendMessage).toHaveBeenCalledWith("[AM] Permission denied: '/am whitelist add evil.example' affects every user and can only be run by an admin. Admins are listed in 'admins' in config.json.", 1);
+      expect(auditLog.record.mock.calls).toEqual([
+        ['TestClient', 'fetch enable', 'denied'],
+        ['TestClient', 'whitelist add evil.example', 'denied'],
+        ['TestClient', 'debug enable', 'denied'],
+      ]);
+    });
+
+    it('should let every user run user-level commands', () => {
+      mockPluginConfig.admins = [];
+      runCommand(['fetch', 'status']);
+      runCommand(['whitelist', 'list']);
+      runCommand(['debug', 'status']);
+      expect(client.sendMessage).not.toHaveBeenCalledWith(expect.stringContaining('Permission denied'), 1);
+      expect(auditLog.record).not.toHaveBeenCalled();
+    });
+
+    it('should audit the commands run by admins', () => {
+      runCommand(['whitelist', 'ADD', 'example.org']);
+      expect(mockPluginConfig.fetchWhitelist).toEqual(['example.org']);
+      expect(auditLog.record).toHaveBeenCalledWith('TestClient', 'whitelist ADD example.org', 'allowed');
+    });
+  });
+
+  describe('/am cooldowns', () => {
+    afterEach(() => {
+      mockCooldowns.clear();
+    });
+
+    it('should report when no cooldown is running', () => {
+      runCommand(['cooldowns']);
+      expect(client.sendMessage).toHaveBeenCalledWith('[AM] No active cooldowns for this server (TestNet).', 1);
+    });
+
+    it('should list the running cooldowns of this network', () => {
+      const rules = {
+        faq: { id: 'faq', name: 'faq', server: 'TestNet' },
+        other: { id: 'other', server: 'OtherNet' },
+      };
+      require('../src/rule-manager').getRuleById.mockImplementation(id => rules[id]);
+      const now = Date.now();
+      mockCooldowns.set('TestClient|faq|bob|#a', { userName: 'TestClient', ruleId: 'faq', sender: 'bob', channel: '#a', windowMs: 60000, maxPerWindow: 3, hits: [now - 15000, now - 1000] });
+      mockCooldowns.set('TestClient|other', { userName: 'TestClient', ruleId: 'other', sender: null, channel: null, windowMs: 60000, maxPerWindow: 1, hits: [now] });
+
+      runCommand(['cooldowns']);
+
+      expect(client.sendMessage).toHaveBeenCalledWith('[AM] Active cooldowns for this server (TestNet):', 1);
+      expect(client.sendMessage).toHaveBeenCalledWith("[AM] - 'faq' (faq) for bob in #a: 45s left (2/3 used)", 1);
+      expect(client.sendMessage).not.toHaveBeenCalledWith(expect.stringContaining('other'), 1);
+    });
+
+    it('should not list the cooldowns of other users', () => {
+      require('../src/rule-manager').getRuleById.mockImplementation(id => ({ id, server: 'TestNet' }));
+      mockCooldowns.set('SomeoneElse|faq', { userName: 'SomeoneElse', ruleId: 'faq', sender: null, channel: null, windowMs: 60000, maxPerWindow: 1, hits: [Date.now()] });
+      runCommand(['cooldowns']);
+      expect(client.sendMessage).toHaveBeenCalledWith('[AM] No active cooldowns for this server (TestNet).', 1);
+    });
+  });
+
+  describe('timezone', () => {
+    afterEach(() => {
+      delete mockPluginConfig.timezone;
+    });
+
+    it('should set a valid timezone for the user', () => {
+      runCommand(['timezone', 'Europe/Madrid']);
+      expect(require('../src/plugin-config').setUserSetting).toHaveBeenCalledWith('TestClient', 'timezone', 'Europe/Madrid');
+      expect(mockPluginConfig.timezone).toBeUndefined();
+      expect(client.sendMessage).toHaveBeenCalledWith('[AM] Timezone set to Europe/Madrid. The change has been saved.', 1);
+    });
+
+    it('should reject unknown timezones', () => {
+      runCommand(['timezone', 'Mars/Olympus']);
+      expect(require('../src/plugin-config').setUserSetting).not.toHaveBeenCalled();
+      expect(client.sendMessage).toHaveBeenCalledWith(expect.stringContaining("Error: Unknown timezone 'Mars/Olympus'"), 1);
+    });
+
+    it('should go back to local time and show the current setting', () => {
+      mockPluginConfig.timezone = 'UTC';
+      runCommand(['timezone']);
+      expect(client.sendMessage).toHaveBeenCalledWith(expect.stringMatching(/^\[AM\] Timezone: UTC\. Current time: \d{4}-\d{2}-\d{2} \d{2}:\d{2}\.$/), 1);
+      runCommand(['timezone', 'local']);
+      expect(mockUserSettings.TestClient.timezone).toBeNull();
+      runCommand(['timezone']);
+      expect(client.sendMessage).toHaveBeenCalledWith(expect.stringMatching(/^\[AM\] Timezone: server local time\./), 1);
+    });
+  });
+
   describe('fetch (admin)', () => {
     it('status: should report when fetch is DISABLED', () => {
         runCommand(['fetch', 'status']);
@@ -241,6 +462,15 @@ describe('Answering Machine Command (/am)', () => {
         expect(client.sendMessage).toHaveBeenCalledWith(expect.stringContaining('has been ADDED'), 1);
     });
 
+    it('add: should accept wildcard subdomains but refuse other patterns', () => {
+        runCommand(['whitelist', 'add', '*.Example.org']);
+        expect(mockPluginConfig.fetchWhitelist).toEqual(['*.example.org']);
+        runCommand(['whitelist', 'add', '*']);
+        runCommand(['whitelist', 'add', 'https://example.com/']);
+        expect(mockPluginConfig.fetchWhitelist).toEqual(['*.example.org']);
+        expect(client.sendMessage).toHaveBeenCalledWith("[AM] Error: '*' is not a domain. Use a domain like 'example.org', or '*.example.org' for all of its subdomains.", 1);
+    });
+
     it('add: should not add a duplicate domain', () => {
         mockPluginConfig.fetchWhitelist = ['example.com'];
         runCommand(['whitelist', 'add', 'example.com']);
@@ -277,6 +507,53 @@ describe('Answering Machine Command (/am)', () => {
     });
   });
 
+  describe('ignore', () => {
+    beforeEach(() => {
+      mockPluginConfig.ignoreList = [];
+    });
+
+    it('add: should complete and save the mask in the user\'s list', () => {
+      runCommand(['ignore', 'add', 'ChanServ']);
+      expect(mockUserSettings.TestClient.ignoreList).toEqual(['ChanServ!*@*']);
+      expect(mockPluginConfig.ignoreList).toEqual([]);
+      expect(require('../src/plugin-config').savePluginConfig).toHaveBeenCalled();
+      expect(client.sendMessage).toHaveBeenCalledWith("[AM] 'ChanServ!*@*' has been ADDED to the ignore list. The change has been saved.", 1);
+    });
+
+    it('add: should refuse duplicates and channel privileges', () => {
+      mockUserSettings.TestClient = { ignoreList: ['bob!*@*'] };
+      runCommand(['ignore', 'add', 'BOB']);
+      expect(client.sendMessage).toHaveBeenCalledWith(expect.stringContaining('is already in the ignore list'), 1);
+      runCommand(['ignore', 'add', 'status:op']);
+      expect(client.sendMessage).toHaveBeenCalledWith(expect.stringContaining('cannot be used in the ignore list'), 1);
+      expect(mockUserSettings.TestClient.ignoreList).toEqual(['bob!*@*']);
+    });
+
+    it('remove: should remove a mask given in its short form', () => {
+      mockUserSettings.TestClient = { ignoreList: ['bob!*@*', 'account:otherbot'] };
+      runCommand(['ignore', 'remove', 'bob']);
+      expect(mockUserSettings.TestClient.ignoreList).toEqual(['account:otherbot']);
+      expect(client.sendMessage).toHaveBeenCalledWith(expect.stringContaining('has been REMOVED'), 1);
+      runCommand(['ignore', 'remove', 'bob']);
+      expect(client.sendMessage).toHaveBeenCalledWith("[AM] 'bob' is not in the ignore list.", 1);
+    });
+
+    it('list: should list the masks', () => {
+      runCommand(['ignore']);
+      expect(client.sendMessage).toHaveBeenCalledWith(expect.stringContaining('ignore list is currently empty'), 1);
+      mockUserSettings.TestClient = { ignoreList: ['*!*@*.bots.example'] };
+      runCommand(['ignore', 'list']);
+      expect(client.sendMessage).toHaveBeenCalledWith('[AM] - *!*@*.bots.example', 1);
+    });
+
+    it('list: should also show the masks ignored for all users', () => {
+      mockPluginConfig.ignoreList = ['account:otherbot'];
+      runCommand(['ignore', 'list']);
+      expect(client.sendMessage).toHaveBeenCalledWith('[AM] Also ignored for all users (set in config.json):', 1);
+      expect(client.sendMessage).toHaveBeenCalledWith('[AM] - account:otherbot', 1);
+    });
+  });
+
   describe('/am rules', () => {
     const ruleManager = require('../src/rule-manager');
 
@@ -308,6 +585,93 @@ describe('Answering Machine Command (/am)', () => {
         expect(client.sendMessage).toHaveBeenCalledWith(expect.stringContaining('1. [#general] "help" -> "read the docs"'), 1);
     });
 
+    it('should display every channel of a multi-channel rule', () => {
+        runCommand(['start']);
+        const rule = { server: 'TestNet', listen_channel: ['#a', '@query'], trigger_text: 'help', response_text: 'docs' };
+        ruleManager.getRules.mockReturnValue([rule]);
+        runCommand(['rules']);
+        expect(client.sendMessage).toHaveBeenCalledWith(expect.stringContaining('1. [#a, @query] "help" -> "docs"'), 1);
+    });
+
+    it('should display multiple responses with their mode', () => {
+        runCommand(['start']);
+        ruleManager.getRules.mockReturnValue([
+          { server: 'TestNet', listen_channel: '#a', trigger_text: 'hi', response_text: ['hello', 'hey'] },
+          { server: 'TestNet', listen_channel: '#a', trigger_text: 'yo', response_text: ['a', { text: 'b', weight: 3 }], response_mode: 'weighted' },
+        ]);
+        runCommand(['rules']);
+        expect(client.sendMessage).toHaveBeenCalledWith('[AM] 1. [#a] "hi" -> [random] "hello" | "hey"', 1);
+        expect(client.sendMessage).toHaveBeenCalledWith('[AM] 2. [#a] "yo" -> [weighted] "a" (x1) | "b" (x3)', 1);
+    });
+
+    it('should display the event of a rule', () => {
+        runCommand(['start']);
+        ruleManager.getRules.mockReturnValue([
+          { server: 'TestNet', listen_channel: '#a', event: 'join', response_text: 'Welcome!' },
+          { server: 'TestNet', event: 'quit', trigger_text: 'timeout', response_channel: '#log', response_text: '{{sender}} timed out' },
+        ]);
+        runCommand(['rules']);
+        expect(client.sendMessage).toHaveBeenCalledWith('[AM] 1. [#a] on join -> "Welcome!"', 1);
+        expect(client.sendMessage).toHaveBeenCalledWith('[AM] 2. [all channels] on quit "timeout" -> #log: "{{sender}} timed out"', 1);
+    });
+
+    it('should display the cooldown scope and burst allowance of a rule', () => {
+        runCommand(['start']);
+        ruleManager.getRules.mockReturnValue([
+          { server: 'TestNet', listen_channel: '#a', trigger_text: 'hi', response_text: 'hello', cooldown_seconds: 30, cooldown_scope: 'sender', max_per_window: 2 },
+          { server: 'TestNet', listen_channel: '#a', trigger_text: 'yo', response_text: 'hey', cooldown_scope: 'channel' },
+        ]);
+        runCommand(['rules']);
+        expect(client.sendMessage).toHaveBeenCalledWith('[AM] 1. [#a] "hi" -> "hello" (cooldown: 30s per sender, max 2)', 1);
+        expect(client.sendMessage).toHaveBeenCalledWith('[AM] 2. [#a] "yo" -> "hey" (cooldown: 5s per channel)', 1);
+    });
+
+    it('should display the response type of a rule', () => {
+        runCommand(['start']);
+        ruleManager.getRules.mockReturnValue([
+          { server: 'TestNet', listen_channel: '#a', trigger_text: 'hi', response_text: 'waves', response_type: 'action' },
+          { server: 'TestNet', listen_channel: '#a', trigger_text: 'yo', steps: [{ text: 'psst', response_type: 'notice' }] },
+        ]);
+        runCommand(['rules']);
+        expect(client.sendMessage).toHaveBeenCalledWith('[AM] 1. [#a] "hi" -> "waves" (type: action)', 1);
+        expect(client.sendMessage).toHaveBeenCalledWith('[AM] 2. [#a] "yo" -> [steps] (notice) "psst"', 1);
+    });
+
+    it('should display the steps of a rule', () => {
+        runCommand(['start']);
+        ruleManager.getRules.mockReturnValue([
+          { server: 'TestNet', listen_channel: '#a', trigger_text: 'help', steps: [{ text: 'hi' }, { text: 'FAQ', delay_seconds: 2, target: 'bob' }] },
+        ]);
+        runCommand(['rules']);
+        expect(client.sendMessage).toHaveBeenCalledWith('[AM] 1. [#a] "help" -> [steps] "hi" | +2s bob: "FAQ"', 1);
+    });
+
+    it('should display the id and name of a rule', () => {
+        runCommand(['start']);
+        const rule = { id: 'ab12cd34', name: 'docs', server: 'TestNet', listen_channel: '#general', trigger_text: 'help', response_text: 'read the docs' };
+        ruleManager.getRules.mockReturnValue([rule]);
+        runCommand(['rules']);
+        expect(client.sendMessage).toHaveBeenCalledWith('[AM] 1. [#general] "help" -> "read the docs" [id: ab12cd34, name: docs]', 1);
+    });
+
+    it('should show which rules are the user\'s own and which are shared', () => {
+        runCommand(['start']);
+        const own = { server: 'TestNet', listen_channel: '#a', trigger_text: 'mine', response_text: 'a' };
+        const shared = { server: 'TestNet', listen_channel: '#a', trigger_text: 'ours', response_text: 'b' };
+        mockSharedRules.push(shared);
+        ruleManager.getRules.mockReturnValue([own, shared]);
+        client.sendMessage.mockClear();
+        runCommand(['rules']);
+        expect(ruleManager.getRules).toHaveBeenCalledWith('TestClient');
+        expect(client.sendMessage.mock.calls.map(([message]) => message)).toEqual([
+          '[AM] Active rules for this server (TestNet):',
+          '[AM] Your rules:',
+          '[AM] 1. [#a] "mine" -> "a"',
+          '[AM] Shared rules, from rules.json (apply to all users):',
+          '[AM] 2. [#a] "ours" -> "b"',
+        ]);
+    });
+
     it('should display multiple complex rules with correct formatting', () => {
         runCommand(['start']);
         const rules = [
@@ -325,6 +689,344 @@ describe('Answering Machine Command (/am)', () => {
     });
   });
 
+  describe('/am messages', () => {
+    const recorded = [
+      { time: new Date(2024, 4, 1, 9, 5).getTime(), channel: '#a', nick: 'bob', text: 'ping me' },
+      { time: new Date(2024, 4, 1, 9, 6).getTime(), channel: 'carol', nick: 'carol', text: 'hi' },
+      { time: new Date(2024, 4, 1, 9, 7).getTime(), channel: '#a', nick: 'bob', text: 'again' },
+    ];
+
+    it('list: should play back messages grouped by channel and sender', () => {
+      messageStore.getMessages.mockReturnValue(recorded);
+      runCommand(['messages']);
+      const lines = client.sendMessage.mock.calls.map(([line]) => line);
+      expect(lines).toEqual([
+        '[AM] Messages recorded on TestNet:',
+        '[AM] #a (2 messages):',
+        '[AM]   bob:',
+        '[AM]     [2024-05-01 09:05] ping me',
+        '[AM]     [2024-05-01 09:07] again',
+        '[AM] carol (1 messages):',
+        '[AM]   carol:',
+        '[AM]     [2024-05-01 09:06] hi',
+      ]);
+    });
+
+    it('list: should report when nothing was recorded', () => {
+      messageStore.getMessages.mockReturnValue([]);
+      runCommand(['messages', 'list']);
+      expect(client.sendMessage).toHaveBeenCalledWith('[AM] No messages recorded on TestNet.', 1);
+    });
+
+    it('since: should accept durations', () => {
+      messageStore.getMessages.mockReturnValue([]);
+      const before = Date.now();
+      runCommand(['messages', 'since', '2h']);
+      const since = messageStore.getMessages.mock.calls[0][1];
+      expect(since).toBeGreaterThanOrEqual(before - 2 * 60 * 60 * 1000);
+      expect(since).toBeLessThanOrEqual(Date.now() - 2 * 60 * 60 * 1000);
+    });
+
+    it('since: should reject values it does not understand', () => {
+      runCommand(['messages', 'since', 'yesterday-ish']);
+      expect(client.sendMessage).toHaveBeenCalledWith(expect.stringContaining('Usage: /am messages since <time>'), 1);
+      expect(messageStore.getMessages).not.toHaveBeenCalled();
+    });
+
+    it('clear: should delete the messages of this network', () => {
+      messageStore.clearMessages.mockReturnValue(3);
+      runCommand(['messages', 'clear']);
+      expect(messageStore.clearMessages).toHaveBeenCalledWith(network);
+      expect(client.sendMessage).toHaveBeenCalledWith('[AM] Deleted 3 recorded messages for TestNet.', 1);
+    });
+  });
+
+  describe('/am away', () => {
+    it('status: should show the away state and settings', () => {
+      mockPluginConfig.awayMode = {};
+      runCommand(['away']);
+      expect(client.sendMessage).toHaveBeenCalledWith(expect.stringContaining('You are NOT AWAY on TestNet'), 1);
+      expect(client.sendMessage).toHaveBeenCalledWith('[AM] Automatic start/stop: DISABLED. Idle threshold: DISABLED.', 1);
+    });
+
+    it('auto: should save the setting for the current network', () => {
+      mockPluginConfig.awayMode = {};
+      runCommand(['away', 'auto', 'on']);
+      expect(mockPluginConfig.awayMode).toEqual({ 'network-uuid-123': { auto: true, idle_minutes: 0 } });
+      expect(require('../src/plugin-config').savePluginConfig).toHaveBeenCalled();
+    });
+
+    it('idle: should save the idle threshold and reject invalid values', () => {
+      mockPluginConfig.awayMode = {};
+      runCommand(['away', 'idle', '15']);
+      expect(mockPluginConfig.awayMode['network-uuid-123'].idle_minutes).toBe(15);
+
+      runCommand(['away', 'idle', 'soon']);
+      expect(client.sendMessage).toHaveBeenCalledWith(expect.stringContaining('Usage: /am away idle <minutes>'), 1);
+    });
+  });
+
+  describe('/am rule', () => {
+    const ruleManager = require('../src/rule-manager');
+    let rules;
+
+    beforeEach(() => {
+      rules = [
+        { id: 'aaaa0001', server: 'OtherNet', listen_channel: '#x', trigger_text: 'x', response_text: 'y' },
+        { id: 'bbbb0002', name: 'pinger', server: 'TestNet', listen_channel: '#a', trigger_text: 'ping', response_text: 'pong' },
+      ];
+      ruleManager.getRules.mockReturnValue(rules);
+      ruleManager.saveUserRules.mockReturnValue(true);
+      validateRules.mockReturnValue({ isValid: true, errors: [], warnings: [] });
+    });
+
+    const runLine = (line) => runCommand(line.split(' '));
+
+    it('show: should display every field of a rule by its network number', () => {
+      runLine('rule show 1');
+      expect(client.sendMessage).toHaveBeenCalledWith("[AM] Rule 'pinger' (bbbb0002):", 1);
+      expect(client.sendMessage).toHaveBeenCalledWith('[AM]   trigger_text = "ping"', 1);
+    });
+
+    it('show: should find rules by id and by name', () => {
+      runLine('rule show bbbb0002');
+      runLine('rule show PINGER');
+      expect(client.sendMessage).toHaveBeenCalledTimes(2 * 7);
+      expect(client.sendMessage).not.toHaveBeenCalledWith(expect.stringContaining('not found'), 1);
+    });
+
+    it('show: should not find rules of other networks', () => {
+      runLine('rule show aaaa0001');
+      expect(client.sendMessage).toHaveBeenCalledWith(expect.stringContaining("Error: Rule 'aaaa0001' not found"), 1);
+    });
+
+    it('show: should report unknown rule numbers', () => {
+      runLine('rule show 5');
+      expect(client.sendMessage).toHaveBeenCalledWith(expect.stringContaining("Error: Rule '5' not found"), 1);
+    });
+
+    it('add: should create a rule for the current network with quoted values', () => {
+      runLine('rule add listen_channel=#b trigger_text="^hello (\\w+)$" response_text="hi there, $1" cooldown_seconds=10');
+      const newRule = { server: 'TestNet', listen_channel: '#b', trigger_text: '^hello (\\w+)$', response_text: 'hi there, $1', cooldown_seconds: '10' };
+      expect(validateRules).toHaveBeenCalledWith([newRule]);
+      expect(ruleManager.saveUserRules).toHaveBeenCalledWith('TestClient', [...rules, newRule]);
+      expect(client.sendMessage).toHaveBeenCalledWith(expect.stringContaining('[AM] Rule added with id'), 1);
+    });
+
+    it('add: should turn a comma-separated listen_channel into a list', () => {
+      runLine('rule add listen_channel=#a,#proj-* trigger_text=a response_text=b');
+      expect(validateRules).toHaveBeenCalledWith([expect.objectContaining({ listen_channel: ['#a', '#proj-*'] })]);
+    });
+
+    it('add: should accept JSON arrays as values', () => {
+      runLine('rule add listen_channel=#a trigger_text=hi response_text=\'["hello", "hey there"]\' response_mode=sequential');
+      expect(validateRules).toHaveBeenCalledWith([expect.objectContaining({ response_text: ['hello', 'hey there'], response_mode: 'sequential' })]);
+    });
+
+    it('add: should keep JSON arrays as text in fields that are not lists', () => {
+      runLine('rule add listen_channel=#a trigger_text=[1,2] response_text=b name=[3]');
+      expect(validateRules).toHaveBeenCalledWith([expect.objectContaining({ trigger_text: '[1,2]', name: '[3]' })]);
+    });
+
+    it('add: should reject duplicate names on the same network', () => {
+      runLine('rule add name=Pinger listen_channel=#b trigger_text=a response_text=b');
+      expect(client.sendMessage).toHaveBeenCalledWith("[AM] Error: Another rule on TestNet is already named 'Pinger'.", 1);
+      expect(ruleManager.saveRules).not.toHaveBeenCalled();
+    });
+
+    it('add: should not allow setting the id', () => {
+      runLine('rule add id=abc listen_channel=#b');
+      expect(client.sendMessage).toHaveBeenCalledWith(expect.stringContaining('Unknown rule field(s): id'), 1);
+    });
+
+    it('add: should reject unknown fields', () => {
+      runLine('rule add listen_channel=#b colour=red');
+      expect(client.sendMessage).toHaveBeenCalledWith(expect.stringContaining('Unknown rule field(s): colour'), 1);
+      expect(ruleManager.saveRules).not.toHaveBeenCalled();
+    });
+
+    it('add: should not save an invalid rule', () => {
+      validateRules.mockReturnValue({
+        isValid: false,
+        error: 'Bad rule.',
+        errors: [{ ruleNumber: 1, field: 'server', message: 'Bad rule.' }, { ruleNumber: 1, field: 'when', message: 'Bad when.' }],
+        warnings: [],
+      });
+      runLine('rule add listen_channel=#b');
+      expect(client.sendMessage).toHaveBeenCalledWith('[AM] Error: The rule is invalid. Bad rule.', 1);
+      expect(client.sendMessage).toHaveBeenCalledWith('[AM] Bad when.', 1);
+      expect(ruleManager.saveRules).not.toHaveBeenCalled();
+    });
+
+    it('edit: should modify individual fields and remove empty ones', () => {
+      rules[1].response_channel = '#c';
+      runLine('rule edit pinger response_text="pong pong" response_channel=');
+      expect(ruleManager.saveUserRules).toHaveBeenCalledWith('TestClient', [
+        rules[0],
+        { id: 'bbbb0002', name: 'pinger', server: 'TestNet', listen_channel: '#a', trigger_text: 'ping', response_text: 'pong pong' },
+      ]);
+      expect(client.sendMessage).toHaveBeenCalledWith("[AM] Rule 'pinger' (bbbb0002) updated.", 1);
+    });
+
+    it('should not change shared rules', () => {
+      const shared = { id: 'cccc0003', name: 'shared', server: 'TestNet', listen_channel: '#a', trigger_text: 'x', response_text: 'y' };
+      mockSharedRules.push(shared);
+      ruleManager.getRules.mockReturnValue([...rules, shared]);
+      runLine('rule edit shared response_text=z');
+      runLine('rule remove 2');
+      expect(client.sendMessage).toHaveBeenCalledWith("[AM] Error: Rule 'shared' (cccc0003) is shared by all users and can only be changed in /config/rules.json.", 1);
+      expect(client.sendMessage).toHaveBeenCalledTimes(2);
+      expect(ruleManager.saveUserRules).not.toHaveBeenCalled();
+    });
+
+    it('remove: should delete the rule', () => {
+      runLine('rule remove 1');
+      expect(ruleManager.saveUserRules).toHaveBeenCalledWith('TestClient', [rules[0]]);
+      expect(client.sendMessage).toHaveBeenCalledWith("[AM] Rule 'pinger' (bbbb0002) removed.", 1);
+    });
+
+    it('should report unterminated quotes', () => {
+      runLine('rule add response_text="oops');
+      expect(client.sendMessage).toHaveBeenCalledWith('[AM] Error: Unterminated " quote in command.', 1);
+    });
+  });
+
+  describe('/am stats', () => {
+    const ruleManager = require('../src/rule-manager');
+    const docs = { id: 'aaaa0001', name: 'docs', server: 'TestNet', listen_channel: '#a', trigger_text: 'x', response_text: 'y' };
+    const idle = { id: 'bbbb0002', server: 'TestNet', listen_channel: '#a', trigger_text: 'z', response_text: 'y' };
+    const elsewhere = { id: 'cccc0003', server: 'OtherNet', listen_channel: '#a', trigger_text: 'x', response_text: 'y' };
+    const lastTriggered = new Date(2024, 4, 1, 14, 5).getTime();
+
+    const docsStats = { triggers: 12, lastTriggered, lastSender: 'bob', suppressed: 3 };
+    const idleStats = { triggers: 0, lastTriggered: null, lastSender: null, suppressed: 0 };
+
+    beforeEach(() => {
+      ruleManager.getRules.mockReturnValue([idle, docs, elsewhere]);
+      ruleStats.getRuleStats.mockImplementation((userName, ruleId) => (ruleId === 'aaaa0001' ? docsStats : idleStats));
+      ruleStats.rankByActivity.mockReturnValue([{ rule: docs, stats: docsStats }, { rule: idle, stats: idleStats }]);
+      ruleStats.toCsv.mockReturnValue(['id,name', 'aaaa0001,docs']);
+    });
+
+    const messages = () => client.sendMessage.mock.calls.map(([message]) => message);
+
+    it('should list the rules of this network, most active first', () => {
+      runCommand(['stats']);
+      expect(ruleStats.rankByActivity).toHaveBeenCalledWith('TestClient', [idle, docs]);
+      expect(messages()).toEqual([
+        '[AM] Rule statistics for this server (TestNet), most active first:',
+        "[AM] 1. 'docs' (aaaa0001): 12 triggers, last at 2024-05-01 14:05 by bob, 3 suppressed by cooldown",
+        '[AM] 2. bbbb0002: 0 triggers, never triggered, 0 suppressed by cooldown',
+      ]);
+    });
+
+    it('should show and reset a single rule', () => {
+      runCommand(['stats', 'docs']);
+      expect(messages()).toEqual(["[AM] Rule 'docs' (aaaa0001): 12 triggers, last at 2024-05-01 14:05 by bob, 3 suppressed by cooldown."]);
+
+      runCommand(['stats', '1', 'reset']);
+      expect(ruleStats.resetStats).toHaveBeenCalledWith('TestClient', ['bbbb0002']);
+      expect(messages()).toContain('[AM] Your statistics were reset for rule bbbb0002.');
+
+      runCommand(['stats', 'nope']);
+      expect(messages()).toContain("[AM] Error: Rule 'nope' not found. Use '/am rules' to see rule ids, names and numbers.");
+    });
+
+    it('should reset every rule of this network', () => {
+      runCommand(['stats', 'reset']);
+      expect(ruleStats.resetStats).toHaveBeenCalledWith('TestClient', ['bbbb0002', 'aaaa0001']);
+      expect(messages()).toEqual(['[AM] Your statistics were reset for the 2 rules of TestNet.']);
+    });
+
+    it('should export the statistics of this network as CSV', () => {
+      runCommand(['stats', 'export']);
+      expect(ruleStats.toCsv).toHaveBeenCalledWith('TestClient', [idle, docs]);
+      expect(messages()).toEqual(['[AM] id,name', '[AM] aaaa0001,docs']);
+    });
+  });
+
+  describe('/am test', () => {
+    const pinger = { id: 'bbbb0002', name: 'pinger', server: 'TestNet', listen_channel: '#a', trigger_text: 'ping', response_text: ['pong', 'pang'] };
+    const other = { id: 'cccc0003', server: 'TestNet', listen_channel: '#a', trigger_text: 'hello', response_text: 'hi' };
+    let chan;
+
+    beforeEach(() => {
+      network.nick = 'Me';
+      chan = { name: '#a', type: 'channel' };
+      target.chan = chan;
+      testEvent.mockReturnValue({ ignored: false, results: [] });
+    });
+
+    const messages = () => client.sendMessage.mock.calls.map(([message]) => message);
+
+    it('should test the message as typed in the current channel', () => {
+      runCommand(['test', "what's", 'up']);
+      expect(testEvent).toHaveBeenCalledWith(client, network, 'message', expect.objectContaining({ sender: 'someone', target: '#a', text: "what's up", isQuery: false }), expect.any(Number));
+      expect(messages()).toEqual(['[AM] Testing "what\'s up" in #a, sent by someone:', '[AM] No rules on TestNet listen to #a.']);
+    });
+
+    it('should test the message as sent by another nick', () => {
+      runCommand(['test', '#b', 'from=Alice', 'ping']);
+      expect(testEvent).toHaveBeenLastCalledWith(client, network, 'message', expect.objectContaining({ sender: 'Alice', target: '#b', text: 'ping' }), expect.any(Number));
+
+      runCommand(['test', 'from=me', 'ping']);
+      expect(messages()).toContain('[AM] Error: Your own messages never trigger rules. Use from=<nick> with the nick of someone else.');
+      expect(testEvent).toHaveBeenCalledTimes(1);
+
+      runCommand(['test', 'from=Alice']);
+      expect(testEvent).toHaveBeenLastCalledWith(client, network, 'message', expect.objectContaining({ sender: 'someone', text: 'from=Alice' }), expect.any(Number));
+    });
+
+    it('should test another channel, or a query as sent by the other person', () => {
+      runCommand(['test', '#b', 'ping']);
+      expect(testEvent).toHaveBeenLastCalledWith(client, network, 'message', expect.objectContaining({ target: '#b', text: 'ping' }), expect.any(Number));
+
+      target.chan = { name: 'bob', type: 'query' };
+      runCommand(['test', 'ping']);
+      expect(testEvent).toHaveBeenLastCalledWith(client, network, 'message', expect.objectContaining({ sender: 'bob', target: 'Me', isQuery: true }), expect.any(Number));
+    });
+
+    it('should explain each rule and show the rendered responses', () => {
+      testEvent.mockReturnValue({
+        ignored: false,
+        results: [
+          { rule: other, reason: 'its trigger_text does not match' },
+          { rule: pinger, reason: null, cooldownMs: 0, responses: [
+            { target: '#a', text: 'pong', responseType: 'message', delaySeconds: 0 },
+            { target: '#a', text: 'pang', responseType: 'notice', delaySeconds: 2 },
+          ] },
+        ],
+      });
+      runCommand(['test', 'ping']);
+      expect(messages().slice(1)).toEqual([
+        '[AM] 1. cccc0003: no match, its trigger_text does not match.',
+        "[AM] 2. 'pinger' (bbbb0002): MATCH (one of these, random).",
+        '[AM]    -> to #a: pong',
+        '[AM]    -> notice to #a after 2s: pang',
+        "[AM] Would respond: 'pinger' (bbbb0002). Nothing was sent.",
+      ]);
+    });
+
+    it('should report rules on cooldown and ignored senders', () => {
+      testEvent.mockReturnValue({ ignored: false, results: [{ rule: other, reason: null, cooldownMs: 4200, responses: [] }] });
+      runCommand(['test', 'hello']);
+      expect(messages()).toContain('[AM] 1. cccc0003: MATCH, but it is on cooldown for another 5s and would not respond.');
+      expect(messages()).toContain('[AM] No rule would respond.');
+
+      testEvent.mockReturnValue({ ignored: true, results: [] });
+      runCommand(['test', 'hello']);
+      expect(messages()).toContain('[AM] someone is on the ignore list, so no rule is checked.');
+    });
+
+    it('should show the usage without a message or outside a channel', () => {
+      runCommand(['test']);
+      target.chan = { name: 'TestNet', type: 'lobby' };
+      runCommand(['test', 'ping']);
+      expect(messages()).toEqual(['[AM] Usage: /am test [#channel] [from=<nick>] <message text>', '[AM] Usage: /am test [#channel] [from=<nick>] <message text>']);
+      expect(testEvent).not.toHaveBeenCalled();
+    });
+  });
+
   describe('/am fetch <URL>', () => {
     const { validateRules } = require('../src/rule-validator');
     const ruleManager = require('../src/rule-manager');
@@ -335,11 +1037,11 @@ describe('Answering Machine Command (/am)', () => {
 
     beforeEach(() => {
         // Reset mocks before each fetch test
-        global.fetch.mockClear();
+        mockHttpsGet.mockReset();
         validateRules.mockClear();
         ruleManager.getRules.mockClear();
         ruleManager.mergeRules.mockClear();
-        ruleManager.saveRules.mockClear();
+        ruleManager.saveUserRules.mockClear();
     });
 
     it('should fail if fetch is disabled', async () => {
@@ -376,7 +1078,7 @@ describe('Answering Machine Command (/am)', () => {
     it('should handle network errors during fetch', async () => {
         mockPluginConfig.enableFetch = true;
         mockPluginConfig.fetchWhitelist = ['example.com'];
-        global.fetch.mockRejectedValue(new Error('Network Failure'));
+        mockHttpsResponse(new Error('Network Failure'));
         runCommand(['fetch', validUrl]);
         await waitForAsync();
         expect(client.sendMessage).toHaveBeenCalledWith(expect.stringContaining('Error: Failed to fetch rules'), 1);
@@ -385,7 +1087,7 @@ describe('Answering Machine Command (/am)', () => {
     it('should handle non-OK HTTP responses', async () => {
         mockPluginConfig.enableFetch = true;
         mockPluginConfig.fetchWhitelist = ['example.com'];
-        global.fetch.mockResolvedValue({ ok: false, status: 404, statusText: 'Not Found' });
+        mockHttpsResponse('', 404, 'Not Found');
         runCommand(['fetch', validUrl]);
         await waitForAsync();
         expect(client.sendMessage).toHaveBeenCalledWith(expect.stringContaining('Error: Failed to fetch rules'), 1);
@@ -394,7 +1096,7 @@ describe('Answering Machine Command (/am)', () => {
     it('should handle invalid JSON responses', async () => {
         mockPluginConfig.enableFetch = true;
         mockPluginConfig.fetchWhitelist = ['example.com'];
-        global.fetch.mockResolvedValue({ ok: true, text: () => Promise.resolve('this is not json') });
+        mockHttpsResponse('this is not json');
         runCommand(['fetch', validUrl]);
         await waitForAsync();
         expect(client.sendMessage).toHaveBeenCalledWith(expect.stringContaining('Error: Failed to parse JSON'), 1);
@@ -403,8 +1105,8 @@ describe('Answering Machine Command (/am)', () => {
     it('should fail if rule validation fails', async () => {
         mockPluginConfig.enableFetch = true;
         mockPluginConfig.fetchWhitelist = ['example.com'];
-        global.fetch.mockResolvedValue({ ok: true, text: () => Promise.resolve('[]') });
-        validateRules.mockReturnValue({ isValid: false, error: 'Test validation error' });
+        mockHttpsResponse('[]');
+        validateRules.mockReturnValue({ isValid: false, error: 'Test validation error', errors: [{ ruleNumber: 1, field: null, message: 'Test validation error' }], warnings: [] });
         runCommand(['fetch', validUrl]);
         await waitForAsync();
         expect(client.sendMessage).toHaveBeenCalledWith(expect.stringContaining('Error: The fetched rules are invalid. Test validation error'), 1);
@@ -415,9 +1117,10 @@ describe('Answering Machine Command (/am)', () => {
         mockPluginConfig.enableFetch = true;
         mockPluginConfig.fetchWhitelist = ['example.com'];
         const newRules = [{ server: 'TestNet', listen_channel: '#new', trigger_text: 'new', response_text: 'rule' }];
-        global.fetch.mockResolvedValue({ ok: true, text: () => Promise.resolve(JSON.stringify(newRules)) });
-        validateRules.mockReturnValue({ isValid: true });
+        mockHttpsResponse(JSON.stringify(newRules));
+        validateRules.mockReturnValue({ isValid: true, errors: [], warnings: [] });
         ruleManager.mergeRules.mockReturnValue({ mergedRules: newRules, added: 1, overwritten: 0 });
+        ruleManager.saveUserRules.mockReturnValue(true);
 
         // Simulate the two states of getRules: before and after the fetch/save.
         ruleManager.getRules
@@ -429,11 +1132,97 @@ describe('Answering Machine Command (/am)', () => {
         await waitForAsync();
 
         // Assert
-        expect(ruleManager.mergeRules).toHaveBeenCalledWith([], newRules);
-        expect(ruleManager.saveRules).toHaveBeenCalledWith(newRules);
+        expect(ruleManager.mergeRules).toHaveBeenCalledWith([], [{ ...newRules[0], source: validUrl }]);
+        expect(ruleManager.saveUserRules).toHaveBeenCalledWith('TestClient', newRules);
         expect(client.sendMessage).toHaveBeenCalledWith(expect.stringContaining('Fetch complete: 1 rules added, 0 rules overwritten.'), 1);
         expect(client.sendMessage).toHaveBeenCalledWith(expect.stringContaining('Active rules for this server (TestNet):'), 1);
         expect(client.sendMessage).toHaveBeenCalledWith(expect.stringContaining('1. [#new] "new" -> "rule"'), 1);
     });
+
+    it('should report rules that could not be saved', async () => {
+        mockPluginConfig.enableFetch = true;
+        mockPluginConfig.fetchWhitelist = ['example.com'];
+        mockHttpsResponse('[]');
+        validateRules.mockReturnValue({ isValid: true, errors: [], warnings: [] });
+        ruleManager.mergeRules.mockReturnValue({ mergedRules: [], added: 0, overwritten: 0 });
+        ruleManager.saveUserRules.mockReturnValue(false);
+        runCommand(['fetch', validUrl]);
+        await waitForAsync();
+        expect(client.sendMessage).toHaveBeenCalledWith('[AM] Error: The rules could not be saved. Check the server logs for details.', 1);
+        expect(client.sendMessage).not.toHaveBeenCalledWith(expect.stringContaining('Fetch complete'), 1);
+    });
+
+    it('should report errors that have no details', async () => {
+        mockPluginConfig.enableFetch = true;
+        mockPluginConfig.fetchWhitelist = ['example.com'];
+        const fetchSpy = jest.spyOn(require('../src/rule-fetcher'), 'fetchRules').mockRejectedValueOnce(new Error('Unexpected failure.'));
+        runCommand(['fetch', validUrl]);
+        await waitForAsync();
+        expect(client.sendMessage).toHaveBeenCalledWith('[AM] Error: Unexpected failure.', 1);
+        fetchSpy.mockRestore();
+    });
+  });
+
+  describe('/am subscribe', () => {
+    const validUrl = 'https://example.com/rules.json';
+    const waitForAsync = () => new Promise(resolve => setImmediate(resolve));
+    const subscription = { url: validUrl, intervalMinutes: 60, lastChecked: new Date(2024, 4, 1, 14, 5).getTime(), lastResult: 'not modified' };
+
+    beforeEach(() => {
+      mockPluginConfig.enableFetch = true;
+      mockPluginConfig.fetchWhitelist = ['example.com'];
+      subscriptions.DEFAULT_INTERVAL_MINUTES = 60;
+      subscriptions.MIN_INTERVAL_MINUTES = 5;
+    });
+
+    it('add: should subscribe and fetch the rules right away', async () => {
+      subscriptions.addSubscription.mockReturnValue({ subscription, created: true });
+      subscriptions.refreshSubscription.mockResolvedValue({ notModified: false, added: 2, overwritten: 0, removed: 0, warnings: [] });
+      runCommand(['subscribe', 'add', validUrl, '30']);
+      await waitForAsync();
+
+      expect(subscriptions.addSubscription).toHaveBeenCalledWith('TestClient', validUrl, 30);
+      expect(subscriptions.refreshSubscription).toHaveBeenCalledWith('TestClient', subscription, expect.any(Number));
+      expect(client.sendMessage).toHaveBeenCalledWith(`[AM] Subscribed to ${validUrl}, refreshed every 30 minutes. Fetching it now...`, 1);
+      expect(client.sendMessage).toHaveBeenCalledWith(`[AM] ${validUrl}: 2 rules added, 0 updated, 0 removed.`, 1);
+    });
+
+    it('add: should refuse URLs that may not be fetched and too short intervals', () => {
+      runCommand(['subscribe', 'add', 'https://elsewhere.org/rules.json']);
+      expect(client.sendMessage).toHaveBeenCalledWith("[AM] Error: The domain 'elsewhere.org' is not in the whitelist.", 1);
+      runCommand(['subscribe', 'add', validUrl, '1']);
+      expect(client.sendMessage).toHaveBeenCalledWith(expect.stringContaining('Usage: /am subscribe add <URL> [minutes] (at least 5'), 1);
+      expect(subscriptions.addSubscription).not.toHaveBeenCalled();
+    });
+
+    it('remove: should unsubscribe and report the removed rules', () => {
+      subscriptions.findSubscription.mockReturnValue(subscription);
+      subscriptions.removeSubscription.mockReturnValue(3);
+      runCommand(['subscribe', 'remove', '1']);
+      expect(subscriptions.findSubscription).toHaveBeenCalledWith('TestClient', '1');
+      expect(client.sendMessage).toHaveBeenCalledWith(`[AM] Unsubscribed from ${validUrl}. 3 rules from it have been removed.`, 1);
+    });
+
+    it('list: should show every subscription with its rules and last check', () => {
+      subscriptions.getSubscriptions.mockReturnValue([subscription]);
+      require('../src/rule-manager').getRules.mockReturnValue([{ id: 'a', source: validUrl }, { id: 'b' }]);
+      runCommand(['subscribe']);
+      expect(client.sendMessage).toHaveBeenCalledWith(`[AM] 1. ${validUrl}: 1 rules, every 60 minutes, last checked 2024-05-01 14:05 (not modified)`, 1);
+    });
+
+    it('refresh: should refresh every subscription and report errors', async () => {
+      subscriptions.getSubscriptions.mockReturnValue([subscription, { url: 'https://example.com/b.json' }]);
+      const error = new Error('The fetched rules are invalid. Rule #1 is bad.');
+      error.details = ['Rule #2 is bad too.'];
+      subscriptions.refreshSubscription
+        .mockResolvedValueOnce({ notModified: true })
+        .mockRejectedValueOnce(error);
+      runCommand(['subscribe', 'refresh']);
+      await waitForAsync();
+
+      expect(client.sendMessage).toHaveBeenCalledWith(`[AM] ${validUrl}: not modified since the last refresh.`, 1);
+      expect(client.sendMessage).toHaveBeenCalledWith('[AM] Error: https://example.com/b.json: The fetched rules are invalid. Rule #1 is bad.', 1);
+      expect(client.sendMessage).toHaveBeenCalledWith('[AM] Rule #2 is bad too.', 1);
+    });
   });
 });
@@ -0,0 +1,84 @@
+'use strict';
+
+const mockCooldowns = new Map();
+jest.mock('../src/rule-manager', () => ({
+  getRuleCooldowns: jest.fn(() => mockCooldowns),
+}));
+
+const cooldowns = require('../src/cooldowns');
+
+describe('Cooldowns', () => {
+  const now = 1000000;
+
+  beforeEach(() => {
+    mockCooldowns.clear();
+  });
+
+  it('should keep one timer per rule by default', () => {
+    const rule = { id: 'r1', cooldown_seconds: 10 };
+    cooldowns.noteTrigger(rule, 'bob', '#a', now, 'me');
+    expect(mockCooldowns.has('me|r1')).toBe(true);
+    expect(cooldowns.checkCooldown(rule, 'alice', '#b', now + 1000, 'me')).toEqual({ allowed: false, remainingMs: 9000 });
+    expect(cooldowns.checkCooldown(rule, 'alice', '#b', now + 10000, 'me').allowed).toBe(true);
+  });
+
+  it('should keep separate timers per sender, channel, or both', () => {
+    const bySender = { id: 's', cooldown_seconds: 10, cooldown_scope: 'sender' };
+    cooldowns.noteTrigger(bySender, 'Bob', '#a', now, 'me');
+    expect(cooldowns.checkCooldown(bySender, 'bob', '#b', now, 'me').allowed).toBe(false);
+    expect(cooldowns.checkCooldown(bySender, 'alice', '#a', now, 'me').allowed).toBe(true);
+
+    const byChannel = { id: 'c', cooldown_seconds: 10, cooldown_scope: 'channel' };
+    cooldowns.noteTrigger(byChannel, 'bob', '#A', now, 'me');
+    expect(cooldowns.checkCooldown(byChannel, 'alice', '#a', now, 'me').allowed).toBe(false);
+    expect(cooldowns.checkCooldown(byChannel, 'bob', '#b', now, 'me').allowed).toBe(true);
+
+    const byBoth = { id: 'b', cooldown_seconds: 10, cooldown_scope: 'sender+channel' };
+    cooldowns.noteTrigger(byBoth, 'bob', '#a', now, 'me');
+    expect(cooldowns.checkCooldown(byBoth, 'bob', '#a', now, 'me').allowed).toBe(false);
+    expect(cooldowns.checkCooldown(byBoth, 'bob', '#b', now, 'me').allowed).toBe(true);
+    expect(mockCooldowns.has('me|b|bob|#a')).toBe(true);
+  });
+
+  it('should allow max_per_window triggers within the window', () => {
+    const rule = { id: 'r1', cooldown_seconds: 60, max_per_window: 3 };
+    cooldowns.noteTrigger(rule, 'bob', '#a', now, 'me');
+    cooldowns.noteTrigger(rule, 'bob', '#a', now + 10000, 'me');
+    expect(cooldowns.checkCooldown(rule, 'bob', '#a', now + 20000, 'me').allowed).toBe(true);
+    cooldowns.noteTrigger(rule, 'bob', '#a', now + 20000, 'me');
+    expect(cooldowns.checkCooldown(rule, 'bob', '#a', now + 30000, 'me')).toEqual({ allowed: false, remainingMs: 30000 });
+    // The first hit leaves the window after 60 seconds and frees a slot.
+    expect(cooldowns.checkCooldown(rule, 'bob', '#a', now + 60000, 'me').allowed).toBe(true);
+  });
+
+  it('should keep separate timers for each TheLounge user', () => {
+    const shared = { id: 'shared', cooldown_seconds: 10 };
+    cooldowns.noteTrigger(shared, 'bob', '#a', now, 'me');
+    expect(cooldowns.checkCooldown(shared, 'bob', '#a', now, 'me').allowed).toBe(false);
+    expect(cooldowns.checkCooldown(shared, 'bob', '#a', now, 'other').allowed).toBe(true);
+    expect(cooldowns.getActiveCooldowns(now, 'other')).toEqual([]);
+  });
+
+  it('should list active timers and drop expired ones', () => {
+    cooldowns.noteTrigger({ id: 'r1', cooldown_seconds: 10, cooldown_scope: 'sender', max_per_window: 2 }, 'bob', '#a', now, 'me');
+    cooldowns.noteTrigger({ id: 'r2', cooldown_seconds: 5 }, 'bob', '#a', now, 'me');
+
+    expect(cooldowns.getActiveCooldowns(now + 6000, 'me')).toEqual([
+      { ruleId: 'r1', sender: 'bob', channel: null, hits: 1, maxPerWindow: 2, remainingMs: 4000 },
+    ]);
+    expect(mockCooldowns.has('me|r2')).toBe(false);
+  });
+
+  it('should drop expired timers when a rule fires, at most once a minute', () => {
+    const rule = { id: 'p', cooldown_seconds: 10, cooldown_scope: 'sender' };
+    const start = now + 10 * 60 * 1000;
+    cooldowns.noteTrigger(rule, 'bob', '#a', start, 'me');
+    cooldowns.noteTrigger(rule, 'alice', '#a', start + 1000, 'other');
+
+    cooldowns.noteTrigger(rule, 'carol', '#a', start + 30000, 'me');
+    expect(mockCooldowns.has('me|p|bob')).toBe(true);
+
+    cooldowns.noteTrigger(rule, 'dave', '#a', start + 60000, 'me');
+    expect(Array.from(mockCooldowns.keys())).toEqual(['me|p|dave']);
+  });
+});
@@ -0,0 +1,60 @@
+'use strict';
+
+const { describeEvent, getEventVariables, getIrcEventName, getRuleEvent } = require('../src/events');
+
+describe('Events', () => {
+  const network = { nick: 'MyBot' };
+
+  it('should default rules to the message event', () => {
+    expect(getRuleEvent({})).toBe('message');
+    expect(getRuleEvent({ event: 'join' })).toBe('join');
+    expect(getIrcEventName('message')).toBe('privmsg');
+    expect(getIrcEventName('kick')).toBe('kick');
+  });
+
+  it('should add the variables of each event to the common ones', () => {
+    expect(getEventVariables('kick')).toEqual(expect.arrayContaining(['sender', 'kicker', 'kicked', 'reason']));
+    expect(getEventVariables('join')).not.toContain('reason');
+  });
+
+  it('should describe channel events', () => {
+    expect(describeEvent('join', { nick: 'bob', channel: '#a' }, network)).toEqual({
+      sender: 'bob', target: '#a', isQuery: false, replyTarget: '#a', text: 'bob', variables: {},
+      from: { nick: 'bob', user: '', host: '', account: null },
+    });
+    expect(describeEvent('kick', { nick: 'op', kicked: 'bob', channel: '#a', message: 'spam' }, network)).toEqual({
+      sender: 'op', target: '#a', isQuery: false, replyTarget: '#a', text: 'spam', variables: { kicker: 'op', kicked: 'bob', reason: 'spam' },
+      from: { nick: 'op', user: '', host: '', account: null },
+    });
+  });
+
+  it('should describe events without a channel', () => {
+    expect(describeEvent('nick', { nick: 'bob_away', new_nick: 'bob' }, network)).toEqual({
+      sender: 'bob', target: null, isQuery: false, replyTarget: null, text: 'bob', variables: { old_nick: 'bob_away', new_nick: 'bob' },
+      from: { nick: 'bob', user: '', host: '', account: null },
+    });
+    expect(describeEvent('quit', { nick: 'bob', message: 'bye' }, network).variables).toEqual({ reason: 'bye' });
+  });
+
+  it('should describe the sender with their hostmask and account', () => {
+    const message = describeEvent('message', { nick: 'bob', ident: '~bob', hostname: 'example.org', target: '#a', message: 'hi', tags: { account: 'Bob' } }, network);
+    expect(message.from).toEqual({ nick: 'bob', user: '~bob', host: 'example.org', account: 'Bob' });
+    // extended-join sends '*' for users who are not logged in.
+    expect(describeEvent('join', { nick: 'bob', channel: '#a', account: '*' }, network).from.account).toBeNull();
+    expect(describeEvent('join', { nick: 'bob', channel: '#a', account: 'Bob' }, network).from.account).toBe('Bob');
+  });
+
+  it('should send responses to invites and private notices back to the sender', () => {
+    expect(describeEvent('invite', { nick: 'bob', invited: 'MyBot', channel: '#secret' }, network).replyTarget).toBe('bob');
+    const notice = describeEvent('notice', { nick: 'bob', target: 'mybot', message: 'hi' }, network);
+    expect(notice.isQuery).toBe(true);
+    expect(notice.replyTarget).toBe('bob');
+  });
+
+  it('should ignore server notices, topics sent on join and our own events', () => {
+    expect(describeEvent('notice', { from_server: true, target: 'MyBot', message: 'Welcome' }, network)).toBeNull();
+    expect(describeEvent('topic', { channel: '#a', topic: 'Old topic' }, network)).toBeNull();
+    expect(describeEvent('join', { nick: 'MyBot', channel: '#a' }, network)).toBeNull();
+    expect(describeEvent('nick', { nick: 'MyBot_', new_nick: 'MyBot' }, network)).toBeNull();
+  });
+});
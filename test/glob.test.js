@@ -0,0 +1,49 @@
+'use strict';
+
+const { isGlob, matchesGlob } = require('../src/glob');
+
+describe('Glob Matching', () => {
+  it('should match * and ? wildcards', () => {
+    expect(matchesGlob('#proj-*', '#proj-core')).toBe(true);
+    expect(matchesGlob('#proj-*', '#project')).toBe(false);
+    expect(matchesGlob('#chan?', '#chan1')).toBe(true);
+    expect(matchesGlob('#chan?', '#chan12')).toBe(false);
+  });
+
+  it('should ignore case', () => {
+    expect(matchesGlob('#Proj-*', '#PROJ-web')).toBe(true);
+  });
+
+  it('should treat regex characters literally', () => {
+    expect(matchesGlob('nick!*@host.example', 'nick!user@host.example')).toBe(true);
+    expect(matchesGlob('a.b', 'axb')).toBe(false);
+    expect(matchesGlob('(x)[y]', '(x)[y]')).toBe(true);
+    expect(matchesGlob('^a$', 'a')).toBe(false);
+  });
+
+  it('should match stars anywhere in the pattern', () => {
+    expect(matchesGlob('*', '')).toBe(true);
+    expect(matchesGlob('**', 'abc')).toBe(true);
+    expect(matchesGlob('*b*', 'abc')).toBe(true);
+    expect(matchesGlob('a*c', 'abbbc')).toBe(true);
+    expect(matchesGlob('a*c', 'abbbcd')).toBe(false);
+    expect(matchesGlob('*!*@*.example', 'nick!user@host.example')).toBe(true);
+    expect(matchesGlob('a*?', 'a')).toBe(false);
+    expect(matchesGlob('?', '')).toBe(false);
+  });
+
+  it('should match masks with many stars quickly', () => {
+    const mask = `${'*a'.repeat(8)}*!*@*`;
+    const hostmask = `${'a'.repeat(60)}!user@host`;
+    const start = Date.now();
+    expect(matchesGlob(mask, hostmask)).toBe(true);
+    expect(matchesGlob(mask, `${'a'.repeat(60)}@host`)).toBe(false);
+    expect(matchesGlob(`${'*a'.repeat(20)}b`, 'a'.repeat(500))).toBe(false);
+    expect(Date.now() - start).toBeLessThan(500);
+  });
+
+  it('should detect glob patterns', () => {
+    expect(isGlob('#proj-*')).toBe(true);
+    expect(isGlob('#proj')).toBe(false);
+  });
+});
@@ -0,0 +1,48 @@
+'use strict';
+
+const mockPluginConfig = {};
+jest.mock('../src/plugin-config', () => ({
+  getPluginConfig: jest.fn(() => mockPluginConfig),
+}));
+
+const { getSkipReason, getMaxMessageAgeSeconds } = require('../src/history-filter');
+
+describe('History filter', () => {
+  const network = { nick: 'MyBot' };
+  const now = Date.parse('2024-05-01T12:00:00Z');
+
+  beforeEach(() => {
+    delete mockPluginConfig.maxMessageAgeSeconds;
+  });
+
+  it('should let new messages through', () => {
+    expect(getSkipReason({ nick: 'bob', message: 'hi' }, network, now)).toBeNull();
+    expect(getSkipReason({ nick: 'bob', time: now - 5000 }, network, now)).toBeNull();
+  });
+
+  it('should skip echoes of our own messages', () => {
+    expect(getSkipReason({ nick: 'mybot', message: 'hi' }, network, now)).toBe('it is an echo of our own message');
+  });
+
+  it('should skip messages in a playback batch', () => {
+    expect(getSkipReason({ nick: 'bob', batch: { id: '1', type: 'chathistory' } }, network, now)).toBe("it is part of a 'chathistory' playback batch");
+    expect(getSkipReason({ nick: 'bob', batch: { id: '2', type: 'netsplit' } }, network, now)).toBeNull();
+  });
+
+  it('should skip messages older than the configured age', () => {
+    expect(getSkipReason({ nick: 'bob', time: now - 120000 }, network, now)).toBe('it was sent 120s ago (limit: 60s)');
+    expect(getSkipReason({ nick: 'bob', tags: { time: '2024-05-01T11:58:00.000Z' } }, network, now)).toBe('it was sent 120s ago (limit: 60s)');
+
+    mockPluginConfig.maxMessageAgeSeconds = 300;
+    expect(getSkipReason({ nick: 'bob', time: now - 120000 }, network, now)).toBeNull();
+
+    // 0 disables the check.
+    mockPluginConfig.maxMessageAgeSeconds = 0;
+    expect(getSkipReason({ nick: 'bob', time: 0, tags: { time: '2020-01-01T00:00:00Z' } }, network, now)).toBeNull();
+  });
+
+  it('should use the default age when the setting is invalid', () => {
+    mockPluginConfig.maxMessageAgeSeconds = 'soon';
+    expect(getMaxMessageAgeSeconds()).toBe(60);
+  });
+});
@@ -73,4 +73,33 @@ describe('Plugin Integration (index.js)', () => {
     // Assert
     expect(fs.mkdirSync).not.toHaveBeenCalled();
   });
+
+  it('should save pending changes when the process exits', () => {
+    jest.doMock('fs', () => ({
+      existsSync: jest.fn().mockReturnValue(true),
+      mkdirSync: jest.fn(),
+      watchFile: jest.fn(),
+      readFileSync: jest.fn().mockReturnValue('[]'),
+      writeFileSync: jest.fn(),
+    }));
+    const fs = require('fs');
+    const plugin = require('../index');
+    const messageStore = require('../src/message-store');
+    const ruleStats = require('../src/rule-stats');
+    const once = jest.spyOn(process, 'once').mockImplementation(() => process);
+
+    try {
+      plugin.onServerStart(mockApi);
+      messageStore.recordMessage({ uuid: 'uuid-1' }, { channel: '#a', nick: 'bob', text: 'hi' });
+      ruleStats.noteTrigger('alice', { id: 'a1' }, 'bob', 1000);
+      expect(fs.writeFileSync).not.toHaveBeenCalledWith(`${configDir}/messages.json`, expect.anything(), 'utf8');
+
+      const [, onExit] = once.mock.calls.find(([event]) => event === 'exit');
+      onExit();
+      expect(fs.writeFileSync).toHaveBeenCalledWith(`${configDir}/messages.json`, expect.stringContaining('"text": "hi"'), 'utf8');
+      expect(fs.writeFileSync).toHaveBeenCalledWith(`${configDir}/rule-stats.json`, expect.stringContaining('"lastSender": "bob"'), 'utf8');
+    } finally {
+      once.mockRestore();
+    }
+  });
 });
@@ -0,0 +1,251 @@
+'use strict';
+
+const mockHandler = jest.fn();
+const mockEventHandlers = { join: jest.fn(), kick: jest.fn() };
+jest.mock('../src/message-handler', () => ({
+  createPrivmsgHandler: jest.fn(() => mockHandler),
+  createEventHandler: jest.fn((client, network, eventType) => mockEventHandlers[eventType]),
+  safeJsonStringify: jest.fn((obj) => JSON.stringify(obj)),
+}));
+
+const mockPluginConfig = {};
+jest.mock('../src/plugin-config', () => ({
+  getPluginConfig: jest.fn(() => mockPluginConfig),
+  savePluginConfig: jest.fn(),
+}));
+
+jest.mock('../src/message-store');
+jest.mock('../src/response-scheduler');
+jest.mock('../src/rate-limiter');
+
+jest.mock('../src/logger', () => ({
+  PluginLogger: {
+    info: jest.fn(),
+    debug: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+describe('Listener Manager', () => {
+  let pluginConfigManager;
+  let listenerManager;
+  let network;
+  let realClient;
+  let client;
+
+  const createIrc = () => ({ on: jest.fn(), removeListener: jest.fn() });
+
+  beforeEach(() => {
+    // The module keeps track of every client it has seen, so start from a fresh copy.
+    jest.resetModules();
+    pluginConfigManager = require('../src/plugin-config');
+    listenerManager = require('../src/listener-manager');
+    require('../src/message-store').getSessionDigest.mockReturnValue({ messages: 0, people: 0, replies: 0 });
+    delete mockPluginConfig.activeListeners;
+    delete mockPluginConfig.awayMode;
+
+    network = { uuid: 'uuid-1', name: 'TestNet', irc: createIrc() };
+    realClient = { name: 'alice', networks: [network], inputLine: jest.fn() };
+    client = { client: realClient, runAsUser: jest.fn() };
+  });
+
+  describe('startListener / stopListener', () => {
+    it('should attach the handler and persist the network uuid', () => {
+      expect(listenerManager.startListener(client, network)).toBe(true);
+
+      expect(require('../src/message-store').startSession).toHaveBeenCalledWith(network);
+      expect(network.irc.on).toHaveBeenCalledWith('privmsg', mockHandler);
+      expect(listenerManager.isListening(network)).toBe(true);
+      expect(mockPluginConfig.activeListeners).toEqual({ alice: ['uuid-1'] });
+      expect(pluginConfigManager.savePluginConfig).toHaveBeenCalledTimes(1);
+    });
+
+    it('should attach and detach the handlers of the other events', () => {
+      listenerManager.startListener(client, network);
+      expect(network.irc.on).toHaveBeenCalledWith('join', mockEventHandlers.join);
+      expect(network.irc.on).toHaveBeenCalledWith('kick', mockEventHandlers.kick);
+
+      listenerManager.stopListener(client, network);
+      expect(network.irc.removeListener).toHaveBeenCalledWith('join', mockEventHandlers.join);
+      expect(network.irc.removeListener).toHaveBeenCalledWith('kick', mockEventHandlers.kick);
+    });
+
+    it('should return false when the listener is already active', () => {
+      listenerManager.startListener(client, network);
+      expect(listenerManager.startListener(client, network)).toBe(false);
+      expect(network.irc.on.mock.calls.filter(([eventName]) => eventName === 'privmsg')).toHaveLength(1);
+    });
+
+    it('should detach the handler and remove the persisted entry', () => {
+      listenerManager.startListener(client, network);
+      expect(listenerManager.stopListener(client, network)).toBe(true);
+
+      expect(network.irc.removeListener).toHaveBeenCalledWith('privmsg', mockHandler);
+      expect(listenerManager.isListening(network)).toBe(false);
+      expect(mockPluginConfig.activeListeners).toEqual({});
+      expect(require('../src/response-scheduler').cancelPending).toHaveBeenCalledWith('uuid-1');
+    });
+
+    it('should return false when stopping an inactive listener', () => {
+      expect(listenerManager.stopListener(client, network)).toBe(false);
+      expect(pluginConfigManager.savePluginConfig).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('registerClient', () => {
+    it('should restore persisted listeners for the client', () => {
+      mockPluginConfig.activeListeners = { alice: ['uuid-1'] };
+
+      listenerManager.registerClient(client);
+
+      expect(network.irc.on).toHaveBeenCalledWith('privmsg', mockHandler);
+      expect(listenerManager.isListening(network)).toBe(true);
+      expect(pluginConfigManager.savePluginConfig).not.toHaveBeenCalled();
+    });
+
+    it('should remove persisted entries for deleted networks', () => {
+      mockPluginConfig.activeListeners = { alice: ['uuid-1', 'deleted-uuid'] };
+
+      listenerManager.registerClient(client);
+
+      expect(mockPluginConfig.activeListeners).toEqual({ alice: ['uuid-1'] });
+      expect(pluginConfigManager.savePluginConfig).toHaveBeenCalledTimes(1);
+    });
+
+    it('should restore listeners of other users through the client manager', () => {
+      const otherNetwork = { uuid: 'uuid-2', name: 'OtherNet', irc: createIrc() };
+      const otherClient = { name: 'bob', networks: [otherNetwork], inputLine: jest.fn() };
+      realClient.manager = { clients: [realClient, otherClient] };
+      mockPluginConfig.activeListeners = { bob: ['uuid-2'] };
+
+      listenerManager.registerClient(client);
+
+      expect(otherNetwork.irc.on).toHaveBeenCalledWith('privmsg', mockHandler);
+      const { client: wrapped } = listenerManager.activeListeners.get('uuid-2');
+      wrapped.runAsUser('hello', 7);
+      expect(otherClient.inputLine).toHaveBeenCalledWith({ target: 7, text: 'hello' });
+    });
+  });
+
+  describe('reconcile', () => {
+    it('should re-bind the handler when network.irc is recreated', () => {
+      listenerManager.startListener(client, network);
+      const oldIrc = network.irc;
+      network.irc = createIrc();
+
+      listenerManager.reconcile();
+
+      expect(oldIrc.removeListener).toHaveBeenCalledWith('privmsg', mockHandler);
+      expect(network.irc.on).toHaveBeenCalledWith('privmsg', mockHandler);
+      expect(listenerManager.activeListeners.get('uuid-1').irc).toBe(network.irc);
+    });
+
+    it('should drop listeners for networks that were removed', () => {
+      listenerManager.startListener(client, network);
+      realClient.networks = [];
+
+      listenerManager.reconcile();
+
+      expect(listenerManager.isListening(network)).toBe(false);
+      expect(mockPluginConfig.activeListeners).toEqual({});
+    });
+  });
+
+  describe('away mode', () => {
+    const findHandler = (irc, eventName) => irc.on.mock.calls.find(([name]) => name === eventName)[1];
+
+    beforeEach(() => {
+      network.nick = 'me';
+    });
+
+    it('should track the away state of every network of a registered client', () => {
+      listenerManager.registerClient(client);
+      expect(network.irc.on).toHaveBeenCalledWith('away', expect.any(Function));
+      expect(network.irc.on).toHaveBeenCalledWith('back', expect.any(Function));
+      expect(network.irc.on).toHaveBeenCalledWith('raw', expect.any(Function));
+    });
+
+    it('should start and stop the listener on /away and /back when auto is enabled', () => {
+      mockPluginConfig.awayMode = { 'uuid-1': { auto: true } };
+      listenerManager.registerClient(client);
+
+      findHandler(network.irc, 'away')({ self: true, nick: 'me', message: 'lunch' });
+      expect(listenerManager.isListening(network)).toBe(true);
+
+      findHandler(network.irc, 'back')({ self: true, nick: 'me' });
+      expect(listenerManager.isListening(network)).toBe(false);
+    });
+
+    it('should start the listener on /away after a restart, before any /am command', () => {
+      class ClientManager {
+        loadUser() {
+          this.clients = [realClient];
+          return realClient;
+        }
+      }
+      mockPluginConfig.awayMode = { 'uuid-1': { auto: true } };
+      listenerManager.init(() => ClientManager);
+      new ClientManager().loadUser('alice');
+
+      findHandler(network.irc, 'away')({ self: true, nick: 'me', message: 'lunch' });
+      expect(listenerManager.isListening(network)).toBe(true);
+    });
+
+    it('should not touch the listener when auto is disabled', () => {
+      listenerManager.registerClient(client);
+      findHandler(network.irc, 'away')({ self: true, nick: 'me' });
+      expect(listenerManager.isListening(network)).toBe(false);
+    });
+  });
+
+  describe('init', () => {
+    it('should reconcile listeners periodically', () => {
+      jest.useFakeTimers();
+      listenerManager.startListener(client, network);
+      network.irc = createIrc();
+
+      listenerManager.init();
+      jest.advanceTimersByTime(30 * 1000);
+
+      expect(network.irc.on).toHaveBeenCalledWith('privmsg', mockHandler);
+      jest.useRealTimers();
+    });
+
+    it('should restore saved listeners and away tracking when TheLounge loads a user, without any /am command', () => {
+      class ClientManager {
+        constructor() {
+          this.clients = [];
+        }
+        loadUser(name) {
+          const loaded = name === 'alice' ? realClient : null;
+          this.clients.push(loaded);
+          return loaded;
+        }
+      }
+      const loungeRequire = jest.fn(modulePath => {
+        if (modulePath !== './dist/server/clientManager') {
+          throw new Error(`Cannot find module '${modulePath}'`);
+        }
+        return { default: ClientManager };
+      });
+      mockPluginConfig.activeListeners = { alice: ['uuid-1'] };
+
+      listenerManager.init(loungeRequire);
+      expect(listenerManager.isListening(network)).toBe(false);
+      expect(new ClientManager().loadUser('alice')).toBe(realClient);
+
+      expect(network.irc.on).toHaveBeenCalledWith('privmsg', mockHandler);
+      expect(network.irc.on).toHaveBeenCalledWith('away', expect.any(Function));
+      expect(listenerManager.isListening(network)).toBe(true);
+      listenerManager.activeListeners.get('uuid-1').client.runAsUser('hello', 7);
+      expect(realClient.inputLine).toHaveBeenCalledWith({ target: 7, text: 'hello' });
+    });
+
+    it('should fall back to /am commands when TheLounge\'s client manager cannot be found', () => {
+      listenerManager.init(() => {
+        throw new Error('Cannot find module');
+      });
+      expect(require('../src/logger').PluginLogger.info).toHaveBeenCalledWith(expect.stringContaining('they will be restored when one of their users runs an /am command'));
+    });
+  });
+});
@@ -1,12 +1,25 @@
 'use strict';
 
-const { createPrivmsgHandler, safeJsonStringify } = require('../src/message-handler');
+const { formatResponse, createPrivmsgHandler, createEventHandler, safeJsonStringify, testEvent } = require('../src/message-handler');
 const ruleManager = require('../src/rule-manager');
 const { PluginLogger } = require('../src/logger');
+const presence = require('../src/presence');
+const responseScheduler = require('../src/response-scheduler');
+const messageStore = require('../src/message-store');
+const rateLimiter = require('../src/rate-limiter');
+const ruleStats = require('../src/rule-stats');
 
 // Mock dependencies
 jest.mock('../src/rule-manager');
 jest.mock('../src/logger');
+jest.mock('../src/presence');
+jest.mock('../src/message-store');
+jest.mock('../src/rule-stats');
+// Send right away; the rate limiter has its own tests.
+jest.mock('../src/rate-limiter', () => ({
+  send: jest.fn((network, sendMessage) => sendMessage()),
+  noteTrigger: jest.fn(() => true),
+}));
 
 describe('safeJsonStringify', () => {
 	it('should handle circular references without crashing', () => {
@@ -26,7 +39,7 @@ describe('createPrivmsgHandler', () => {
   beforeEach(() => {
     jest.useFakeTimers(); // Use fake timers for all tests in this suite
     jest.clearAllMocks();
-    client = { runAsUser: jest.fn() };
+    client = { runAsUser: jest.fn(), client: { name: 'alice' } };
     network = {
       name: 'TestServer',
       nick: 'MyBot',
@@ -35,6 +48,8 @@ describe('createPrivmsgHandler', () => {
     data = { nick: 'User1', target: '#general', message: '' };
     ruleManager.getRules.mockReturnValue([]);
     ruleManager.getRuleCooldowns.mockReturnValue(new Map());
+    presence.isAbsent.mockReturnValue(false);
+    presence.getAwayReason.mockReturnValue('');
   });
 
   afterEach(() => {
@@ -149,7 +164,7 @@ describe('createPrivmsgHandler', () => {
     expect(client.runAsUser).toHaveBeenCalledWith('Ordering pizza and soda for User1.', 1);
   });
 
-  it('should not crash and should log an error on invalid regex', () => {
+  it('should skip rules with an invalid regex without logging on every message', () => {
     ruleManager.getRules.mockReturnValue([{
       server: 'TestServer',
       listen_channel: '#general',
@@ -160,10 +175,40 @@ describe('createPrivmsgHandler', () => {
     const handler = createPrivmsgHandler(client, network);
     handler(data);
     expect(client.runAsUser).not.toHaveBeenCalled();
-    expect(PluginLogger.error).toHaveBeenCalledWith(
-      expect.stringContaining('[AM] Invalid regex in rule:'),
-      expect.any(String)
-    );
+    // Invalid triggers are reported when the rules are loaded.
+    expect(PluginLogger.error).not.toHaveBeenCalled();
+  });
+
+  it('should disable a rule whose trigger exceeds the time budget', () => {
+    const config = require('../src/plugin-config').getPluginConfig();
+    config.regexTimeoutMs = 20;
+    ruleManager.getRuleLabel.mockReturnValue('slow');
+    ruleManager.getRules.mockReturnValue([
+      { id: 'slow', server: 'TestServer', listen_channel: '#general', trigger_text: 'a*a*a*a*a*a*a*a*a*a*a*a*b', response_text: 'never' },
+      { id: 'next', server: 'TestServer', listen_channel: '#general', trigger_text: 'a', response_text: 'next' },
+    ]);
+    const handler = createPrivmsgHandler(client, network);
+    handler({ nick: 'User1', target: '#general', message: 'a'.repeat(40) });
+    expect(PluginLogger.error).toHaveBeenCalledWith('[AM] Rule slow has been disabled: matching took longer than 20ms. Fix its trigger_text to enable it again.');
+    expect(client.runAsUser).toHaveBeenCalledWith('next', 1);
+    expect(require('../src/regex-safety').isRuleDisabled({ id: 'slow', trigger_text: 'a*a*a*a*a*a*a*a*a*a*a*a*b' }, 'alice')).toBe(true);
+    expect(require('../src/regex-safety').isRuleDisabled({ id: 'slow', trigger_text: 'a*a*a*a*a*a*a*a*a*a*a*a*b' }, 'bob')).toBe(false);
+    delete config.regexTimeoutMs;
+  });
+
+  it('should match {{me}} literally and follow nick changes', () => {
+    ruleManager.getRules.mockReturnValue([
+      { server: 'TestServer', listen_channel: '#general', trigger_text: '^{{me}}: hi$', response_text: 'hello', cooldown_seconds: 0 },
+    ]);
+    network.nick = 'bot|away';
+    const handler = createPrivmsgHandler(client, network);
+    handler({ nick: 'User1', target: '#general', message: 'bot: hi' });
+    expect(client.runAsUser).not.toHaveBeenCalled();
+    handler({ nick: 'User1', target: '#general', message: 'bot|away: hi' });
+    expect(client.runAsUser).toHaveBeenCalledTimes(1);
+    network.nick = 'bot';
+    handler({ nick: 'User1', target: '#general', message: 'bot: hi' });
+    expect(client.runAsUser).toHaveBeenCalledTimes(2);
   });
 
   it('should respect cooldown', () => {
@@ -184,6 +229,64 @@ describe('createPrivmsgHandler', () => {
     expect(client.runAsUser).toHaveBeenCalledTimes(1);
   });
 
+  it('should keep a separate cooldown per sender with cooldown_scope sender', () => {
+    ruleManager.getRules.mockReturnValue([{
+      id: 'faq',
+      server: 'TestServer',
+      listen_channel: '#general',
+      trigger_text: '!faq',
+      response_text: 'See the FAQ, {{sender}}',
+      cooldown_seconds: 60,
+      cooldown_scope: 'sender',
+    }]);
+    const handler = createPrivmsgHandler(client, network);
+    handler({ nick: 'bob', target: '#general', message: '!faq' });
+    handler({ nick: 'bob', target: '#general', message: '!faq' });
+    handler({ nick: 'alice', target: '#general', message: '!faq' });
+    expect(client.runAsUser.mock.calls).toEqual([['See the FAQ, bob', 1], ['See the FAQ, alice', 1]]);
+  });
+
+  it('should send responses through the rate limiter and skip senders caught in a loop', () => {
+    ruleManager.getRules.mockReturnValue([
+      { id: 'r1', server: 'TestServer', listen_channel: '#general', trigger_text: 'ping', response_text: 'pong', cooldown_seconds: 0 },
+    ]);
+    data.message = 'ping';
+    const handler = createPrivmsgHandler(client, network);
+    handler(data);
+    expect(rateLimiter.send).toHaveBeenCalledWith(network, expect.any(Function));
+    expect(rateLimiter.noteTrigger).toHaveBeenCalledWith(network, 'User1', expect.any(Number));
+    expect(client.runAsUser).toHaveBeenCalledTimes(1);
+
+    rateLimiter.noteTrigger.mockReturnValueOnce(false);
+    handler(data);
+    expect(client.runAsUser).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not respond to senders on the ignore list', () => {
+    ruleManager.getRules.mockReturnValue([
+      { id: 'r1', server: 'TestServer', listen_channel: '#general', trigger_text: 'ping', response_text: 'pong' },
+    ]);
+    const config = require('../src/plugin-config').getPluginConfig();
+    config.ignoreList = ['*!*@*.bots.example'];
+    createPrivmsgHandler(client, network)({ nick: 'OtherBot', ident: 'bot', hostname: 'a.bots.example', target: '#general', message: 'ping' });
+    expect(client.runAsUser).not.toHaveBeenCalled();
+    delete config.ignoreList;
+  });
+
+  it('should only respond to senders allowed by only_from and except_from', () => {
+    network.channels[0].users = new Map([['opuser', { modes: ['@'] }]]);
+    ruleManager.getRules.mockReturnValue([
+      { id: 'r1', server: 'TestServer', listen_channel: '#general', trigger_text: '!kick', response_text: 'done', only_from: 'status:op', except_from: 'account:banned', cooldown_seconds: 0 },
+    ]);
+    const handler = createPrivmsgHandler(client, network);
+    handler({ nick: 'User1', target: '#general', message: '!kick' });
+    expect(client.runAsUser).not.toHaveBeenCalled();
+    handler({ nick: 'OpUser', target: '#general', message: '!kick', tags: { account: 'banned' } });
+    expect(client.runAsUser).not.toHaveBeenCalled();
+    handler({ nick: 'OpUser', target: '#general', message: '!kick' });
+    expect(client.runAsUser).toHaveBeenCalledWith('done', 1);
+  });
+
   it('should ignore rules for a different server', () => {
     ruleManager.getRules.mockReturnValue([{
       server: 'AnotherServer', // Mismatched server
@@ -210,6 +313,374 @@ describe('createPrivmsgHandler', () => {
     expect(client.runAsUser).not.toHaveBeenCalled();
   });
 
+  describe('listen_channel matching', () => {
+    const createRule = (listenChannel) => ({
+      server: 'TestServer',
+      listen_channel: listenChannel,
+      trigger_text: 'ping',
+      response_text: 'pong',
+    });
+
+    beforeEach(() => {
+      data.message = 'ping';
+      network.channels.push({ name: '#proj-core', id: 3 });
+    });
+
+    it('should match any channel with *', () => {
+      ruleManager.getRules.mockReturnValue([createRule('*')]);
+      data.target = '#proj-core';
+      createPrivmsgHandler(client, network)(data);
+      expect(client.runAsUser).toHaveBeenCalledWith('pong', 3);
+    });
+
+    it('should not match private messages with *', () => {
+      ruleManager.getRules.mockReturnValue([createRule('*')]);
+      data.target = 'MyBot';
+      createPrivmsgHandler(client, network)(data);
+      expect(client.runAsUser).not.toHaveBeenCalled();
+    });
+
+    it('should match glob patterns', () => {
+      ruleManager.getRules.mockReturnValue([createRule('#proj-*')]);
+      data.target = '#PROJ-core';
+      createPrivmsgHandler(client, network)(data);
+      expect(client.runAsUser).toHaveBeenCalledWith('pong', 3);
+
+      data.target = '#general';
+      createPrivmsgHandler(client, network)(data);
+      expect(client.runAsUser).toHaveBeenCalledTimes(1);
+    });
+
+    it('should match any entry of an array', () => {
+      ruleManager.getRules.mockReturnValue([createRule(['#other', '#general'])]);
+      createPrivmsgHandler(client, network)(data);
+      expect(client.runAsUser).toHaveBeenCalledWith('pong', 1);
+    });
+
+    it('should reply to a query in the sender\'s existing query window', () => {
+      network.channels.push({ name: 'user1', id: 4 });
+      ruleManager.getRules.mockReturnValue([createRule('@query')]);
+      data.target = 'MyBot';
+      createPrivmsgHandler(client, network)(data);
+      expect(client.runAsUser).toHaveBeenCalledTimes(1);
+      expect(client.runAsUser).toHaveBeenCalledWith('pong', 4);
+    });
+
+    it('should open a query window if it does not exist', () => {
+      ruleManager.getRules.mockReturnValue([createRule('@query')]);
+      client.runAsUser.mockImplementation((command) => {
+        if (command === '/query User1') {
+          network.channels.push({ name: 'User1', id: 5 });
+        }
+      });
+      data.target = 'mybot';
+      createPrivmsgHandler(client, network)(data);
+      expect(client.runAsUser).toHaveBeenNthCalledWith(1, '/query User1', 1);
+      expect(client.runAsUser).toHaveBeenNthCalledWith(2, 'pong', 5);
+    });
+
+    it('should not match channel messages with @query', () => {
+      ruleManager.getRules.mockReturnValue([createRule('@query')]);
+      createPrivmsgHandler(client, network)(data);
+      expect(client.runAsUser).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('away-only rules', () => {
+    const awayRule = {
+      server: 'TestServer',
+      listen_channel: '#general',
+      trigger_text: '{{me}}',
+      response_text: '{{sender}}: I am away ({{away_reason}})',
+      when: 'away',
+    };
+
+    it('should skip rules with when=away while the user is present', () => {
+      ruleManager.getRules.mockReturnValue([awayRule]);
+      data.message = 'hey MyBot';
+      createPrivmsgHandler(client, network)(data);
+      expect(presence.isAbsent).toHaveBeenCalledWith(network);
+      expect(client.runAsUser).not.toHaveBeenCalled();
+    });
+
+    it('should fire rules with when=away and substitute {{away_reason}} while absent', () => {
+      presence.isAbsent.mockReturnValue(true);
+      presence.getAwayReason.mockReturnValue('lunch');
+      ruleManager.getRules.mockReturnValue([awayRule]);
+      data.message = 'hey MyBot';
+      createPrivmsgHandler(client, network)(data);
+      expect(presence.noteOwnMessage).toHaveBeenCalledWith(network);
+      expect(client.runAsUser).toHaveBeenCalledWith('User1: I am away (lunch)', 1);
+    });
+  });
+
+  it('should send every response of a rule in all mode', () => {
+    ruleManager.getRules.mockReturnValue([{
+      server: 'TestServer',
+      listen_channel: '#general',
+      trigger_text: 'hi',
+      response_text: ['hello {{sender}}', 'welcome!'],
+      response_mode: 'all',
+    }]);
+    data.message = 'hi';
+    createPrivmsgHandler(client, network)(data);
+    expect(client.runAsUser).toHaveBeenNthCalledWith(1, 'hello User1', 1);
+    expect(client.runAsUser).toHaveBeenNthCalledWith(2, 'welcome!', 1);
+  });
+
+  it('should render template variables and filters', () => {
+    require('../src/plugin-config').getPluginConfig().timezone = 'UTC';
+    jest.setSystemTime(new Date(Date.UTC(2024, 4, 1, 9, 5)));
+    ruleManager.getRules.mockReturnValue([{
+      server: 'TestServer',
+      listen_channel: '#general',
+      trigger_text: '^!seen (?<who>\\S+)',
+      response_text: '{{sender|upper}} asked about {{group.who}} in {{channel}} on {{network}} at {{date}} {{time}} ({{message}})',
+    }]);
+    data.message = '!seen alice';
+    createPrivmsgHandler(client, network)(data);
+    expect(client.runAsUser).toHaveBeenCalledWith('USER1 asked about alice in #general on TestServer at 2024-05-01 09:05 (!seen alice)', 1);
+    delete require('../src/plugin-config').getPluginConfig().timezone;
+  });
+
+  it('should only check the rules of the TheLounge user and use their timezone', () => {
+    const pluginConfigManager = require('../src/plugin-config');
+    pluginConfigManager.getPluginConfig().timezone = 'UTC';
+    pluginConfigManager.getUserSettings('alice').timezone = 'Asia/Tokyo';
+    jest.setSystemTime(new Date(Date.UTC(2024, 4, 1, 9, 5)));
+    ruleManager.getRules.mockReturnValue([{ server: 'TestServer', listen_channel: '#general', trigger_text: '^!time', response_text: 'It is {{time}}' }]);
+    data.message = '!time';
+    createPrivmsgHandler(client, network)(data);
+    expect(ruleManager.getRules).toHaveBeenCalledWith('alice');
+    expect(client.runAsUser).toHaveBeenCalledWith('It is 18:05', 1);
+    delete pluginConfigManager.getPluginConfig().timezone;
+    delete pluginConfigManager.getPluginConfig().users;
+  });
+
+  describe('event rules', () => {
+    beforeEach(() => {
+      network.channels.push({ name: '#help', id: 3 });
+    });
+
+    it('should greet users joining a channel', () => {
+      ruleManager.getRules.mockReturnValue([
+        { id: 'msg', server: 'TestServer', listen_channel: '#general', trigger_text: 'bob', response_text: 'not for joins' },
+        { id: 'greet', server: 'TestServer', listen_channel: '#general', event: 'join', response_text: 'Welcome to {{channel}}, {{sender}}!' },
+      ]);
+      createEventHandler(client, network, 'join')({ nick: 'bob', channel: '#general' });
+      expect(client.runAsUser).toHaveBeenCalledTimes(1);
+      expect(client.runAsUser).toHaveBeenCalledWith('Welcome to #general, bob!', 1);
+    });
+
+    it('should expose the variables of the event and match the trigger against its text', () => {
+      ruleManager.getRules.mockReturnValue([
+        { server: 'TestServer', listen_channel: '#general', event: 'kick', trigger_text: 'flood', response_text: '{{kicker}} kicked {{kicked}} ({{reason}})' },
+      ]);
+      const handler = createEventHandler(client, network, 'kick');
+      handler({ nick: 'op', kicked: 'bob', channel: '#general', message: 'be nice' });
+      expect(client.runAsUser).not.toHaveBeenCalled();
+      handler({ nick: 'op', kicked: 'bob', channel: '#general', message: 'no flood please' });
+      expect(client.runAsUser).toHaveBeenCalledWith('op kicked bob (no flood please)', 1);
+    });
+
+    it('should send responses to events without a channel to response_channel', () => {
+      ruleManager.getRules.mockReturnValue([
+        { server: 'TestServer', event: 'nick', trigger_text: '^bob$', response_channel: '#help', response_text: 'Welcome back, {{new_nick}} (was {{old_nick}})' },
+      ]);
+      createEventHandler(client, network, 'nick')({ nick: 'bob_away', new_nick: 'bob' });
+      expect(client.runAsUser).toHaveBeenCalledWith('Welcome back, bob (was bob_away)', 3);
+    });
+
+    it('should apply cooldowns and delays to event rules', () => {
+      ruleManager.getRules.mockReturnValue([
+        { id: 'greet', server: 'TestServer', listen_channel: '#general', event: 'join', response_text: 'hi {{sender}}', delay_seconds: 2, cooldown_seconds: 60 },
+      ]);
+      const handler = createEventHandler(client, network, 'join');
+      handler({ nick: 'bob', channel: '#general' });
+      handler({ nick: 'alice', channel: '#general' });
+      jest.advanceTimersByTime(2000);
+      expect(client.runAsUser).toHaveBeenCalledTimes(1);
+      expect(client.runAsUser).toHaveBeenCalledWith('hi bob', 1);
+    });
+
+    it('should ignore events caused by ourselves', () => {
+      ruleManager.getRules.mockReturnValue([
+        { server: 'TestServer', listen_channel: '#general', event: 'join', response_text: 'hi {{sender}}' },
+      ]);
+      createEventHandler(client, network, 'join')({ nick: 'MyBot', channel: '#general' });
+      expect(client.runAsUser).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('response types', () => {
+    const runRule = (extra) => {
+      ruleManager.getRules.mockReturnValue([{ server: 'TestServer', listen_channel: '#general', trigger_text: 'ping', response_text: 'pong', ...extra }]);
+      data.message = 'ping';
+      createPrivmsgHandler(client, network)(data);
+    };
+
+    it('should send notices, actions and CTCPs through the matching command', () => {
+      runRule({ response_type: 'notice' });
+      expect(client.runAsUser).toHaveBeenLastCalledWith('/notice #general pong', 1);
+      client.runAsUser.mockClear();
+      runRule({ id: 'b', response_type: 'action', response_text: 'waves at {{sender}}' });
+      expect(client.runAsUser).toHaveBeenLastCalledWith('/me waves at User1', 1);
+      runRule({ id: 'c', response_type: 'ctcp', response_text: 'VERSION' });
+      expect(client.runAsUser).toHaveBeenLastCalledWith('/ctcp #general VERSION', 1);
+    });
+
+    it('should not run message responses that start with a slash as commands', () => {
+      runRule({ response_text: '/quit bye' });
+      expect(client.runAsUser).toHaveBeenCalledWith('//quit bye', 1);
+    });
+
+    it('should run allowed commands and refuse the others', () => {
+      runRule({ response_type: 'command', response_text: 'mode #general +v {{sender}}' });
+      expect(client.runAsUser).toHaveBeenCalledWith('/mode #general +v User1', 1);
+      client.runAsUser.mockClear();
+      runRule({ id: 'b', response_type: 'command', response_text: '/quote QUIT' });
+      expect(client.runAsUser).not.toHaveBeenCalled();
+      expect(PluginLogger.error).toHaveBeenCalledWith("[AM] Refusing to run a command that is not allowed: 'quote'.");
+    });
+
+    it('should only note own messages for responses that send a PRIVMSG or NOTICE', () => {
+      runRule({ response_type: 'command', response_text: 'mode #general +v {{sender}}' });
+      expect(presence.noteOwnMessage).not.toHaveBeenCalled();
+      runRule({ id: 'b', response_type: 'command', response_text: '/msg {{sender}} hi' });
+      runRule({ id: 'c', response_type: 'notice' });
+      runRule({ id: 'd', response_text: '/quit bye' });
+      expect(presence.noteOwnMessage).toHaveBeenCalledTimes(3);
+    });
+
+    it('should format responses for each type', () => {
+      expect(formatResponse('hi', undefined, '#a')).toBe('hi');
+      expect(formatResponse('hi', 'notice', 'bob')).toBe('/notice bob hi');
+      expect(formatResponse('/raw x', 'command', '#a')).toBeNull();
+      expect(formatResponse('/raw x', 'message', '#a')).toBe('//raw x');
+    });
+
+    it('should keep sending messages starting with /me as actions', () => {
+      expect(formatResponse('/me waves', undefined, '#a')).toBe('/me waves');
+      expect(formatResponse('/ME waves', 'message', '#a')).toBe('/me waves');
+      expect(formatResponse('/message', 'message', '#a')).toBe('//message');
+    });
+  });
+
+  describe('steps', () => {
+    const createStepRule = () => ({
+      server: 'TestServer',
+      listen_channel: '#general',
+      trigger_text: 'help',
+      steps: [
+        { text: 'Hi {{sender}}!' },
+        { text: 'Have a look at the FAQ:', delay_seconds: 2 },
+        { text: 'https://example.org/faq', delay_seconds: 1, target: 'User1' },
+      ],
+    });
+
+    beforeEach(() => {
+      network.uuid = 'uuid-1';
+      network.channels.push({ name: 'User1', id: 2 });
+      data.message = 'help';
+    });
+
+    it('should send each step after its own delay and to its own target', () => {
+      ruleManager.getRules.mockReturnValue([createStepRule()]);
+      createPrivmsgHandler(client, network)(data);
+      expect(client.runAsUser).toHaveBeenCalledTimes(1);
+      expect(client.runAsUser).toHaveBeenLastCalledWith('Hi User1!', 1);
+
+      jest.advanceTimersByTime(2000);
+      expect(client.runAsUser).toHaveBeenCalledTimes(2);
+      expect(client.runAsUser).toHaveBeenLastCalledWith('Have a look at the FAQ:', 1);
+
+      jest.advanceTimersByTime(1000);
+      expect(client.runAsUser).toHaveBeenCalledTimes(3);
+      expect(client.runAsUser).toHaveBeenLastCalledWith('https://example.org/faq', 2);
+    });
+
+    it('should not send the remaining steps once they are cancelled', () => {
+      ruleManager.getRules.mockReturnValue([createStepRule()]);
+      createPrivmsgHandler(client, network)(data);
+
+      responseScheduler.cancelPending('uuid-1');
+      jest.advanceTimersByTime(5000);
+
+      expect(client.runAsUser).toHaveBeenCalledTimes(1);
+    });
+
+    it('should wait for the rule delay before the first step', () => {
+      ruleManager.getRules.mockReturnValue([{ ...createStepRule(), delay_seconds: 3 }]);
+      createPrivmsgHandler(client, network)(data);
+      expect(client.runAsUser).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(3000);
+      expect(client.runAsUser).toHaveBeenCalledWith('Hi User1!', 1);
+    });
+  });
+
+  describe('message recording', () => {
+    it('should record channel messages that mention our nick', () => {
+      data.message = 'mybot: are you there?';
+      createPrivmsgHandler(client, network)(data);
+      expect(messageStore.recordMessage).toHaveBeenCalledWith(network, { channel: '#general', nick: 'User1', text: 'mybot: are you there?' });
+    });
+
+    it('should record private messages under the sender', () => {
+      data.target = 'MyBot';
+      data.message = 'hello';
+      createPrivmsgHandler(client, network)(data);
+      expect(messageStore.recordMessage).toHaveBeenCalledWith(network, { channel: 'User1', nick: 'User1', text: 'hello' });
+    });
+
+    it('should not record other channel messages', () => {
+      data.message = 'MyBots are everywhere';
+      createPrivmsgHandler(client, network)(data);
+      expect(messageStore.recordMessage).not.toHaveBeenCalled();
+    });
+
+    it('should count replies sent', () => {
+      ruleManager.getRules.mockReturnValue([{ server: 'TestServer', listen_channel: '#general', trigger_text: 'ping', response_text: 'pong' }]);
+      data.message = 'ping';
+      createPrivmsgHandler(client, network)(data);
+      expect(messageStore.noteReply).toHaveBeenCalledWith(network);
+    });
+  });
+
+  describe('replayed history', () => {
+    beforeEach(() => {
+      ruleManager.getRules.mockReturnValue([{ server: 'TestServer', listen_channel: '#general', trigger_text: 'mybot', response_text: 'pong' }]);
+      data.message = 'mybot: ping';
+    });
+
+    it('should skip messages older than the age limit without recording them', () => {
+      data.time = Date.now() - 10 * 60 * 1000;
+      createPrivmsgHandler(client, network)(data);
+      expect(client.runAsUser).not.toHaveBeenCalled();
+      expect(messageStore.recordMessage).not.toHaveBeenCalled();
+      expect(PluginLogger.debug).toHaveBeenCalledWith(expect.stringContaining('was sent 600s ago'));
+    });
+
+    it('should skip messages in a playback batch', () => {
+      data.batch = { id: 'abc', type: 'chathistory' };
+      createPrivmsgHandler(client, network)(data);
+      expect(client.runAsUser).not.toHaveBeenCalled();
+    });
+
+    it('should skip echoes of our own messages', () => {
+      data.nick = 'MyBot';
+      createPrivmsgHandler(client, network)(data);
+      expect(client.runAsUser).not.toHaveBeenCalled();
+      expect(PluginLogger.debug).toHaveBeenCalledWith(expect.stringContaining('echo of our own message'));
+    });
+
+    it('should answer recent messages', () => {
+      data.time = Date.now() - 2000;
+      createPrivmsgHandler(client, network)(data);
+      expect(client.runAsUser).toHaveBeenCalledWith('pong', 1);
+    });
+  });
+
   it('should send response to a specified response_channel', () => {
     network.channels.push({ name: '#responses', id: 2 });
     ruleManager.getRules.mockReturnValue([{
@@ -244,6 +715,7 @@ describe('createPrivmsgHandler', () => {
 
   it('should use the default cooldown of 5 seconds if not specified', () => {
     const rule = {
+      id: 'rule-1',
       server: 'TestServer',
       listen_channel: '#general',
       trigger_text: 'repeat',
@@ -259,13 +731,28 @@ describe('createPrivmsgHandler', () => {
     // First call should work
     handler(data);
     expect(client.runAsUser).toHaveBeenCalledTimes(1);
-    expect(cooldowns.has(rule)).toBe(true);
+    expect(cooldowns.has('alice|rule-1')).toBe(true);
 
     // Second immediate call should be ignored
     handler(data);
     expect(client.runAsUser).toHaveBeenCalledTimes(1);
   });
 
+  it('should record triggers and hits suppressed by the cooldown in the rule statistics', () => {
+    const rule = { id: 'rule-1', server: 'TestServer', listen_channel: '#general', trigger_text: 'repeat', response_text: 'first!' };
+    ruleManager.getRules.mockReturnValue([rule]);
+    data.message = 'repeat';
+    const handler = createPrivmsgHandler(client, network);
+
+    handler(data);
+    handler(data);
+
+    expect(ruleStats.noteTrigger).toHaveBeenCalledTimes(1);
+    expect(ruleStats.noteTrigger).toHaveBeenCalledWith('alice', rule, 'User1', expect.any(Number));
+    expect(ruleStats.noteSuppressed).toHaveBeenCalledTimes(1);
+    expect(ruleStats.noteSuppressed).toHaveBeenCalledWith('alice', rule);
+  });
+
   it('should only execute the first matching rule', () => {
     ruleManager.getRules.mockReturnValue([
       {
@@ -288,6 +775,29 @@ describe('createPrivmsgHandler', () => {
     expect(client.runAsUser).toHaveBeenCalledWith('pong1', 1);
   });
 
+  it('should evaluate rules by priority, in file order among equal priorities', () => {
+    ruleManager.getRules.mockReturnValue([
+      { id: 'broad', server: 'TestServer', listen_channel: '#general', trigger_text: 'ping', response_text: 'broad' },
+      { id: 'specific', server: 'TestServer', listen_channel: '#general', trigger_text: '^ping all$', response_text: 'specific', priority: 10 },
+      { id: 'negative', server: 'TestServer', listen_channel: '#general', trigger_text: 'ping', response_text: 'negative', priority: -1 },
+    ]);
+    data.message = 'ping all';
+    createPrivmsgHandler(client, network)(data);
+    expect(client.runAsUser).toHaveBeenCalledTimes(1);
+    expect(client.runAsUser).toHaveBeenCalledWith('specific', 1);
+  });
+
+  it('should keep processing rules after a match with continue: true', () => {
+    ruleManager.getRules.mockReturnValue([
+      { id: 'log', server: 'TestServer', listen_channel: '#general', trigger_text: 'ping', response_text: 'logged', continue: true },
+      { id: 'answer', server: 'TestServer', listen_channel: '#general', trigger_text: 'ping', response_text: 'pong' },
+      { id: 'never', server: 'TestServer', listen_channel: '#general', trigger_text: 'ping', response_text: 'never' },
+    ]);
+    data.message = 'ping';
+    createPrivmsgHandler(client, network)(data);
+    expect(client.runAsUser.mock.calls.map(call => call[0])).toEqual(['logged', 'pong']);
+  });
+
   it('should not crash if trigger_text or response_text are missing', () => {
     ruleManager.getRules.mockReturnValue([
       { server: 'TestServer', listen_channel: '#general', response_text: 'a' }, // Missing trigger
@@ -299,3 +809,53 @@ describe('createPrivmsgHandler', () => {
     expect(client.runAsUser).not.toHaveBeenCalled();
   });
 });
+
+describe('testEvent', () => {
+  const network = { name: 'TestServer', nick: 'MyBot', channels: [{ name: '#general', id: 1 }] };
+  const info = { sender: 'User1', target: '#general', isQuery: false, replyTarget: '#general', text: 'ping 42', variables: {}, from: { nick: 'User1', user: '', host: '', account: null } };
+  const now = Date.now();
+  const client = { runAsUser: jest.fn(), client: { name: 'alice' } };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ruleManager.getRuleCooldowns.mockReturnValue(new Map());
+    presence.isAbsent.mockReturnValue(false);
+    presence.getAwayReason.mockReturnValue('');
+  });
+
+  it('should explain every rule up to the one that would respond, without sending anything', () => {
+    ruleManager.getRules.mockReturnValue([
+      { id: 'away', server: 'TestServer', listen_channel: '#general', trigger_text: 'ping', response_text: 'away', when: 'away' },
+      { id: 'other', server: 'TestServer', listen_channel: '#general', trigger_text: 'pong', response_text: 'no' },
+      { id: 'pinger', server: 'TestServer', listen_channel: '#general', trigger_text: 'ping (\\d+)', response_text: ['pong $1, {{sender}}', 'pang'], delay_seconds: 2 },
+      { id: 'later', server: 'TestServer', listen_channel: '#general', trigger_text: 'ping', response_text: 'later' },
+    ]);
+    const { ignored, results } = testEvent(client, network, 'message', info, now);
+
+    expect(ignored).toBe(false);
+    expect(results.map(result => [result.rule.id, result.reason])).toEqual([
+      ['away', 'it only applies while you are away'],
+      ['other', 'its trigger_text does not match'],
+      ['pinger', null],
+    ]);
+    expect(results[2].responses).toEqual([
+      { target: '#general', text: 'pong 42, User1', responseType: 'message', delaySeconds: 2 },
+      { target: '#general', text: 'pang', responseType: 'message', delaySeconds: 2 },
+    ]);
+    expect(results[2].cooldownMs).toBe(0);
+    expect(ruleManager.getRuleCooldowns().size).toBe(0);
+  });
+
+  it('should report cooldowns and go on to the next rule', () => {
+    const onCooldown = { id: 'cooling', server: 'TestServer', listen_channel: '#general', trigger_text: 'ping', response_text: 'a', cooldown_seconds: 30 };
+    ruleManager.getRules.mockReturnValue([onCooldown, { id: 'next', server: 'TestServer', listen_channel: '#general', trigger_text: 'ping', steps: [{ text: 'one' }, { text: 'two', target: '#other', delay_seconds: 3 }] }]);
+    require('../src/cooldowns').noteTrigger(onCooldown, 'User1', '#general', now - 10000, client.client.name);
+
+    const { results } = testEvent(client, network, 'message', info, now);
+    expect(results[0]).toMatchObject({ reason: null, cooldownMs: 20000 });
+    expect(results[1].responses).toEqual([
+      { target: '#general', text: 'one', responseType: 'message', delaySeconds: 0 },
+      { target: '#other', text: 'two', responseType: 'message', delaySeconds: 3 },
+    ]);
+  });
+});
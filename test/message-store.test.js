@@ -0,0 +1,116 @@
+'use strict';
+
+jest.mock('fs');
+const fs = require('fs');
+
+jest.mock('../src/logger', () => ({
+  PluginLogger: {
+    info: jest.fn(),
+    debug: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+const { PluginLogger } = require('../src/logger');
+
+const path = require('path');
+const messageStore = require('../src/message-store');
+
+describe('Message Store', () => {
+  const configDir = '/fake/dir';
+  const storePath = path.join(configDir, 'messages.json');
+  const network = { uuid: 'uuid-1', name: 'TestNet' };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2024-05-01T12:00:00Z'));
+    jest.clearAllMocks();
+    const error = new Error('Not found');
+    error.code = 'ENOENT';
+    fs.readFileSync.mockImplementation(() => { throw error; });
+    messageStore.init(configDir);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should start empty when the store file does not exist', () => {
+    expect(messageStore.getMessages(network)).toEqual([]);
+    expect(PluginLogger.error).not.toHaveBeenCalled();
+  });
+
+  it('should load saved messages', () => {
+    const saved = { 'uuid-1': { messages: [{ time: 1, channel: '#a', nick: 'bob', text: 'hi' }], session: { started: 0, replies: 0 } } };
+    fs.readFileSync.mockReturnValue(JSON.stringify(saved));
+    messageStore.init(configDir);
+    expect(messageStore.getMessages(network)).toEqual(saved['uuid-1'].messages);
+  });
+
+  it('should record messages and persist them', () => {
+    messageStore.recordMessage(network, { channel: '#a', nick: 'bob', text: 'hi' });
+    expect(messageStore.getMessages(network)).toEqual([{ time: Date.now(), channel: '#a', nick: 'bob', text: 'hi' }]);
+    jest.advanceTimersByTime(5000);
+    expect(fs.writeFileSync).toHaveBeenCalledWith(storePath, expect.stringContaining('"text": "hi"'), 'utf8');
+  });
+
+  it('should save several messages and replies at once', () => {
+    messageStore.recordMessage(network, { channel: '#a', nick: 'bob', text: 'one' });
+    messageStore.recordMessage(network, { channel: '#a', nick: 'bob', text: 'two' });
+    messageStore.noteReply(network);
+    expect(fs.writeFileSync).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(5000);
+    expect(fs.writeFileSync).toHaveBeenCalledTimes(1);
+    expect(fs.writeFileSync).toHaveBeenCalledWith(storePath, expect.stringContaining('"text": "two"'), 'utf8');
+  });
+
+  it('should save pending changes when flushed', () => {
+    messageStore.flush();
+    expect(fs.writeFileSync).not.toHaveBeenCalled();
+    messageStore.recordMessage(network, { channel: '#a', nick: 'bob', text: 'hi' });
+    messageStore.flush();
+    expect(fs.writeFileSync).toHaveBeenCalledTimes(1);
+    jest.advanceTimersByTime(5000);
+    expect(fs.writeFileSync).toHaveBeenCalledTimes(1);
+  });
+
+  it('should filter messages by time', () => {
+    messageStore.recordMessage(network, { channel: '#a', nick: 'bob', text: 'old' });
+    jest.advanceTimersByTime(60 * 1000);
+    messageStore.recordMessage(network, { channel: '#a', nick: 'bob', text: 'new' });
+    expect(messageStore.getMessages(network, Date.now() - 1000).map(m => m.text)).toEqual(['new']);
+  });
+
+  it('should keep at most 500 messages per network', () => {
+    for (let i = 0; i < 505; i++) {
+      messageStore.recordMessage(network, { channel: '#a', nick: 'bob', text: `${i}` });
+    }
+    const messages = messageStore.getMessages(network);
+    expect(messages.length).toBe(500);
+    expect(messages[0].text).toBe('5');
+  });
+
+  it('should clear the messages of a network', () => {
+    messageStore.recordMessage(network, { channel: '#a', nick: 'bob', text: 'hi' });
+    expect(messageStore.clearMessages(network)).toBe(1);
+    expect(messageStore.getMessages(network)).toEqual([]);
+  });
+
+  it('should summarize the current session', () => {
+    messageStore.recordMessage(network, { channel: '#a', nick: 'bob', text: 'before' });
+    jest.advanceTimersByTime(1000);
+    messageStore.startSession(network);
+    messageStore.recordMessage(network, { channel: '#a', nick: 'bob', text: 'one' });
+    messageStore.recordMessage(network, { channel: 'Carol', nick: 'Carol', text: 'two' });
+    messageStore.recordMessage(network, { channel: '#a', nick: 'BOB', text: 'three' });
+    messageStore.noteReply(network);
+
+    expect(messageStore.getSessionDigest(network)).toEqual({ messages: 3, people: 2, replies: 1 });
+  });
+
+  it('should log an error if saving fails', () => {
+    fs.writeFileSync.mockImplementationOnce(() => { throw new Error('Disk full'); });
+    messageStore.recordMessage(network, { channel: '#a', nick: 'bob', text: 'hi' });
+    jest.advanceTimersByTime(5000);
+    expect(PluginLogger.error).toHaveBeenCalledWith(expect.stringContaining('Failed to save recorded messages'), 'Disk full');
+  });
+});
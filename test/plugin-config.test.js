@@ -127,4 +127,37 @@ describe('Plugin Config Manager', () => {
       );
     });
   });
+
+  describe('user settings', () => {
+    beforeEach(() => {
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockReturnValue(JSON.stringify({ debug: false, timezone: 'UTC' }));
+      pluginConfigManager.init(configDir);
+    });
+
+    it('should fall back to the top-level value until the user sets their own', () => {
+      expect(pluginConfigManager.getUserSetting('alice', 'timezone')).toBe('UTC');
+
+      pluginConfigManager.setUserSetting('alice', 'timezone', 'Europe/Madrid');
+      expect(pluginConfigManager.getUserSetting('alice', 'timezone')).toBe('Europe/Madrid');
+      expect(pluginConfigManager.getUserSetting('bob', 'timezone')).toBe('UTC');
+      expect(fs.writeFileSync).toHaveBeenCalledWith(configFilePath, expect.stringContaining('"alice": {'));
+
+      pluginConfigManager.setUserSetting('alice', 'timezone', undefined);
+      expect(pluginConfigManager.getUserSetting('alice', 'timezone')).toBe('UTC');
+    });
+
+    it('should recognize the admins listed in config.json, ignoring case', () => {
+      expect(pluginConfigManager.isAdmin('alice')).toBe(false);
+      pluginConfigManager.getPluginConfig().admins = ['Alice', 42];
+      expect(pluginConfigManager.isAdmin('alice')).toBe(true);
+      expect(pluginConfigManager.isAdmin('bob')).toBe(false);
+    });
+
+    it('should recreate user settings corrupted by hand', () => {
+      pluginConfigManager.getPluginConfig().users = ['oops'];
+      expect(pluginConfigManager.getUserSettings('alice')).toEqual({});
+      expect(pluginConfigManager.getPluginConfig().users).toEqual({ alice: {} });
+    });
+  });
 });
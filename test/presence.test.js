@@ -0,0 +1,134 @@
+'use strict';
+
+const mockPluginConfig = {};
+jest.mock('../src/plugin-config', () => ({
+  getPluginConfig: jest.fn(() => mockPluginConfig),
+  savePluginConfig: jest.fn(),
+}));
+
+jest.mock('../src/logger', () => ({
+  PluginLogger: {
+    info: jest.fn(),
+    debug: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+const pluginConfigManager = require('../src/plugin-config');
+const presence = require('../src/presence');
+
+describe('Presence', () => {
+  let network;
+  let handlers;
+  let callbacks;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.clearAllMocks();
+    presence.networkPresence.clear();
+    delete mockPluginConfig.awayMode;
+
+    handlers = {};
+    network = {
+      uuid: 'uuid-1',
+      name: 'TestNet',
+      nick: 'Me',
+      irc: {
+        on: jest.fn((eventName, handler) => { handlers[eventName] = handler; }),
+        removeListener: jest.fn(),
+      },
+    };
+    callbacks = { onAway: jest.fn(), onBack: jest.fn() };
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('away state', () => {
+    it('should fall back to network.awayMessage before any away event', () => {
+      expect(presence.isAway(network)).toBe(false);
+      network.awayMessage = 'gone fishing';
+      expect(presence.isAway(network)).toBe(true);
+      expect(presence.getAwayReason(network)).toBe('gone fishing');
+    });
+
+    it('should follow away and back events for our own nick', () => {
+      presence.watchNetwork(network, callbacks);
+
+      handlers.away({ self: true, nick: 'Me', message: 'lunch' });
+      expect(presence.isAway(network)).toBe(true);
+      expect(presence.getAwayReason(network)).toBe('lunch');
+      expect(callbacks.onAway).toHaveBeenCalledTimes(1);
+
+      handlers.back({ self: true, nick: 'Me' });
+      expect(presence.isAway(network)).toBe(false);
+      expect(presence.getAwayReason(network)).toBe('');
+      expect(callbacks.onBack).toHaveBeenCalledTimes(1);
+    });
+
+    it('should ignore away events of other users', () => {
+      presence.watchNetwork(network, callbacks);
+      handlers.away({ nick: 'someone', message: 'brb' });
+      expect(presence.isAway(network)).toBe(false);
+      expect(callbacks.onAway).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('idle detection', () => {
+    it('should count as absent after idle_minutes without outgoing messages', () => {
+      mockPluginConfig.awayMode = { 'uuid-1': { idle_minutes: 10 } };
+      presence.watchNetwork(network, callbacks);
+
+      jest.advanceTimersByTime(9 * 60 * 1000);
+      expect(presence.isAbsent(network)).toBe(false);
+
+      jest.advanceTimersByTime(60 * 1000);
+      expect(presence.isAbsent(network)).toBe(true);
+
+      handlers.raw({ line: 'PRIVMSG #chan :hi', from_server: false });
+      expect(presence.isAbsent(network)).toBe(false);
+    });
+
+    it('should not count incoming lines or our own replies as activity', () => {
+      mockPluginConfig.awayMode = { 'uuid-1': { idle_minutes: 1 } };
+      presence.watchNetwork(network, callbacks);
+      jest.advanceTimersByTime(2 * 60 * 1000);
+
+      handlers.raw({ line: ':x!y@z PRIVMSG #chan :hi', from_server: true });
+      presence.noteOwnMessage(network);
+      handlers.raw({ line: 'PRIVMSG #chan :auto reply', from_server: false });
+
+      expect(presence.isAbsent(network)).toBe(true);
+    });
+
+    it('should never count as absent when idle detection is disabled', () => {
+      presence.watchNetwork(network, callbacks);
+      jest.advanceTimersByTime(24 * 60 * 60 * 1000);
+      expect(presence.isAbsent(network)).toBe(false);
+    });
+  });
+
+  describe('watchNetwork', () => {
+    it('should not attach twice to the same connection, but re-attach to a new one', () => {
+      presence.watchNetwork(network, callbacks);
+      presence.watchNetwork(network, callbacks);
+      expect(network.irc.on).toHaveBeenCalledTimes(3);
+
+      const oldIrc = network.irc;
+      network.irc = { on: jest.fn(), removeListener: jest.fn() };
+      presence.watchNetwork(network, callbacks);
+      expect(oldIrc.removeListener).toHaveBeenCalledTimes(3);
+      expect(network.irc.on).toHaveBeenCalledTimes(3);
+    });
+  });
+
+  describe('settings', () => {
+    it('should return defaults and save changes', () => {
+      expect(presence.getAwaySettings(network)).toEqual({ auto: false, idle_minutes: 0 });
+      presence.setAwaySettings(network, { auto: true });
+      expect(mockPluginConfig.awayMode).toEqual({ 'uuid-1': { auto: true, idle_minutes: 0 } });
+      expect(pluginConfigManager.savePluginConfig).toHaveBeenCalled();
+    });
+  });
+});
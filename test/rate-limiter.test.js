@@ -0,0 +1,123 @@
+'use strict';
+
+const mockPluginConfig = {};
+jest.mock('../src/plugin-config', () => ({
+  getPluginConfig: jest.fn(() => mockPluginConfig),
+}));
+jest.mock('../src/logger');
+
+describe('Rate limiter', () => {
+  let rateLimiter;
+  const network = { uuid: 'net-1', name: 'TestNet' };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(1000000);
+    // Bucket and queue state lives in the module, so each test gets a fresh copy.
+    jest.resetModules();
+    rateLimiter = require('../src/rate-limiter');
+    delete mockPluginConfig.rateLimit;
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should send a burst right away and queue the rest', () => {
+    mockPluginConfig.rateLimit = { network_messages_per_second: 1, network_burst: 2 };
+    const sent = [];
+    for (let i = 0; i < 4; i++) {
+      expect(rateLimiter.send(network, () => sent.push(i))).toBe(true);
+    }
+    expect(sent).toEqual([0, 1]);
+    expect(rateLimiter.getStats(network).queued).toBe(2);
+
+    jest.advanceTimersByTime(1000);
+    expect(sent).toEqual([0, 1, 2]);
+    jest.advanceTimersByTime(1000);
+    expect(sent).toEqual([0, 1, 2, 3]);
+    expect(rateLimiter.getStats(network).queued).toBe(0);
+  });
+
+  it('should share the global limit between networks', () => {
+    mockPluginConfig.rateLimit = { messages_per_second: 1, burst: 1 };
+    const sent = [];
+    rateLimiter.send(network, () => sent.push('a'));
+    rateLimiter.send({ uuid: 'net-2', name: 'Other' }, () => sent.push('b'));
+    expect(sent).toEqual(['a']);
+    jest.advanceTimersByTime(1000);
+    expect(sent).toEqual(['a', 'b']);
+  });
+
+  it('should drop messages when the queue is full', () => {
+    mockPluginConfig.rateLimit = { network_burst: 1, max_queue: 1 };
+    const sendMessage = jest.fn();
+    expect(rateLimiter.send(network, sendMessage)).toBe(true); // Sent
+    expect(rateLimiter.send(network, sendMessage)).toBe(true); // Queued
+    expect(rateLimiter.send(network, sendMessage)).toBe(false); // Dropped
+    expect(sendMessage).toHaveBeenCalledTimes(1);
+    expect(rateLimiter.getStats(network)).toEqual(expect.objectContaining({ queued: 1, dropped: 1 }));
+  });
+
+  it('should clear the queue of a network', () => {
+    mockPluginConfig.rateLimit = { network_burst: 1 };
+    const sendMessage = jest.fn();
+    rateLimiter.send(network, sendMessage);
+    rateLimiter.send(network, sendMessage);
+    rateLimiter.send(network, sendMessage);
+    expect(rateLimiter.clearQueue('net-1')).toBe(2);
+    jest.advanceTimersByTime(60000);
+    expect(sendMessage).toHaveBeenCalledTimes(1);
+    expect(rateLimiter.clearQueue('unknown')).toBe(0);
+  });
+
+  it('should ignore a sender who triggers rules too often', () => {
+    mockPluginConfig.rateLimit = { loop_max_triggers: 3, loop_window_seconds: 10 };
+    const now = Date.now();
+    for (let i = 0; i < 3; i++) {
+      expect(rateLimiter.noteTrigger(network, 'OtherBot', now + i)).toBe(true);
+    }
+    expect(rateLimiter.noteTrigger(network, 'otherbot', now + 3)).toBe(false);
+    expect(rateLimiter.noteTrigger(network, 'OtherBot', now + 5000)).toBe(false);
+    // Other senders and networks are not affected.
+    expect(rateLimiter.noteTrigger(network, 'alice', now + 5000)).toBe(true);
+    expect(rateLimiter.noteTrigger({ uuid: 'net-2', name: 'Other' }, 'OtherBot', now + 5000)).toBe(true);
+
+    const stats = rateLimiter.getStats(network);
+    expect(stats.loopsBlocked).toBe(2);
+    expect(stats.ignoredSenders).toEqual([{ nick: 'otherbot', remainingMs: 10003 }]);
+
+    expect(rateLimiter.noteTrigger(network, 'OtherBot', now + 10003)).toBe(true);
+  });
+
+  it('should forget old triggers outside the window', () => {
+    mockPluginConfig.rateLimit = { loop_max_triggers: 2, loop_window_seconds: 10 };
+    const now = Date.now();
+    expect(rateLimiter.noteTrigger(network, 'bob', now)).toBe(true);
+    expect(rateLimiter.noteTrigger(network, 'bob', now + 1000)).toBe(true);
+    expect(rateLimiter.noteTrigger(network, 'bob', now + 10000)).toBe(true);
+    expect(rateLimiter.noteTrigger(network, 'bob', now + 11000)).toBe(true);
+  });
+
+  it('should fall back to the defaults for invalid settings', () => {
+    mockPluginConfig.rateLimit = { messages_per_second: 0, burst: 0.5, network_messages_per_second: -1, network_burst: '4', max_queue: Infinity, loop_max_triggers: NaN, loop_window_seconds: 30 };
+    expect(rateLimiter.getRateLimitSettings()).toEqual({
+      messages_per_second: 2,
+      burst: 10,
+      network_messages_per_second: 0.5,
+      network_burst: 4,
+      max_queue: 20,
+      loop_max_triggers: 10,
+      loop_window_seconds: 30,
+    });
+
+    // The queue still drains instead of waiting forever for a token.
+    const sent = [];
+    for (let i = 0; i < 5; i++) {
+      rateLimiter.send(network, () => sent.push(i));
+    }
+    expect(sent).toEqual([0, 1, 2, 3]);
+    jest.advanceTimersByTime(2000);
+    expect(sent).toEqual([0, 1, 2, 3, 4]);
+  });
+});
@@ -0,0 +1,93 @@
+'use strict';
+
+const mockPluginConfig = {};
+jest.mock('../src/plugin-config', () => ({
+  getPluginConfig: jest.fn(() => mockPluginConfig),
+}));
+
+const regexSafety = require('../src/regex-safety');
+
+describe('Regex safety', () => {
+  beforeEach(() => {
+    delete mockPluginConfig.regexTimeoutMs;
+  });
+
+  describe('findRedosRisk', () => {
+    it('should flag nested unbounded quantifiers', () => {
+      expect(regexSafety.findRedosRisk('^(a+)+$')).toBe("The nested quantifier in '(a+)+' can cause catastrophic backtracking.");
+      expect(regexSafety.findRedosRisk('(\\w*\\s?)*x')).toContain("'(\\w*\\s?)*'");
+      expect(regexSafety.findRedosRisk('((ab)+c)*')).toContain("'((ab)+c)*'");
+      expect(regexSafety.findRedosRisk('(?:.*){2,}')).toContain('nested quantifier');
+      expect(regexSafety.findRedosRisk('(?<word>x+)+')).toContain('nested quantifier');
+      expect(regexSafety.findRedosRisk('(.*a){20}')).toBe("The nested quantifier in '(.*a){20}' can cause catastrophic backtracking.");
+    });
+
+    it('should flag repeated groups whose alternatives overlap', () => {
+      expect(regexSafety.findRedosRisk('^(a|aa)*$')).toBe("The repeated group '(a|aa)*' has alternatives that can match the same text, which can cause catastrophic backtracking.");
+      expect(regexSafety.findRedosRisk('(?:\\w|\\d)+')).toContain("'(?:\\w|\\d)+'");
+      expect(regexSafety.findRedosRisk('(x?y|xz){2,}')).toContain('alternatives');
+    });
+
+    it('should accept common safe patterns', () => {
+      expect(regexSafety.findRedosRisk('^!docs (\\w+)$')).toBeNull();
+      expect(regexSafety.findRedosRisk('(ab)+ (c|d)*')).toBeNull();
+      expect(regexSafety.findRedosRisk('(a+)?b')).toBeNull();
+      expect(regexSafety.findRedosRisk('(a{1,3}){2}')).toBeNull();
+      expect(regexSafety.findRedosRisk('[(+*)]+(x)*')).toBeNull();
+      expect(regexSafety.findRedosRisk('\\(a+\\)+')).toBeNull();
+      expect(regexSafety.findRedosRisk('(?=a+)b+')).toBeNull();
+      expect(regexSafety.findRedosRisk('(a+?)b')).toBeNull();
+      expect(regexSafety.findRedosRisk('^(hi|hello)( there)?$')).toBeNull();
+      expect(regexSafety.findRedosRisk('(foo|bar)+')).toBeNull();
+      expect(regexSafety.findRedosRisk('(\\d{1,3}\\.){3}')).toBeNull();
+    });
+  });
+
+  describe('safeMatch', () => {
+    it('should return the match of fast triggers', () => {
+      const { match, timedOut } = regexSafety.safeMatch(/hel(lo)/, 'say hello');
+      expect(timedOut).toBe(false);
+      expect(match[1]).toBe('lo');
+      expect(regexSafety.safeMatch(/nope/, 'say hello').match).toBeNull();
+    });
+
+    it('should give up on triggers that exceed the time budget', () => {
+      mockPluginConfig.regexTimeoutMs = 20;
+      expect(regexSafety.safeMatch(/(a|a)*b/, 'a'.repeat(40))).toEqual({ match: null, timedOut: true });
+    });
+
+    it('should only use the time budget for triggers that could be slow, or long texts', () => {
+      expect(regexSafety.canMatchDirectly(/^!docs (\w+)$/)).toBe(true);
+      expect(regexSafety.canMatchDirectly(/.*foo.*/)).toBe(true);
+      expect(regexSafety.canMatchDirectly(/(ab)+c/)).toBe(false);
+      expect(regexSafety.canMatchDirectly(/(a)\1/)).toBe(false);
+      expect(regexSafety.canMatchDirectly(/a*b*c*d/)).toBe(false);
+
+      const vm = require('vm');
+      const runInContext = jest.spyOn(vm.Script.prototype, 'runInContext');
+      try {
+        expect(regexSafety.safeMatch(/hel(lo)/, 'say hello').match[1]).toBe('lo');
+        expect(runInContext).not.toHaveBeenCalled();
+        regexSafety.safeMatch(/(ab)+c/, 'ababc');
+        regexSafety.safeMatch(/hel(lo)/, 'x'.repeat(2000));
+        expect(runInContext).toHaveBeenCalledTimes(2);
+      } finally {
+        runInContext.mockRestore();
+      }
+    });
+
+    it('should match directly when the budget is turned off', () => {
+      mockPluginConfig.regexTimeoutMs = 0;
+      expect(regexSafety.safeMatch(/x/, 'x').match[0]).toBe('x');
+    });
+  });
+
+  it('should keep rules disabled until their trigger changes', () => {
+    const rule = { id: 'slow', trigger_text: '(a|a)*b' };
+    expect(regexSafety.isRuleDisabled(rule)).toBe(false);
+    regexSafety.disableRule(rule, 'too slow');
+    expect(regexSafety.isRuleDisabled(rule)).toBe(true);
+    expect(regexSafety.getDisabledRules()).toEqual([expect.objectContaining({ ruleId: 'slow', reason: 'too slow' })]);
+    expect(regexSafety.isRuleDisabled({ id: 'slow', trigger_text: 'a*b' })).toBe(false);
+  });
+});
@@ -0,0 +1,60 @@
+'use strict';
+
+jest.mock('fs');
+const fs = require('fs');
+
+jest.mock('../src/logger', () => ({
+  PluginLogger: {
+    info: jest.fn(),
+    debug: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+const path = require('path');
+const responsePicker = require('../src/response-picker');
+
+describe('Response Picker', () => {
+  const configDir = '/fake/dir';
+  const cursorsPath = path.join(configDir, 'sequences.json');
+  const createRule = (overrides = {}) => ({ id: 'rule-1', response_text: ['a', 'b', 'c'], ...overrides });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    fs.readFileSync.mockReturnValue('{}');
+    responsePicker.init(configDir);
+  });
+
+  it('should return a string response_text as is', () => {
+    expect(responsePicker.pickResponses({ response_text: 'pong' })).toEqual(['pong']);
+  });
+
+  it('should pick a random entry by default', () => {
+    expect(responsePicker.pickResponses(createRule(), () => 0.5)).toEqual(['b']);
+    expect(responsePicker.pickResponses(createRule({ response_mode: 'random' }), () => 0.99)).toEqual(['c']);
+  });
+
+  it('should pick entries by weight', () => {
+    const rule = createRule({ response_mode: 'weighted', response_text: [{ text: 'rare', weight: 1 }, { text: 'common', weight: 9 }] });
+    expect(responsePicker.pickResponses(rule, () => 0.05)).toEqual(['rare']);
+    expect(responsePicker.pickResponses(rule, () => 0.1)).toEqual(['common']);
+    expect(responsePicker.pickResponses(rule, () => 0.99)).toEqual(['common']);
+  });
+
+  it('should send every entry in order in all mode', () => {
+    expect(responsePicker.pickResponses(createRule({ response_mode: 'all' }))).toEqual(['a', 'b', 'c']);
+  });
+
+  it('should rotate through entries in sequential mode and persist the position', () => {
+    const rule = createRule({ response_mode: 'sequential' });
+    const picked = [1, 2, 3, 4].map(() => responsePicker.pickResponses(rule)[0]);
+    expect(picked).toEqual(['a', 'b', 'c', 'a']);
+    expect(fs.writeFileSync).toHaveBeenLastCalledWith(cursorsPath, JSON.stringify({ 'rule-1': 1 }, null, 2) + '\n', 'utf8');
+  });
+
+  it('should continue a sequence from the saved position', () => {
+    fs.readFileSync.mockReturnValue(JSON.stringify({ 'rule-1': 2 }));
+    responsePicker.init(configDir);
+    expect(responsePicker.pickResponses(createRule({ response_mode: 'sequential' }))).toEqual(['c']);
+  });
+});
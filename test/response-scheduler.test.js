@@ -0,0 +1,62 @@
+'use strict';
+
+jest.mock('../src/logger', () => ({
+  PluginLogger: {
+    info: jest.fn(),
+    debug: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+const responseScheduler = require('../src/response-scheduler');
+
+describe('Response Scheduler', () => {
+  const network = { uuid: 'uuid-1' };
+  const otherNetwork = { uuid: 'uuid-2' };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    responseScheduler.cancelAll();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should run a callback after its delay and forget it', () => {
+    const callback = jest.fn();
+    responseScheduler.schedule(network, callback, 2000);
+    expect(responseScheduler.countPending('uuid-1')).toBe(1);
+
+    jest.advanceTimersByTime(2000);
+
+    expect(callback).toHaveBeenCalledTimes(1);
+    expect(responseScheduler.countPending('uuid-1')).toBe(0);
+  });
+
+  it('should cancel the pending callbacks of one network only', () => {
+    const cancelled = jest.fn();
+    const kept = jest.fn();
+    responseScheduler.schedule(network, cancelled, 1000);
+    responseScheduler.schedule(network, cancelled, 2000);
+    responseScheduler.schedule(otherNetwork, kept, 1000);
+
+    expect(responseScheduler.cancelPending('uuid-1')).toBe(2);
+    jest.advanceTimersByTime(2000);
+
+    expect(cancelled).not.toHaveBeenCalled();
+    expect(kept).toHaveBeenCalledTimes(1);
+  });
+
+  it('should cancel the pending callbacks of every network', () => {
+    const callback = jest.fn();
+    responseScheduler.schedule(network, callback, 1000);
+    responseScheduler.schedule(otherNetwork, callback, 1000);
+
+    expect(responseScheduler.cancelAll()).toBe(2);
+    jest.advanceTimersByTime(1000);
+
+    expect(callback).not.toHaveBeenCalled();
+    expect(responseScheduler.cancelPending('uuid-1')).toBe(0);
+  });
+});
@@ -0,0 +1,223 @@
+'use strict';
+
+const mockPluginConfig = {};
+jest.mock('../src/plugin-config', () => ({
+  getPluginConfig: jest.fn(() => mockPluginConfig),
+}));
+
+jest.mock('../src/logger');
+
+jest.mock('dns', () => ({
+  lookup: jest.fn(),
+}));
+const dns = require('dns');
+const http = require('http');
+
+const ruleFetcher = require('../src/rule-fetcher');
+
+describe('Rule fetcher', () => {
+  const rules = [{ server: 'TestNet', listen_channel: '#a', trigger_text: 'ping', response_text: 'pong' }];
+  // A local server stands in for the remote hosts; the whitelisted names resolve to it.
+  let server;
+  let port;
+  let url;
+  let handle;
+  const requests = [];
+  const resolveTo = address => dns.lookup.mockImplementation((hostname, options, callback) => callback(null, [{ address, family: address.includes(':') ? 6 : 4 }]));
+  const redirect = location => (req, res) => res.writeHead(302, { location }).end();
+  const respond = (body, headers = {}) => (req, res) => res.writeHead(200, headers).end(body);
+
+  beforeAll(done => {
+    server = http.createServer((req, res) => {
+      requests.push(req.url);
+      handle(req, res);
+    });
+    server.listen(0, '127.0.0.1', () => {
+      port = server.address().port;
+      url = `http://example.com:${port}/rules.json`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.closeAllConnections();
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    requests.length = 0;
+    for (const key of Object.keys(mockPluginConfig)) {
+      delete mockPluginConfig[key];
+    }
+    Object.assign(mockPluginConfig, {
+      enableFetch: true,
+      fetchWhitelist: ['example.com', '*.example.org'],
+      fetchAllowHttp: true,
+      fetchAllowedAddresses: ['127.0.0.1'],
+    });
+    resolveTo('127.0.0.1');
+    handle = respond(JSON.stringify(rules));
+  });
+
+  describe('checkUrl', () => {
+    it('should only accept whitelisted URLs while fetching is enabled', () => {
+      const httpsUrl = 'https://example.com/rules.json';
+      expect(ruleFetcher.checkUrl(httpsUrl)).toBeNull();
+      expect(ruleFetcher.checkUrl('https://other.org/x')).toBe("The domain 'other.org' is not in the whitelist.");
+      expect(ruleFetcher.checkUrl('nope')).toBe('Invalid URL provided: "nope"');
+      mockPluginConfig.enableFetch = false;
+      expect(ruleFetcher.checkUrl(httpsUrl)).toContain('Remote rule fetching is disabled');
+    });
+
+    it('should match wildcard entries against subdomains only', () => {
+      expect(ruleFetcher.checkUrl('https://rules.example.org/a.json')).toBeNull();
+      expect(ruleFetcher.checkUrl('https://a.b.example.org/a.json')).toBeNull();
+      expect(ruleFetcher.checkUrl('https://example.org/a.json')).toBe("The domain 'example.org' is not in the whitelist.");
+      expect(ruleFetcher.checkUrl('https://badexample.org/a.json')).toBe("The domain 'badexample.org' is not in the whitelist.");
+    });
+
+    it('should require HTTPS unless plain HTTP is allowed', () => {
+      mockPluginConfig.fetchAllowHttp = false;
+      expect(ruleFetcher.checkUrl('http://example.com/rules.json')).toContain("Only HTTPS URLs can be fetched. An admin can set 'fetchAllowHttp'");
+      expect(ruleFetcher.checkUrl('file:///etc/passwd')).toBe("Only HTTPS URLs can be fetched, not 'file:' URLs.");
+      mockPluginConfig.fetchAllowHttp = true;
+      expect(ruleFetcher.checkUrl('http://example.com/rules.json')).toBeNull();
+    });
+  });
+
+  describe('isBlockedAddress', () => {
+    it('should block loopback, private and link-local addresses unless allowed', () => {
+      delete mockPluginConfig.fetchAllowedAddresses;
+      for (const address of ['127.0.0.1', '10.1.2.3', '100.64.0.1', '172.20.0.1', '192.168.1.1', '169.254.169.254', '0.0.0.0', '::', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1']) {
+        expect(ruleFetcher.isBlockedAddress(address)).toBe(true);
+      }
+      for (const address of ['93.184.215.14', '8.8.8.8', '2606:4700::1111']) {
+        expect(ruleFetcher.isBlockedAddress(address)).toBe(false);
+      }
+
+      mockPluginConfig.fetchAllowedAddresses = ['10.1.0.0/16'];
+      expect(ruleFetcher.isBlockedAddress('10.1.2.3')).toBe(false);
+      expect(ruleFetcher.isBlockedAddress('10.2.0.1')).toBe(true);
+    });
+
+    it('should block IPv6 addresses embedding an IPv4 address, and multicast and broadcast addresses', () => {
+      delete mockPluginConfig.fetchAllowedAddresses;
+      for (const address of ['64:ff9b::7f00:1', '64:ff9b:1::a00:1', '2002:7f00:1::', '::127.0.0.1', '::7f00:1', '2001:0:4136:e378::1', 'ff02::1', '224.0.0.1', '239.255.255.250', '255.255.255.255']) {
+        expect(ruleFetcher.isBlockedAddress(address)).toBe(true);
+      }
+    });
+  });
+
+  describe('fetchRules', () => {
+    it('should return validated rules with their ETag and Last-Modified values', async () => {
+      handle = respond(JSON.stringify(rules), { etag: '"v1"', 'last-modified': 'Wed, 01 May 2024 09:05:00 GMT' });
+      const result = await ruleFetcher.fetchRules(url);
+      expect(requests).toEqual(['/rules.json']);
+      expect(dns.lookup).toHaveBeenCalledWith('example.com', expect.anything(), expect.any(Function));
+      expect(result).toEqual({ notModified: false, rules, warnings: [], etag: '"v1"', lastModified: 'Wed, 01 May 2024 09:05:00 GMT' });
+    });
+
+    it('should send conditional requests and report unchanged rules', async () => {
+      let headers;
+      handle = (req, res) => {
+        headers = req.headers;
+        res.writeHead(304).end();
+      };
+      const result = await ruleFetcher.fetchRules(url, { etag: '"v1"', lastModified: 'Wed, 01 May 2024 09:05:00 GMT' });
+      expect(headers).toMatchObject({ 'if-none-match': '"v1"', 'if-modified-since': 'Wed, 01 May 2024 09:05:00 GMT' });
+      expect(result.notModified).toBe(true);
+    });
+
+    it('should explain why rules could not be fetched', async () => {
+      handle = (req, res) => res.writeHead(404).end('Not here');
+      const notFound = await ruleFetcher.fetchRules(url).catch(e => e);
+      expect(notFound.message).toBe(`Failed to fetch rules from ${url}.`);
+      expect(notFound.cause.message).toBe('HTTP error! status: 404 Not Found');
+
+      handle = respond('{ oops');
+      await expect(ruleFetcher.fetchRules(url)).rejects.toThrow(`Failed to parse JSON from ${url}.`);
+
+      handle = respond(JSON.stringify([{ server: 'TestNet' }, { server: 'TestNet' }]));
+      const error = await ruleFetcher.fetchRules(url).catch(e => e);
+      expect(error.message).toMatch(/^The fetched rules are invalid\. Rule #1 /);
+      expect(error.details.length).toBeGreaterThan(0);
+    });
+
+    it('should report rules the validator fails on as a fetch error', async () => {
+      let isolatedFetcher;
+      jest.isolateModules(() => {
+        jest.doMock('../src/rule-validator', () => ({ validateRules: () => { throw new Error('Validator bug'); } }));
+        require('dns').lookup.mockImplementation(dns.lookup.getMockImplementation());
+        isolatedFetcher = require('../src/rule-fetcher');
+      });
+      jest.dontMock('../src/rule-validator');
+      handle = respond(JSON.stringify(rules));
+      const error = await isolatedFetcher.fetchRules(url).catch(e => e);
+      expect(error.message).toBe(`Failed to validate the rules from ${url}.`);
+      expect(error.details).toEqual([]);
+      expect(error.cause.message).toBe('Validator bug');
+    });
+
+    it('should check the address it connects to, not one resolved beforehand', async () => {
+      resolveTo('10.0.0.1');
+      await expect(ruleFetcher.fetchRules(url)).rejects.toThrow("The domain 'example.com' resolves to 10.0.0.1, a loopback, private or link-local address.");
+      resolveTo('64:ff9b::7f00:1');
+      await expect(ruleFetcher.fetchRules(url)).rejects.toThrow("The domain 'example.com' resolves to 64:ff9b::7f00:1");
+      expect(requests).toEqual([]);
+    });
+
+    it('should check IP addresses given in the URL without resolving them', async () => {
+      delete mockPluginConfig.fetchAllowedAddresses;
+      await expect(ruleFetcher.fetchRules(`http://127.0.0.1:${port}/rules.json`)).rejects.toThrow("The domain '127.0.0.1' resolves to 127.0.0.1");
+      await expect(ruleFetcher.fetchRules('http://[::1]/rules.json')).rejects.toThrow("The domain '[::1]' resolves to ::1");
+      expect(dns.lookup).not.toHaveBeenCalled();
+      expect(requests).toEqual([]);
+    });
+
+    it('should check every redirect like the URL given by the user', async () => {
+      handle = (req, res) => {
+        if (req.url === '/rules.json') {
+          redirect('/moved.json')(req, res);
+        } else if (req.url === '/moved.json') {
+          redirect(`http://cdn.example.org:${port}/cdn/rules.json`)(req, res);
+        } else {
+          respond(JSON.stringify(rules))(req, res);
+        }
+      };
+      await expect(ruleFetcher.fetchRules(url)).resolves.toMatchObject({ rules });
+      expect(requests).toEqual(['/rules.json', '/moved.json', '/cdn/rules.json']);
+      expect(dns.lookup).toHaveBeenCalledWith('cdn.example.org', expect.anything(), expect.any(Function));
+
+      mockPluginConfig.fetchAllowHttp = false;
+      handle = redirect('http://169.254.169.254/latest/meta-data/');
+      await expect(ruleFetcher.fetchRules(url)).rejects.toThrow(`${url} redirects to http://169.254.169.254/latest/meta-data/, which cannot be fetched. Only HTTPS URLs can be fetched.`);
+      mockPluginConfig.fetchAllowHttp = true;
+
+      handle = redirect('https://evil.test/rules.json');
+      await expect(ruleFetcher.fetchRules(url)).rejects.toThrow("which cannot be fetched. The domain 'evil.test' is not in the whitelist.");
+
+      handle = redirect('/again.json');
+      await expect(ruleFetcher.fetchRules(url)).rejects.toThrow(`${url} redirects more than 5 times.`);
+    });
+
+    it('should stop reading a response larger than the limit', async () => {
+      mockPluginConfig.fetchMaxBytes = 10;
+      handle = (req, res) => {
+        res.writeHead(200);
+        res.write(JSON.stringify(rules));
+        res.end();
+      };
+      await expect(ruleFetcher.fetchRules(url)).rejects.toThrow(`The rules at ${url} are larger than 10 bytes, the most that can be fetched.`);
+
+      handle = respond(JSON.stringify(rules));
+      await expect(ruleFetcher.fetchRules(url)).rejects.toThrow('are larger than 10 bytes');
+    });
+
+    it('should give up on servers that do not answer in time', async () => {
+      mockPluginConfig.fetchTimeoutSeconds = 0.01;
+      handle = () => {};
+      await expect(ruleFetcher.fetchRules(url)).rejects.toThrow(`${url} did not answer within 0.01 seconds.`);
+    });
+  });
+});
@@ -0,0 +1,71 @@
+'use strict';
+
+const ruleIndex = require('../src/rule-index');
+
+describe('Rule index', () => {
+  const rule = (fields) => ({ server: 'Net', listen_channel: '#a', trigger_text: 'x', response_text: 'y', ...fields });
+  const ids = (entries) => entries.map(entry => entry.rule.id);
+
+  it('should sort rules by priority, keeping the file order among equal priorities', () => {
+    const rules = [{ id: 'a' }, { id: 'b', priority: 5 }, { id: 'c' }, { id: 'd', priority: 5 }, { id: 'e', priority: -1 }];
+    expect(ruleIndex.sortByPriority(rules).map(r => r.id)).toEqual(['b', 'd', 'a', 'c', 'e']);
+    expect(rules[0].id).toBe('a');
+  });
+
+  it('should only return the rules of the server, event and channel', () => {
+    const rules = [
+      rule({ id: 'chan' }),
+      rule({ id: 'other-chan', listen_channel: '#b' }),
+      rule({ id: 'other-server', server: 'Other' }),
+      rule({ id: 'join', event: 'join' }),
+      rule({ id: 'mixed-case', listen_channel: '#A' }),
+    ];
+    expect(ids(ruleIndex.getCandidates(rules, 'Net', 'message', '#a', false))).toEqual(['chan', 'mixed-case']);
+    expect(ids(ruleIndex.getCandidates(rules, 'Net', 'join', '#a', false))).toEqual(['join']);
+    expect(ruleIndex.getCandidates(rules, 'Nowhere', 'message', '#a', false)).toEqual([]);
+  });
+
+  it('should merge exact channels, queries and patterns in evaluation order', () => {
+    const rules = [
+      rule({ id: 'glob', listen_channel: '#*' }),
+      rule({ id: 'exact', listen_channel: ['#a', '#b'], priority: 1 }),
+      rule({ id: 'query', listen_channel: '@query' }),
+      rule({ id: 'any', listen_channel: '*', priority: 2 }),
+    ];
+    expect(ids(ruleIndex.getCandidates(rules, 'Net', 'message', '#A', false))).toEqual(['any', 'exact', 'glob']);
+    expect(ids(ruleIndex.getCandidates(rules, 'Net', 'message', 'MyBot', true))).toEqual(['any', 'glob', 'query']);
+  });
+
+  it('should return every rule of events without a channel', () => {
+    const rules = [rule({ id: 'n1', event: 'nick', response_channel: '#a' }), rule({ id: 'n2', event: 'nick', listen_channel: undefined })];
+    expect(ids(ruleIndex.getCandidates(rules, 'Net', 'nick', null, false))).toEqual(['n1', 'n2']);
+  });
+
+  it('should leave out and report rules with an invalid trigger', () => {
+    const rules = [rule({ id: 'bad', trigger_text: '(' }), rule({ id: 'number', trigger_text: 5 }), rule({ id: 'redos', trigger_text: '(a+)+$' }), rule({ id: 'good' })];
+    const errors = ruleIndex.rebuild(rules);
+    expect(errors.map(error => error.rule.id)).toEqual(['bad', 'number', 'redos']);
+    expect(errors[2].message).toContain('catastrophic backtracking');
+    expect(ids(ruleIndex.getCandidates(rules, 'Net', 'message', '#a', false))).toEqual(['good']);
+  });
+
+  it('should compile triggers once and {{me}} triggers once per nick', () => {
+    const rules = [rule({ id: 'plain', trigger_text: 'hi', trigger_flags: 'i' }), rule({ id: 'me', trigger_text: '^{{me}}:' })];
+    const [plain, me] = ruleIndex.getCandidates(rules, 'Net', 'message', '#a', false);
+    expect(ruleIndex.getTriggerRegex(plain, 'bot')).toBe(ruleIndex.getTriggerRegex(plain, 'other'));
+    expect(ruleIndex.getTriggerRegex(plain, 'bot').test('HI')).toBe(true);
+
+    const forBot = ruleIndex.getTriggerRegex(me, 'bot[1]');
+    expect(ruleIndex.getTriggerRegex(me, 'bot[1]')).toBe(forBot);
+    expect(forBot.test('bot[1]: hello')).toBe(true);
+    expect(forBot.test('bot1: hello')).toBe(false);
+    expect(ruleIndex.getTriggerRegex(me, 'newnick').test('newnick: hello')).toBe(true);
+  });
+
+  it('should build a new index for a new rules array', () => {
+    const first = [rule({ id: 'one' })];
+    const second = [rule({ id: 'two' })];
+    expect(ids(ruleIndex.getCandidates(first, 'Net', 'message', '#a', false))).toEqual(['one']);
+    expect(ids(ruleIndex.getCandidates(second, 'Net', 'message', '#a', false))).toEqual(['two']);
+  });
+});
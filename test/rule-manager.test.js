@@ -12,6 +12,15 @@ jest.mock('../src/logger', () => ({
 }));
 const { PluginLogger } = require('../src/logger');
 
+jest.mock('../src/response-scheduler');
+const responseScheduler = require('../src/response-scheduler');
+
+jest.mock('../src/rate-limiter');
+const rateLimiter = require('../src/rate-limiter');
+
+jest.mock('../src/rule-stats');
+const ruleStats = require('../src/rule-stats');
+
 const path = require('path');
 const ruleManager = require('../src/rule-manager');
 
@@ -55,15 +64,27 @@ describe('Rule Manager', () => {
     });
 
     it('should load and parse rules correctly from a valid file', () => {
-      const mockRules = [{ server: 'Test', trigger_text: 'ping', response_text: 'pong' }];
+      const mockRules = [{ id: 'abcd1234', server: 'Test', listen_channel: '#c', trigger_text: 'ping', response_text: 'pong' }];
       fs.readFileSync.mockReturnValue(JSON.stringify(mockRules));
 
       ruleManager.init(configDir); // init calls loadRules internally
 
-      expect(ruleManager.getRules()).toEqual(mockRules);
+      expect(ruleManager.getSharedRules()).toEqual(mockRules);
+      expect(fs.writeFileSync).not.toHaveBeenCalled();
       expect(PluginLogger.info).toHaveBeenCalledWith(expect.stringContaining('Rules successfully reloaded. Found 1 rules.'));
     });
 
+    it('should assign ids to rules without one and write them back', () => {
+      const mockRules = [{ server: 'Test', listen_channel: '#c', trigger_text: 'ping', response_text: 'pong' }];
+      fs.readFileSync.mockReturnValue(JSON.stringify(mockRules));
+
+      ruleManager.init(configDir);
+
+      const [loadedRule] = ruleManager.getSharedRules();
+      expect(loadedRule.id).toMatch(/^[0-9a-f]{8}$/);
+      expect(fs.writeFileSync).toHaveBeenCalledWith(rulesFilePath, expect.stringContaining(`"id": "${loadedRule.id}"`), 'utf8');
+    });
+
     it('should clear cooldowns when rules are reloaded', () => {
       const cooldowns = ruleManager.getRuleCooldowns();
       cooldowns.set({ rule: 'some_rule' }, Date.now());
@@ -86,6 +107,51 @@ describe('Rule Manager', () => {
       expect(tellUser).toHaveBeenCalledWith('Rules successfully reloaded. Found 0 rules.');
     });
 
+    it('should cancel the pending responses of the previous rules', () => {
+      fs.readFileSync.mockReturnValue('[]');
+      responseScheduler.cancelAll.mockReturnValue(2);
+
+      ruleManager.init(configDir);
+
+      expect(responseScheduler.cancelAll).toHaveBeenCalled();
+      expect(PluginLogger.info).toHaveBeenCalledWith('[AM] Cancelled 2 pending responses from the previous rules.');
+    });
+
+    it('should report every error and keep the previous rules when the file is invalid', () => {
+      const goodRules = [{ id: 'good', server: 'S', listen_channel: '#c', trigger_text: 'fine', response_text: 'r' }];
+      fs.readFileSync.mockReturnValue(JSON.stringify(goodRules));
+      ruleManager.init(configDir);
+      responseScheduler.cancelAll.mockClear();
+
+      fs.readFileSync.mockReturnValue(JSON.stringify([
+        { server: 'S', listen_channel: '#c', trigger_text: 'oops[', response_text: 'r' },
+        { server: 'S', listen_channel: '#c', trigger_text: 'fine', response_text: 'r', cooldown_seconds: 'soon' },
+      ]));
+      const tellUser = jest.fn();
+      ruleManager.loadRules(tellUser);
+
+      expect(ruleManager.getSharedRules()).toEqual(goodRules);
+      expect(fs.writeFileSync).not.toHaveBeenCalled();
+      expect(responseScheduler.cancelAll).not.toHaveBeenCalled();
+      expect(tellUser).toHaveBeenCalledWith(`ERROR: ${rulesFilePath} has 2 error(s). Keeping the previous 1 rules active.`);
+      expect(tellUser).toHaveBeenCalledWith(expect.stringContaining("Rule #1 has an invalid 'trigger_text'."));
+      expect(tellUser).toHaveBeenCalledWith("Rule #2 has a non-numeric string for 'cooldown_seconds': 'soon'.");
+      expect(PluginLogger.error).toHaveBeenCalledWith("[AM] Rule #2 has a non-numeric string for 'cooldown_seconds': 'soon'.");
+    });
+
+    it('should load rules with unknown fields and warn about them', () => {
+      fs.readFileSync.mockReturnValue(JSON.stringify([
+        { id: 'a', server: 'S', listen_channel: '#c', trigger_text: 'hi', response_text: 'r', colour: 'red' },
+      ]));
+      const tellUser = jest.fn();
+
+      ruleManager.init(configDir);
+      ruleManager.loadRules(tellUser);
+
+      expect(ruleManager.getSharedRules()).toHaveLength(1);
+      expect(tellUser).toHaveBeenCalledWith("Warning: Rule #1 has an unknown field 'colour'. It will be ignored.");
+    });
+
     it('should handle JSON syntax errors gracefully', () => {
       fs.readFileSync.mockReturnValue('{ "invalid_json": }');
       const tellUser = jest.fn();
@@ -162,6 +228,47 @@ describe('Rule Manager', () => {
         expect(overwritten).toBe(0);
     });
 
+    it('should match rules by id when the new rule has one', () => {
+        const existingRules = [{ ...existingRule1, id: 'id-1' }];
+        const renamedRule = { ...existingRule1, id: 'id-1', trigger_text: 'pong' };
+        const { mergedRules, added, overwritten } = ruleManager.mergeRules(existingRules, [renamedRule]);
+
+        expect(mergedRules).toEqual([renamedRule]);
+        expect(added).toBe(0);
+        expect(overwritten).toBe(1);
+    });
+
+    it('should keep the id of an existing rule overwritten by content', () => {
+        const existingRules = [{ ...existingRule1, id: 'id-1' }];
+        const overwritingRule = { ...existingRule1, response_text: 'pong2' };
+        const { mergedRules } = ruleManager.mergeRules(existingRules, [overwritingRule]);
+
+        expect(mergedRules).toEqual([{ ...overwritingRule, id: 'id-1' }]);
+    });
+
+    it('should only replace a rule with the same id that came from the same source', () => {
+        const source = 'https://example.org/rules.json';
+        const localRule = { ...existingRule1, id: 'id-1' };
+        const fetchedRule = { ...existingRule2, id: 'id-1', source };
+        const { mergedRules, added, overwritten } = ruleManager.mergeRules([localRule], [fetchedRule]);
+
+        const { id, ...fetchedFields } = fetchedRule;
+        expect(mergedRules).toEqual([localRule, fetchedFields]);
+        expect(added).toBe(1);
+        expect(overwritten).toBe(0);
+
+        const updatedRule = { ...fetchedRule, response_text: 'updated' };
+        expect(ruleManager.mergeRules([fetchedRule], [updatedRule]).mergedRules).toEqual([updatedRule]);
+    });
+
+    it('should add a rule with an unknown id even if its content matches', () => {
+        const existingRules = [{ ...existingRule1, id: 'id-1' }];
+        const { mergedRules, added } = ruleManager.mergeRules(existingRules, [{ ...existingRule1, id: 'id-2' }]);
+
+        expect(mergedRules.length).toBe(2);
+        expect(added).toBe(1);
+    });
+
     it('should do nothing if new rules array is empty', () => {
         const existingRules = [existingRule1, existingRule2];
         const { mergedRules, added, overwritten } = ruleManager.mergeRules(existingRules, []);
@@ -173,6 +280,164 @@ describe('Rule Manager', () => {
     });
   });
 
+  describe('syncSourceRules', () => {
+    const source = 'https://example.org/rules.json';
+    const local = { id: 'loc00001', server: 'TestNet', listen_channel: '#a', trigger_text: 'local', response_text: 'x' };
+    const kept = { id: 'src00001', server: 'TestNet', listen_channel: '#a', trigger_text: 'kept', response_text: 'old', source };
+    const deleted = { id: 'src00002', server: 'TestNet', listen_channel: '#a', trigger_text: 'deleted', response_text: 'x', source };
+    const later = { id: 'loc00002', server: 'TestNet', listen_channel: '#a', trigger_text: 'later', response_text: 'x' };
+
+    it('should update, add and remove the rules of the source in place', () => {
+      const fetched = [
+        { server: 'TestNet', listen_channel: '#a', trigger_text: 'kept', response_text: 'new' },
+        { server: 'TestNet', listen_channel: '#a', trigger_text: 'added', response_text: 'x' },
+      ];
+      const { syncedRules, added, overwritten, removed } = ruleManager.syncSourceRules([local, kept, deleted, later], source, fetched);
+
+      expect({ added, overwritten, removed }).toEqual({ added: 1, overwritten: 1, removed: 1 });
+      expect(syncedRules).toEqual([
+        local,
+        { ...fetched[0], id: 'src00001', source },
+        { ...fetched[1], source },
+        later,
+      ]);
+    });
+
+    it('should drop fetched ids that clash with rules from elsewhere', () => {
+      const { syncedRules } = ruleManager.syncSourceRules([local], source, [{ ...kept, id: 'loc00001', source: undefined }]);
+      expect(syncedRules).toHaveLength(2);
+      expect(syncedRules[1].id).toBeUndefined();
+      expect(syncedRules[1].source).toBe(source);
+    });
+  });
+
+  describe('assignRuleIds', () => {
+    it('should keep existing unique ids and replace missing or duplicate ones', () => {
+        const rules = [{ id: 'same' }, { id: 'same' }, {}, { id: 'other' }];
+
+        expect(ruleManager.assignRuleIds(rules)).toBe(2);
+
+        expect(rules[0].id).toBe('same');
+        expect(rules[3].id).toBe('other');
+        const ids = new Set(rules.map(rule => rule.id));
+        expect(ids.size).toBe(4);
+    });
+  });
+
+  describe('getRuleLabel', () => {
+    it('should include the name when there is one', () => {
+        expect(ruleManager.getRuleLabel({ id: 'abcd1234', name: 'greeter' })).toBe("'greeter' (abcd1234)");
+        expect(ruleManager.getRuleLabel({ id: 'abcd1234' })).toBe('abcd1234');
+    });
+  });
+
+  describe('per-user rules', () => {
+    const sharedRule = { id: 'aaaa0001', server: 'TestNet', listen_channel: '#a', trigger_text: 'shared', response_text: 'x' };
+    const ownRule = { id: 'bbbb0002', server: 'TestNet', listen_channel: '#a', trigger_text: 'own', response_text: 'y' };
+    const userFiles = {};
+
+    beforeEach(() => {
+      fs.existsSync.mockImplementation(filePath => filePath === rulesFilePath || filePath in userFiles);
+      fs.readFileSync.mockImplementation(filePath => (filePath === rulesFilePath ? JSON.stringify([sharedRule]) : userFiles[filePath]));
+      ruleManager.init(configDir);
+    });
+
+    it('should apply the user\'s own rules first, then the shared rules', () => {
+      userFiles[path.join(configDir, 'users', 'alice', 'rules.json')] = JSON.stringify([ownRule]);
+
+      const rules = ruleManager.getRules('alice');
+      expect(rules).toEqual([ownRule, sharedRule]);
+      expect(ruleManager.getRules('alice')).toBe(rules);
+      expect(ruleManager.isSharedRule(rules[0])).toBe(false);
+      expect(ruleManager.isSharedRule(rules[1])).toBe(true);
+      expect(ruleManager.getRuleById('bbbb0002', 'alice')).toEqual(ownRule);
+      expect(ruleManager.getRuleById('bbbb0002', 'bob')).toBeUndefined();
+      expect(ruleManager.getRules('bob')).toEqual([sharedRule]);
+    });
+
+    it('should forget the statistics of deleted rules', () => {
+      userFiles[path.join(configDir, 'users', 'dave', 'rules.json')] = JSON.stringify([ownRule]);
+      ruleManager.getRules('dave');
+      expect(ruleStats.pruneStats).toHaveBeenCalledWith('dave', ['bbbb0002', sharedRule.id]);
+
+      ruleStats.pruneStats.mockClear();
+      ruleManager.saveUserRules('dave', []);
+      ruleManager.getRules('dave');
+      expect(ruleStats.pruneStats).toHaveBeenCalledWith('dave', [sharedRule.id]);
+    });
+
+    it('should leave out the shared rules when useSharedRules is false', () => {
+      const config = require('../src/plugin-config').getPluginConfig();
+      config.useSharedRules = false;
+      expect(ruleManager.getRules('carol')).toEqual([]);
+      delete config.useSharedRules;
+      expect(ruleManager.getRules('carol')).toEqual([sharedRule]);
+    });
+
+    it('should save a user\'s rules in their own file', () => {
+      const rulesToSave = [{ server: 'TestNet', listen_channel: '#a', trigger_text: 'new', response_text: 'z' }];
+      expect(ruleManager.saveUserRules('dave', rulesToSave)).toBe(true);
+
+      const userPath = path.join(configDir, 'users', 'dave', 'rules.json');
+      expect(fs.mkdirSync).toHaveBeenCalledWith(path.dirname(userPath), { recursive: true });
+      expect(fs.writeFileSync).toHaveBeenCalledWith(userPath, expect.stringContaining('"trigger_text": "new"'), 'utf8');
+      expect(ruleManager.getRules('dave')).toEqual([rulesToSave[0], sharedRule]);
+      expect(ruleManager.getSharedRules()).toEqual([sharedRule]);
+    });
+
+    it('should keep user files inside the users directory', () => {
+      expect(ruleManager.getUserRulesPath('../evil')).toBe(path.join(configDir, 'users', '%2E%2E%2Fevil', 'rules.json'));
+    });
+
+    it('should only reset the cooldowns of the user whose rules are reloaded', () => {
+      userFiles[path.join(configDir, 'users', 'frank', 'rules.json')] = JSON.stringify([ownRule]);
+      const cooldowns = ruleManager.getRuleCooldowns();
+      cooldowns.set('frank|aaaa0001', { userName: 'frank', ruleId: 'aaaa0001', hits: [1] });
+      cooldowns.set('grace|aaaa0001', { userName: 'grace', ruleId: 'aaaa0001', hits: [1] });
+
+      ruleManager.loadUserRules('frank');
+
+      expect([...cooldowns.keys()]).toEqual(['grace|aaaa0001']);
+    });
+
+    it('should cancel the pending responses of the user whose rules are reloaded or saved', () => {
+      const config = require('../src/plugin-config').getPluginConfig();
+      config.activeListeners = { frank: ['net-f1', 'net-f2'], grace: ['net-g'] };
+      userFiles[path.join(configDir, 'users', 'frank', 'rules.json')] = JSON.stringify([ownRule]);
+      responseScheduler.cancelPending.mockReturnValue(1);
+      rateLimiter.clearQueue.mockReturnValue(2);
+
+      ruleManager.loadUserRules('frank');
+
+      expect(responseScheduler.cancelPending.mock.calls).toEqual([['net-f1'], ['net-f2']]);
+      expect(rateLimiter.clearQueue.mock.calls).toEqual([['net-f1'], ['net-f2']]);
+      expect(PluginLogger.info).toHaveBeenCalledWith('[AM] Cancelled 6 pending responses from the previous rules of frank.');
+
+      responseScheduler.cancelPending.mockClear();
+      rateLimiter.clearQueue.mockClear();
+      ruleManager.saveUserRules('grace', [ownRule]);
+      expect(responseScheduler.cancelPending.mock.calls).toEqual([['net-g']]);
+      expect(rateLimiter.clearQueue.mock.calls).toEqual([['net-g']]);
+      delete config.activeListeners;
+    });
+
+    it('should keep a user\'s previous rules when their file becomes invalid', () => {
+      const userPath = path.join(configDir, 'users', 'erin', 'rules.json');
+      userFiles[userPath] = JSON.stringify([ownRule]);
+      ruleManager.getRules('erin');
+      userFiles[userPath] = '[{ broken';
+      const tellUser = jest.fn();
+      responseScheduler.cancelAll.mockClear();
+
+      ruleManager.loadUserRules('erin', tellUser);
+
+      expect(tellUser).toHaveBeenCalledWith(expect.stringContaining('Keeping the previous 1 rules active.'));
+      expect(ruleManager.getRules('erin')).toEqual([ownRule, sharedRule]);
+      expect(responseScheduler.cancelAll).not.toHaveBeenCalled();
+      expect(responseScheduler.cancelPending).not.toHaveBeenCalled();
+    });
+  });
+
   describe('saveRules', () => {
     beforeEach(() => {
         // We need to ensure the config path is set by calling init first.
@@ -183,7 +448,7 @@ describe('Rule Manager', () => {
 
     it('should call fs.writeFileSync with the correct path and content', () => {
         const rulesToSave = [
-            { server: 'TestNet', listen_channel: '#a', trigger_text: 'ping', response_text: 'pong' }
+            { id: 'abcd1234', server: 'TestNet', listen_channel: '#a', trigger_text: 'ping', response_text: 'pong' }
         ];
         const expectedJsonString = JSON.stringify(rulesToSave, null, 2) + '\n';
 
@@ -197,13 +462,22 @@ describe('Rule Manager', () => {
         expect(PluginLogger.info).toHaveBeenCalledWith(expect.stringContaining('Successfully saved rules'));
     });
 
+    it('should make the saved rules the active ruleset', () => {
+        const rulesToSave = [
+            { server: 'TestNet', listen_channel: '#a', trigger_text: 'ping', response_text: 'pong' }
+        ];
+
+        expect(ruleManager.saveRules(rulesToSave)).toBe(true);
+        expect(ruleManager.getSharedRules()).toBe(rulesToSave);
+    });
+
     it('should log an error if fs.writeFileSync fails', () => {
         const error = new Error('Disk full');
         fs.writeFileSync.mockImplementation(() => {
             throw error;
         });
 
-        ruleManager.saveRules([]);
+        expect(ruleManager.saveRules([])).toBe(false);
 
         expect(PluginLogger.error).toHaveBeenCalledWith(
             expect.stringContaining('CRITICAL: Failed to save rules'),
@@ -0,0 +1,124 @@
+'use strict';
+
+jest.mock('fs');
+const fs = require('fs');
+
+jest.mock('../src/logger', () => ({
+  PluginLogger: {
+    info: jest.fn(),
+    debug: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+const { PluginLogger } = require('../src/logger');
+
+const path = require('path');
+const ruleStats = require('../src/rule-stats');
+
+describe('Rule Stats', () => {
+  const configDir = '/fake/dir';
+  const statsPath = path.join(configDir, 'rule-stats.json');
+  const docs = { id: 'a1', name: 'docs', server: 'TestNet' };
+  const greeter = { id: 'b2', name: 'greeter, "hi"', server: 'TestNet' };
+  const unused = { id: 'c3', server: 'TestNet' };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.clearAllMocks();
+    const error = new Error('Not found');
+    error.code = 'ENOENT';
+    fs.readFileSync.mockImplementation(() => { throw error; });
+    ruleStats.init(configDir);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should start from zero when the stats file does not exist', () => {
+    expect(ruleStats.getRuleStats('me', 'a1')).toEqual({ triggers: 0, lastTriggered: null, lastSender: null, suppressed: 0 });
+    expect(PluginLogger.error).not.toHaveBeenCalled();
+  });
+
+  it('should count triggers and suppressed hits, and save them', () => {
+    ruleStats.noteTrigger('me', docs, 'alice', 1000);
+    ruleStats.noteTrigger('me', docs, 'bob', 2000);
+    ruleStats.noteSuppressed('me', docs);
+
+    expect(ruleStats.getRuleStats('me', 'a1')).toEqual({ triggers: 2, lastTriggered: 2000, lastSender: 'bob', suppressed: 1 });
+    expect(fs.writeFileSync).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(5000);
+    expect(fs.writeFileSync).toHaveBeenCalledTimes(1);
+    const [savedPath, content] = fs.writeFileSync.mock.calls[fs.writeFileSync.mock.calls.length - 1];
+    expect(savedPath).toBe(statsPath);
+    expect(JSON.parse(content)).toEqual({ me: { a1: { triggers: 2, lastTriggered: 2000, lastSender: 'bob', suppressed: 1 } } });
+  });
+
+  it('should save pending counters when flushed', () => {
+    ruleStats.flush();
+    expect(fs.writeFileSync).not.toHaveBeenCalled();
+    ruleStats.noteTrigger('me', docs, 'alice', 1000);
+    ruleStats.flush();
+    expect(fs.writeFileSync).toHaveBeenCalledWith(statsPath, expect.stringContaining('"lastSender": "alice"'), 'utf8');
+    jest.advanceTimersByTime(5000);
+    expect(fs.writeFileSync).toHaveBeenCalledTimes(1);
+  });
+
+  it('should forget the counters of rules that no longer exist', () => {
+    ruleStats.noteTrigger('me', docs, 'alice', 1000);
+    ruleStats.noteTrigger('me', greeter, 'alice', 1000);
+    ruleStats.noteTrigger('other', greeter, 'alice', 1000);
+    expect(ruleStats.pruneStats('me', ['a1', 'c3'])).toBe(1);
+    expect(ruleStats.getRuleStats('me', 'a1').triggers).toBe(1);
+    expect(ruleStats.getRuleStats('me', 'b2').triggers).toBe(0);
+    expect(ruleStats.getRuleStats('other', 'b2').triggers).toBe(1);
+    expect(ruleStats.pruneStats('nobody', [])).toBe(0);
+  });
+
+  it('should load the saved counters', () => {
+    fs.readFileSync.mockReturnValue(JSON.stringify({ me: { a1: { triggers: 7, lastTriggered: 5, lastSender: 'carol', suppressed: 2 } } }));
+    ruleStats.init(configDir);
+    expect(ruleStats.getRuleStats('me', 'a1').triggers).toBe(7);
+  });
+
+  it('should report unreadable stats files and start from zero', () => {
+    fs.readFileSync.mockReturnValue('{ broken');
+    ruleStats.init(configDir);
+    expect(ruleStats.getRuleStats('me', 'a1').triggers).toBe(0);
+    expect(PluginLogger.error).toHaveBeenCalledWith(expect.stringContaining('Could not read rule statistics'), expect.any(String));
+  });
+
+  it('should rank rules by triggers, then by the last trigger', () => {
+    ruleStats.noteTrigger('me', greeter, 'alice', 1000);
+    ruleStats.noteTrigger('me', docs, 'bob', 3000);
+    ruleStats.noteTrigger('me', greeter, 'bob', 2000);
+    ruleStats.noteTrigger('me', docs, 'bob', 500);
+    expect(ruleStats.rankByActivity('me', [unused, docs, greeter]).map(({ rule }) => rule.id)).toEqual(['b2', 'a1', 'c3']);
+  });
+
+  it('should reset the counters of the given rules', () => {
+    ruleStats.noteTrigger('me', docs, 'alice', 1000);
+    ruleStats.noteTrigger('me', greeter, 'alice', 1000);
+    expect(ruleStats.resetStats('me', ['a1', 'c3'])).toBe(1);
+    expect(ruleStats.getRuleStats('me', 'a1').triggers).toBe(0);
+    expect(ruleStats.getRuleStats('me', 'b2').triggers).toBe(1);
+  });
+
+  it('should keep the counters of each TheLounge user apart', () => {
+    ruleStats.noteTrigger('me', docs, 'alice', 1000);
+    ruleStats.noteTrigger('other', docs, 'bob', 2000);
+    expect(ruleStats.getRuleStats('me', 'a1')).toMatchObject({ triggers: 1, lastSender: 'alice' });
+    expect(ruleStats.resetStats('other', ['a1'])).toBe(1);
+    expect(ruleStats.getRuleStats('me', 'a1').triggers).toBe(1);
+    expect(ruleStats.getRuleStats('other', 'a1').triggers).toBe(0);
+  });
+
+  it('should export CSV with quoted fields', () => {
+    ruleStats.noteTrigger('me', greeter, 'alice', Date.parse('2024-05-01T12:00:00Z'));
+    expect(ruleStats.toCsv('me', [unused, greeter])).toEqual([
+      'id,name,server,triggers,last_triggered,last_sender,suppressed_by_cooldown',
+      'b2,"greeter, ""hi""",TestNet,1,2024-05-01T12:00:00.000Z,alice,0',
+      'c3,,TestNet,0,,,0',
+    ]);
+  });
+});
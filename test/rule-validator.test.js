@@ -14,45 +14,58 @@ describe('Rule Validator', () => {
   describe('Valid Data', () => {
     it('should return valid for a correct single rule', () => {
       const rules = [createValidRule()];
-      expect(validateRules(rules)).toEqual({ isValid: true });
+      expect(validateRules(rules)).toMatchObject({ isValid: true, errors: [] });
     });
 
     it('should return valid for multiple correct rules', () => {
       const rules = [createValidRule(), createValidRule({ server: 'OtherNet' })];
-      expect(validateRules(rules)).toEqual({ isValid: true });
+      expect(validateRules(rules)).toMatchObject({ isValid: true, errors: [] });
     });
 
     it('should return valid for an empty array of rules', () => {
       const rules = [];
-      expect(validateRules(rules)).toEqual({ isValid: true });
+      expect(validateRules(rules)).toMatchObject({ isValid: true, errors: [] });
     });
 
     it('should return valid and correctly cast numeric strings', () => {
       const rules = [createValidRule({ cooldown_seconds: '10', delay_seconds: '5.5' })];
       const result = validateRules(rules);
-      expect(result).toEqual({ isValid: true });
+      expect(result).toMatchObject({ isValid: true, errors: [] });
       expect(rules[0].cooldown_seconds).toBe(10);
       expect(rules[0].delay_seconds).toBe(5.5);
     });
 
+    it('should accept an array of channels in listen_channel', () => {
+      const rules = [createValidRule({ listen_channel: ['#a', '#proj-*', '@query'] })];
+      expect(validateRules(rules)).toMatchObject({ isValid: true, errors: [] });
+    });
+
     it('should handle optional fields being numbers already', () => {
         const rules = [createValidRule({ cooldown_seconds: 15, delay_seconds: 0 })];
         const result = validateRules(rules);
-        expect(result).toEqual({ isValid: true });
+        expect(result).toMatchObject({ isValid: true, errors: [] });
         expect(rules[0].cooldown_seconds).toBe(15);
     });
   });
 
   describe('Invalid Data Structure', () => {
     it('should return invalid if input is not an array', () => {
-      expect(validateRules({})).toEqual({ isValid: false, error: 'The provided rules data is not an array.' });
-      expect(validateRules(null)).toEqual({ isValid: false, error: 'The provided rules data is not an array.' });
-      expect(validateRules('string')).toEqual({ isValid: false, error: 'The provided rules data is not an array.' });
+      expect(validateRules({})).toMatchObject({ isValid: false, error: 'The provided rules data is not an array.' });
+      expect(validateRules(null)).toMatchObject({ isValid: false, error: 'The provided rules data is not an array.' });
+      expect(validateRules('string')).toMatchObject({ isValid: false, error: 'The provided rules data is not an array.' });
     });
 
     it('should return invalid if an item in the array is not an object', () => {
-      expect(validateRules([null])).toEqual({ isValid: false, error: 'Rule #1 is not a valid object.' });
-      expect(validateRules([createValidRule(), 'string'])).toEqual({ isValid: false, error: 'Rule #2 is not a valid object.' });
+      expect(validateRules([null])).toMatchObject({ isValid: false, error: 'Rule #1 is not a valid object.' });
+      expect(validateRules([createValidRule(), 'string'])).toMatchObject({ isValid: false, error: 'Rule #2 is not a valid object.' });
+    });
+
+    it('should validate rules, steps and entries that have a hasOwnProperty key', () => {
+      const rule = JSON.parse('{"server":"n","listen_channel":"#c","trigger_text":"hi","response_text":[{"text":"a","hasOwnProperty":1}],"hasOwnProperty":"x"}');
+      expect(validateRules([rule]).warnings).toEqual([expect.objectContaining({ field: 'hasOwnProperty' })]);
+      rule.steps = JSON.parse('[{"text":"a","hasOwnProperty":1,"delay_seconds":"nope"}]');
+      delete rule.response_text;
+      expect(validateRules([rule])).toMatchObject({ isValid: false, error: expect.stringMatching(/^Rule #1 has an invalid 'delay_seconds' in step #1/) });
     });
   });
 
@@ -63,28 +76,200 @@ describe('Rule Validator', () => {
       it(`should return invalid if required property '${prop}' is missing`, () => {
         const rule = createValidRule();
         delete rule[prop];
-        expect(validateRules([rule])).toEqual({ isValid: false, error: `Rule #1 is missing or has an empty required string property: '${prop}'.` });
+        expect(validateRules([rule])).toMatchObject({ isValid: false, error: `Rule #1 is missing or has an empty required string property: '${prop}'.` });
       });
 
       it(`should return invalid if required property '${prop}' is an empty string`, () => {
         const rule = createValidRule({ [prop]: '   ' });
-        expect(validateRules([rule])).toEqual({ isValid: false, error: `Rule #1 is missing or has an empty required string property: '${prop}'.` });
+        expect(validateRules([rule])).toMatchObject({ isValid: false, error: `Rule #1 is missing or has an empty required string property: '${prop}'.` });
       });
 
       it(`should return invalid if required property '${prop}' is not a string`, () => {
         const rule = createValidRule({ [prop]: 123 });
-        expect(validateRules([rule])).toEqual({ isValid: false, error: `Rule #1 is missing or has an empty required string property: '${prop}'.` });
+        expect(validateRules([rule])).toMatchObject({ isValid: false, error: `Rule #1 is missing or has an empty required string property: '${prop}'.` });
       });
     });
 
+    it('should return invalid for an empty name or a non-string id', () => {
+      expect(validateRules([createValidRule({ name: '' })])).toMatchObject({ isValid: false, error: "Rule #1 has an invalid 'name'. Expected a non-empty string." });
+      expect(validateRules([createValidRule({ id: 5 })])).toMatchObject({ isValid: false, error: "Rule #1 has an invalid 'id'. Expected a non-empty string." });
+    });
+
+    it('should return invalid for an empty or malformed listen_channel array', () => {
+      const error = "Rule #1 has an invalid 'listen_channel' array. It must contain at least one non-empty string.";
+      expect(validateRules([createValidRule({ listen_channel: [] })])).toMatchObject({ isValid: false, error });
+      expect(validateRules([createValidRule({ listen_channel: ['#a', 3] })])).toMatchObject({ isValid: false, error });
+    });
+
+    it('should accept an array of responses with a response_mode', () => {
+      const rules = [createValidRule({ response_text: ['a', { text: 'b', weight: 3 }], response_mode: 'weighted' })];
+      expect(validateRules(rules)).toMatchObject({ isValid: true, errors: [] });
+    });
+
+    it('should return invalid for malformed response arrays and modes', () => {
+      expect(validateRules([createValidRule({ response_text: [] })])).toMatchObject({ isValid: false, error: "Rule #1 has an empty 'response_text' array." });
+      expect(validateRules([createValidRule({ response_text: ['a', { weight: 2 }] })])).toMatchObject({ isValid: false, error: "Rule #1 has an invalid 'response_text' entry #2. Expected a non-empty string or an object with a 'text' string." });
+      expect(validateRules([createValidRule({ response_text: [{ text: 'a', weight: 0 }] })])).toMatchObject({ isValid: false, error: "Rule #1 has an invalid weight in 'response_text' entry #1. Expected a positive number." });
+      expect(validateRules([createValidRule({ response_mode: 'shuffle' })])).toMatchObject({ isValid: false, error: "Rule #1 has an invalid 'response_mode': 'shuffle'. Expected one of: random, weighted, sequential, all." });
+    });
+
+    it('should accept steps instead of response_text', () => {
+      const rule = createValidRule({ steps: [{ text: 'hi' }, { text: 'see the FAQ', delay_seconds: '2', target: '#help' }] });
+      delete rule.response_text;
+      expect(validateRules([rule])).toMatchObject({ isValid: true, errors: [] });
+      expect(rule.steps[1].delay_seconds).toBe(2);
+    });
+
+    it('should return invalid for malformed steps', () => {
+      const withSteps = (steps) => {
+        const rule = createValidRule({ steps });
+        delete rule.response_text;
+        return [rule];
+      };
+      expect(validateRules([createValidRule({ steps: [{ text: 'hi' }] })])).toMatchObject({ isValid: false, error: "Rule #1 has both 'response_text' and 'steps'. Use only one of them." });
+      expect(validateRules(withSteps([]))).toMatchObject({ isValid: false, error: "Rule #1 has an invalid 'steps' value. Expected a non-empty array." });
+      expect(validateRules(withSteps(['hi']))).toMatchObject({ isValid: false, error: 'Rule #1 has an invalid step #1. Expected an object.' });
+      expect(validateRules(withSteps([{ text: 'hi' }, { delay_seconds: 1 }]))).toMatchObject({ isValid: false, error: "Rule #1 has a step #2 without a non-empty 'text'." });
+      expect(validateRules(withSteps([{ text: 'hi', target: '' }]))).toMatchObject({ isValid: false, error: "Rule #1 has an invalid 'target' in step #1. Expected a non-empty string." });
+      expect(validateRules(withSteps([{ text: 'hi', delay_seconds: -1 }]))).toMatchObject({ isValid: false, error: "Rule #1 has an invalid 'delay_seconds' in step #1. Expected a non-negative number." });
+    });
+
+    it('should accept known response types and reject others', () => {
+      for (const responseType of ['message', 'notice', 'action', 'ctcp']) {
+        expect(validateRules([createValidRule({ response_type: responseType })])).toMatchObject({ isValid: true, errors: [] });
+      }
+      expect(validateRules([createValidRule({ response_type: 'raw' })])).toMatchObject({ isValid: false, error: "Rule #1 has an invalid 'response_type': 'raw'. Expected one of: message, notice, action, ctcp, command." });
+    });
+
+    it('should only accept allowed commands for command responses', () => {
+      expect(validateRules([createValidRule({ response_type: 'command', response_text: '/mode #chan +v {{sender}}' })])).toMatchObject({ isValid: true, errors: [] });
+      expect(validateRules([createValidRule({ response_type: 'command', response_text: ['invite $1', '/quote PRIVMSG x :y'] })]).error).toMatch(/^Rule #1 uses a command that is not allowed: 'quote'\./);
+    });
+
+    it('should check the response type and commands of steps', () => {
+      const withSteps = (steps, extra = {}) => {
+        const rule = createValidRule({ steps, ...extra });
+        delete rule.response_text;
+        return [rule];
+      };
+      expect(validateRules(withSteps([{ text: 'hi', response_type: 'shout' }])).error).toBe("Rule #1 has an invalid 'response_type' in step #1: 'shout'. Expected one of: message, notice, action, ctcp, command.");
+      expect(validateRules(withSteps([{ text: 'hi', response_type: 'message' }, { text: '/kick #a bob' }], { response_type: 'command' }))).toMatchObject({ isValid: true, errors: [] });
+      expect(validateRules(withSteps([{ text: '/quit bye', response_type: 'command' }])).error).toMatch(/not allowed: 'quit'/);
+    });
+
+    it('should report unknown template variables and missing groups', () => {
+      expect(validateRules([createValidRule({ response_text: 'Hi {{user}}' })]).error).toMatch(/^Rule #1 has an invalid placeholder in 'response_text'\. Unknown variable '{{user}}'\./);
+      expect(validateRules([createValidRule({ trigger_text: 'say (?<word>\\w+)', response_text: '{{group.word|upper}} {{1}} {{2}}' })]).error).toBe("Rule #1 has an invalid placeholder in 'response_text'. '{{2}}' refers to capture group 2, but the trigger only has 1.");
+      const rule = createValidRule({ steps: [{ text: 'ok' }, { text: '{{sender|shout}}' }] });
+      delete rule.response_text;
+      expect(validateRules([rule]).error).toMatch(/^Rule #1 has an invalid placeholder in step #2\. Unknown filter 'shout'/);
+    });
+
+    it('should reject members of Object.prototype used as filters', () => {
+      expect(validateRules([createValidRule({ response_text: '{{sender|valueOf|upper}}' })]).error).toMatch(/^Rule #1 has an invalid placeholder in 'response_text'\. Unknown filter 'valueOf'/);
+    });
+
+    it('should validate event rules', () => {
+      const joinRule = createValidRule({ event: 'join', response_text: 'Welcome {{sender}}!' });
+      delete joinRule.trigger_text;
+      expect(validateRules([joinRule])).toMatchObject({ isValid: true, errors: [] });
+
+      expect(validateRules([createValidRule({ event: 'ping' })]).error).toBe("Rule #1 has an invalid 'event': 'ping'. Expected one of: message, join, part, quit, kick, nick, topic, notice, action, invite.");
+    });
+
+    it('should require a response_channel instead of a listen_channel for quit and nick events', () => {
+      const nickRule = createValidRule({ event: 'nick', response_text: '{{old_nick}} is now {{new_nick}}' });
+      delete nickRule.listen_channel;
+      expect(validateRules([nickRule])).toMatchObject({ isValid: false, error: "Rule #1 is missing or has an empty required string property: 'response_channel'." });
+      nickRule.response_channel = '#log';
+      expect(validateRules([nickRule])).toMatchObject({ isValid: true, errors: [] });
+    });
+
+    it('should only accept the template variables of the rule event', () => {
+      expect(validateRules([createValidRule({ event: 'kick', response_text: '{{kicker}} kicked {{kicked}}' })])).toMatchObject({ isValid: true, errors: [] });
+      expect(validateRules([createValidRule({ response_text: '{{kicker}}' })]).error).toMatch(/Unknown variable '{{kicker}}'/);
+    });
+
+    it('should validate cooldown_scope and max_per_window', () => {
+      const rule = createValidRule({ cooldown_scope: 'sender+channel', max_per_window: '3' });
+      expect(validateRules([rule])).toMatchObject({ isValid: true, errors: [] });
+      expect(rule.max_per_window).toBe(3);
+      expect(validateRules([createValidRule({ cooldown_scope: 'user' })]).error).toBe("Rule #1 has an invalid 'cooldown_scope': 'user'. Expected one of: rule, channel, sender, sender+channel.");
+      expect(validateRules([createValidRule({ max_per_window: 0 })]).error).toBe("Rule #1 has an invalid 'max_per_window': 0. Expected a whole number of at least 1.");
+      expect(validateRules([createValidRule({ max_per_window: 1.5 })]).isValid).toBe(false);
+    });
+
+    it('should validate only_from and except_from conditions', () => {
+      expect(validateRules([createValidRule({ only_from: ['status:op', 'account:*'], except_from: '*!*@*.bots.example' })])).toMatchObject({ isValid: true, errors: [] });
+      expect(validateRules([createValidRule({ only_from: [] })]).error).toBe("Rule #1 has an empty 'only_from' array.");
+      expect(validateRules([createValidRule({ except_from: 'status:owner' })]).error).toBe("Rule #1 has an invalid 'except_from' condition. Unknown status in 'status:owner'. Expected one of: status:op, status:halfop, status:voice.");
+    });
+
+    it('should refuse triggers that can backtrack catastrophically', () => {
+      expect(validateRules([createValidRule({ trigger_text: '^(\\w+\\s?)+$' })]).error).toBe("Rule #1 has an unsafe 'trigger_text'. The nested quantifier in '(\\w+\\s?)+' can cause catastrophic backtracking.");
+    });
+
+    it('should validate priority and continue', () => {
+      const rule = createValidRule({ priority: '10', continue: 'true' });
+      expect(validateRules([rule])).toMatchObject({ isValid: true, errors: [] });
+      expect(rule.priority).toBe(10);
+      expect(rule.continue).toBe(true);
+      expect(validateRules([createValidRule({ priority: 'high' })]).error).toBe("Rule #1 has a non-numeric string for 'priority': 'high'.");
+      expect(validateRules([createValidRule({ continue: 'yes' })]).error).toBe("Rule #1 has an invalid 'continue': 'yes'. Expected true or false.");
+    });
+
+    it('should accept known values for when and reject others', () => {
+      expect(validateRules([createValidRule({ when: 'away' })])).toMatchObject({ isValid: true, errors: [] });
+      expect(validateRules([createValidRule({ when: 'later' })])).toMatchObject({ isValid: false, error: "Rule #1 has an invalid 'when': 'later'. Expected one of: always, away." });
+    });
+
+    it('should return invalid for duplicate ids', () => {
+      const rules = [createValidRule({ id: 'abc' }), createValidRule({ id: 'abc' })];
+      expect(validateRules(rules)).toMatchObject({ isValid: false, error: "Rule #2 has a duplicate id: 'abc'." });
+    });
+
     it('should return invalid for a non-numeric string in cooldown_seconds', () => {
       const rules = [createValidRule({ cooldown_seconds: 'abc' })];
-      expect(validateRules(rules)).toEqual({ isValid: false, error: "Rule #1 has a non-numeric string for 'cooldown_seconds': 'abc'." });
+      expect(validateRules(rules)).toMatchObject({ isValid: false, error: "Rule #1 has a non-numeric string for 'cooldown_seconds': 'abc'." });
     });
 
     it('should return invalid for a non-numeric or non-string type in delay_seconds', () => {
       const rules = [createValidRule({ delay_seconds: {} })];
-      expect(validateRules(rules)).toEqual({ isValid: false, error: "Rule #1 has an invalid type for 'delay_seconds'. Expected a number or a numeric string." });
+      expect(validateRules(rules)).toMatchObject({ isValid: false, error: "Rule #1 has an invalid type for 'delay_seconds'. Expected a number or a numeric string." });
+    });
+
+    it('should compile triggers and check their flags', () => {
+      expect(validateRules([createValidRule({ trigger_text: 'hi {{me}}', trigger_flags: 'gi' })])).toMatchObject({ isValid: true, errors: [] });
+      expect(validateRules([createValidRule({ trigger_text: '(unclosed' })]).errors).toEqual([
+        { ruleNumber: 1, field: 'trigger_text', message: expect.stringMatching(/^Rule #1 has an invalid 'trigger_text'\. Invalid regular expression/) },
+      ]);
+      expect(validateRules([createValidRule({ trigger_flags: 'ix' })]).error).toBe("Rule #1 has an invalid 'trigger_flags': 'ix'. Expected each of d, g, i, m, s, u, y at most once.");
+      expect(validateRules([createValidRule({ trigger_flags: 'ii' })]).isValid).toBe(false);
+    });
+  });
+
+  describe('Reporting', () => {
+    it('should report every problem of every rule with its rule number and field', () => {
+      const rules = [
+        createValidRule({ server: '', cooldown_seconds: 'soon' }),
+        createValidRule(),
+        createValidRule({ when: 'later', trigger_text: '(' }),
+      ];
+      const result = validateRules(rules);
+      expect(result.isValid).toBe(false);
+      expect(result.error).toBe("Rule #1 is missing or has an empty required string property: 'server'.");
+      expect(result.errors.map(({ ruleNumber, field }) => [ruleNumber, field])).toEqual([
+        [1, 'server'],
+        [1, 'cooldown_seconds'],
+        [3, 'trigger_text'],
+        [3, 'when'],
+      ]);
+    });
+
+    it('should warn about unknown fields without failing', () => {
+      const result = validateRules([createValidRule({ colour: 'red' })]);
+      expect(result.isValid).toBe(true);
+      expect(result.warnings).toEqual([{ ruleNumber: 1, field: 'colour', message: "Rule #1 has an unknown field 'colour'. It will be ignored." }]);
     });
   });
 });
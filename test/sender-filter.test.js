@@ -0,0 +1,116 @@
+'use strict';
+
+const mockPluginConfig = {};
+const mockUserSettings = {};
+jest.mock('../src/plugin-config', () => ({
+  getPluginConfig: jest.fn(() => mockPluginConfig),
+  getUserSettings: jest.fn(userName => {
+    mockUserSettings[userName] = mockUserSettings[userName] || {};
+    return mockUserSettings[userName];
+  }),
+  savePluginConfig: jest.fn(),
+}));
+
+const pluginConfigManager = require('../src/plugin-config');
+const senderFilter = require('../src/sender-filter');
+
+describe('Sender filter', () => {
+  const network = {
+    nick: 'MyBot',
+    channels: [
+      {
+        name: '#chan',
+        users: new Map([
+          ['opuser', { nick: 'OpUser', modes: ['@'] }],
+          ['voiced', { nick: 'Voiced', modes: ['+'] }],
+          ['owner', { nick: 'Owner', modes: ['~', '@'] }],
+        ]),
+      },
+    ],
+  };
+  const infoFrom = (nick, extra = {}) => ({
+    sender: nick,
+    target: '#chan',
+    isQuery: false,
+    from: { nick, user: '~ident', host: 'host.example.org', account: null, ...extra },
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete mockPluginConfig.ignoreList;
+    Object.keys(mockUserSettings).forEach(userName => delete mockUserSettings[userName]);
+  });
+
+  it('should complete partial masks', () => {
+    expect(senderFilter.normalizeMask('bob')).toBe('bob!*@*');
+    expect(senderFilter.normalizeMask('*@host')).toBe('*!*@host');
+    expect(senderFilter.normalizeMask('bob!ident')).toBe('bob!ident@*');
+    expect(senderFilter.normalizeMask('bob!*@host')).toBe('bob!*@host');
+  });
+
+  it('should match masks against nick!user@host, ignoring case', () => {
+    expect(senderFilter.matchesCondition('Bob', infoFrom('bob'), network)).toBe(true);
+    expect(senderFilter.matchesCondition('*bot*', infoFrom('SomeBot'), network)).toBe(true);
+    expect(senderFilter.matchesCondition('*!*@*.example.org', infoFrom('alice'), network)).toBe(true);
+    expect(senderFilter.matchesCondition('*!*@other.net', infoFrom('alice'), network)).toBe(false);
+  });
+
+  it('should match accounts only when the sender is logged in', () => {
+    expect(senderFilter.matchesCondition('account:Alice', infoFrom('al', { account: 'alice' }), network)).toBe(true);
+    expect(senderFilter.matchesCondition('account:*', infoFrom('al', { account: 'alice' }), network)).toBe(true);
+    expect(senderFilter.matchesCondition('account:*', infoFrom('al'), network)).toBe(false);
+  });
+
+  it('should match channel privileges of at least the given level', () => {
+    expect(senderFilter.matchesCondition('status:op', infoFrom('OpUser'), network)).toBe(true);
+    expect(senderFilter.matchesCondition('status:op', infoFrom('Owner'), network)).toBe(true);
+    expect(senderFilter.matchesCondition('status:op', infoFrom('Voiced'), network)).toBe(false);
+    expect(senderFilter.matchesCondition('status:voice', infoFrom('OpUser'), network)).toBe(true);
+    expect(senderFilter.matchesCondition('status:voice', infoFrom('stranger'), network)).toBe(false);
+    expect(senderFilter.matchesCondition('status:op', { ...infoFrom('OpUser'), isQuery: true }, network)).toBe(false);
+  });
+
+  it('should apply only_from and except_from', () => {
+    const rule = { only_from: ['status:voice', 'account:*'], except_from: 'Voiced' };
+    expect(senderFilter.isAllowedByRule(rule, infoFrom('OpUser'), network)).toBe(true);
+    expect(senderFilter.isAllowedByRule(rule, infoFrom('Voiced'), network)).toBe(false);
+    expect(senderFilter.isAllowedByRule(rule, infoFrom('stranger'), network)).toBe(false);
+    expect(senderFilter.isAllowedByRule(rule, infoFrom('stranger', { account: 'x' }), network)).toBe(true);
+    expect(senderFilter.isAllowedByRule({}, infoFrom('stranger'), network)).toBe(true);
+  });
+
+  it('should report invalid conditions', () => {
+    expect(senderFilter.findConditionError('bob!*@*')).toBeNull();
+    expect(senderFilter.findConditionError('status:op')).toBeNull();
+    expect(senderFilter.findConditionError('status:king')).toContain('Unknown status');
+    expect(senderFilter.findConditionError('account:')).toContain('no account name');
+    expect(senderFilter.findConditionError('two words')).toContain('spaces');
+    expect(senderFilter.findConditionError(5)).toContain('non-empty string');
+  });
+
+  it('should add, match and remove ignore list entries', () => {
+    expect(senderFilter.addIgnore('alice', 'ChanServ')).toBe('ChanServ!*@*');
+    expect(senderFilter.addIgnore('alice', 'chanserv')).toBeNull();
+    expect(senderFilter.addIgnore('alice', 'account:otherbot')).toBe('account:otherbot');
+    expect(pluginConfigManager.savePluginConfig).toHaveBeenCalledTimes(2);
+    expect(senderFilter.getIgnoreList('alice')).toEqual(['ChanServ!*@*', 'account:otherbot']);
+
+    expect(senderFilter.isIgnored(infoFrom('chanserv'), network, 'alice')).toBe(true);
+    expect(senderFilter.isIgnored(infoFrom('x', { account: 'OtherBot' }), network, 'alice')).toBe(true);
+    expect(senderFilter.isIgnored(infoFrom('alice'), network, 'alice')).toBe(false);
+
+    expect(senderFilter.removeIgnore('alice', 'chanserv')).toBe('ChanServ!*@*');
+    expect(senderFilter.removeIgnore('alice', 'chanserv')).toBeNull();
+    expect(senderFilter.getIgnoreList('alice')).toEqual(['account:otherbot']);
+  });
+
+  it('should keep ignore lists per user and apply the shared one to everyone', () => {
+    senderFilter.addIgnore('alice', 'spammer');
+    mockPluginConfig.ignoreList = ['*!*@bad.example.org'];
+
+    expect(senderFilter.isIgnored(infoFrom('spammer'), network, 'alice')).toBe(true);
+    expect(senderFilter.isIgnored(infoFrom('spammer'), network, 'bob')).toBe(false);
+    expect(senderFilter.isIgnored(infoFrom('x', { host: 'bad.example.org' }), network, 'bob')).toBe(true);
+    expect(senderFilter.getIgnoreList()).toEqual(['*!*@bad.example.org']);
+  });
+});
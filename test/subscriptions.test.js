@@ -0,0 +1,125 @@
+'use strict';
+
+jest.mock('fs');
+const fs = require('fs');
+
+jest.mock('../src/logger');
+const { PluginLogger } = require('../src/logger');
+
+jest.mock('../src/rule-fetcher');
+const ruleFetcher = require('../src/rule-fetcher');
+
+const mockUserRules = {};
+jest.mock('../src/rule-manager', () => ({
+  getUserRules: jest.fn(userName => mockUserRules[userName] || []),
+  saveUserRules: jest.fn((userName, rules) => {
+    mockUserRules[userName] = rules;
+    return true;
+  }),
+  syncSourceRules: jest.requireActual('../src/rule-manager').syncSourceRules,
+}));
+const ruleManager = require('../src/rule-manager');
+
+const path = require('path');
+const subscriptions = require('../src/subscriptions');
+
+describe('Subscriptions', () => {
+  const configDir = '/fake/dir';
+  const subscriptionsPath = path.join(configDir, 'subscriptions.json');
+  const url = 'https://example.com/rules.json';
+  const fetched = [{ id: 'src00001', server: 'TestNet', listen_channel: '#a', trigger_text: 'ping', response_text: 'pong' }];
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.clearAllMocks();
+    Object.keys(mockUserRules).forEach(userName => delete mockUserRules[userName]);
+    const error = new Error('Not found');
+    error.code = 'ENOENT';
+    fs.readFileSync.mockImplementation(() => { throw error; });
+    subscriptions.init(configDir);
+    ruleFetcher.checkUrl.mockReturnValue(null);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should add, find and remove subscriptions per user, with the rules that came from them', () => {
+    const { subscription, created } = subscriptions.addSubscription('alice', url, 30);
+    expect(created).toBe(true);
+    expect(subscriptions.addSubscription('alice', url, 90)).toEqual({ subscription, created: false });
+    expect(subscription.intervalMinutes).toBe(90);
+    expect(subscriptions.findSubscription('alice', '1')).toBe(subscription);
+    expect(subscriptions.findSubscription('alice', url)).toBe(subscription);
+    expect(subscriptions.getSubscriptions('bob')).toEqual([]);
+    expect(fs.writeFileSync).toHaveBeenLastCalledWith(subscriptionsPath, expect.stringContaining('"alice"'), 'utf8');
+
+    mockUserRules.alice = [{ id: 'a', source: url }, { id: 'b' }];
+    expect(subscriptions.removeSubscription('alice', subscription)).toBe(1);
+    expect(mockUserRules.alice).toEqual([{ id: 'b' }]);
+    expect(subscriptions.getSubscriptions('alice')).toEqual([]);
+  });
+
+  it('should sync the fetched rules and only write them when they changed', async () => {
+    const { subscription } = subscriptions.addSubscription('alice', url);
+    ruleFetcher.fetchRules.mockResolvedValue({ notModified: false, rules: fetched, warnings: [], etag: '"v1"', lastModified: null });
+
+    await expect(subscriptions.refreshSubscription('alice', subscription, 1000)).resolves.toMatchObject({ added: 1, overwritten: 0, removed: 0 });
+    expect(mockUserRules.alice).toEqual([{ ...fetched[0], source: url }]);
+    expect(subscription).toMatchObject({ etag: '"v1"', lastChecked: 1000, lastResult: '1 rules' });
+
+    ruleManager.saveUserRules.mockClear();
+    await subscriptions.refreshSubscription('alice', subscription, 2000);
+    expect(ruleFetcher.fetchRules).toHaveBeenLastCalledWith(url, subscription);
+    expect(ruleManager.saveUserRules).not.toHaveBeenCalled();
+
+    ruleFetcher.fetchRules.mockResolvedValue({ notModified: false, rules: [], warnings: [], etag: '"v2"', lastModified: null });
+    await expect(subscriptions.refreshSubscription('alice', subscription, 3000)).resolves.toMatchObject({ removed: 1 });
+    expect(mockUserRules.alice).toEqual([]);
+  });
+
+  it('should leave the rules alone when the server reports no change or an error', async () => {
+    const { subscription } = subscriptions.addSubscription('alice', url);
+    ruleFetcher.fetchRules.mockResolvedValue({ notModified: true });
+    await expect(subscriptions.refreshSubscription('alice', subscription, 1000)).resolves.toMatchObject({ notModified: true });
+
+    ruleFetcher.checkUrl.mockReturnValue('Remote rule fetching is disabled.');
+    await expect(subscriptions.refreshSubscription('alice', subscription, 2000)).rejects.toThrow('Remote rule fetching is disabled.');
+    expect(subscription.lastResult).toBe('error: Remote rule fetching is disabled.');
+    expect(ruleManager.saveUserRules).not.toHaveBeenCalled();
+  });
+
+  it('should not bring back the rules of a subscription removed during a refresh', async () => {
+    const { subscription } = subscriptions.addSubscription('alice', url);
+    let finishDownload;
+    ruleFetcher.fetchRules.mockReturnValue(new Promise((resolve) => {
+      finishDownload = resolve;
+    }));
+
+    const refresh = subscriptions.refreshSubscription('alice', subscription, 1000);
+    subscriptions.removeSubscription('alice', subscription);
+    finishDownload({ notModified: false, rules: fetched, warnings: [], etag: '"v1"', lastModified: null });
+
+    await expect(refresh).rejects.toThrow(`${url} was unsubscribed while it was being refreshed.`);
+    expect(ruleManager.saveUserRules).not.toHaveBeenCalled();
+    expect(subscriptions.getSubscriptions('alice')).toEqual([]);
+  });
+
+  it('should refresh the subscriptions whose interval has passed', async () => {
+    const { subscription } = subscriptions.addSubscription('alice', url, 60);
+    ruleFetcher.fetchRules.mockResolvedValue({ notModified: true });
+    const now = Date.now();
+
+    await subscriptions.refreshDue(now);
+    await subscriptions.refreshDue(now + 30 * 60 * 1000);
+    expect(ruleFetcher.fetchRules).toHaveBeenCalledTimes(1);
+
+    await subscriptions.refreshDue(now + 60 * 60 * 1000);
+    expect(ruleFetcher.fetchRules).toHaveBeenCalledTimes(2);
+    expect(subscription.lastChecked).toBe(now + 60 * 60 * 1000);
+
+    ruleFetcher.fetchRules.mockRejectedValue(new Error('Failed to fetch rules.'));
+    await subscriptions.refreshDue(now + 120 * 60 * 1000);
+    expect(PluginLogger.error).toHaveBeenCalledWith(expect.stringContaining(`Subscription ${url} of alice could not be refreshed: Failed to fetch rules.`), '');
+  });
+});
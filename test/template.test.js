@@ -0,0 +1,94 @@
+'use strict';
+
+const { parseExpression, formatDateTime, isValidTimezone, render, findTemplateError } = require('../src/template');
+
+describe('Template', () => {
+  describe('parseExpression', () => {
+    it('should split a placeholder into its variable and filters', () => {
+      expect(parseExpression('sender')).toEqual({ name: 'sender', filters: [] });
+      expect(parseExpression('1 | default:"a | b" | upper')).toEqual({
+        name: '1',
+        filters: [{ name: 'default', arg: 'a | b' }, { name: 'upper', arg: '' }],
+      });
+      expect(parseExpression("message|truncate:20")).toEqual({ name: 'message', filters: [{ name: 'truncate', arg: '20' }] });
+    });
+
+    it('should throw on malformed filters', () => {
+      expect(() => parseExpression('sender|')).toThrow("Cannot parse the filters of '{{sender|}}'.");
+    });
+  });
+
+  describe('render', () => {
+    const match = 'heard of rust yet'.match(/heard of (?<topic>\w+) (\w+)/);
+    const context = { variables: { sender: 'bob', channel: '#dev', network: 'Libera', message: 'hi' }, match };
+
+    it('should replace variables, numbered and named groups', () => {
+      expect(render('{{sender}} in {{ channel }} on {{network}}: {{1}} / {{group.topic}} / {{2}}', context)).toBe('bob in #dev on Libera: rust / rust / yet');
+    });
+
+    it('should apply filters in order', () => {
+      expect(render('{{sender|upper}} {{group.topic|capitalize}} {{message|default:"(empty)"|upper}}', context)).toBe('BOB Rust HI');
+      expect(render('{{away_reason|default:"no reason"}}', { variables: { away_reason: '' } })).toBe('no reason');
+    });
+
+    it('should address groups beyond 9', () => {
+      const bigMatch = 'abcdefghijk'.match(/(a)(b)(c)(d)(e)(f)(g)(h)(i)(j)(k)/);
+      expect(render('{{10}}{{11}} $10 $11', { variables: {}, match: bigMatch })).toBe('jk j k');
+    });
+
+    it('should keep supporting $N references', () => {
+      expect(render('$1 and $2!', context)).toBe('rust and yet!');
+      expect(render('$12', context)).toBe('rust2');
+    });
+
+    it('should not expand $N references inside the values of variables', () => {
+      const variables = { sender: 'eve$2', message: 'costs $1 and {{sender}}' };
+      expect(render('{{sender}} said: {{message}} ($1)', { variables, match })).toBe('eve$2 said: costs $1 and {{sender}} (rust)');
+    });
+
+    it('should leave unknown placeholders as they are', () => {
+      expect(render('{{nope}} {{sender|shout}}', context)).toBe('{{nope}} {{sender|shout}}');
+    });
+
+    it('should not use members of Object.prototype as filters', () => {
+      expect(render('{{sender|valueOf|upper}} {{sender|constructor}}', context)).toBe('{{sender|valueOf|upper}} {{sender|constructor}}');
+    });
+  });
+
+  describe('findTemplateError', () => {
+    const groups = { count: 1, names: ['topic'] };
+
+    it('should accept known variables, groups and filters', () => {
+      expect(findTemplateError('{{sender|lower}} {{1|default:"x"}} {{group.topic}} {{time}} {{date}}', groups)).toBeNull();
+    });
+
+    it('should report unknown variables and filters', () => {
+      expect(findTemplateError('hi {{user}}', groups)).toMatch(/^Unknown variable '{{user}}'\. Available variables: me, sender/);
+      expect(findTemplateError('{{sender|shout}}', groups)).toMatch(/^Unknown filter 'shout' in '{{sender\|shout}}'\./);
+    });
+
+    it('should reject members of Object.prototype used as filters', () => {
+      expect(findTemplateError('{{sender|valueOf|upper}}', groups)).toMatch(/^Unknown filter 'valueOf' in '{{sender\|valueOf\|upper}}'\./);
+      expect(findTemplateError('{{sender|constructor}}', groups)).toMatch(/^Unknown filter 'constructor'/);
+      expect(findTemplateError('{{sender|__proto__}}', groups)).toMatch(/^Unknown filter '__proto__'/);
+    });
+
+    it('should report groups the trigger does not have', () => {
+      expect(findTemplateError('{{2}}', groups)).toBe("'{{2}}' refers to capture group 2, but the trigger only has 1.");
+      expect(findTemplateError('{{group.name}}', groups)).toBe("'{{group.name}}' refers to a named group the trigger does not have.");
+    });
+  });
+
+  describe('timezones', () => {
+    it('should format dates in the given timezone', () => {
+      const date = new Date(Date.UTC(2024, 4, 1, 22, 30));
+      expect(formatDateTime(date, 'UTC')).toEqual({ date: '2024-05-01', time: '22:30' });
+      expect(formatDateTime(date, 'Asia/Tokyo')).toEqual({ date: '2024-05-02', time: '07:30' });
+    });
+
+    it('should recognize valid timezones', () => {
+      expect(isValidTimezone('Europe/Madrid')).toBe(true);
+      expect(isValidTimezone('Mars/Olympus')).toBe(false);
+    });
+  });
+});